@@ -14,6 +14,8 @@ document.addEventListener('DOMContentLoaded', function() {
     const messageContent = document.getElementById('messageContent');
     const resultSection = document.getElementById('resultSection');
     const downloadBtn = document.getElementById('downloadBtn');
+    const transcriptBtn = document.getElementById('transcriptBtn');
+    const transcriptMdBtn = document.getElementById('transcriptMdBtn');
     const copyBase64Btn = document.getElementById('copyBase64Btn');
     const base64Section = document.getElementById('base64Section');
     const base64Content = document.getElementById('base64Content');
@@ -82,6 +84,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
     function initializeDownloadHandler() {
         downloadBtn.addEventListener('click', triggerDownload);
+        transcriptBtn.addEventListener('click', () => downloadTranscript('txt', transcriptBtn));
+        transcriptMdBtn.addEventListener('click', () => downloadTranscript('md', transcriptMdBtn));
     }
 
     function initializeBase64Handlers() {
@@ -199,6 +203,13 @@ document.addEventListener('DOMContentLoaded', function() {
 
                 if (!response.ok) {
                     const errorData = await response.json().catch(() => ({ error: 'Unknown error occurred' }));
+                    // Show where an SRT file is broken whenever the server lists its diagnostics
+                    if (Array.isArray(errorData.diagnostics) && errorData.diagnostics.length > 0) {
+                        const shown = await showValidationReport(file, errorData.diagnostics);
+                        if (shown) {
+                            return;
+                        }
+                    }
                     handleServerError(response.status, errorData.error);
                     return;
                 }
@@ -428,6 +439,82 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
     
+    async function showValidationReport(file, diagnostics) {
+        try {
+            const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+            const warnings = diagnostics.length - errors;
+
+            const fileText = await file.text();
+            showError(`Invalid SRT file: ${errors} error(s) and ${warnings} warning(s) found.`);
+            messageContent.insertBefore(buildAnnotatedListing(fileText, diagnostics), messageContent.children[1]);
+            return true;
+        } catch (error) {
+            console.error('Validation report failed:', error);
+            return false;
+        }
+    }
+
+    function buildAnnotatedListing(fileText, diagnostics) {
+        const lines = fileText.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const contextLines = 2;
+        const diagnosticsByLine = new Map();
+        diagnostics.forEach(diagnostic => {
+            if (!diagnosticsByLine.has(diagnostic.line)) {
+                diagnosticsByLine.set(diagnostic.line, []);
+            }
+            diagnosticsByLine.get(diagnostic.line).push(diagnostic);
+        });
+
+        // Only show lines near a diagnostic so long files stay readable
+        const visible = new Set();
+        diagnosticsByLine.forEach((entries, lineNumber) => {
+            for (let n = lineNumber - contextLines; n <= lineNumber + contextLines; n++) {
+                if (n >= 1 && n <= lines.length) {
+                    visible.add(n);
+                }
+            }
+        });
+
+        const listing = document.createElement('ol');
+        listing.className = 'annotated-listing';
+        let previous = 0;
+
+        [...visible].sort((a, b) => a - b).forEach(lineNumber => {
+            if (previous && lineNumber > previous + 1) {
+                const gap = document.createElement('li');
+                gap.className = 'listing-gap';
+                gap.textContent = '…';
+                listing.appendChild(gap);
+            }
+            previous = lineNumber;
+
+            const entries = diagnosticsByLine.get(lineNumber) || [];
+            const row = document.createElement('li');
+            row.className = 'listing-line';
+            if (entries.length > 0) {
+                row.classList.add(entries.some(entry => entry.severity === 'error') ? 'has-error' : 'has-warning');
+            }
+
+            const number = document.createElement('span');
+            number.className = 'line-number';
+            number.textContent = lineNumber;
+            const code = document.createElement('code');
+            code.textContent = lines[lineNumber - 1] || ' ';
+            row.appendChild(number);
+            row.appendChild(code);
+            listing.appendChild(row);
+
+            entries.forEach(entry => {
+                const annotation = document.createElement('li');
+                annotation.className = `listing-annotation ${entry.severity}`;
+                annotation.textContent = `Col ${entry.column} · ${entry.code}: ${entry.message}. Fix: ${entry.suggestion}`;
+                listing.appendChild(annotation);
+            });
+        });
+
+        return listing;
+    }
+
     function showWarning(message, showContinue = false, continueCallback = null) {
         hideAllSections();
         messageSection.classList.remove('hidden');
@@ -519,6 +606,50 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    async function downloadTranscript(format, button) {
+        if (!currentFile) {
+            return;
+        }
+
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Preparing transcript...';
+
+        try {
+            const formData = new FormData();
+            formData.append('srtFile', currentFile);
+            formData.append('format', format);
+
+            const response = await fetch('/convert', {
+                method: 'POST',
+                body: formData
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ message: 'Unknown error occurred' }));
+                showError(`Transcript could not be created: ${errorData.message || errorData.error}`);
+                return;
+            }
+
+            const url = window.URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = currentFile.name.replace(/\.[^.]+$/, '') + `.${format}`;
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Transcript download error:', error);
+            showError('Transcript download failed. Please try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = originalText;
+        }
+    }
+
     // Reset functionality for new uploads
     function resetUploader() {
         currentFile = null;
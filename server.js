@@ -9,14 +9,38 @@ const { logger } = require('./utils/logger');
 
 // Import utility modules
 const { detectEncoding, convertToUTF8 } = require('./utils/encoding');
-const { validateSRTFormat, parseSRT } = require('./utils/srt-parser');
-const { generateVTT, validateVTTFormat, validateBunnyStreamCompliance, generateBase64Output, getVTTMimeTypeConfig } = require('./utils/vtt-generator');
+const { validateSRTFormat, parseSRT, diagnoseSRT } = require('./utils/srt-parser');
+const { validateVTTFormat, normalizeVTT, generateBase64Output, getVTTMimeTypeConfig } = require('./utils/vtt-generator');
+const { validateWebVTTFormat } = require('./utils/vtt-parser');
+const { generateSRT } = require('./utils/srt-generator');
+const { isValidFrameRate } = require('./utils/timestamp');
+const { subtitlesToJSONCues } = require('./utils/json-cues');
+const { generateTranscript, getTranscriptMimeTypeConfig } = require('./utils/transcript-generator');
+const { parseBundleFormats, generateBundle } = require('./utils/subtitle-bundle');
+const { getZipMimeTypeConfig } = require('./utils/zip-archive');
+const { DEFAULT_TIMING_SEVERITY, OVERLAP_STRATEGIES, CHAIN_DIRECTIONS, DEFAULT_CHAIN_OPTIONS, parseTimingSeverity, checkCueTiming, repairCueTiming, findOverlaps, resolveOverlaps, chainCues } = require('./utils/cue-timing');
+const { DEFAULT_WRAP_OPTIONS, WRAP_LIMITS, wrapSubtitles } = require('./utils/line-wrap');
+const { DEFAULT_SEGMENTATION_OPTIONS, resolveSegmentationOptions, splitLongCues, mergeShortCues, resegmentSubtitles } = require('./utils/cue-segmentation');
+const { resolveQualityRules, parseQualityRules, checkQualityRules, extendCuesIntoGaps } = require('./utils/quality-rules');
+const { parseTimeParameter, shiftSubtitles, convertFrameRate, parseSyncAnchors, computeLinearSync, applyLinearSync } = require('./utils/retime');
+const { getOutputFormat, getSupportedOutputFormats, getSupportedExtensions, isSupportedUpload } = require('./utils/subtitle-formats');
+const { readSubtitleUpload, parseUploadedSubtitles } = require('./utils/subtitle-upload');
+const { parseComplianceProfile, getSupportedProfiles } = require('./utils/compliance-profiles');
 const { detectLanguage, getSupportedLanguages, isValidLanguageCode, getLanguageName } = require('./utils/language-detection');
 const OpenAIIntegration = require('./utils/openai-integration');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Supported conversion directions for /convert
+const CONVERSION_DIRECTIONS = ['srt-to-vtt', 'vtt-to-srt'];
+
+// Supported SRT parse modes for /convert; lenient repairs common defects instead of rejecting the file
+const PARSE_MODES = ['strict', 'lenient'];
+
+// Timing severity used while parsing when timingRepair is requested, so the parser does not reject what will be repaired
+const IGNORE_TIMING_ISSUES = Object.fromEntries(Object.keys(DEFAULT_TIMING_SEVERITY).map(kind => [kind, 'ignore']));
+
 // Request logging middleware
 app.use((req, res, next) => {
   const start = Date.now();
@@ -29,21 +53,22 @@ app.use((req, res, next) => {
   next();
 });
 
+// Largest accepted upload, as a file or as a JSON cue body
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB limit
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_UPLOAD_SIZE,
     files: 1
   },
   fileFilter: (req, file, cb) => {
-    // Accept only .srt files
-    if (file.mimetype === 'application/x-subrip' || 
-        file.originalname.toLowerCase().endsWith('.srt') ||
-        file.mimetype === 'text/plain') {
+    // Accept only subtitle formats known to the format registry
+    if (isSupportedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only SRT files are allowed'), false);
+      cb(new Error('Unsupported subtitle file type'), false);
     }
   }
 });
@@ -53,7 +78,7 @@ const openaiClient = new OpenAIIntegration();
 
 // Middleware configuration
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: MAX_UPLOAD_SIZE }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public directory
@@ -116,6 +141,191 @@ app.get('/languages', (req, res) => {
   });
 });
 
+// Compliance profiles endpoint
+app.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: getSupportedProfiles()
+  });
+});
+
+/**
+ * Sends the 400 response of an error thrown by readSubtitleUpload or parseUploadedSubtitles
+ * @param {Object} res - Express response
+ * @param {Error} error - Error with a response property; anything else is rethrown
+ * @returns {Object} - Express response
+ */
+function sendUploadError(res, error) {
+  if (!error.response) {
+    throw error;
+  }
+  return res.status(400).json(error.response);
+}
+
+/**
+ * Reads the offsetMs / offsetFrom request parameters
+ * @param {string} offsetParam - Offset in milliseconds, may be negative
+ * @param {string} fromParam - Optional start of the shifted range (milliseconds or timestamp)
+ * @returns {Object|null} - {offsetMs, from} or null when no offset was requested
+ * @throws {Error} - If a parameter is invalid
+ */
+function parseTimingShift(offsetParam, fromParam) {
+  if (offsetParam === undefined) {
+    if (fromParam !== undefined) {
+      throw new Error('offsetFrom requires offsetMs');
+    }
+    return null;
+  }
+
+  const offsetMs = Number(offsetParam);
+  if (String(offsetParam).trim() === '' || !Number.isFinite(offsetMs)) {
+    throw new Error(`Invalid offsetMs "${offsetParam}". Must be a number of milliseconds, e.g. 2500 or -1200`);
+  }
+
+  let from = 0;
+  if (fromParam !== undefined) {
+    try {
+      from = parseTimeParameter(fromParam);
+    } catch (error) {
+      throw new Error(`Invalid offsetFrom "${fromParam}". Use milliseconds or a timestamp such as 00:01:30,000`);
+    }
+  }
+
+  return { offsetMs: Math.round(offsetMs), from };
+}
+
+/**
+ * Reads the sourceFps / targetFps request parameters
+ * @param {string} sourceParam - Frame rate the subtitles were timed against
+ * @param {string} targetParam - Frame rate of the re-encoded video
+ * @returns {Object|null} - {sourceFps, targetFps} or null when no conversion was requested
+ * @throws {Error} - If only one frame rate is given or a value is invalid
+ */
+function parseFrameRateConversion(sourceParam, targetParam) {
+  if (sourceParam === undefined && targetParam === undefined) {
+    return null;
+  }
+  if (sourceParam === undefined || targetParam === undefined) {
+    throw new Error('Frame rate conversion needs both sourceFps and targetFps');
+  }
+
+  const sourceFps = Number(sourceParam);
+  const targetFps = Number(targetParam);
+  for (const [name, value, fps] of [['sourceFps', sourceParam, sourceFps], ['targetFps', targetParam, targetFps]]) {
+    if (!isValidFrameRate(fps)) {
+      throw new Error(`Invalid ${name} "${value}". Must be a positive number such as 23.976 or 25`);
+    }
+  }
+
+  return { sourceFps, targetFps };
+}
+
+/**
+ * Reads the two-point sync parameters: syncAnchors, or a transform from an earlier
+ * response given as syncScale and syncOffsetMs
+ * @param {string} anchorsParam - Two anchors such as "1@00:00:05,000;42@00:12:30,500"
+ * @param {string} scaleParam - Scale of a known transform
+ * @param {string} offsetParam - Offset in milliseconds of a known transform
+ * @returns {Object|null} - {anchors} or {transform: {scale, offsetMs}}, null when no sync was requested
+ * @throws {Error} - If the parameters are incomplete, conflicting or invalid
+ */
+function parseLinearSync(anchorsParam, scaleParam, offsetParam) {
+  const hasTransform = scaleParam !== undefined || offsetParam !== undefined;
+  if (anchorsParam !== undefined && hasTransform) {
+    throw new Error('Use either syncAnchors or syncScale/syncOffsetMs, not both');
+  }
+  if (anchorsParam !== undefined) {
+    return { anchors: parseSyncAnchors(anchorsParam) };
+  }
+  if (!hasTransform) {
+    return null;
+  }
+
+  const scale = Number(scaleParam);
+  const offsetMs = Number(offsetParam);
+  if (scaleParam === undefined || offsetParam === undefined || !(scale > 0) || !Number.isFinite(scale) || !Number.isFinite(offsetMs)) {
+    throw new Error('syncScale (a positive number) and syncOffsetMs (milliseconds) must be given together');
+  }
+
+  return { transform: { scale, offsetMs } };
+}
+
+/**
+ * Reads the cue chaining parameters
+ * @param {string} directionParam - extend or delay; chaining only runs when this is given
+ * @param {string} thresholdParam - Gaps shorter than this many frames are chained
+ * @param {string} minGapParam - Gap in frames left between chained cues
+ * @param {string} fpsParam - Frame rate the frame counts refer to
+ * @returns {Object|null} - Options for chainCues (fps only when given), or null when no chaining was requested
+ * @throws {Error} - If a setting is given without chain or a value is invalid
+ */
+function parseCueChaining(directionParam, thresholdParam, minGapParam, fpsParam) {
+  if (directionParam === undefined) {
+    if (thresholdParam !== undefined || minGapParam !== undefined || fpsParam !== undefined) {
+      throw new Error('chainThreshold, chainMinGap and chainFps require chain=extend or chain=delay');
+    }
+    return null;
+  }
+  if (!CHAIN_DIRECTIONS.includes(directionParam)) {
+    throw new Error(`Unsupported chain direction "${directionParam}". Supported directions: ${CHAIN_DIRECTIONS.join(', ')}`);
+  }
+
+  const options = { direction: directionParam };
+  for (const [name, key, value] of [['chainThreshold', 'thresholdFrames', thresholdParam], ['chainMinGap', 'minGapFrames', minGapParam]]) {
+    if (value !== undefined) {
+      const frames = Number(value);
+      if (String(value).trim() === '' || !Number.isInteger(frames) || frames < 0) {
+        throw new Error(`Invalid ${name} "${value}". Must be a whole number of frames`);
+      }
+      options[key] = frames;
+    }
+  }
+  if (fpsParam !== undefined) {
+    options.fps = Number(fpsParam);
+    if (!isValidFrameRate(options.fps)) {
+      throw new Error(`Invalid chainFps "${fpsParam}". Must be a positive number such as 23.976 or 25`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Reads the line layout parameters shared by resegmenting, wrapping, splitting and merging
+ * @param {Object} operations - {resegment, wrap, split, merge} request parameters; "true" enables an operation
+ * @param {string} lengthParam - Maximum characters per line
+ * @param {string} linesParam - Maximum lines per cue
+ * @returns {Object|null} - {resegment, wrap, split, merge, maxLineLength, maxLines}, or null when no operation was requested
+ * @throws {Error} - If a setting is given without an operation or a value is invalid
+ */
+function parseLineLayout(operations, lengthParam, linesParam) {
+  const enabled = {
+    resegment: operations.resegment === 'true',
+    wrap: operations.wrap === 'true',
+    split: operations.split === 'true',
+    merge: operations.merge === 'true'
+  };
+  if (!Object.values(enabled).some(Boolean)) {
+    if (lengthParam !== undefined || linesParam !== undefined) {
+      throw new Error('maxLineLength and maxLines require resegment=true, wrap=true, split=true or merge=true');
+    }
+    return null;
+  }
+
+  const options = { ...enabled, ...DEFAULT_WRAP_OPTIONS };
+  for (const [name, value] of [['maxLineLength', lengthParam], ['maxLines', linesParam]]) {
+    if (value !== undefined) {
+      const number = Number(value);
+      if (String(value).trim() === '' || !Number.isInteger(number) || number < 1 || number > WRAP_LIMITS[name]) {
+        throw new Error(`Invalid ${name} "${value}". Must be a whole number from 1 to ${WRAP_LIMITS[name]}`);
+      }
+      options[name] = number;
+    }
+  }
+
+  return options;
+}
+
 // Convert endpoint - Main processing pipeline
 app.post('/convert', upload.single('srtFile'), async (req, res) => {
   let processingStage = 'upload';
@@ -124,64 +334,354 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
     // Stage 1: File Upload Validation
     processingStage = 'upload';
     
-    if (!req.file) {
+    // A JSON body of cues is processed like an uploaded .json file
+    let upload;
+    try {
+      upload = readSubtitleUpload(req);
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    req.file = upload.file;
+
+    const direction = req.body.direction || req.query.direction || 'srt-to-vtt';
+    if (!CONVERSION_DIRECTIONS.includes(direction)) {
       return res.status(400).json({
-        error: 'File Upload Error',
-        message: 'No SRT file provided',
+        error: 'Invalid Parameter',
+        message: `Unsupported conversion direction "${direction}". Supported directions: ${CONVERSION_DIRECTIONS.join(', ')}`,
         stage: processingStage
       });
     }
 
-    if (!req.file.buffer || req.file.buffer.length === 0) {
+    // direction=vtt-to-srt is shorthand for inputFormat=vtt&outputFormat=srt
+    const requestedOutputFormat = direction === 'vtt-to-srt' ? 'srt' : (req.body.outputFormat || req.query.outputFormat || 'vtt');
+    const outputHandler = getOutputFormat(requestedOutputFormat);
+    if (!outputHandler) {
       return res.status(400).json({
-        error: 'File Upload Error',
-        message: 'Uploaded file is empty',
+        error: 'Invalid Parameter',
+        message: `Unsupported output format "${requestedOutputFormat}". Supported formats: ${getSupportedOutputFormats().join(', ')}`,
         stage: processingStage
       });
     }
+    const outputFormat = requestedOutputFormat.toLowerCase();
 
-    logger.logProcessing('upload', req.file.originalname, { 
-      size: req.file.size,
-      mimetype: req.file.mimetype 
-    });
+    const mode = req.body.mode || req.query.mode || 'strict';
+    if (!PARSE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: `Unsupported parse mode "${mode}". Supported modes: ${PARSE_MODES.join(', ')}`,
+        stage: processingStage
+      });
+    }
 
-    // Stage 2: Encoding Detection and Conversion
-    processingStage = 'encoding';
-    
-    const detectedEncoding = detectEncoding(req.file.buffer);
-    logger.logProcessing('encoding', req.file.originalname, { 
-      detectedEncoding 
-    });
-    
-    const utf8Buffer = convertToUTF8(req.file.buffer, detectedEncoding);
-    const srtContent = utf8Buffer.toString('utf8');
+    // Transcript options (format=txt|md) are given in seconds
+    const transcriptOptions = {};
+    const pauseParam = req.body.pauseThreshold || req.query.pauseThreshold;
+    const markerParam = req.body.markerInterval || req.query.markerInterval;
+    for (const [name, value] of [['pauseThreshold', pauseParam], ['markerInterval', markerParam]]) {
+      if (value === undefined) continue;
+      const seconds = Number(value);
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: `Invalid ${name} "${value}". Must be a non-negative number of seconds`,
+          stage: processingStage
+        });
+      }
+      transcriptOptions[name] = name === 'pauseThreshold' ? seconds * 1000 : seconds;
+    }
 
-    // Stage 3: SRT Format Validation
-    processingStage = 'validation';
-    
-    if (!validateSRTFormat(srtContent)) {
+    // timingSeverity overrides which timing issues are errors; timingRepair sorts and fixes them instead
+    let timingSeverity;
+    const timingSeverityParam = req.body.timingSeverity || req.query.timingSeverity;
+    if (timingSeverityParam !== undefined) {
+      try {
+        timingSeverity = parseTimingSeverity(timingSeverityParam);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+    }
+    const timingRepair = (req.body.timingRepair || req.query.timingRepair) === 'true';
+
+    const overlapStrategy = req.body.overlap || req.query.overlap;
+    if (overlapStrategy !== undefined && !OVERLAP_STRATEGIES.includes(overlapStrategy)) {
       return res.status(400).json({
-        error: 'Format Validation Error',
-        message: 'Invalid SRT file format. Please ensure the file follows proper SRT structure with sequence numbers, timestamps, and text.',
+        error: 'Invalid Parameter',
+        message: `Unsupported overlap strategy "${overlapStrategy}". Supported strategies: ${OVERLAP_STRATEGIES.join(', ')}`,
         stage: processingStage
       });
     }
 
-    // Parse SRT content
-    let parsedSubtitles;
+    // qualityRules overrides the reading-speed and duration thresholds; qualityFix extends cues into free gaps
+    const qualityRulesParam = req.body.qualityRules || req.query.qualityRules;
+    let qualityOverrides = {};
+    if (qualityRulesParam !== undefined) {
+      try {
+        qualityOverrides = parseQualityRules(qualityRulesParam);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+    }
+    const qualityFix = (req.body.qualityFix || req.query.qualityFix) === 'true';
+
+    // wrap=true re-wraps cue text to maxLineLength characters and maxLines lines; split=true splits cues
+    // that do not fit, merge=true merges short fragments into their neighbours and resegment=true
+    // rebuilds all cues around sentences
+    let lineLayout = null;
     try {
-      parsedSubtitles = parseSRT(srtContent);
-      logger.logProcessing('parsing', req.file.originalname, { 
-        subtitleCount: parsedSubtitles.length 
+      lineLayout = parseLineLayout(
+        {
+          resegment: req.body.resegment || req.query.resegment,
+          wrap: req.body.wrap || req.query.wrap,
+          split: req.body.split || req.query.split,
+          merge: req.body.merge || req.query.merge
+        },
+        req.body.maxLineLength || req.query.maxLineLength,
+        req.body.maxLines || req.query.maxLines
+      );
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: error.message,
+        stage: processingStage
       });
+    }
+
+    // profile selects the delivery target the output is validated against (a built-in name or a custom JSON profile)
+    const profileParam = req.body.profile || req.query.profile;
+    let complianceProfile = null;
+    if (profileParam !== undefined) {
+      if (!outputHandler.supportsProfiles) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: `Compliance profiles are only available for VTT output, not ${outputHandler.label}`,
+          stage: processingStage
+        });
+      }
+      try {
+        complianceProfile = parseComplianceProfile(profileParam);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+    }
+
+    // sourceFps/targetFps rescale cue times for a re-encoded video, syncAnchors fixes linear drift
+    // from two known cue times, and offsetMs shifts every cue (or only those from offsetFrom on) before any output is generated
+    const offsetParam = req.body.offsetMs || req.query.offsetMs;
+    const offsetFromParam = req.body.offsetFrom || req.query.offsetFrom;
+    let timingShift = null;
+    let frameRateChange = null;
+    let linearSync = null;
+    let cueChaining = null;
+    try {
+      timingShift = parseTimingShift(offsetParam, offsetFromParam);
+      frameRateChange = parseFrameRateConversion(req.body.sourceFps || req.query.sourceFps, req.body.targetFps || req.query.targetFps);
+      linearSync = parseLinearSync(
+        req.body.syncAnchors || req.query.syncAnchors,
+        req.body.syncScale || req.query.syncScale,
+        req.body.syncOffsetMs || req.query.syncOffsetMs
+      );
+      cueChaining = parseCueChaining(
+        req.body.chain || req.query.chain,
+        req.body.chainThreshold || req.query.chainThreshold,
+        req.body.chainMinGap || req.query.chainMinGap,
+        req.body.chainFps || req.query.chainFps
+      );
     } catch (error) {
       return res.status(400).json({
-        error: 'SRT Parsing Error',
+        error: 'Invalid Parameter',
         message: error.message,
         stage: processingStage
       });
     }
 
+    // formats=vtt,srt,txt,json returns all outputs in one ZIP archive
+    const formatsParam = req.body.formats || req.query.formats;
+    let bundleFormats = null;
+    if (formatsParam !== undefined) {
+      try {
+        bundleFormats = parseBundleFormats(formatsParam);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid Parameter',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+    }
+
+    logger.logProcessing('upload', req.file.originalname, { 
+      size: req.file.size,
+      mimetype: req.file.mimetype,
+      direction,
+      outputFormat
+    });
+
+    // Stages 2 and 3: Encoding Detection, Input Format Validation and Parsing
+    // vtt-to-srt always reads WebVTT; otherwise use the explicit format, the extension or content sniffing
+    processingStage = 'validation';
+    let parsedUpload;
+    try {
+      parsedUpload = parseUploadedSubtitles(upload, {
+        inputFormat: direction === 'vtt-to-srt' ? 'vtt' : undefined,
+        mode,
+        timingSeverity: timingRepair ? IGNORE_TIMING_ISSUES : timingSeverity
+      });
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    const { fileContent, detectedEncoding, inputFormat, inputHandler, frameRate, repairs } = parsedUpload;
+    let parsedSubtitles = parsedUpload.subtitles;
+    logger.logProcessing('encoding', req.file.originalname, { 
+      detectedEncoding 
+    });
+    logger.logProcessing('parsing', req.file.originalname, { 
+      inputFormat,
+      mode,
+      subtitleCount: parsedSubtitles.length,
+      repairCount: repairs.length
+    });
+
+    // Semantic timing checks for every input format (the SRT parser already rejected its timing errors)
+    const timing = { warnings: [], repairs: [] };
+    if (timingRepair) {
+      ({ subtitles: parsedSubtitles, repairs: timing.repairs } = repairCueTiming(parsedSubtitles));
+    } else {
+      const timingCheck = checkCueTiming(parsedSubtitles, { severity: timingSeverity });
+      if (timingCheck.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Timing Validation Error',
+          message: timingCheck.errors.map(issue => issue.message).join('; '),
+          issues: timingCheck.errors,
+          stage: processingStage
+        });
+      }
+      timing.warnings = timingCheck.warnings;
+    }
+
+    // Frame rate conversion runs first so offsets are given in the target video's timeline
+    let frameRateConversion = null;
+    if (frameRateChange) {
+      let conversionResult;
+      try {
+        conversionResult = convertFrameRate(parsedSubtitles, frameRateChange.sourceFps, frameRateChange.targetFps);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+      parsedSubtitles = conversionResult.subtitles;
+      frameRateConversion = { ...frameRateChange, ...conversionResult.stats };
+      logger.logProcessing('frame-rate-conversion', req.file.originalname, frameRateConversion);
+    }
+
+    // Two-point sync: compute the transform from the anchors (or reuse a given one) and apply it
+    let sync = null;
+    if (linearSync) {
+      let syncResult;
+      try {
+        const transform = linearSync.transform || computeLinearSync(parsedSubtitles, linearSync.anchors);
+        syncResult = applyLinearSync(parsedSubtitles, transform);
+        sync = { ...transform, anchors: linearSync.anchors, ...syncResult.stats };
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+      if (syncResult.subtitles.length === 0) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: 'The sync transform moves every cue before 00:00:00,000',
+          stage: processingStage
+        });
+      }
+      parsedSubtitles = syncResult.subtitles;
+      logger.logProcessing('sync', req.file.originalname, sync);
+    }
+
+    let retiming = null;
+    if (timingShift) {
+      let shiftResult;
+      try {
+        shiftResult = shiftSubtitles(parsedSubtitles, timingShift.offsetMs, { from: timingShift.from });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+      if (shiftResult.subtitles.length === 0) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: `An offset of ${timingShift.offsetMs}ms moves every cue before 00:00:00,000`,
+          stage: processingStage
+        });
+      }
+      parsedSubtitles = shiftResult.subtitles;
+      retiming = { offsetMs: timingShift.offsetMs, offsetFrom: timingShift.from, ...shiftResult.stats };
+      logger.logProcessing('retiming', req.file.originalname, retiming);
+    }
+
+    // Overlapping cues are always reported; overlap=trim|merge|stack resolves them and overlap=error rejects the file
+    const overlaps = { strategy: overlapStrategy || null, pairs: findOverlaps(parsedSubtitles), changes: [] };
+    if (overlaps.pairs.length > 0 && overlapStrategy === 'error') {
+      return res.status(400).json({
+        error: 'Overlap Error',
+        message: `${overlaps.pairs.length} pair(s) of cues overlap: ${overlaps.pairs.map(pair => `${pair.first}/${pair.second}`).join(', ')}`,
+        overlaps: overlaps.pairs,
+        stage: processingStage
+      });
+    }
+    if (overlaps.pairs.length > 0 && overlapStrategy) {
+      ({ subtitles: parsedSubtitles, changes: overlaps.changes } = resolveOverlaps(parsedSubtitles, overlapStrategy));
+      logger.logProcessing('overlap-resolution', req.file.originalname, {
+        strategy: overlapStrategy,
+        pairCount: overlaps.pairs.length,
+        changeCount: overlaps.changes.length
+      });
+    }
+
+    // Chaining closes short gaps to a minimum frame gap; frame counts refer to chainFps, the target or source frame rate, or 25fps
+    let chaining = null;
+    if (cueChaining) {
+      const chainFps = cueChaining.fps || (frameRateChange && frameRateChange.targetFps) || frameRate;
+      const chainOptions = chainFps ? { ...cueChaining, fps: chainFps } : cueChaining;
+      let chainResult;
+      try {
+        chainResult = chainCues(parsedSubtitles, chainOptions);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Retiming Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+      parsedSubtitles = chainResult.subtitles;
+      chaining = { ...DEFAULT_CHAIN_OPTIONS, ...chainOptions, ...chainResult.stats };
+      logger.logProcessing('chaining', req.file.originalname, chaining);
+    }
+
+    // Text correction and language detection work on SRT text, so other formats, repaired and retimed files are re-serialized
+    const unchanged = repairs.length === 0 && !retiming && !frameRateConversion && !sync && timing.repairs.length === 0 &&
+      overlaps.changes.length === 0 && (!chaining || chaining.changed === 0);
+    const srtContent = inputFormat === 'srt' && unchanged ? fileContent : generateSRT(parsedSubtitles);
+
     // Stage 4: OpenAI Text Correction (optional)
     processingStage = 'correction';
     
@@ -217,16 +717,22 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
       correctionError = 'OpenAI API key not configured';
     }
 
-    // Re-parse corrected content if correction was applied
+    // Re-parse corrected content if correction was applied; timing was already checked (or repaired) above,
+    // so it is not checked again, and on failure the cues parsed before correction are kept.
+    // SRT has no cue settings or identifiers, so only the corrected text is taken over
     if (correctionUsed) {
       try {
-        parsedSubtitles = parseSRT(correctedContent);
+        const correctedSubtitles = parseSRT(correctedContent, { timingSeverity: IGNORE_TIMING_ISSUES });
+        if (correctedSubtitles.length !== parsedSubtitles.length) {
+          throw new Error(`Correction changed the number of cues from ${parsedSubtitles.length} to ${correctedSubtitles.length}`);
+        }
+        parsedSubtitles = parsedSubtitles.map((subtitle, i) => ({ ...subtitle, text: correctedSubtitles[i].text }));
         logger.debug('Successfully parsed corrected content');
       } catch (error) {
         logger.warn('Failed to parse corrected content, using original', { 
           error: error.message 
         });
-        parsedSubtitles = parseSRT(srtContent);
+        correctedContent = srtContent;
         correctionUsed = false;
         correctionError = 'Corrected content was invalid, used original';
       }
@@ -253,35 +759,131 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
       };
     }
 
-    // Stage 6: VTT Generation
+    // Splitting, merging, wrapping and the quality rules use the detected language, so they run after detection
+    const contentLanguage = languageDetection.detected ? languageDetection.language.code : null;
+    // Chained cues are left exactly the chain gap apart, so that gap is the minimum unless qualityRules sets one
+    const qualityRules = resolveQualityRules(contentLanguage || '', chaining && qualityOverrides.minGapMs === undefined
+      ? { ...qualityOverrides, minGapMs: chaining.minGapMs }
+      : qualityOverrides);
+
+    // Resegmenting, splitting and merging follow the line limits and the quality rules' minimum and maximum duration
+    let segmentation = null;
+    if (lineLayout && (lineLayout.resegment || lineLayout.split || lineLayout.merge)) {
+      const segmentOptions = {
+        maxLineLength: lineLayout.maxLineLength,
+        maxLines: lineLayout.maxLines,
+        minDurationMs: qualityRules.minDurationMs,
+        maxDurationMs: qualityRules.maxDurationMs,
+        language: contentLanguage
+      };
+      segmentation = { originalCount: parsedSubtitles.length, resegment: null, split: null, merge: null };
+      if (lineLayout.resegment) {
+        ({ subtitles: parsedSubtitles, stats: segmentation.resegment } = resegmentSubtitles(parsedSubtitles, segmentOptions));
+      }
+      if (lineLayout.split) {
+        ({ subtitles: parsedSubtitles, stats: segmentation.split } = splitLongCues(parsedSubtitles, segmentOptions));
+      }
+      if (lineLayout.merge) {
+        ({ subtitles: parsedSubtitles, stats: segmentation.merge } = mergeShortCues(parsedSubtitles, segmentOptions));
+      }
+      segmentation.cueCount = parsedSubtitles.length;
+      logger.logProcessing('segmentation', req.file.originalname, segmentation);
+    }
+
+    // Wrapping runs last so tooLong lists the cues that still do not fit
+    let wrapping = null;
+    if (lineLayout && lineLayout.wrap) {
+      const { maxLineLength, maxLines } = lineLayout;
+      const wrapResult = wrapSubtitles(parsedSubtitles, { maxLineLength, maxLines, language: contentLanguage });
+      parsedSubtitles = wrapResult.subtitles;
+      wrapping = { maxLineLength, maxLines, language: contentLanguage, ...wrapResult.stats };
+      logger.logProcessing('line-wrap', req.file.originalname, {
+        wrapped: wrapping.wrapped,
+        tooLong: wrapping.tooLong.length
+      });
+    }
+
+    // Quality rules run on the final cues after correction
+    const quality = {
+      language: contentLanguage,
+      rules: qualityRules,
+      fixes: []
+    };
+    if (qualityFix) {
+      ({ subtitles: parsedSubtitles, changes: quality.fixes } = extendCuesIntoGaps(parsedSubtitles, quality.rules));
+    }
+    Object.assign(quality, checkQualityRules(parsedSubtitles, quality.rules));
+    logger.logProcessing('quality', req.file.originalname, {
+      language: quality.language,
+      issueCount: quality.issues.length,
+      fixCount: quality.fixes.length
+    });
+
+    // Stage 6: Output Generation
     processingStage = 'conversion';
     
-    let vttContent;
-    let complianceResult;
+    // Cues holding only markup are left out of formats without that markup; if none has text there is nothing to generate
+    const droppedCues = outputHandler.droppedCues ? outputHandler.droppedCues(parsedSubtitles) : [];
+    if (droppedCues.length > 0 && droppedCues.length === parsedSubtitles.length) {
+      return res.status(400).json({
+        error: 'Format Validation Error',
+        message: `No cue has text left for ${outputHandler.label} output once markup is removed`,
+        stage: processingStage
+      });
+    }
+
+    let outputContent;
+    let complianceResult = null;
     try {
-      vttContent = generateVTT(parsedSubtitles);
-      
-      // Enhanced validation with Bunny Stream compliance
-      complianceResult = validateBunnyStreamCompliance(vttContent);
-      
-      if (!complianceResult.isValid) {
-        throw new Error(`VTT compliance validation failed: ${complianceResult.errors.join(', ')}`);
-      }
-      
-      logger.logProcessing('vtt-generation', req.file.originalname, {
-        bunnyStreamCompliant: complianceResult.isValid,
-        warningCount: complianceResult.warnings.length
+      outputContent = outputHandler.generate(parsedSubtitles, {
+        language: languageDetection.detected ? languageDetection.language.code : '',
+        profile: complianceProfile || undefined
       });
       
-      if (complianceResult.warnings.length > 0) {
-        logger.warn('VTT compliance warnings', { 
-          warnings: complianceResult.warnings 
-        });
+      if (outputHandler.checkCompliance) {
+        // Enhanced validation with the target's compliance profile (Bunny Stream unless requested, IMSC1)
+        complianceResult = outputHandler.checkCompliance(outputContent, { timingSeverity, profile: complianceProfile || undefined });
+        
+        // Cues that break the limits of the requested profile are a problem of the uploaded subtitles
+        const { violations = [] } = complianceResult;
+        if (complianceProfile && violations.length > 0 && violations.length === complianceResult.errors.length) {
+          return res.status(422).json({
+            error: 'Compliance Profile Error',
+            message: `The subtitles do not meet the ${complianceProfile.label} profile: ${violations.join('; ')}`,
+            profile: complianceProfile.name,
+            violations,
+            checks: complianceResult.compliance,
+            stage: processingStage
+          });
+        }
+
+        if (!complianceResult.isValid) {
+          const profileLabel = complianceProfile ? ` (${complianceProfile.label} profile)` : '';
+          throw new Error(`${outputHandler.label} compliance validation failed${profileLabel}: ${complianceResult.errors.join(', ')}`);
+        }
+        
+        // Report cue markup that had to be translated or dropped for the target format
+        if (outputHandler.markupWarnings) {
+          complianceResult.warnings.push(...outputHandler.markupWarnings(parsedSubtitles));
+        }
+        
+        if (complianceResult.warnings.length > 0) {
+          logger.warn(`${outputHandler.label} compliance warnings`, { 
+            warnings: complianceResult.warnings 
+          });
+        }
+      } else if (!outputHandler.validate(outputContent)) {
+        throw new Error(`Generated ${outputHandler.label} content failed format validation`);
       }
       
+      logger.logProcessing(`${outputFormat}-generation`, req.file.originalname, {
+        subtitleCount: parsedSubtitles.length,
+        compliant: complianceResult ? complianceResult.isValid : undefined,
+        warningCount: complianceResult ? complianceResult.warnings.length : 0
+      });
     } catch (error) {
       return res.status(500).json({
-        error: 'VTT Generation Error',
+        error: `${outputHandler.label} Generation Error`,
         message: error.message,
         stage: processingStage
       });
@@ -290,50 +892,227 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
     // Stage 7: Response Generation
     processingStage = 'complete';
 
-    // Check if Base64 encoding is requested
-    const outputFormat = req.body.format || req.query.format || 'file';
-    const includeBase64 = outputFormat === 'base64' || req.body.base64 === 'true' || req.query.base64 === 'true';
+    // Check if Base64 encoding or the JSON cue array is requested
+    const responseFormat = req.body.format || req.query.format || 'file';
+    const includeBase64 = responseFormat === 'base64' || req.body.base64 === 'true' || req.query.base64 === 'true';
+    const includeCues = responseFormat === 'json';
+
+    // Bundles are sent as a ZIP archive with a manifest instead of the subtitle output
+    if (bundleFormats) {
+      const bundleName = path.parse(req.file.originalname || 'subtitle').name;
+      const zipConfig = getZipMimeTypeConfig();
+      let bundle;
+      try {
+        bundle = generateBundle(parsedSubtitles, bundleFormats, {
+          baseName: bundleName,
+          language: languageDetection.detected ? languageDetection.language.code : '',
+          transcriptOptions,
+          complianceOptions: { timingSeverity, profile: complianceProfile || undefined },
+          manifest: {
+            source: {
+              filename: req.file.originalname,
+              inputFormat,
+              mode,
+              subtitleCount: parsedSubtitles.length,
+              frameRate,
+              repairCount: repairs.length
+            },
+            retiming,
+            frameRateConversion,
+            sync,
+            timing,
+            overlaps,
+            chaining,
+            segmentation,
+            wrapping,
+            quality,
+            encoding: {
+              detected: detectedEncoding,
+              output: 'utf-8'
+            },
+            language: languageDetection,
+            correctionApplied: correctionUsed
+          }
+        });
+      } catch (error) {
+        return res.status(500).json({
+          error: 'Bundle Generation Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+
+      res.set({
+        'Content-Type': zipConfig.contentType,
+        'Content-Disposition': `attachment; filename="${bundleName}${zipConfig.fileExtension}"`,
+        'Content-Length': bundle.buffer.length,
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(bundle.buffer);
+
+      logger.info('Bundle generated successfully', {
+        filename: `${bundleName}${zipConfig.fileExtension}`,
+        files: bundle.manifest.files.map(file => file.name),
+        size: bundle.buffer.length
+      });
+      return;
+    }
+
+    // Transcripts are sent as a file of their own instead of the subtitle output
+    const transcriptConfig = getTranscriptMimeTypeConfig(responseFormat);
+    if (transcriptConfig) {
+      const transcriptName = path.parse(req.file.originalname || 'subtitle').name;
+      let transcript;
+      try {
+        transcript = generateTranscript(parsedSubtitles, responseFormat, { ...transcriptOptions, title: transcriptName });
+      } catch (error) {
+        return res.status(500).json({
+          error: 'Transcript Generation Error',
+          message: error.message,
+          stage: processingStage
+        });
+      }
+
+      res.set({
+        'Content-Type': transcriptConfig.contentType,
+        'Content-Disposition': `attachment; filename="${transcriptName}${transcriptConfig.fileExtension}"`,
+        'Content-Length': Buffer.byteLength(transcript, 'utf8'),
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      res.send(transcript);
+
+      logger.info('Transcript generated successfully', {
+        filename: `${transcriptName}${transcriptConfig.fileExtension}`,
+        format: responseFormat,
+        subtitleCount: parsedSubtitles.length
+      });
+      return;
+    }
 
     // Get MIME type configuration
-    const mimeConfig = getVTTMimeTypeConfig();
+    const mimeConfig = outputHandler.mimeConfig();
 
     // Prepare response data
     const responseData = {
       success: true,
       message: 'Conversion completed successfully',
       stage: processingStage,
+      direction,
+      inputFormat,
+      outputFormat,
+      mode,
       stats: {
         originalEncoding: detectedEncoding,
         subtitleCount: parsedSubtitles.length,
+        frameRate,
+        repairCount: repairs.length,
         correctionApplied: correctionUsed,
         fileSize: {
           original: req.file.size,
-          converted: Buffer.byteLength(vttContent, 'utf8')
+          converted: Buffer.byteLength(outputContent, 'utf8')
         }
       },
       language: languageDetection,
-      compliance: {
-        bunnyStreamCompatible: complianceResult.isValid,
-        checks: complianceResult.compliance,
-        warnings: complianceResult.warnings
-      },
       mimeType: mimeConfig.primary
     };
 
-    // Add correction info if there were issues
-    const warnings = [];
-    if (correctionError) {
-      warnings.push({
-        type: 'correction',
-        message: correctionError
-      });
+    if (mode === 'lenient') {
+      responseData.repairs = repairs;
     }
 
-    // Add compliance warnings
-    if (complianceResult.warnings.length > 0) {
-      warnings.push(...complianceResult.warnings.map(warning => ({
-        type: 'compliance',
-        message: warning
+    if (retiming) {
+      responseData.retiming = retiming;
+    }
+
+    if (frameRateConversion) {
+      responseData.frameRateConversion = frameRateConversion;
+    }
+
+    if (sync) {
+      responseData.sync = sync;
+    }
+
+    if (timing.warnings.length > 0 || timing.repairs.length > 0) {
+      responseData.timing = timing;
+    }
+
+    if (overlaps.pairs.length > 0) {
+      responseData.overlaps = overlaps;
+    }
+
+    if (chaining) {
+      responseData.chaining = chaining;
+    }
+
+    if (segmentation) {
+      responseData.segmentation = segmentation;
+    }
+
+    if (wrapping) {
+      responseData.wrapping = wrapping;
+    }
+
+    if (includeCues) {
+      responseData.cues = subtitlesToJSONCues(parsedSubtitles);
+    }
+
+    if (complianceResult) {
+      responseData.compliance = {
+        [complianceProfile ? complianceProfile.complianceFlag : outputHandler.complianceFlag]: complianceResult.isValid,
+        checks: complianceResult.compliance,
+        warnings: complianceResult.warnings
+      };
+      if (complianceProfile) {
+        responseData.compliance.profile = complianceProfile.name;
+      }
+    }
+
+    responseData.quality = quality;
+
+    // Add correction info if there were issues
+    const warnings = [];
+    if (correctionError) {
+      warnings.push({
+        type: 'correction',
+        message: correctionError
+      });
+    }
+
+    // List cues the output format had to leave out
+    if (droppedCues.length > 0) {
+      warnings.push({
+        type: 'output',
+        message: `Left out ${droppedCues.length === 1 ? 'cue' : 'cues'} ${droppedCues.join(', ')} of the ${outputHandler.label} output: no text remains once markup is removed`
+      });
+    }
+
+    // List every overlapping cue pair
+    warnings.push(...overlaps.pairs.map(pair => ({
+      type: 'overlap',
+      message: pair.message
+    })));
+
+    // List cues that still need more lines than allowed after wrapping
+    if (wrapping) {
+      warnings.push(...wrapping.tooLong.map(cue => ({
+        type: 'wrap',
+        message: `Cue ${cue} needs more than ${wrapping.maxLines} line(s) of ${wrapping.maxLineLength} characters`
+      })));
+    }
+
+    // Add reading-speed and duration findings
+    warnings.push(...quality.issues.map(issue => ({
+      type: 'quality',
+      message: issue.message
+    })));
+
+    // Add compliance warnings
+    if (complianceResult && complianceResult.warnings.length > 0) {
+      warnings.push(...complianceResult.warnings.map(warning => ({
+        type: 'compliance',
+        message: warning
       })));
     }
 
@@ -344,16 +1123,18 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
     // Add Base64 data if requested
     if (includeBase64) {
       try {
-        const base64Result = generateBase64Output(vttContent);
+        const base64Result = outputHandler.base64(outputContent, complianceProfile || undefined, { timingSeverity });
         responseData.base64 = base64Result;
-        responseData.bunnyStream = {
-          ready: true,
-          mimeType: base64Result.mimeType,
-          charset: base64Result.charset,
-          encoding: base64Result.encoding,
-          languageCode: languageDetection.detected ? languageDetection.language.code : null,
-          languageName: languageDetection.detected ? languageDetection.language.name : null
-        };
+        if (outputFormat === 'vtt') {
+          responseData.bunnyStream = {
+            ready: true,
+            mimeType: base64Result.mimeType,
+            charset: base64Result.charset,
+            encoding: base64Result.encoding,
+            languageCode: languageDetection.detected ? languageDetection.language.code : null,
+            languageName: languageDetection.detected ? languageDetection.language.name : null
+          };
+        }
         logger.debug('Base64 output generated successfully');
       } catch (error) {
         logger.error('Base64 generation failed', { error: error.message });
@@ -368,13 +1149,13 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
     // Generate filename for download
     const originalName = req.file.originalname || 'subtitle';
     const baseName = path.parse(originalName).name;
-    const vttFilename = `${baseName}.vtt`;
+    const outputFilename = `${baseName}${mimeConfig.fileExtension}`;
 
     // Set response headers for file download
     res.set({
-      'Content-Type': mimeConfig.bunnyStream.contentType,
-      'Content-Disposition': `attachment; filename="${vttFilename}"`,
-      'Content-Length': Buffer.byteLength(vttContent, 'utf8'),
+      'Content-Type': mimeConfig.contentType,
+      'Content-Disposition': `attachment; filename="${outputFilename}"`,
+      'Content-Length': Buffer.byteLength(outputContent, 'utf8'),
       'Cache-Control': 'no-cache',
       'X-Content-Type-Options': 'nosniff'
     });
@@ -386,17 +1167,19 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
       res.set('X-Language-Confidence', Math.round(languageDetection.language.confidence * 100).toString());
     }
 
-    // If Base64 was requested, send JSON response instead of file
-    if (includeBase64) {
+    // If Base64 or the cue array was requested, send JSON response instead of file
+    if (includeBase64 || includeCues) {
       res.set('Content-Type', 'application/json; charset=utf-8');
       res.json(responseData);
     } else {
-      // Send the VTT file directly
-      res.send(vttContent);
+      // Send the converted file directly
+      res.send(outputContent);
     }
 
     logger.info('Conversion completed successfully', {
-      filename: vttFilename,
+      filename: outputFilename,
+      direction,
+      outputFormat,
       originalSize: responseData.stats.fileSize.original,
       convertedSize: responseData.stats.fileSize.converted,
       correctionUsed,
@@ -429,6 +1212,456 @@ app.post('/convert', upload.single('srtFile'), async (req, res) => {
   }
 });
 
+// Normalize endpoint - Re-validates third-party VTT files against the Bunny Stream profile
+app.post('/normalize', upload.single('srtFile'), (req, res) => {
+  let processingStage = 'upload';
+
+  try {
+    if (!req.file || !req.file.buffer || req.file.buffer.length === 0) {
+      return res.status(400).json({
+        error: 'File Upload Error',
+        message: 'No VTT file provided',
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'encoding';
+    const detectedEncoding = detectEncoding(req.file.buffer);
+    // convertToUTF8 strips the BOM; keep it so the "before" report reflects the uploaded file
+    const hasBOM = req.file.buffer.length >= 3 &&
+      req.file.buffer[0] === 0xEF &&
+      req.file.buffer[1] === 0xBB &&
+      req.file.buffer[2] === 0xBF;
+    const vttContent = (hasBOM ? '\uFEFF' : '') + convertToUTF8(req.file.buffer, detectedEncoding).toString('utf8');
+
+    processingStage = 'validation';
+    if (!validateWebVTTFormat(vttContent)) {
+      return res.status(400).json({
+        error: 'Format Validation Error',
+        message: 'Invalid VTT file format. Please ensure the file starts with a WEBVTT header followed by cues with valid timestamps.',
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'normalization';
+    const result = normalizeVTT(vttContent);
+
+    logger.logProcessing('normalization', req.file.originalname, {
+      cueCount: result.cueCount,
+      changeCount: result.changes.length,
+      compliantBefore: result.before.isValid,
+      compliantAfter: result.after.isValid
+    });
+
+    if (!result.after.isValid) {
+      return res.status(500).json({
+        error: 'VTT Generation Error',
+        message: `VTT compliance validation failed: ${result.after.errors.join(', ')}`,
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'complete';
+    const mimeConfig = getVTTMimeTypeConfig();
+    const baseName = path.parse(req.file.originalname || 'subtitle').name;
+    const vttFilename = `${baseName}${mimeConfig.fileExtension}`;
+    const outputFormat = req.body.format || req.query.format || 'json';
+
+    if (outputFormat === 'file') {
+      res.set({
+        'Content-Type': mimeConfig.bunnyStream.contentType,
+        'Content-Disposition': `attachment; filename="${vttFilename}"`,
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      return res.send(result.content);
+    }
+
+    const formatReport = (compliance) => ({
+      bunnyStreamCompatible: compliance.isValid,
+      checks: compliance.compliance,
+      errors: compliance.errors,
+      warnings: compliance.warnings
+    });
+
+    res.json({
+      success: true,
+      message: 'Normalization completed successfully',
+      stage: processingStage,
+      filename: vttFilename,
+      stats: {
+        originalEncoding: detectedEncoding,
+        subtitleCount: result.cueCount,
+        fileSize: {
+          original: req.file.size,
+          normalized: Buffer.byteLength(result.content, 'utf8')
+        }
+      },
+      changes: result.changes,
+      compliance: {
+        before: formatReport(result.before),
+        after: formatReport(result.after)
+      },
+      content: result.content,
+      base64: generateBase64Output(result.content),
+      mimeType: mimeConfig.primary
+    });
+
+  } catch (error) {
+    logger.error(`Error during ${processingStage} stage`, {
+      stage: processingStage,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Processing Error',
+      message: error.message,
+      stage: processingStage
+    });
+  }
+});
+
+// Validate endpoint - Reports every problem in an SRT file with line/column diagnostics
+app.post('/validate', upload.single('srtFile'), (req, res) => {
+  let processingStage = 'upload';
+
+  try {
+    if (!req.file || !req.file.buffer || req.file.buffer.length === 0) {
+      return res.status(400).json({
+        error: 'File Upload Error',
+        message: 'No SRT file provided',
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'encoding';
+    const detectedEncoding = detectEncoding(req.file.buffer);
+    const srtContent = convertToUTF8(req.file.buffer, detectedEncoding).toString('utf8');
+
+    processingStage = 'validation';
+    const report = diagnoseSRT(srtContent);
+
+    logger.logProcessing('validation', req.file.originalname, {
+      valid: report.valid,
+      errorCount: report.errorCount,
+      warningCount: report.warningCount
+    });
+
+    processingStage = 'complete';
+    res.json({
+      success: true,
+      message: report.valid ? 'SRT file is valid' : `SRT file has ${report.errorCount} error(s)`,
+      stage: processingStage,
+      filename: req.file.originalname,
+      valid: report.valid,
+      stats: {
+        originalEncoding: detectedEncoding,
+        subtitleCount: report.cueCount,
+        lineCount: srtContent.split(/\r\n|\r|\n/).length
+      },
+      summary: {
+        errors: report.errorCount,
+        warnings: report.warningCount
+      },
+      diagnostics: report.diagnostics
+    });
+
+  } catch (error) {
+    logger.error(`Error during ${processingStage} stage`, {
+      stage: processingStage,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Processing Error',
+      message: error.message,
+      stage: processingStage
+    });
+  }
+});
+
+// Retime endpoint - Shifts cue timing and returns the file in its own format
+app.post('/retime', upload.single('srtFile'), (req, res) => {
+  let processingStage = 'upload';
+
+  try {
+    let upload;
+    try {
+      upload = readSubtitleUpload(req);
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    req.file = upload.file;
+
+    let timingShift;
+    try {
+      timingShift = parseTimingShift(req.body.offsetMs || req.query.offsetMs, req.body.offsetFrom || req.query.offsetFrom);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: error.message,
+        stage: processingStage
+      });
+    }
+    if (!timingShift) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: 'offsetMs is required',
+        stage: processingStage
+      });
+    }
+
+    const requestedOutputFormat = req.body.outputFormat || req.query.outputFormat;
+    if (requestedOutputFormat && !getOutputFormat(requestedOutputFormat)) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: `Unsupported output format "${requestedOutputFormat}". Supported formats: ${getSupportedOutputFormats().join(', ')}`,
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'validation';
+    let parsedUpload;
+    try {
+      parsedUpload = parseUploadedSubtitles(upload);
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    const { detectedEncoding, inputFormat, frameRate, subtitles: parsedSubtitles } = parsedUpload;
+
+    processingStage = 'retiming';
+    let shiftResult;
+    try {
+      shiftResult = shiftSubtitles(parsedSubtitles, timingShift.offsetMs, { from: timingShift.from });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Retiming Error',
+        message: error.message,
+        stage: processingStage
+      });
+    }
+    if (shiftResult.subtitles.length === 0) {
+      return res.status(400).json({
+        error: 'Retiming Error',
+        message: `An offset of ${timingShift.offsetMs}ms moves every cue before 00:00:00,000`,
+        stage: processingStage
+      });
+    }
+    const retiming = { offsetMs: timingShift.offsetMs, offsetFrom: timingShift.from, ...shiftResult.stats };
+
+    logger.logProcessing('retiming', req.file.originalname, retiming);
+
+    // Keep the uploaded format when it can be written back, otherwise fall back to SRT
+    processingStage = 'conversion';
+    const outputFormat = requestedOutputFormat
+      ? requestedOutputFormat.toLowerCase()
+      : (getOutputFormat(inputFormat) ? inputFormat : 'srt');
+    const outputHandler = getOutputFormat(outputFormat);
+    const outputContent = outputHandler.generate(shiftResult.subtitles, { language: '' });
+
+    processingStage = 'complete';
+    const mimeConfig = outputHandler.mimeConfig();
+    const baseName = path.parse(req.file.originalname || 'subtitle').name;
+    const outputFilename = `${baseName}${mimeConfig.fileExtension}`;
+    const responseFormat = req.body.format || req.query.format || 'json';
+
+    if (responseFormat === 'file') {
+      res.set({
+        'Content-Type': mimeConfig.contentType,
+        'Content-Disposition': `attachment; filename="${outputFilename}"`,
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      return res.send(outputContent);
+    }
+
+    res.json({
+      success: true,
+      message: 'Retiming completed successfully',
+      stage: processingStage,
+      filename: outputFilename,
+      inputFormat,
+      outputFormat,
+      stats: {
+        originalEncoding: detectedEncoding,
+        subtitleCount: shiftResult.subtitles.length,
+        frameRate,
+        fileSize: {
+          original: req.file.size,
+          retimed: Buffer.byteLength(outputContent, 'utf8')
+        }
+      },
+      retiming,
+      content: outputContent,
+      mimeType: mimeConfig.primary
+    });
+
+  } catch (error) {
+    logger.error(`Error during ${processingStage} stage`, {
+      stage: processingStage,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Processing Error',
+      message: error.message,
+      stage: processingStage
+    });
+  }
+});
+
+// Segmentation endpoint - split long cues and merge short fragments without a full conversion
+app.post('/segment', upload.single('srtFile'), (req, res) => {
+  let processingStage = 'upload';
+
+  try {
+    let upload;
+    try {
+      upload = readSubtitleUpload(req);
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    req.file = upload.file;
+
+    // Split and merge run unless turned off with split=false or merge=false; resegment=true runs first
+    const resegment = (req.body.resegment || req.query.resegment) === 'true';
+    const split = (req.body.split || req.query.split) !== 'false';
+    const merge = (req.body.merge || req.query.merge) !== 'false';
+    if (!resegment && !split && !merge) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: 'At least one of resegment, split and merge must be enabled',
+        stage: processingStage
+      });
+    }
+
+    let segmentOptions;
+    try {
+      const overrides = {};
+      Object.keys(DEFAULT_SEGMENTATION_OPTIONS).forEach(name => {
+        const value = req.body[name] || req.query[name];
+        if (value !== undefined) {
+          overrides[name] = String(value).trim() === '' ? NaN : Number(value);
+        }
+      });
+      segmentOptions = resolveSegmentationOptions(overrides);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: error.message,
+        stage: processingStage
+      });
+    }
+
+    const requestedLanguage = req.body.language || req.query.language;
+    if (requestedLanguage && !isValidLanguageCode(requestedLanguage)) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: `Unsupported language "${requestedLanguage}". Use an ISO 639-1 code from GET /languages`,
+        stage: processingStage
+      });
+    }
+
+    const requestedOutputFormat = req.body.outputFormat || req.query.outputFormat;
+    if (requestedOutputFormat && !getOutputFormat(requestedOutputFormat)) {
+      return res.status(400).json({
+        error: 'Invalid Parameter',
+        message: `Unsupported output format "${requestedOutputFormat}". Supported formats: ${getSupportedOutputFormats().join(', ')}`,
+        stage: processingStage
+      });
+    }
+
+    processingStage = 'validation';
+    let parsedUpload;
+    try {
+      parsedUpload = parseUploadedSubtitles(upload);
+    } catch (error) {
+      return sendUploadError(res, error);
+    }
+    const { detectedEncoding, inputFormat, frameRate } = parsedUpload;
+    let parsedSubtitles = parsedUpload.subtitles;
+
+    // Boundary rules depend on the language; detect it when none was given
+    processingStage = 'segmentation';
+    let language = requestedLanguage ? requestedLanguage.toLowerCase() : null;
+    if (!language) {
+      const languageResult = detectLanguage(generateSRT(parsedSubtitles));
+      language = languageResult.detected ? languageResult.language.code : null;
+    }
+
+    const segmentation = { ...segmentOptions, language, originalCount: parsedSubtitles.length, resegment: null, split: null, merge: null };
+    if (resegment) {
+      ({ subtitles: parsedSubtitles, stats: segmentation.resegment } = resegmentSubtitles(parsedSubtitles, { ...segmentOptions, language }));
+    }
+    if (split) {
+      ({ subtitles: parsedSubtitles, stats: segmentation.split } = splitLongCues(parsedSubtitles, { ...segmentOptions, language }));
+    }
+    if (merge) {
+      ({ subtitles: parsedSubtitles, stats: segmentation.merge } = mergeShortCues(parsedSubtitles, { ...segmentOptions, language }));
+    }
+    segmentation.cueCount = parsedSubtitles.length;
+
+    logger.logProcessing('segmentation', req.file.originalname, segmentation);
+
+    // Keep the uploaded format when it can be written back, otherwise fall back to SRT
+    processingStage = 'conversion';
+    const outputFormat = requestedOutputFormat
+      ? requestedOutputFormat.toLowerCase()
+      : (getOutputFormat(inputFormat) ? inputFormat : 'srt');
+    const outputHandler = getOutputFormat(outputFormat);
+    const outputContent = outputHandler.generate(parsedSubtitles, { language: language || '' });
+
+    processingStage = 'complete';
+    const mimeConfig = outputHandler.mimeConfig();
+    const baseName = path.parse(req.file.originalname || 'subtitle').name;
+    const outputFilename = `${baseName}${mimeConfig.fileExtension}`;
+    const responseFormat = req.body.format || req.query.format || 'json';
+
+    if (responseFormat === 'file') {
+      res.set({
+        'Content-Type': mimeConfig.contentType,
+        'Content-Disposition': `attachment; filename="${outputFilename}"`,
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      return res.send(outputContent);
+    }
+
+    res.json({
+      success: true,
+      message: 'Segmentation completed successfully',
+      stage: processingStage,
+      filename: outputFilename,
+      inputFormat,
+      outputFormat,
+      stats: {
+        originalEncoding: detectedEncoding,
+        subtitleCount: parsedSubtitles.length,
+        frameRate,
+        fileSize: {
+          original: req.file.size,
+          segmented: Buffer.byteLength(outputContent, 'utf8')
+        }
+      },
+      segmentation,
+      content: outputContent,
+      mimeType: mimeConfig.primary
+    });
+
+  } catch (error) {
+    logger.error(`Error during ${processingStage} stage`, {
+      stage: processingStage,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Processing Error',
+      message: error.message,
+      stage: processingStage
+    });
+  }
+});
+
 // Multer error handling middleware
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -465,11 +1698,20 @@ app.use((err, req, res, next) => {
     });
   }
   
+  // JSON cue bodies over the upload limit
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'File Upload Error',
+      message: 'File too large. Maximum size is 10MB.',
+      stage: 'upload'
+    });
+  }
+
   // Handle file filter errors
-  if (err.message === 'Only SRT files are allowed') {
+  if (err.message === 'Unsupported subtitle file type') {
     return res.status(400).json({
       error: 'File Type Error',
-      message: 'Only SRT files are allowed. Please upload a file with .srt extension.',
+      message: `Unsupported subtitle file type. Please upload a file with one of these extensions: ${getSupportedExtensions().join(', ')}.`,
       stage: 'upload'
     });
   }
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for ASS/SSA parsing
+ */
+
+const { validateASSFormat, parseASS, parseASSTimestamp, convertASSText } = require('../utils/ass-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('ASS/SSA Parser', () => {
+    const sampleASS = `[Script Info]
+Title: Sample
+ScriptType: v4.00+
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, Bold, Italic
+Style: Default,Arial,20,&H00FFFFFF,0,0
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:03.50,Default,,0,0,0,,Hello, world!
+Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,This is a comment
+Dialogue: 0,0:00:04.00,0:00:06.00,Default,,0,0,0,,{\\an8}{\\i1}Top line{\\i0}\\NSecond line
+`;
+
+    describe('validateASSFormat', () => {
+        test('should accept valid ASS content', () => {
+            expect(validateASSFormat(sampleASS)).toBe(true);
+        });
+
+        test('should reject content without [Events] section', () => {
+            expect(validateASSFormat('[Script Info]\nTitle: Empty\n')).toBe(false);
+        });
+
+        test('should reject empty and non-string input', () => {
+            expect(validateASSFormat('')).toBe(false);
+            expect(validateASSFormat(null)).toBe(false);
+        });
+    });
+
+    describe('parseASS', () => {
+        test('should parse Dialogue lines into subtitle objects', () => {
+            expect(parseASS(sampleASS)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,500', text: 'Hello, world!' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: '<i>Top line</i>\nSecond line', settings: { line: '0' } }
+            ]);
+        });
+
+        test('should move numpad and legacy alignment codes into cue settings', () => {
+            const ass = `[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\an7\\bord2}Top left
+Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\a6}Legacy top
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\an2}Bottom
+`;
+            const subtitles = parseASS(ass);
+
+            expect(subtitles[0]).toMatchObject({ text: 'Top left', settings: { line: '0', position: '10%', align: 'start' } });
+            expect(subtitles[1]).toMatchObject({ text: 'Legacy top', settings: { line: '0' } });
+            expect(subtitles[2]).not.toHaveProperty('settings');
+            expect(generateVTT(subtitles)).toContain('00:00:01.000 --> 00:00:02.000 line:0 position:10% align:start\nTop left');
+        });
+
+        test('should honour the Format field order', () => {
+            const ass = `[Events]
+Format: Start, End, Text
+Dialogue: 0:00:01.00,0:00:02.00,Reordered, with comma
+`;
+            expect(parseASS(ass)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'Reordered, with comma' }
+            ]);
+        });
+
+        test('should use the default field order for SSA files without Format line', () => {
+            const ssa = `[Script Info]
+ScriptType: v4.00
+
+[Events]
+Dialogue: Marked=0,0:00:01.00,0:00:02.00,Default,,0000,0000,0000,,Legacy SSA
+`;
+            expect(parseASS(ssa)[0].text).toBe('Legacy SSA');
+        });
+
+        test('should sort events by start time', () => {
+            const ass = `[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,Second
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,First
+`;
+            const subtitles = parseASS(ass);
+
+            expect(subtitles.map(subtitle => subtitle.text)).toEqual(['First', 'Second']);
+            expect(subtitles.map(subtitle => subtitle.index)).toEqual([1, 2]);
+        });
+
+        test('should skip dialogue that is empty after removing override blocks', () => {
+            const ass = `[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}
+Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,Visible
+`;
+            expect(parseASS(ass)).toHaveLength(1);
+        });
+
+        test('should handle BOM and Windows line endings', () => {
+            const ass = '\uFEFF[Events]\r\nFormat: Start, End, Text\r\nDialogue: 0:00:01.00,0:00:02.00,Windows\r\n';
+            expect(parseASS(ass)[0].text).toBe('Windows');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseASS(sampleASS));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+            expect(vttContent).toContain('00:00:04.000 --> 00:00:06.000 line:0\n<i>Top line</i>\nSecond line');
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseASS('[Script Info]\nTitle: x\n')).toThrow('Invalid ASS format: Missing [Events] section');
+            expect(() => parseASS('[Events]\nFormat: Start, End\n')).toThrow('must contain Start, End and Text fields');
+            expect(() => parseASS('[Events]\nFormat: Text, Start, End\n')).toThrow('must end with the Text field');
+            expect(() => parseASS('[Events]\nFormat: Start, End, Text\nDialogue: 0:00:01.00\n'))
+                .toThrow('Dialogue at line 3 has fewer fields than the Format line (3)');
+            expect(() => parseASS('[Events]\nFormat: Start, End, Text\nDialogue: 1s,2s,Text\n'))
+                .toThrow('Invalid ASS timestamp format: 1s. Expected format: H:MM:SS.cc at line 3');
+            expect(() => parseASS('[Events]\nFormat: Start, End, Text\n')).toThrow('No Dialogue lines with text found');
+        });
+    });
+
+    describe('parseASSTimestamp', () => {
+        test('should convert centisecond timestamps', () => {
+            expect(parseASSTimestamp('0:00:01.50')).toBe(1500);
+            expect(parseASSTimestamp('1:02:03.04')).toBe(3723040);
+        });
+
+        test('should reject invalid timestamps', () => {
+            expect(() => parseASSTimestamp('00:01.50')).toThrow('Invalid ASS timestamp format');
+        });
+    });
+
+    describe('convertASSText', () => {
+        test('should translate line breaks and hard spaces', () => {
+            expect(convertASSText('One\\NTwo\\nThree\\hFour')).toBe('One\nTwo\nThree Four');
+        });
+
+        test('should translate bold, italic and underline overrides', () => {
+            expect(convertASSText('{\\b1}Bold{\\b0} {\\u1}under{\\u0} {\\i1}italic')).toBe('<b>Bold</b> <u>under</u> <i>italic</i>');
+            expect(convertASSText('{\\b700}Heavy{\\b400} normal')).toBe('<b>Heavy</b> normal');
+        });
+
+        test('should strip positioning and other override tags', () => {
+            expect(convertASSText('{\\an8\\pos(10,20)\\bord2\\blur1\\c&H0000FF&}Styled')).toBe('Styled');
+        });
+
+        test('should close tags on reset and keep markup well-formed', () => {
+            expect(convertASSText('{\\i1}a {\\b1}b{\\r} c')).toBe('<i>a <b>b</b></i> c');
+            expect(convertASSText('{\\i1}a {\\b1}b{\\i0} c')).toBe('<i>a <b>b</b></i><b> c</b>');
+        });
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for compliance profiles
+ */
+
+const {
+    COMPLIANCE_PROFILES,
+    getComplianceProfile,
+    parseComplianceProfile,
+    getSupportedProfiles
+} = require('../utils/compliance-profiles');
+
+describe('Compliance Profiles', () => {
+    describe('getComplianceProfile', () => {
+        test('should find built-in profiles by name', () => {
+            expect(getComplianceProfile('bunny')).toBe(COMPLIANCE_PROFILES.bunny);
+            expect(getComplianceProfile('YouTube')).toBe(COMPLIANCE_PROFILES.youtube);
+            expect(getComplianceProfile('netflix-like').maxCps).toBe(20);
+            expect(getComplianceProfile('toString')).toBeNull();
+            expect(getComplianceProfile('')).toBeNull();
+        });
+    });
+
+    describe('getSupportedProfiles', () => {
+        test('should list every built-in profile', () => {
+            expect(getSupportedProfiles().map(profile => profile.name)).toEqual(['bunny', 'html5', 'youtube', 'netflix-like']);
+        });
+    });
+
+    describe('parseComplianceProfile', () => {
+        test('should accept built-in profile names', () => {
+            expect(parseComplianceProfile(' html5 ')).toBe(COMPLIANCE_PROFILES.html5);
+        });
+
+        test('should build custom profiles from JSON on top of a base profile', () => {
+            const profile = parseComplianceProfile('{"extends": "youtube", "maxLineLength": 32, "header": {"allowBOM": true}}');
+
+            expect(profile).toEqual({
+                ...COMPLIANCE_PROFILES.youtube,
+                name: 'custom',
+                label: 'Custom (based on YouTube)',
+                complianceFlag: 'customProfileCompatible',
+                header: { allowBOM: true, allowText: true },
+                maxLineLength: 32
+            });
+            expect(parseComplianceProfile('{"label": "Kiosk", "allowedTags": []}')).toMatchObject({
+                label: 'Kiosk',
+                cueIdentifiers: 'no-sequence-numbers',
+                allowedTags: []
+            });
+        });
+
+        test('should reject unknown names and invalid custom profiles', () => {
+            expect(() => parseComplianceProfile('vimeo')).toThrow('Invalid profile "vimeo". Supported profiles: bunny, html5, youtube, netflix-like');
+            expect(() => parseComplianceProfile('{"maxCps": ')).toThrow('Invalid custom profile:');
+            expect(() => parseComplianceProfile('{"extends": "vimeo"}')).toThrow('unknown base profile "vimeo"');
+            expect(() => parseComplianceProfile('{"maxFonts": 2}')).toThrow('unknown field "maxFonts"');
+            expect(() => parseComplianceProfile('{"maxLines": 0}')).toThrow('invalid value 0 for maxLines');
+            expect(() => parseComplianceProfile('{"allowedTags": ["font"]}')).toThrow('invalid value ["font"] for allowedTags');
+            expect(() => parseComplianceProfile('{"cueIdentifiers": "sometimes"}')).toThrow('for cueIdentifiers');
+            expect(() => parseComplianceProfile('{"header": {"allowStyles": true}}')).toThrow('for header');
+        });
+    });
+});
@@ -130,6 +130,17 @@ Without proper formatting
       expect(response.body.message).toContain('Invalid SRT file format');
     });
 
+    test('should reject minutes or seconds of 60 or more', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nText\n\n2\n00:61:00,000 --> 00:62:00,000\nBroken\n'), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+      expect(response.body).toHaveProperty('stage', 'validation');
+      expect(response.body.diagnostics[0]).toMatchObject({ line: 6, severity: 'error' });
+    });
+
     test('should handle empty files', async () => {
       const response = await request(app)
         .post('/convert')
@@ -267,6 +278,1704 @@ Die Katze sitzt auf der Matte und schläft
     });
   });
 
+  describe('POST /convert with direction=vtt-to-srt', () => {
+    const validVttContent = `WEBVTT
+
+intro
+00:01.000 --> 00:03.000 align:start
+Hello world
+
+NOTE editor comment
+
+00:00:04.000 --> 00:00:06.000
+This is a test subtitle
+`;
+
+    test('should convert VTT file to SRT', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'vtt-to-srt')
+        .attach('srtFile', Buffer.from(validVttContent), 'captions.vtt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/x-subrip/);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="captions.srt"');
+      expect(response.text).toBe('1\n00:00:01,000 --> 00:00:03,000\nHello world\n\n' +
+        '2\n00:00:04,000 --> 00:00:06,000\nThis is a test subtitle\n');
+    });
+
+    test('should translate WebVTT-only markup for SRT players', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'vtt-to-srt')
+        .attach('srtFile', Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<v Bob>Hello &amp; <c.x>bye</c></v>\n'), 'captions.vtt')
+        .expect(200);
+
+      expect(response.text).toBe('1\n00:00:01,000 --> 00:00:03,000\nBob: Hello & bye\n');
+    });
+
+    test('should write character references as plain text in SRT', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'vtt-to-srt')
+        .attach('srtFile', Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nTom &amp; Jerry &lt;3\n'), 'captions.vtt')
+        .expect(200);
+
+      expect(response.text).toBe('1\n00:00:01,000 --> 00:00:03,000\nTom & Jerry <3\n');
+    });
+
+    test('should accept direction as query parameter', async () => {
+      const response = await request(app)
+        .post('/convert?direction=vtt-to-srt')
+        .attach('srtFile', Buffer.from(validVttContent), 'captions.vtt')
+        .expect(200);
+
+      expect(response.text).toMatch(/^1\n00:00:01,000 --> /);
+    });
+
+    test('should return Base64 encoded SRT when requested', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'vtt-to-srt')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(validVttContent), 'captions.vtt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('direction', 'vtt-to-srt');
+      expect(response.body).toHaveProperty('mimeType', 'application/x-subrip');
+      expect(response.body).not.toHaveProperty('bunnyStream');
+      expect(response.body.stats).toHaveProperty('subtitleCount', 2);
+
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toContain('00:00:04,000 --> 00:00:06,000');
+    });
+
+    test('should reject invalid VTT content', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'vtt-to-srt')
+        .attach('srtFile', Buffer.from(validSRTSamples.simple), 'captions.vtt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+      expect(response.body).toHaveProperty('stage', 'validation');
+      expect(response.body.message).toContain('Invalid VTT file format');
+    });
+
+    test('should reject unknown directions', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('direction', 'srt-to-ass')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('srt-to-ass');
+    });
+  });
+
+  describe('POST /convert input format selection', () => {
+    const assContent = `[Script Info]
+Title: Test
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+Dialogue: 0,0:00:01.00,0:00:03.00,Default,,0,0,0,,{\\i1}Hello{\\i0} world
+Dialogue: 0,0:00:04.00,0:00:06.00,Default,,0,0,0,,Second\\Nline
+`;
+
+    test('should convert ASS files by extension', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from(assContent), 'episode.ass')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="episode.vtt"');
+      expect(response.text).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<i>Hello</i> world\n\n' +
+        '00:00:04.000 --> 00:00:06.000\nSecond\nline\n\n');
+    });
+
+    test('should sniff the format when the extension is unknown', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(assContent), 'episode.txt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('inputFormat', 'ass');
+      expect(response.body.compliance.bunnyStreamCompatible).toBe(true);
+    });
+
+    test('should accept an explicit inputFormat', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('inputFormat', 'vtt')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n'), 'captions.txt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('inputFormat', 'vtt');
+    });
+
+    test('should convert MicroDVD files using the header frame rate', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from('{1}{1}25\n{25}{75}Hello world\n{100}{150}Line one|Line two\n'), 'archive.sub')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('inputFormat', 'microdvd');
+      expect(response.body.stats).toHaveProperty('frameRate', 25);
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello world\n\n' +
+        '00:00:04.000 --> 00:00:06.000\nLine one\nLine two\n\n');
+    });
+
+    test('should convert MicroDVD files using the fps parameter', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('fps', '24')
+        .attach('srtFile', Buffer.from('{24}{48}One second\n'), 'archive.sub')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:01.000 --> 00:00:02.000');
+    });
+
+    test('should require a frame rate for MicroDVD without header', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('{24}{48}One second\n'), 'archive.sub')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('fps');
+    });
+
+    test('should reject invalid frame rates', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('fps', 'fast')
+        .attach('srtFile', Buffer.from('{24}{48}One second\n'), 'archive.sub')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+    });
+
+    test('should convert SubViewer files', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('[INFORMATION]\n[END INFORMATION]\n00:00:01.00,00:00:02.00\nA[br]B\n'), 'archive.sub')
+        .expect(200);
+
+      expect(response.text).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nA\nB\n\n');
+    });
+
+    test('should reject unknown input formats', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('inputFormat', 'docx')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+    });
+
+    test('should report ASS validation errors', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('[Script Info]\nTitle: no events\n'), 'broken.ass')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+      expect(response.body.message).toContain('Invalid ASS file format');
+    });
+
+    test('should reject unsupported file types', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('%PDF-1.4'), 'document.pdf')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'File Type Error');
+      expect(response.body.message).toContain('.ass');
+    });
+  });
+
+  describe('POST /convert with TTML', () => {
+    const ttmlContent = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25">
+  <body><div>
+    <p begin="00:00:01:00" end="00:00:03:00">Hello<br/>world</p>
+  </div></body>
+</tt>`;
+
+    test('should convert TTML input to VTT', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from(ttmlContent), 'broadcast.dfxp')
+        .expect(200);
+
+      expect(response.text).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello\nworld\n\n');
+    });
+
+    test('should export IMSC1 with outputFormat=ttml', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('outputFormat', 'ttml')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/ttml+xml; charset=utf-8');
+      expect(response.headers['content-disposition']).toContain('test.ttml');
+      expect(response.text).toContain('ttp:profile="http://www.w3.org/ns/ttml/profile/imsc1/text"');
+      expect(response.text).toContain('<p xml:id="c1" begin="00:00:01.000" end="00:00:03.000">Hello world</p>');
+    });
+
+    test('should report IMSC1 compliance in JSON responses', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('outputFormat', 'ttml')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('outputFormat', 'ttml');
+      expect(response.body).toHaveProperty('mimeType', 'application/ttml+xml');
+      expect(response.body.compliance).toHaveProperty('imsc1Compatible', true);
+      expect(response.body.compliance.checks).toHaveProperty('hasIMSC1TextProfile', true);
+      expect(response.body.base64.mimeType).toBe('application/ttml+xml');
+      expect(response.body).not.toHaveProperty('bunnyStream');
+    });
+
+    test('should reject unknown output formats', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('outputFormat', 'docx')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('ttml');
+    });
+  });
+
+  describe('POST /convert with SBV and LRC', () => {
+    test('should convert YouTube SBV captions to VTT', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from('0:00:01.000,0:00:03.000\nHello world\n'), 'captions.sbv')
+        .expect(200);
+
+      expect(response.text).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello world\n\n');
+    });
+
+    test('should convert LRC lyrics to VTT with inferred end times', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from('[ar:Artist]\n[00:01.00]First line\n[00:04.00]Second line\n'), 'song.lrc')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('inputFormat', 'lrc');
+      expect(response.body.compliance.bunnyStreamCompatible).toBe(true);
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:04.000\nFirst line\n\n' +
+        '00:00:04.000 --> 00:00:09.000\nSecond line\n\n');
+    });
+
+    test('should export SBV and LRC output', async () => {
+      const sbvResponse = await request(app)
+        .post('/convert')
+        .field('outputFormat', 'sbv')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(sbvResponse.headers['content-disposition']).toContain('test.sbv');
+      expect(sbvResponse.text).toBe('0:00:01.000,0:00:03.000\nHello world\n\n0:00:04.000,0:00:06.000\nThis is a test subtitle\n');
+
+      const lrcResponse = await request(app)
+        .post('/convert')
+        .field('outputFormat', 'lrc')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(lrcResponse.headers['content-disposition']).toContain('test.lrc');
+      expect(lrcResponse.text).toBe('[00:01.00]Hello world\n[00:03.00]\n[00:04.00]This is a test subtitle\n[00:06.00]\n');
+    });
+
+    describe('cues that hold only markup', () => {
+      const markupOnlySrt = '1\n00:00:01,000 --> 00:00:02,000\n<i></i>\n\n2\n00:00:03,000 --> 00:00:04,000\nKept\n';
+
+      for (const [outputFormat, expected] of [
+        ['ttml', '<p xml:id="c2" begin="00:00:03.000" end="00:00:04.000">Kept</p>'],
+        ['sbv', '0:00:03.000,0:00:04.000\nKept\n'],
+        ['lrc', '[00:03.00]Kept\n[00:04.00]\n']
+      ]) {
+        test(`should leave them out of ${outputFormat} output with a warning`, async () => {
+          const response = await request(app)
+            .post('/convert')
+            .field('outputFormat', outputFormat)
+            .field('format', 'base64')
+            .attach('srtFile', Buffer.from(markupOnlySrt), 'test.srt')
+            .expect(200);
+
+          const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+          expect(decodedContent).toContain(expected);
+          expect(decodedContent).not.toContain('00:00:01');
+          expect(response.body.warnings).toContainEqual({
+            type: 'output',
+            message: `Left out cue 1 of the ${outputFormat.toUpperCase()} output: no text remains once markup is removed`
+          });
+        });
+      }
+
+      test('should reject files where no cue has text for the output format', async () => {
+        const response = await request(app)
+          .post('/convert')
+          .field('outputFormat', 'sbv')
+          .attach('srtFile', Buffer.from('1\n00:00:01,000 --> 00:00:02,000\n<i></i>\n'), 'test.srt')
+          .expect(400);
+
+        expect(response.body.message).toBe('No cue has text left for SBV output once markup is removed');
+      });
+    });
+  });
+
+  describe('POST /convert with mode=lenient', () => {
+    const brokenSrtContent = `1
+0:00:01.000 --> 00:00:03,000
+Hello world
+2
+00:00:04,000 --> 00:00:06,000
+This is a test subtitle
+`;
+
+    test('should reject defective SRT in strict mode', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from(brokenSrtContent), 'broken.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+    });
+
+    test('should repair defective SRT and report the repairs', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('mode', 'lenient')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(brokenSrtContent), 'broken.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('mode', 'lenient');
+      expect(response.body.stats).toHaveProperty('repairCount', 3);
+      expect(response.body.repairs).toEqual([
+        { line: 2, kind: 'timestamp-separator', original: '0:00:01.000 --> 00:00:03,000', fixed: '00:00:01,000 --> 00:00:03,000' },
+        { line: 2, kind: 'timestamp-padding', original: '0:00:01.000 --> 00:00:03,000', fixed: '00:00:01,000 --> 00:00:03,000' },
+        { line: 4, kind: 'missing-blank-line', original: '2', fixed: '\n2' }
+      ]);
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello world\n\n' +
+        '00:00:04.000 --> 00:00:06.000\nThis is a test subtitle\n\n');
+    });
+
+    test('should not include repairs in strict mode', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('mode', 'strict');
+      expect(response.body).not.toHaveProperty('repairs');
+    });
+
+    test('should reject lenient mode for other input formats and unknown modes', async () => {
+      const vttResponse = await request(app)
+        .post('/convert')
+        .field('mode', 'lenient')
+        .attach('srtFile', Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n'), 'test.vtt')
+        .expect(400);
+
+      expect(vttResponse.body).toHaveProperty('error', 'Invalid Parameter');
+
+      const modeResponse = await request(app)
+        .post('/convert')
+        .field('mode', 'forgiving')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(modeResponse.body.message).toContain('strict, lenient');
+    });
+  });
+
+  describe('POST /convert with SRT formatting tags', () => {
+    const styledSrtContent = `1
+00:00:01,000 --> 00:00:03,000
+<font color="#ff0">Hello</font> {\\fs20}world
+
+2
+00:00:04,000 --> 00:00:06,000
+<font face="Arial">Second</font> cue
+`;
+
+    test('should translate markup to WebVTT and report the changes as compliance warnings', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(styledSrtContent), 'styled.srt')
+        .expect(200);
+
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toContain('STYLE\n::cue(.colorffff00) {\n  color: #ffff00;\n}\n\n');
+      expect(decodedContent).toContain('<c.colorffff00>Hello</c> world\n');
+      expect(decodedContent).toContain('Second cue\n');
+      expect(response.body.compliance.bunnyStreamCompatible).toBe(true);
+      expect(response.body.compliance.warnings).toEqual([
+        'Converted <font color="#ff0"> to <c.colorffff00> (1 occurrence)',
+        'Removed markup not supported by WebVTT: {\\fs20} (1 occurrence)',
+        'Removed markup not supported by WebVTT: <font face="Arial"> (1 occurrence)'
+      ]);
+      expect(response.body.warnings).toContainEqual({
+        type: 'compliance',
+        message: 'Converted <font color="#ff0"> to <c.colorffff00> (1 occurrence)'
+      });
+    });
+  });
+
+  describe('POST /convert with SRT positioning codes', () => {
+    test('should turn {\\anN} codes into WebVTT cue settings', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:03,000\n{\\an8}Lower third\n\n' +
+        '2\n00:00:04,000 --> 00:00:06,000\n{\\an1\\i1}Bottom left\n';
+
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(srtContent), 'positioned.srt')
+        .expect(200);
+
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000 line:0\nLower third\n\n' +
+        '00:00:04.000 --> 00:00:06.000 position:10% align:start\nBottom left\n\n');
+      expect(response.body.compliance.checks).toHaveProperty('validCueSettings', true);
+    });
+  });
+
+  describe('POST /convert with JSON cues', () => {
+    const cues = [
+      { start: 1000, end: 3000, text: 'Hello world' },
+      { startTime: '00:00:04.000', endTime: '00:00:06.000', text: 'Top line', settings: { line: '0' } }
+    ];
+
+    test('should convert a JSON body of cues to VTT', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .send({ cues })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/vtt/);
+      expect(response.headers['content-disposition']).toMatch(/filename="cues.vtt"/);
+      expect(response.text).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello world\n\n' +
+        '00:00:04.000 --> 00:00:06.000 line:0\nTop line\n\n');
+    });
+
+    test('should accept a bare array and options in the query string', async () => {
+      const response = await request(app)
+        .post('/convert?outputFormat=srt&format=base64')
+        .send(cues)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('inputFormat', 'json');
+      expect(Buffer.from(response.body.base64.content, 'base64').toString('utf8'))
+        .toBe('1\n00:00:01,000 --> 00:00:03,000\nHello world\n\n2\n00:00:04,000 --> 00:00:06,000\nTop line\n');
+    });
+
+    test('should accept JSON bodies up to the upload size limit', async () => {
+      const longCues = Array.from({ length: 1500 }, (_, i) => ({
+        start: i * 2000,
+        end: i * 2000 + 1500,
+        text: `Cue number ${i + 1} with enough words to make the request body larger than a hundred kilobytes`
+      }));
+      const response = await request(app)
+        .post('/convert?format=json')
+        .send({ cues: longCues })
+        .expect(200);
+
+      expect(response.body.cues).toHaveLength(1500);
+
+      const tooLarge = await request(app)
+        .post('/convert')
+        .send({ cues: [{ start: 1000, end: 2000, text: 'x'.repeat(10 * 1024 * 1024) }] })
+        .expect(413);
+
+      expect(tooLarge.body).toHaveProperty('error', 'File Upload Error');
+    });
+
+    test('should reject invalid cues', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .send({ cues: [{ start: 1000, text: 'No end' }] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+      expect(response.body.message).toContain('Invalid JSON file format');
+    });
+
+    test('should name the cue with invalid settings', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .send({ cues: [cues[0], { ...cues[1], settings: { line: 'top' } }] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'JSON Parsing Error');
+      expect(response.body.message).toBe('Invalid JSON cue format: Cue 2: invalid value in "line:top"');
+    });
+
+    test('should apply timingSeverity and timingRepair to JSON cues', async () => {
+      const inverted = [cues[0], { start: 6000, end: 4000, text: 'Inverted' }];
+
+      const rejected = await request(app)
+        .post('/convert')
+        .send({ cues: inverted })
+        .expect(400);
+      expect(rejected.body).toHaveProperty('error', 'Timing Validation Error');
+      expect(rejected.body.message).toContain('Cue 2 ends before it starts');
+
+      const warned = await request(app)
+        .post('/convert?timingSeverity=inverted:warning&format=json')
+        .send({ cues: inverted })
+        .expect(200);
+      expect(warned.body.timing.warnings).toHaveLength(1);
+
+      const repaired = await request(app)
+        .post('/convert?timingRepair=true&format=json')
+        .send({ cues: inverted })
+        .expect(200);
+      expect(repaired.body.cues[1]).toMatchObject({ start: 4000, end: 6000 });
+    });
+
+    test('should return the parsed cue array with format=json', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from('1\n00:00:01,000 --> 00:00:03,000\n{\\an8}Hello world\n'), 'test.srt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/application\/json/);
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).not.toHaveProperty('base64');
+      expect(response.body.cues).toEqual([
+        { index: 1, start: 1000, end: 3000, startTime: '00:00:01.000', endTime: '00:00:03.000', text: 'Hello world', settings: { line: '0' } }
+      ]);
+    });
+  });
+
+  describe('POST /convert with timing problems', () => {
+    const unorderedSrtContent = `1
+00:00:05,000 --> 00:00:04,000
+Backwards
+
+2
+00:00:01,000 --> 00:00:02,000
+Earlier
+
+3
+00:00:07,000 --> 00:00:07,000
+Zero
+`;
+
+    test('should reject inverted and zero-length cues', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .attach('srtFile', Buffer.from(unorderedSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'SRT Parsing Error');
+      expect(response.body.message).toContain('Cue 1 ends before it starts');
+      expect(response.body.diagnostics.map(diagnostic => diagnostic.code)).toContain('INVERTED_TIMING');
+    });
+
+    test('should sort and repair cues with timingRepair=true', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'json')
+        .field('timingRepair', 'true')
+        .attach('srtFile', Buffer.from(unorderedSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues.map(cue => [cue.start, cue.end, cue.text])).toEqual([
+        [1000, 2000, 'Earlier'],
+        [4000, 5000, 'Backwards'],
+        [7000, 8000, 'Zero']
+      ]);
+      expect(response.body.timing.repairs.map(repair => repair.kind)).toEqual(['inverted', 'out-of-order', 'zero-duration']);
+      expect(response.body.compliance.checks.validCueTiming).toBe(true);
+    });
+
+    test('should check other input formats and honour timingSeverity', async () => {
+      const vttContent = 'WEBVTT\n\n00:00:05.000 --> 00:00:06.000\nLater\n\n00:00:01.000 --> 00:00:02.000\nEarlier\n';
+
+      const warned = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from(vttContent), 'test.vtt')
+        .expect(200);
+      expect(warned.body.timing.warnings).toEqual([
+        { kind: 'out-of-order', cue: 2, message: 'Cue 2 starts at 00:00:01,000, before the previous cue (00:00:05,000)' }
+      ]);
+
+      const rejected = await request(app)
+        .post('/convert?timingSeverity=out-of-order:error')
+        .attach('srtFile', Buffer.from(vttContent), 'test.vtt')
+        .expect(400);
+      expect(rejected.body).toHaveProperty('error', 'Timing Validation Error');
+      expect(rejected.body.issues).toHaveLength(1);
+
+      const invalid = await request(app)
+        .post('/convert?timingSeverity=overlap:error')
+        .attach('srtFile', Buffer.from(vttContent), 'test.vtt')
+        .expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Invalid Parameter');
+    });
+  });
+
+  describe('POST /convert with text correction', () => {
+    const OpenAIIntegration = require('../utils/openai-integration');
+
+    beforeEach(() => {
+      jest.spyOn(OpenAIIntegration.prototype, 'isAvailable').mockReturnValue(true);
+      jest.spyOn(OpenAIIntegration.prototype, 'correctWithFallback').mockImplementation(async srtContent => ({
+        success: true,
+        correctedText: srtContent.replace(/teh/g, 'the'),
+        usedFallback: false
+      }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should keep the timing severity of the request when parsing the corrected text', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:02,000\nteh first\n\n2\n00:00:05,000 --> 00:00:04,000\nteh second\n';
+
+      const response = await request(app)
+        .post('/convert?timingSeverity=inverted:warning&format=json')
+        .attach('srtFile', Buffer.from(srtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.stats.correctionApplied).toBe(true);
+      expect(response.body.cues.map(cue => cue.text)).toEqual(['the first', 'the second']);
+      expect(response.body.timing.warnings).toHaveLength(1);
+    });
+
+    test('should keep the cue settings of stacked overlaps', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:04,000\nteh first speaker\n\n2\n00:00:03,000 --> 00:00:05,000\nteh second speaker\n';
+
+      const response = await request(app)
+        .post('/convert?overlap=stack&offsetMs=1000&format=file')
+        .attach('srtFile', Buffer.from(srtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:04.000 --> 00:00:06.000 line:-3\nthe second speaker');
+    });
+
+    test('should keep positioning codes moved into cue settings of retimed cues', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:03,000\n{\\an8}teh top line\n\n2\n00:00:04,000 --> 00:00:06,000\nteh bottom line\n';
+
+      const response = await request(app)
+        .post('/convert?offsetMs=1000&format=file')
+        .attach('srtFile', Buffer.from(srtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toBe('WEBVTT\n\n00:00:02.000 --> 00:00:04.000 line:0\nthe top line\n\n00:00:05.000 --> 00:00:07.000\nthe bottom line\n\n');
+    });
+
+    test('should keep the original cues when correction changes the number of cues', async () => {
+      OpenAIIntegration.prototype.correctWithFallback.mockResolvedValue({
+        success: true,
+        correctedText: '1\n00:00:01,000 --> 00:00:02,000\nOnly one\n',
+        usedFallback: false
+      });
+
+      const response = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nOne\n\n2\n00:00:03,000 --> 00:00:04,000\nTwo\n'), 'test.srt')
+        .expect(200);
+
+      expect(response.body.stats.correctionApplied).toBe(false);
+      expect(response.body.cues.map(cue => cue.text)).toEqual(['One', 'Two']);
+      expect(response.body.warnings).toContainEqual({ type: 'correction', message: 'Corrected content was invalid, used original' });
+    });
+  });
+
+  describe('POST /convert with cue chaining', () => {
+    const gappedSrtContent = `1
+00:00:01,000 --> 00:00:02,000
+First
+
+2
+00:00:02,200 --> 00:00:03,000
+Second
+
+3
+00:00:06,000 --> 00:00:07,000
+Third
+`;
+
+    test('should chain close cues and report how many changed', async () => {
+      const response = await request(app)
+        .post('/convert?chain=extend&format=json')
+        .attach('srtFile', Buffer.from(gappedSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.chaining).toEqual({
+        fps: 25,
+        thresholdFrames: 12,
+        minGapFrames: 2,
+        direction: 'extend',
+        chained: 1,
+        changed: 1,
+        thresholdMs: 480,
+        minGapMs: 80
+      });
+      expect(response.body.cues.map(cue => [cue.start, cue.end])).toEqual([[1000, 2120], [2200, 3000], [6000, 7000]]);
+      expect(response.body.quality.rules.minGapMs).toBe(80);
+      expect(response.body.quality.checks.minGapMs).toBe(true);
+    });
+
+    test('should keep a minGapMs quality rule given next to chaining', async () => {
+      const response = await request(app)
+        .post('/convert?chain=extend&qualityRules=minGapMs:100&format=json')
+        .attach('srtFile', Buffer.from(gappedSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.quality.rules.minGapMs).toBe(100);
+      expect(response.body.quality.checks.minGapMs).toBe(false);
+    });
+
+    test('should delay the next cue using the given frame settings', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('chain', 'delay')
+        .field('chainFps', '24')
+        .field('chainThreshold', '6')
+        .field('chainMinGap', '1')
+        .attach('srtFile', Buffer.from(gappedSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:02.042 --> 00:00:03.000\nSecond');
+    });
+
+    test('should not include chaining when it was not requested', async () => {
+      const response = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from(gappedSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).not.toHaveProperty('chaining');
+      expect(response.body.cues[0].end).toBe(2000);
+    });
+
+    test('should reject invalid chaining parameters', async () => {
+      for (const query of ['chain=pull', 'chainThreshold=6', 'chain=extend&chainMinGap=-1', 'chain=extend&chainFps=0']) {
+        const response = await request(app)
+          .post(`/convert?${query}`)
+          .attach('srtFile', Buffer.from(gappedSrtContent), 'test.srt')
+          .expect(400);
+        expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      }
+    });
+  });
+
+  describe('POST /convert with cue splitting and merging', () => {
+    const segmentSrtContent = `1
+00:00:01,000 --> 00:00:09,000
+So I told him that we should go to the market. It closes early tonight, and we still need bread, milk and some eggs for tomorrow.
+
+2
+00:00:10,000 --> 00:00:12,000
+Hello there, how are you?
+
+3
+00:00:12,100 --> 00:00:12,500
+Fine.
+`;
+
+    test('should split long cues and merge fragments', async () => {
+      const response = await request(app)
+        .post('/convert?split=true&merge=true&format=json')
+        .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.segmentation).toEqual({
+        originalCount: 3,
+        resegment: null,
+        split: { split: 1, created: 1 },
+        merge: { merged: 1 },
+        cueCount: 3
+      });
+      expect(response.body.cues.map(cue => [cue.start, cue.end, cue.text])).toEqual([
+        [1000, 3769, 'So I told him that we\nshould go to the market.'],
+        [3769, 9000, 'It closes early tonight, and we still need\nbread, milk and some eggs for tomorrow.'],
+        [10000, 12500, 'Hello there, how are you?\nFine.']
+      ]);
+    });
+
+    test('should only run the requested operation', async () => {
+      const response = await request(app)
+        .post('/convert?merge=true&format=json')
+        .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.segmentation).toMatchObject({ split: null, merge: { merged: 1 }, cueCount: 2 });
+      expect(response.body).not.toHaveProperty('wrapping');
+    });
+
+    test('should split with the given line limits', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('split', 'true')
+        .field('maxLines', '1')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues.every(cue => !cue.text.includes('\n') && cue.text.length <= 42)).toBe(true);
+      expect(response.body.segmentation.split.created).toBeGreaterThan(1);
+    });
+  });
+
+  describe('POST /convert with sentence resegmentation', () => {
+    const asrSrtContent = `1
+00:00:00,000 --> 00:00:03,000
+So yesterday we went to the
+
+2
+00:00:03,000 --> 00:00:06,000
+market and bought some bread. Then we
+
+3
+00:00:06,000 --> 00:00:09,000
+walked home through the park.
+`;
+
+    test('should rebuild cues on sentences and report the cue counts', async () => {
+      const response = await request(app)
+        .post('/convert?resegment=true&format=json')
+        .attach('srtFile', Buffer.from(asrSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.segmentation.resegment).toEqual({ originalCount: 3, cueCount: 2 });
+      expect(response.body.segmentation).toMatchObject({ originalCount: 3, cueCount: 2, split: null, merge: null });
+      expect(response.body.cues.map(cue => [cue.start, cue.end, cue.text])).toEqual([
+        [0, 5419, 'So yesterday we went\nto the market and bought some bread.'],
+        [5419, 9000, 'Then we walked home through the park.']
+      ]);
+    });
+
+    test('should resegment with /segment too', async () => {
+      const response = await request(app)
+        .post('/segment?resegment=true&split=false&merge=false&format=file')
+        .attach('srtFile', Buffer.from(asrSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toBe('1\n00:00:00,000 --> 00:00:05,419\nSo yesterday we went\nto the market and bought some bread.\n\n' +
+        '2\n00:00:05,419 --> 00:00:09,000\nThen we walked home through the park.\n');
+    });
+  });
+
+  describe('POST /convert with line wrapping', () => {
+    const longLineSrtContent = `1
+00:00:01,000 --> 00:00:05,000
+I never thought I would see the day when you came back home to us
+
+2
+00:00:06,000 --> 00:00:09,000
+This is a test subtitle
+`;
+
+    test('should re-wrap long lines with wrap=true', async () => {
+      const response = await request(app)
+        .post('/convert?wrap=true&format=json')
+        .attach('srtFile', Buffer.from(longLineSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues[0].text).toBe('I never thought I would see\nthe day when you came back home to us');
+      expect(response.body.cues[1].text).toBe('This is a test subtitle');
+      expect(response.body.wrapping).toMatchObject({ maxLineLength: 42, maxLines: 2, wrapped: 1, tooLong: [] });
+    });
+
+    test('should apply maxLineLength and maxLines and warn about cues that do not fit', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('wrap', 'true')
+        .field('maxLineLength', '20')
+        .field('maxLines', '2')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from(longLineSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.wrapping.tooLong).toEqual([1]);
+      expect(response.body.cues[1].text).toBe('This is\na test subtitle');
+      expect(response.body.warnings).toContainEqual({ type: 'wrap', message: 'Cue 1 needs more than 2 line(s) of 20 characters' });
+    });
+
+    test('should write the wrapped lines to the VTT output', async () => {
+      const response = await request(app)
+        .post('/convert?wrap=true')
+        .attach('srtFile', Buffer.from(longLineSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:01.000 --> 00:00:05.000\nI never thought I would see\nthe day when you came back home to us');
+    });
+
+    test('should reject invalid wrapping parameters', async () => {
+      for (const query of ['maxLines=2', 'wrap=true&maxLineLength=0', 'wrap=true&maxLines=two', 'wrap=true&maxLines=18', 'split=true&maxLineLength=500']) {
+        const response = await request(app)
+          .post(`/convert?${query}`)
+          .attach('srtFile', Buffer.from(longLineSrtContent), 'test.srt')
+          .expect(400);
+        expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      }
+    });
+  });
+
+  describe('POST /convert with quality rules', () => {
+    const fastSrtContent = `1
+00:00:01,000 --> 00:00:01,500
+Far too much text for half a second
+
+2
+00:00:04,000 --> 00:00:06,000
+This is a test subtitle
+`;
+
+    test('should report quality checks next to compliance', async () => {
+      const response = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from(fastSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('compliance');
+      expect(response.body.quality.checks).toEqual({ maxCps: false, minDurationMs: false, maxDurationMs: true, minGapMs: true });
+      expect(response.body.quality.rules).toMatchObject({ maxCps: 17, minDurationMs: 1000 });
+      expect(response.body.quality.fixes).toEqual([]);
+      expect(response.body.warnings).toContainEqual({ type: 'quality', message: 'Cue 1 is shown for 500ms (minimum 1000ms)' });
+    });
+
+    test('should pass clean files', async () => {
+      const response = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.quality.issues).toEqual([]);
+    });
+
+    test('should apply threshold overrides and extend cues with qualityFix=true', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('qualityRules', 'maxCps:20')
+        .field('qualityFix', 'true')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from(fastSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.quality.rules.maxCps).toBe(20);
+      expect(response.body.quality.fixes).toEqual([{ cue: 1, message: 'Extended cue 1 by 1250ms to end at 00:00:02,750' }]);
+      expect(response.body.quality.issues).toEqual([]);
+      expect(response.body.cues[0].end).toBe(2750);
+    });
+
+    test('should reject invalid quality rules', async () => {
+      const response = await request(app)
+        .post('/convert?qualityRules=maxLines:2')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('Unknown quality rule "maxLines"');
+    });
+
+    test('should reject fractional millisecond thresholds before splitting', async () => {
+      const response = await request(app)
+        .post('/convert?qualityRules=maxDurationMs:7500.5&split=true')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('Must be a whole number of milliseconds');
+    });
+  });
+
+  describe('POST /convert with overlapping cues', () => {
+    const overlappingSrtContent = `1
+00:00:01,000 --> 00:00:04,000
+First speaker
+
+2
+00:00:03,000 --> 00:00:05,000
+Second speaker
+
+3
+00:00:06,000 --> 00:00:07,000
+Alone
+`;
+
+    test('should list overlapping pairs in the warnings', async () => {
+      const response = await request(app)
+        .post('/convert?format=json')
+        .attach('srtFile', Buffer.from(overlappingSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.warnings).toContainEqual({ type: 'overlap', message: 'Cues 1 and 2 overlap by 1000ms from 00:00:03,000' });
+      expect(response.body.overlaps).toMatchObject({ strategy: null, changes: [] });
+      expect(response.body.overlaps.pairs).toHaveLength(1);
+      expect(response.body.cues[0].end).toBe(4000);
+    });
+
+    test('should resolve overlaps with overlap=trim, merge and stack', async () => {
+      const convert = overlap => request(app)
+        .post('/convert')
+        .field('overlap', overlap)
+        .attach('srtFile', Buffer.from(overlappingSrtContent), 'test.srt')
+        .expect(200);
+
+      expect((await convert('trim')).text).toContain('00:00:01.000 --> 00:00:03.000\nFirst speaker');
+      expect((await convert('merge')).text).toContain('00:00:01.000 --> 00:00:05.000\nFirst speaker\nSecond speaker');
+      expect((await convert('stack')).text).toContain('00:00:03.000 --> 00:00:05.000 line:-3\nSecond speaker');
+    });
+
+    test('should stack overlapping top captions downwards', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:04,000\n{\\an8}First top\n\n2\n00:00:03,000 --> 00:00:05,000\n{\\an8}Second top\n';
+
+      const response = await request(app)
+        .post('/convert?overlap=stack')
+        .attach('srtFile', Buffer.from(srtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:01.000 --> 00:00:04.000 line:0\nFirst top');
+      expect(response.text).toContain('00:00:03.000 --> 00:00:05.000 line:2\nSecond top');
+    });
+
+    test('should reject overlaps with overlap=error and unknown strategies', async () => {
+      const rejected = await request(app)
+        .post('/convert?overlap=error')
+        .attach('srtFile', Buffer.from(overlappingSrtContent), 'test.srt')
+        .expect(400);
+      expect(rejected.body).toHaveProperty('error', 'Overlap Error');
+      expect(rejected.body.message).toBe('1 pair(s) of cues overlap: 1/2');
+
+      const unknown = await request(app)
+        .post('/convert?overlap=shift')
+        .attach('srtFile', Buffer.from(overlappingSrtContent), 'test.srt')
+        .expect(400);
+      expect(unknown.body).toHaveProperty('error', 'Invalid Parameter');
+    });
+
+    test('should accept files without overlaps under overlap=error', async () => {
+      const response = await request(app)
+        .post('/convert?overlap=error&format=json')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).not.toHaveProperty('overlaps');
+    });
+  });
+
+  describe('POST /convert with a timing offset', () => {
+    test('should shift every cue by offsetMs', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('offsetMs', '1500')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:02.500 --> 00:00:04.500\nHello world');
+      expect(response.text).toContain('00:00:05.500 --> 00:00:07.500\nThis is a test subtitle');
+    });
+
+    test('should shift from offsetFrom and report the retiming', async () => {
+      const response = await request(app)
+        .post('/convert?format=json&offsetMs=-2000&offsetFrom=00:00:04,000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues.map(cue => [cue.start, cue.end])).toEqual([[1000, 3000], [2000, 4000]]);
+      expect(response.body.retiming).toEqual({ offsetMs: -2000, offsetFrom: 4000, shifted: 1, clamped: 0, dropped: 0 });
+    });
+
+    test('should reject invalid offsets and offsets that remove every cue', async () => {
+      const invalid = await request(app)
+        .post('/convert?offsetMs=abc')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(invalid.body).toHaveProperty('error', 'Invalid Parameter');
+
+      const fromOnly = await request(app)
+        .post('/convert?offsetFrom=1000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(fromOnly.body.message).toBe('offsetFrom requires offsetMs');
+
+      const empty = await request(app)
+        .post('/convert?offsetMs=-10000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(empty.body).toHaveProperty('error', 'Retiming Error');
+    });
+  });
+
+  describe('POST /convert with frame rate conversion', () => {
+    test('should rescale cue times and report the drift', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'json')
+        .field('sourceFps', '23.976')
+        .field('targetFps', '25')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues.map(cue => [cue.start, cue.end])).toEqual([[960, 2880], [3840, 5760]]);
+      expect(response.body.frameRateConversion).toEqual({ sourceFps: 23.976, targetFps: 25, ratio: 0.95904, maxDriftMs: 240 });
+    });
+
+    test('should apply offsetMs after the conversion', async () => {
+      const response = await request(app)
+        .post('/convert?format=json&sourceFps=23.976&targetFps=25&offsetMs=1000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues[0].start).toBe(1960);
+    });
+
+    test('should require both valid frame rates', async () => {
+      const single = await request(app)
+        .post('/convert?sourceFps=25')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(single.body.message).toBe('Frame rate conversion needs both sourceFps and targetFps');
+
+      const invalid = await request(app)
+        .post('/convert?sourceFps=25&targetFps=fast')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(invalid.body.message).toContain('Invalid targetFps "fast"');
+    });
+  });
+
+  describe('POST /convert with two-point sync', () => {
+    test('should compute and apply the transform from two anchors', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'json')
+        .field('syncAnchors', '1@00:00:02,000;2@00:00:08,000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.cues.map(cue => [cue.start, cue.end])).toEqual([[2000, 6000], [8000, 12000]]);
+      expect(response.body.sync).toEqual({
+        scale: 2,
+        offsetMs: 0,
+        anchors: [{ cue: 1, time: 2000 }, { cue: 2, time: 8000 }],
+        clamped: 0,
+        dropped: 0
+      });
+    });
+
+    test('should reuse a transform returned for a sibling file', async () => {
+      const response = await request(app)
+        .post('/convert?syncScale=2&syncOffsetMs=-1000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.text).toContain('00:00:01.000 --> 00:00:05.000\nHello world');
+      expect(response.text).toContain('00:00:07.000 --> 00:00:11.000\nThis is a test subtitle');
+    });
+
+    test('should reject invalid sync parameters', async () => {
+      const missingCue = await request(app)
+        .post('/convert?syncAnchors=1@1000;5@9000')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(missingCue.body).toHaveProperty('error', 'Retiming Error');
+      expect(missingCue.body.message).toContain('Sync anchor cue 5 does not exist');
+
+      const conflicting = await request(app)
+        .post('/convert?syncAnchors=1@1000;2@9000&syncScale=1')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(conflicting.body).toHaveProperty('error', 'Invalid Parameter');
+
+      const incomplete = await request(app)
+        .post('/convert?syncScale=1.5')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(incomplete.body.message).toContain('must be given together');
+    });
+  });
+
+  describe('POST /convert with a format bundle', () => {
+    const germanSrtContent = `1
+00:00:01,000 --> 00:00:04,000
+Guten Morgen und herzlich willkommen zu diesem Kurs.
+
+2
+00:00:05,000 --> 00:00:08,000
+Heute lernen wir, wie die Untertitel für das Video erstellt werden.
+`;
+
+    const readBinary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    test('should return a ZIP with every requested format and a manifest', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('formats', 'vtt,srt,txt,json')
+        .attach('srtFile', Buffer.from(germanSrtContent), 'lecture.srt')
+        .buffer(true)
+        .parse(readBinary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/filename="lecture.zip"/);
+
+      const files = testUtils.readZipEntries(response.body);
+      expect(Object.keys(files)).toEqual([
+        'lecture.de.vtt',
+        'lecture.de.srt',
+        'lecture.de.txt',
+        'lecture.de.json',
+        'manifest.json'
+      ]);
+      expect(files['lecture.de.vtt'].toString('utf8')).toMatch(/^WEBVTT\n\n00:00:01\.000 --> 00:00:04\.000\n/);
+
+      const manifest = JSON.parse(files['manifest.json'].toString('utf8'));
+      expect(manifest.source).toMatchObject({ filename: 'lecture.srt', inputFormat: 'srt', subtitleCount: 2 });
+      expect(manifest.encoding).toEqual({ detected: 'utf8', output: 'utf-8' });
+      expect(manifest.language.detected).toBe(true);
+      expect(manifest.language.language.code).toBe('de');
+      expect(manifest.files[0].compliance.bunnyStreamCompatible).toBe(true);
+    });
+
+    test('should apply timingSeverity to the bundled files', async () => {
+      const invertedSrtContent = '1\n00:00:01,000 --> 00:00:02,000\nFirst\n\n2\n00:00:05,000 --> 00:00:04,000\nBackwards\n';
+
+      const response = await request(app)
+        .post('/convert?formats=vtt,srt&timingSeverity=inverted:warning')
+        .attach('srtFile', Buffer.from(invertedSrtContent), 'clip.srt')
+        .buffer(true)
+        .parse(readBinary)
+        .expect(200);
+
+      const manifest = JSON.parse(testUtils.readZipEntries(response.body)['manifest.json'].toString('utf8'));
+      expect(manifest.files[0].compliance.bunnyStreamCompatible).toBe(true);
+      expect(manifest.files[0].compliance.warnings).toContain('Cue 2 ends before it starts (00:00:05.000 --> 00:00:04.000) (line 6)');
+    });
+
+    test('should check the bundled VTT against the requested profile', async () => {
+      const response = await request(app)
+        .post('/convert?formats=vtt,srt&profile=youtube')
+        .attach('srtFile', Buffer.from(germanSrtContent), 'lecture.srt')
+        .buffer(true)
+        .parse(readBinary)
+        .expect(200);
+
+      const manifest = JSON.parse(testUtils.readZipEntries(response.body)['manifest.json'].toString('utf8'));
+      expect(manifest.files[0].compliance).toMatchObject({ youtubeCompatible: true, profile: 'youtube' });
+      expect(manifest.files[0].compliance.checks).toHaveProperty('allowedTagsOnly', true);
+      expect(manifest.files[1]).not.toHaveProperty('compliance');
+    });
+
+    test('should reject unsupported bundle formats', async () => {
+      const response = await request(app)
+        .post('/convert?formats=vtt,pdf')
+        .attach('srtFile', Buffer.from(germanSrtContent), 'lecture.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('Unsupported bundle format "pdf"');
+    });
+  });
+
+  describe('POST /convert with transcript formats', () => {
+    const lectureSrtContent = `1
+00:00:01,000 --> 00:00:03,000
+Welcome to the course.
+
+2
+00:00:08,000 --> 00:00:10,000
+Let's <b>begin</b>.
+`;
+
+    test('should return a plain text transcript with format=txt', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'txt')
+        .attach('srtFile', Buffer.from(lectureSrtContent), 'lecture.srt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/plain/);
+      expect(response.headers['content-disposition']).toMatch(/filename="lecture.txt"/);
+      expect(response.text).toBe('Welcome to the course.\n\nLet\'s begin.\n');
+    });
+
+    test('should add time markers and Markdown headings', async () => {
+      const markerResponse = await request(app)
+        .post('/convert?format=txt&markerInterval=5&pauseThreshold=10')
+        .attach('srtFile', Buffer.from(lectureSrtContent), 'lecture.srt')
+        .expect(200);
+
+      expect(markerResponse.text).toBe('[00:00:01] Welcome to the course. [00:00:08] Let\'s begin.\n');
+
+      const markdownResponse = await request(app)
+        .post('/convert')
+        .field('format', 'md')
+        .attach('srtFile', Buffer.from(lectureSrtContent), 'lecture.srt')
+        .expect(200);
+
+      expect(markdownResponse.headers['content-type']).toMatch(/text\/markdown/);
+      expect(markdownResponse.text).toBe('# lecture\n\n## 00:00:01\n\nWelcome to the course.\n\n## 00:00:08\n\nLet\'s begin.\n');
+    });
+
+    test('should reject invalid transcript options', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'txt')
+        .field('markerInterval', 'often')
+        .attach('srtFile', Buffer.from(lectureSrtContent), 'lecture.srt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      expect(response.body.message).toContain('markerInterval');
+    });
+  });
+
+  describe('POST /convert with reserved characters in cue text', () => {
+    test('should escape &, < and > so the VTT passes the compliance check', async () => {
+      const srtContent = '1\n00:00:01,000 --> 00:00:03,000\nTom & Jerry: 1 < 2\n\n' +
+        '2\n00:00:04,000 --> 00:00:06,000\nNext --> there\n';
+
+      const response = await request(app)
+        .post('/convert')
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(srtContent), 'reserved.srt')
+        .expect(200);
+
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nTom &amp; Jerry: 1 &lt; 2\n\n' +
+        '00:00:04.000 --> 00:00:06.000\nNext --&gt; there\n\n');
+      expect(response.body.compliance.checks).toHaveProperty('escapedCueText', true);
+      expect(response.body.compliance.checks).toHaveProperty('noEmbeddedArrows', true);
+    });
+  });
+
+  describe('POST /convert with compliance profiles', () => {
+    const longLineSrt = '1\n00:00:01,000 --> 00:00:05,000\n<b>This subtitle line is much longer than forty-two characters</b>\n';
+
+    test('should validate against the requested profile and report it', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('profile', 'youtube')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.compliance).toMatchObject({ youtubeCompatible: true, profile: 'youtube' });
+      expect(response.body.compliance).not.toHaveProperty('bunnyStreamCompatible');
+      expect(response.body.compliance.checks).toHaveProperty('allowedTagsOnly', true);
+    });
+
+    test('should reject subtitles that break the profile limits with 422', async () => {
+      const response = await request(app)
+        .post('/convert?profile=netflix-like&format=json')
+        .attach('srtFile', Buffer.from(longLineSrt), 'long.srt')
+        .expect(422);
+
+      expect(response.body.error).toBe('Compliance Profile Error');
+      expect(response.body.profile).toBe('netflix-like');
+      expect(response.body.message).toContain('do not meet the Netflix-style timed text profile');
+      expect(response.body.violations).toEqual([
+        'Cue text is longer than 42 characters per line (line 4)',
+        'Cue text uses tags Netflix-style timed text does not allow: <b> (line 4)'
+      ]);
+      expect(response.body.checks).toMatchObject({ withinLineLength: false, withinMaxLines: true, allowedTagsOnly: false });
+    });
+
+    test('should accept custom JSON profiles', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('profile', JSON.stringify({ extends: 'netflix-like', allowedTags: ['b', 'i'] }))
+        .field('wrap', 'true')
+        .field('format', 'json')
+        .attach('srtFile', Buffer.from(longLineSrt), 'long.srt')
+        .expect(200);
+
+      expect(response.body.compliance).toMatchObject({ customProfileCompatible: true, profile: 'custom' });
+      expect(response.body.compliance.checks).toMatchObject({ withinLineLength: true, withinMaxLines: true });
+    });
+
+    test('should number the cues for custom profiles that require identifiers', async () => {
+      const response = await request(app)
+        .post('/convert')
+        .field('profile', JSON.stringify({ extends: 'html5', cueIdentifiers: 'required' }))
+        .field('format', 'base64')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      const decodedContent = Buffer.from(response.body.base64.content, 'base64').toString('utf8');
+      expect(decodedContent).toBe('WEBVTT\n\n1\n00:00:01.000 --> 00:00:03.000\nHello world\n\n' +
+        '2\n00:00:04.000 --> 00:00:06.000\nThis is a test subtitle\n\n');
+      expect(response.body.compliance.checks).toHaveProperty('hasCueIdentifiers', true);
+    });
+
+    test('should describe the requested profile in the Base64 metadata', async () => {
+      const response = await request(app)
+        .post('/convert?profile=html5&format=base64')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body.base64.metadata).toMatchObject({ profile: 'html5', html5Compatible: true });
+      expect(response.body.base64.metadata).not.toHaveProperty('bunnyStreamCompatible');
+    });
+
+    test('should reject unknown profiles and profiles for other output formats', async () => {
+      const unknown = await request(app)
+        .post('/convert?profile=vimeo')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      const srtOutput = await request(app)
+        .post('/convert?profile=html5&outputFormat=srt')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+
+      expect(unknown.body.error).toBe('Invalid Parameter');
+      expect(unknown.body.message).toContain('Invalid profile "vimeo"');
+      expect(srtOutput.body.message).toBe('Compliance profiles are only available for VTT output, not SRT');
+    });
+
+    test('GET /profiles should list the built-in profiles', async () => {
+      const response = await request(app)
+        .get('/profiles')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.profiles.map(profile => profile.name)).toEqual(['bunny', 'html5', 'youtube', 'netflix-like']);
+    });
+  });
+
+  describe('POST /normalize', () => {
+    const thirdPartyVtt = '\uFEFFWEBVTT\r\n\r\n1\r\n00:00:01.000 --> 00:00:03.000\r\nHello\tworld\r\n\r\n' +
+      '2\r\n00:00:04.000 --> 00:00:06.000\r\nSecond cue\r\n';
+
+    test('should normalize VTT and return before/after compliance report', async () => {
+      const response = await request(app)
+        .post('/normalize')
+        .attach('srtFile', Buffer.from(thirdPartyVtt), 'third-party.vtt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.content).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello world\n\n' +
+        '00:00:04.000 --> 00:00:06.000\nSecond cue\n\n');
+      expect(response.body.compliance.before.bunnyStreamCompatible).toBe(false);
+      expect(response.body.compliance.before.checks.noBOM).toBe(false);
+      expect(response.body.compliance.after.bunnyStreamCompatible).toBe(true);
+      expect(response.body.changes.map(change => change.type)).toEqual(['bom', 'line-endings', 'sequence-numbers', 'tabs']);
+      expect(response.body.stats).toHaveProperty('subtitleCount', 2);
+      expect(Buffer.from(response.body.base64.content, 'base64').toString('utf8')).toBe(response.body.content);
+    });
+
+    test('should return normalized file when format=file', async () => {
+      const response = await request(app)
+        .post('/normalize')
+        .field('format', 'file')
+        .attach('srtFile', Buffer.from(thirdPartyVtt), 'third-party.vtt')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/vtt; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="third-party.vtt"');
+      expect(response.text).toMatch(/^WEBVTT\n\n00:00:01.000/);
+    });
+
+    test('should reject non-VTT content', async () => {
+      const response = await request(app)
+        .post('/normalize')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.vtt')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Format Validation Error');
+      expect(response.body).toHaveProperty('stage', 'validation');
+    });
+
+    test('should require a file', async () => {
+      const response = await request(app)
+        .post('/normalize')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'File Upload Error');
+      expect(response.body).toHaveProperty('message', 'No VTT file provided');
+    });
+  });
+
+  describe('POST /validate', () => {
+    test('should report a valid SRT file', async () => {
+      const response = await request(app)
+        .post('/validate')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toHaveProperty('valid', true);
+      expect(response.body.stats).toHaveProperty('subtitleCount', 2);
+      expect(response.body.summary).toEqual({ errors: 0, warnings: 0 });
+      expect(response.body.diagnostics).toEqual([]);
+    });
+
+    test('should list every problem with line and column', async () => {
+      const response = await request(app)
+        .post('/validate')
+        .attach('srtFile', Buffer.from('1\n00:00:01.000 --> 00:00:03,000\nHello\n2\n00:00:04,000 --> 00:00:06,000\nWorld\n'), 'broken.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('valid', false);
+      expect(response.body.summary).toEqual({ errors: 2, warnings: 0 });
+      expect(response.body.diagnostics.map(diagnostic => [diagnostic.line, diagnostic.column, diagnostic.code])).toEqual([
+        [2, 9, 'TIMESTAMP_SEPARATOR'],
+        [4, 1, 'MISSING_BLANK_LINE']
+      ]);
+      response.body.diagnostics.forEach(diagnostic => {
+        expect(diagnostic).toHaveProperty('severity', 'error');
+        expect(typeof diagnostic.suggestion).toBe('string');
+      });
+    });
+
+    test('should require a file', async () => {
+      const response = await request(app)
+        .post('/validate')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'File Upload Error');
+    });
+  });
+
+  describe('POST /retime', () => {
+    test('should return the shifted file in its own format', async () => {
+      const response = await request(app)
+        .post('/retime')
+        .field('offsetMs', '-1500')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body).toMatchObject({ inputFormat: 'srt', outputFormat: 'srt', filename: 'test.srt' });
+      expect(response.body.retiming).toEqual({ offsetMs: -1500, offsetFrom: 0, shifted: 2, clamped: 1, dropped: 0 });
+      expect(response.body.content).toBe('1\n00:00:00,000 --> 00:00:01,500\nHello world\n\n2\n00:00:02,500 --> 00:00:04,500\nThis is a test subtitle\n');
+    });
+
+    test('should download WebVTT as a file with format=file', async () => {
+      const vttContent = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHi\n';
+      const response = await request(app)
+        .post('/retime?offsetMs=1000&format=file')
+        .attach('srtFile', Buffer.from(vttContent), 'clip.vtt')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/filename="clip.vtt"/);
+      expect(response.text).toBe('WEBVTT\n\n00:00:02.000 --> 00:00:03.000\nHi\n\n');
+    });
+
+    test('should require offsetMs and a file', async () => {
+      const missingOffset = await request(app)
+        .post('/retime')
+        .attach('srtFile', Buffer.from(validSrtContent), 'test.srt')
+        .expect(400);
+      expect(missingOffset.body.message).toBe('offsetMs is required');
+
+      const missingFile = await request(app)
+        .post('/retime?offsetMs=100')
+        .expect(400);
+      expect(missingFile.body).toHaveProperty('error', 'File Upload Error');
+    });
+
+    test('should read a JSON body of cues like /convert', async () => {
+      const response = await request(app)
+        .post('/retime?offsetMs=500&outputFormat=srt')
+        .send({ cues: [{ start: 1000, end: 2000, text: 'Hi' }] })
+        .expect(200);
+
+      expect(response.body.inputFormat).toBe('json');
+      expect(response.body.content).toBe('1\n00:00:01,500 --> 00:00:02,500\nHi\n');
+    });
+  });
+
+  describe('POST /segment', () => {
+    const segmentSrtContent = `1
+00:00:01,000 --> 00:00:09,000
+So I told him that we should go to the market. It closes early tonight, and we still need bread, milk and some eggs for tomorrow.
+
+2
+00:00:10,000 --> 00:00:12,000
+Hello there, how are you?
+
+3
+00:00:12,100 --> 00:00:12,500
+Fine.
+`;
+
+    test('should split and merge cues and return the content with a report', async () => {
+      const response = await request(app)
+        .post('/segment')
+        .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.outputFormat).toBe('srt');
+      expect(response.body.segmentation).toMatchObject({
+        language: 'en',
+        originalCount: 3,
+        split: { split: 1, created: 1 },
+        merge: { merged: 1 },
+        cueCount: 3
+      });
+      expect(response.body.content).toContain('3\n00:00:10,000 --> 00:00:12,500\nHello there, how are you?\nFine.');
+    });
+
+    test('should apply options and download the file with format=file', async () => {
+      const response = await request(app)
+        .post('/segment')
+        .field('split', 'false')
+        .field('maxGapMs', '0')
+        .field('outputFormat', 'vtt')
+        .field('format', 'file')
+        .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('test.vtt');
+      expect(response.text).toContain('00:00:12.100 --> 00:00:12.500\nFine.');
+    });
+
+    test('should reject invalid parameters', async () => {
+      for (const query of ['split=false&merge=false', 'maxLines=0', 'maxLines=5', 'minCharacters=few', 'language=xx']) {
+        const response = await request(app)
+          .post(`/segment?${query}`)
+          .attach('srtFile', Buffer.from(segmentSrtContent), 'test.srt')
+          .expect(400);
+        expect(response.body).toHaveProperty('error', 'Invalid Parameter');
+      }
+    });
+
+    test('should require a frame rate for MicroDVD files like /convert', async () => {
+      const response = await request(app)
+        .post('/segment')
+        .attach('srtFile', Buffer.from('{25}{50}Hello there.\n'), 'clip.sub')
+        .expect(400);
+
+      expect(response.body).toMatchObject({ error: 'Invalid Parameter', stage: 'validation' });
+      expect(response.body.message).toContain('files are frame-based');
+    });
+  });
+
   describe('Language Detection Endpoints', () => {
     test('POST /detect-language should detect language from SRT file', async () => {
       const englishSrtContent = `1
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for splitting long cues and merging short fragments
+ */
+
+const {
+    DEFAULT_SEGMENTATION_OPTIONS,
+    resolveSegmentationOptions,
+    splitLongCues,
+    mergeShortCues,
+    resegmentSubtitles
+} = require('../utils/cue-segmentation');
+
+describe('Cue Segmentation', () => {
+    const cue = (startTime, endTime, text, extra = {}) => ({ index: 1, startTime, endTime, text, ...extra });
+    const times = subtitles => subtitles.map(subtitle => [subtitle.startTime, subtitle.endTime, subtitle.text]);
+
+    describe('resolveSegmentationOptions', () => {
+        test('should apply the defaults', () => {
+            expect(resolveSegmentationOptions()).toEqual(DEFAULT_SEGMENTATION_OPTIONS);
+            expect(resolveSegmentationOptions({ maxLines: 1 }).maxLines).toBe(1);
+        });
+
+        test('should reject invalid limits', () => {
+            expect(() => resolveSegmentationOptions({ maxGapMs: -1 })).toThrow('Invalid maxGapMs');
+            expect(() => resolveSegmentationOptions({ minCharacters: 2.5 })).toThrow('Invalid minCharacters');
+            expect(() => resolveSegmentationOptions({ maxLineLength: 0 })).toThrow('positive whole numbers');
+            expect(() => resolveSegmentationOptions({ maxLines: 5 })).toThrow('maximum lines at most 4');
+        });
+    });
+
+    describe('splitLongCues', () => {
+        test('should split at a sentence boundary and distribute time by text length', () => {
+            const result = splitLongCues([
+                cue('00:00:01,000', '00:00:09,000', 'So I told him that we should go to the market. It closes early tonight, and we still need bread, milk and some eggs for tomorrow.')
+            ], { language: 'en' });
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:03,769', 'So I told him that we\nshould go to the market.'],
+                ['00:00:03,769', '00:00:09,000', 'It closes early tonight, and we still need\nbread, milk and some eggs for tomorrow.']
+            ]);
+            expect(result.subtitles.map(subtitle => subtitle.index)).toEqual([1, 2]);
+            expect(result.stats).toEqual({ split: 1, created: 1 });
+        });
+
+        test('should prefer clause boundaries over other words', () => {
+            const result = splitLongCues([
+                cue('00:00:00,000', '00:00:06,000', 'When we finally reached the top of the mountain, everyone was far too tired to enjoy the view')
+            ], { language: 'en' });
+
+            expect(result.subtitles.map(subtitle => subtitle.text)).toEqual([
+                'When we finally reached\nthe top of the mountain,',
+                'everyone was far too\ntired to enjoy the view'
+            ]);
+        });
+
+        test('should close and reopen markup across pieces', () => {
+            const result = splitLongCues([
+                cue('00:00:00,000', '00:00:06,000', '<i>I never thought I would see the day when you finally came back home to all of us here</i>')
+            ], { language: 'en' });
+
+            expect(result.subtitles.map(subtitle => subtitle.text)).toEqual([
+                '<i>I never thought I would see the day when</i>',
+                '<i>you finally came back\nhome to all of us here</i>'
+            ]);
+        });
+
+        test('should split cues longer than maxDurationMs and keep settings but not identifiers', () => {
+            const result = splitLongCues([
+                cue('00:00:01,000', '00:00:13,000', 'First part. Second part.', { identifier: 'intro', settings: { line: '0' } })
+            ]);
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:06,714', 'First part.'],
+                ['00:00:06,714', '00:00:13,000', 'Second part.']
+            ]);
+            expect(result.subtitles[0]).toMatchObject({ identifier: 'intro', settings: { line: '0' } });
+            expect(result.subtitles[1]).not.toHaveProperty('identifier');
+            expect(result.subtitles[1].settings).toEqual({ line: '0' });
+        });
+
+        test('should leave cues that fit unchanged', () => {
+            const subtitles = [cue('00:00:01,000', '00:00:03,000', 'Hello world'), cue('00:00:04,000', '00:00:06,000', '')];
+            const result = splitLongCues(subtitles);
+
+            expect(times(result.subtitles)).toEqual(times(subtitles));
+            expect(result.stats).toEqual({ split: 0, created: 0 });
+        });
+
+        test('should reject invalid input', () => {
+            expect(() => splitLongCues('nope')).toThrow('subtitles must be an array');
+            expect(() => splitLongCues([], { maxLines: 0 })).toThrow('positive whole numbers');
+        });
+    });
+
+    describe('mergeShortCues', () => {
+        test('should merge fragments into the previous cue', () => {
+            const result = mergeShortCues([
+                cue('00:00:01,000', '00:00:03,000', 'Hello there.'),
+                cue('00:00:03,100', '00:00:03,500', 'Yes.'),
+                cue('00:00:05,000', '00:00:07,000', 'Something else entirely')
+            ]);
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:03,500', 'Hello there.\nYes.'],
+                ['00:00:05,000', '00:00:07,000', 'Something else entirely']
+            ]);
+            expect(result.subtitles.map(subtitle => subtitle.index)).toEqual([1, 2]);
+            expect(result.stats).toEqual({ merged: 1 });
+        });
+
+        test('should merge a leading fragment into the next cue', () => {
+            const result = mergeShortCues([
+                cue('00:00:01,000', '00:00:01,400', 'Well,'),
+                cue('00:00:01,500', '00:00:03,500', 'I suppose we could try')
+            ]);
+
+            expect(times(result.subtitles)).toEqual([['00:00:01,000', '00:00:03,500', 'Well,\nI suppose we could try']]);
+        });
+
+        test('should not merge across long gaps, beyond the line limits or the maximum duration', () => {
+            const farApart = [cue('00:00:01,000', '00:00:03,000', 'Hello there.'), cue('00:00:04,000', '00:00:04,300', 'Yes.')];
+            const tooLong = [
+                cue('00:00:01,000', '00:00:03,000', 'This line is already quite long on its own,\nand so is this one, at forty chars'),
+                cue('00:00:03,100', '00:00:03,500', 'Yes.')
+            ];
+            const tooSlow = [cue('00:00:01,000', '00:00:08,000', 'Hello there.'), cue('00:00:08,100', '00:00:08,500', 'Yes.')];
+
+            expect(mergeShortCues(farApart).stats.merged).toBe(0);
+            expect(mergeShortCues(tooLong).stats.merged).toBe(0);
+            expect(mergeShortCues(tooSlow).stats.merged).toBe(0);
+            expect(mergeShortCues(farApart, { maxGapMs: 1000 }).stats.merged).toBe(1);
+        });
+
+        test('should re-wrap merged text that would need too many lines', () => {
+            const result = mergeShortCues([
+                cue('00:00:01,000', '00:00:01,600', 'I think'),
+                cue('00:00:01,700', '00:00:02,300', 'that we'),
+                cue('00:00:02,400', '00:00:03,000', 'should go.')
+            ]);
+
+            expect(times(result.subtitles)).toEqual([['00:00:01,000', '00:00:03,000', 'I think that we should go.']]);
+            expect(result.stats).toEqual({ merged: 2 });
+        });
+    });
+
+    describe('resegmentSubtitles', () => {
+        const asrCues = [
+            cue('00:00:00,000', '00:00:03,000', 'So yesterday we went to the'),
+            cue('00:00:03,000', '00:00:06,000', 'market and bought some bread. Then we'),
+            cue('00:00:06,000', '00:00:09,500', 'walked home through the park, which took a really long time because it was raining'),
+            cue('00:00:09,500', '00:00:11,000', 'heavily. Okay.'),
+            cue('00:00:14,000', '00:00:16,000', 'After the pause, new text.')
+        ];
+
+        test('should rebuild cues on sentence and clause boundaries with interpolated times', () => {
+            const result = resegmentSubtitles(asrCues, { language: 'en' });
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:00,000', '00:00:05,419', 'So yesterday we went\nto the market and bought some bread.'],
+                ['00:00:05,419', '00:00:07,287', 'Then we walked home through the park,'],
+                ['00:00:07,287', '00:00:10,423', 'which took a really long time\nbecause it was raining heavily.'],
+                ['00:00:10,423', '00:00:11,000', 'Okay.'],
+                ['00:00:14,000', '00:00:16,000', 'After the pause, new text.']
+            ]);
+            expect(result.subtitles.map(subtitle => subtitle.index)).toEqual([1, 2, 3, 4, 5]);
+            expect(result.stats).toEqual({ originalCount: 5, cueCount: 5 });
+        });
+
+        test('should keep short sentences together and start a new cue after a pause', () => {
+            const result = resegmentSubtitles([
+                cue('00:00:01,000', '00:00:01,500', 'Yes. I'),
+                cue('00:00:01,500', '00:00:03,000', 'will come. See you'),
+                cue('00:00:05,000', '00:00:06,000', 'tomorrow then.')
+            ]);
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:02,400', 'Yes. I will come.'],
+                ['00:00:02,400', '00:00:03,000', 'See you'],
+                ['00:00:05,000', '00:00:06,000', 'tomorrow then.']
+            ]);
+        });
+
+        test('should respect the maximum duration and balance markup', () => {
+            const result = resegmentSubtitles([
+                cue('00:00:00,000', '00:00:10,000', '<i>one two three four five six seven eight nine ten</i>')
+            ], { maxDurationMs: 4000 });
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:00,000', '00:00:03,846', '<i>one two three four</i>'],
+                ['00:00:03,846', '00:00:06,923', '<i>five six seven</i>'],
+                ['00:00:06,923', '00:00:10,000', '<i>eight nine ten</i>']
+            ]);
+        });
+
+        test('should drop identifiers and settings and handle empty input', () => {
+            const result = resegmentSubtitles([cue('00:00:01,000', '00:00:03,000', 'Hello world.', { identifier: 'a', settings: { line: '0' } })]);
+
+            expect(result.subtitles).toEqual([{ index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello world.' }]);
+            expect(resegmentSubtitles([]).subtitles).toEqual([]);
+            expect(() => resegmentSubtitles('nope')).toThrow('subtitles must be an array');
+        });
+    });
+});
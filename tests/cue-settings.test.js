@@ -0,0 +1,56 @@
+/**
+ * Unit tests for WebVTT cue settings helpers
+ */
+
+const { NUMPAD_SETTINGS, extractPositionCodes, formatCueSettings, validateCueSettings } = require('../utils/cue-settings');
+
+describe('Cue Settings', () => {
+    describe('extractPositionCodes', () => {
+        test('should map numpad codes to cue settings', () => {
+            expect(extractPositionCodes('{\\an8}Top')).toEqual({ text: 'Top', settings: { line: '0' } });
+            expect(extractPositionCodes('{\\an7}Top left')).toEqual({
+                text: 'Top left',
+                settings: { line: '0', position: '10%', align: 'start' }
+            });
+            expect(extractPositionCodes('{\\an5}Centre').settings).toEqual({ line: '50%,center' });
+            expect(extractPositionCodes('{\\an2}Default').settings).toEqual({});
+        });
+
+        test('should support legacy SSA {\\aN} codes', () => {
+            expect(extractPositionCodes('{\\a6}Top').settings).toEqual(NUMPAD_SETTINGS[8]);
+            expect(extractPositionCodes('{\\a9}Middle left').settings).toEqual(NUMPAD_SETTINGS[4]);
+        });
+
+        test('should keep other override codes in the block', () => {
+            expect(extractPositionCodes('{\\an9\\i1}Text').text).toBe('{\\i1}Text');
+        });
+
+        test('should leave text without positioning codes untouched', () => {
+            expect(extractPositionCodes(' {\\i1}Plain ')).toEqual({ text: ' {\\i1}Plain ', settings: null });
+            expect(extractPositionCodes('{\\an0}Invalid').settings).toBeNull();
+        });
+    });
+
+    describe('formatCueSettings', () => {
+        test('should join settings as name:value pairs', () => {
+            expect(formatCueSettings({ line: '0', align: 'start' })).toBe('line:0 align:start');
+            expect(formatCueSettings(undefined)).toBe('');
+        });
+    });
+
+    describe('validateCueSettings', () => {
+        test('should accept every WebVTT cue setting', () => {
+            expect(validateCueSettings('vertical:rl line:-1 line:10%,end position:25.5%,line-left size:80% align:left region:r1'))
+                .toEqual(['duplicate cue setting "line"']);
+            expect(validateCueSettings('')).toEqual([]);
+        });
+
+        test('should report unknown settings and invalid values', () => {
+            expect(validateCueSettings('color:red position:10 align:middle')).toEqual([
+                'unknown cue setting "color:red"',
+                'invalid value in "position:10"',
+                'invalid value in "align:middle"'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for cue text markup translation
+ */
+
+const {
+    translateCueMarkup,
+    escapeCueText,
+    unescapeCueText,
+    findUnescapedCharacters,
+    generateStyleBlock,
+    summarizeMarkupChanges,
+    normalizeColor
+} = require('../utils/cue-text');
+
+describe('Cue Text Markup', () => {
+    describe('translateCueMarkup', () => {
+        test('should keep plain text and WebVTT tags unchanged', () => {
+            const text = '<v Roger>Hello</v> <i>there</i>\n<c.yellow>a</c> <00:00:01.500><b>b</b> <u>c</u>';
+            const result = translateCueMarkup(text);
+
+            expect(result.text).toBe(text);
+            expect(result.changes).toEqual([]);
+            expect(result.classes).toEqual({});
+        });
+
+        test('should map <font color> to colour classes', () => {
+            const result = translateCueMarkup('<font color="#ff0">Yellow</font> and <font color=Red>red</font>');
+
+            expect(result.text).toBe('<c.colorffff00>Yellow</c> and <c.colorff0000>red</c>');
+            expect(result.classes).toEqual({ colorffff00: '#ffff00', colorff0000: '#ff0000' });
+            expect(result.changes).toEqual([
+                { type: 'converted', original: '<font color="#ff0">', replacement: '<c.colorffff00>' },
+                { type: 'converted', original: '<font color=Red>', replacement: '<c.colorff0000>' }
+            ]);
+        });
+
+        test('should drop <font> without a supported colour together with its closing tag', () => {
+            const result = translateCueMarkup('<font face="Arial">Text</font> <font color="rebeccapurple">x</font>');
+
+            expect(result.text).toBe('Text x');
+            expect(result.changes.map(change => change.original)).toEqual(['<font face="Arial">', '<font color="rebeccapurple">']);
+        });
+
+        test('should drop override blocks and unknown tags', () => {
+            const result = translateCueMarkup('{\\an8}<s>Top</s> line<br/>');
+
+            expect(result.text).toBe('Top line');
+            expect(result.changes).toEqual([
+                { type: 'removed', original: '{\\an8}', replacement: '' },
+                { type: 'removed', original: '<s>', replacement: '' },
+                { type: 'removed', original: '</s>', replacement: '' },
+                { type: 'removed', original: '<br/>', replacement: '' }
+            ]);
+        });
+
+        test('should normalize tag case, attributes and {i} shorthand', () => {
+            const result = translateCueMarkup('<I>Loud</I> <b style="x">bold</b> {i}soft{/i}');
+
+            expect(result.text).toBe('<i>Loud</i> <b>bold</b> <i>soft</i>');
+            expect(result.changes.map(change => change.type)).toEqual(['normalized', 'normalized', 'normalized']);
+        });
+
+        test('should balance mis-nested and unclosed tags', () => {
+            expect(translateCueMarkup('<b><i>x</b>y</i>').text).toBe('<b><i>x</i></b><i>y</i>');
+            expect(translateCueMarkup('<b><i>x</b></i>').text).toBe('<b><i>x</i></b>');
+            expect(translateCueMarkup('<b><i><u>x</b></u>y</i>').text).toBe('<b><i><u>x</u></i></b><i>y</i>');
+            expect(translateCueMarkup('<b><i>x</b><font face="Arial"></i>').text).toBe('<b><i>x</i></b>');
+            expect(translateCueMarkup('<font color="red">open').text).toBe('<c.colorff0000>open</c>');
+            expect(translateCueMarkup('stray</i>').text).toBe('stray');
+        });
+
+        test('should collect colour classes already present in WebVTT input', () => {
+            expect(translateCueMarkup('<c.colorffff00.big>x</c>').classes).toEqual({ colorffff00: '#ffff00' });
+        });
+    });
+
+    describe('escapeCueText', () => {
+        test('should escape &, < and > but keep character references', () => {
+            expect(escapeCueText('a & b < c > d')).toBe('a &amp; b &lt; c &gt; d');
+            expect(escapeCueText('x --> y')).toBe('x --&gt; y');
+            expect(escapeCueText('&amp; &nbsp; &#233; &#x2014;')).toBe('&amp; &nbsp; &#233; &#x2014;');
+        });
+
+        test('should be applied to text between tags by translateCueMarkup', () => {
+            expect(translateCueMarkup('<i>A & B</i> <3 -->').text).toBe('<i>A &amp; B</i> &lt;3 --&gt;');
+            expect(translateCueMarkup('<5> a').text).toBe('&lt;5&gt; a');
+        });
+    });
+
+    describe('unescapeCueText', () => {
+        test('should decode named and numeric character references', () => {
+            expect(unescapeCueText('Tom &amp; Jerry &lt;3 &gt;')).toBe('Tom & Jerry <3 >');
+            expect(unescapeCueText('a&nbsp;b&lrm;&rlm;')).toBe('a\u00A0b\u200E\u200F');
+            expect(unescapeCueText('&#233;t&#xE9; &#x2014;')).toBe('\u00E9t\u00E9 \u2014');
+        });
+
+        test('should keep tags, unknown and invalid references', () => {
+            expect(unescapeCueText('<v Tom &amp; Jerry>Hi &amp; bye</v>')).toBe('<v Tom &amp; Jerry>Hi & bye</v>');
+            expect(unescapeCueText('&copy; &#0; &#x110000; & alone')).toBe('&copy; &#0; &#x110000; & alone');
+        });
+
+        test('should be reversed by escapeCueText', () => {
+            expect(escapeCueText(unescapeCueText('A &amp; B &lt; C'))).toBe('A &amp; B &lt; C');
+        });
+    });
+
+    describe('findUnescapedCharacters', () => {
+        test('should ignore valid cue tags and character references', () => {
+            expect(findUnescapedCharacters('<v.loud Tom>Hi &amp; bye</v> <00:01.000>x')).toEqual([]);
+            expect(findUnescapedCharacters('R&D <blink>')).toEqual(['&', '<', '>']);
+            expect(findUnescapedCharacters('a --> b')).toEqual(['>']);
+        });
+    });
+
+    describe('normalizeColor', () => {
+        test('should accept hex values and colour keywords', () => {
+            expect(normalizeColor('#FFF')).toBe('ffffff');
+            expect(normalizeColor('00ff7f')).toBe('00ff7f');
+            expect(normalizeColor(' Yellow ')).toBe('ffff00');
+            expect(normalizeColor('rgb(0,0,0)')).toBeNull();
+        });
+    });
+
+    describe('generateStyleBlock', () => {
+        test('should emit one ::cue rule per class', () => {
+            expect(generateStyleBlock({ colorff0000: '#ff0000', color00ff00: '#00ff00' })).toBe(
+                'STYLE\n::cue(.color00ff00) {\n  color: #00ff00;\n}\n::cue(.colorff0000) {\n  color: #ff0000;\n}\n\n'
+            );
+            expect(generateStyleBlock({})).toBe('');
+        });
+    });
+
+    describe('summarizeMarkupChanges', () => {
+        test('should group identical changes with a count', () => {
+            const changes = [
+                ...translateCueMarkup('<font color="#ff0">a</font>').changes,
+                ...translateCueMarkup('<font color="#ff0">b</font>{\\an8}').changes
+            ];
+
+            expect(summarizeMarkupChanges(changes)).toEqual([
+                'Converted <font color="#ff0"> to <c.colorffff00> (2 occurrences)',
+                'Removed markup not supported by WebVTT: {\\an8} (1 occurrence)'
+            ]);
+        });
+    });
+});
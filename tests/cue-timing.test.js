@@ -0,0 +1,260 @@
+/**
+ * Unit tests for semantic cue timing checks
+ */
+
+const {
+    DEFAULT_TIMING_SEVERITY,
+    resolveTimingSeverity,
+    parseTimingSeverity,
+    checkCueTiming,
+    repairCueTiming,
+    findOverlaps,
+    resolveOverlaps,
+    chainCues
+} = require('../utils/cue-timing');
+
+describe('Cue Timing', () => {
+    const cue = (startTime, endTime, text) => ({ startTime, endTime, text });
+
+    const problemCues = [
+        cue('00:00:05,000', '00:00:04,000', 'Inverted'),
+        cue('00:00:06,000', '00:00:06,000', 'Zero'),
+        cue('00:00:01,000', '00:00:02,000', 'Early'),
+        cue('00:00:08,000', '00:00:09,000', 'Fine')
+    ];
+
+    describe('checkCueTiming', () => {
+        test('should report inverted and zero-length cues as errors and disorder as a warning', () => {
+            const result = checkCueTiming(problemCues);
+
+            expect(result.errors).toEqual([
+                { kind: 'inverted', cue: 1, message: 'Cue 1 ends before it starts (00:00:05,000 --> 00:00:04,000)' },
+                { kind: 'zero-duration', cue: 2, message: 'Cue 2 has zero duration (00:00:06,000 --> 00:00:06,000)' }
+            ]);
+            expect(result.warnings).toEqual([
+                { kind: 'out-of-order', cue: 3, message: 'Cue 3 starts at 00:00:01,000, before the previous cue (00:00:06,000)' }
+            ]);
+        });
+
+        test('should accept WebVTT timestamps and ordered cues', () => {
+            expect(checkCueTiming([cue('00:01.000', '00:02.000'), cue('00:00:02.000', '00:00:03.500')]))
+                .toEqual({ errors: [], warnings: [] });
+        });
+
+        test('should apply severity overrides', () => {
+            const result = checkCueTiming(problemCues, {
+                severity: { 'inverted': 'warning', 'zero-duration': 'ignore', 'out-of-order': 'error' }
+            });
+
+            expect(result.errors.map(issue => issue.kind)).toEqual(['out-of-order']);
+            expect(result.warnings.map(issue => issue.kind)).toEqual(['inverted']);
+        });
+    });
+
+    describe('severity options', () => {
+        test('should merge overrides with the defaults', () => {
+            expect(resolveTimingSeverity({ 'out-of-order': 'error' })).toEqual({ ...DEFAULT_TIMING_SEVERITY, 'out-of-order': 'error' });
+            expect(() => resolveTimingSeverity({ overlap: 'error' })).toThrow('Unknown timing check "overlap"');
+            expect(() => resolveTimingSeverity({ inverted: 'fatal' })).toThrow('Invalid severity "fatal" for inverted');
+        });
+
+        test('should parse kind:severity lists', () => {
+            expect(parseTimingSeverity('out-of-order:error, zero-duration:warning')).toEqual({
+                'inverted': 'error',
+                'zero-duration': 'warning',
+                'out-of-order': 'error'
+            });
+            expect(() => parseTimingSeverity('inverted')).toThrow('Invalid timing severity "inverted"');
+        });
+    });
+
+    describe('repairCueTiming', () => {
+        test('should swap, sort and extend cues', () => {
+            const result = repairCueTiming(problemCues);
+
+            expect(result.subtitles).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'Early' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:05,000', text: 'Inverted' },
+                { index: 3, startTime: '00:00:06,000', endTime: '00:00:07,000', text: 'Zero' },
+                { index: 4, startTime: '00:00:08,000', endTime: '00:00:09,000', text: 'Fine' }
+            ]);
+            expect(result.repairs).toEqual([
+                { kind: 'inverted', cue: 1, message: 'Swapped the start and end time of cue 1' },
+                { kind: 'zero-duration', cue: 2, message: 'Extended zero-length cue 2 to 1000ms' },
+                { kind: 'out-of-order', cue: 3, message: 'Moved cue 3 to position 1 to restore time order' }
+            ]);
+            expect(checkCueTiming(result.subtitles)).toEqual({ errors: [], warnings: [] });
+        });
+
+        test('should not extend zero-length cues past the next cue', () => {
+            const result = repairCueTiming([cue('00:00:01,000', '00:00:01,000', 'A'), cue('00:00:01,400', '00:00:02,000', 'B')]);
+
+            expect(result.subtitles[0].endTime).toBe('00:00:01,400');
+        });
+
+        test('should leave valid cues untouched', () => {
+            const cues = [cue('00:00:01,000', '00:00:02,000', 'A'), cue('00:00:01,000', '00:00:03,000', 'B')];
+
+            expect(repairCueTiming(cues)).toEqual({
+                subtitles: cues.map((entry, i) => ({ ...entry, index: i + 1 })),
+                repairs: []
+            });
+            expect(() => repairCueTiming('x')).toThrow('Invalid input: subtitles must be an array');
+        });
+    });
+
+    describe('overlaps', () => {
+        const overlappingCues = [
+            cue('00:00:01,000', '00:00:04,000', 'A'),
+            cue('00:00:03,000', '00:00:05,000', 'B'),
+            cue('00:00:03,500', '00:00:04,500', 'C'),
+            cue('00:00:06,000', '00:00:07,000', 'D')
+        ];
+        const times = subtitles => subtitles.map(subtitle => [subtitle.startTime, subtitle.endTime, subtitle.text]);
+
+        test('should list every overlapping pair', () => {
+            expect(findOverlaps(overlappingCues)).toEqual([
+                { first: 1, second: 2, overlapMs: 1000, message: 'Cues 1 and 2 overlap by 1000ms from 00:00:03,000' },
+                { first: 1, second: 3, overlapMs: 500, message: 'Cues 1 and 3 overlap by 500ms from 00:00:03,500' },
+                { first: 2, second: 3, overlapMs: 1000, message: 'Cues 2 and 3 overlap by 1000ms from 00:00:03,500' }
+            ]);
+        });
+
+        test('should not treat touching or unordered cues as overlapping', () => {
+            expect(findOverlaps([cue('00:00:03,000', '00:00:04,000'), cue('00:00:01,000', '00:00:03,000')])).toEqual([]);
+            expect(findOverlaps([cue('00:00:03,000', '00:00:05,000'), cue('00:00:01,000', '00:00:04,000')]))
+                .toEqual([expect.objectContaining({ first: 2, second: 1, overlapMs: 1000 })]);
+        });
+
+        test('should trim each cue to the start of the next one', () => {
+            const result = resolveOverlaps(overlappingCues, 'trim');
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:03,000', 'A'],
+                ['00:00:03,000', '00:00:03,500', 'B'],
+                ['00:00:03,500', '00:00:04,500', 'C'],
+                ['00:00:06,000', '00:00:07,000', 'D']
+            ]);
+            expect(result.changes.map(change => change.message)).toEqual([
+                'Trimmed cue 1 to end at 00:00:03,000',
+                'Trimmed cue 2 to end at 00:00:03,500'
+            ]);
+            expect(findOverlaps(result.subtitles)).toEqual([]);
+        });
+
+        test('should merge cues that start together when trimming', () => {
+            const result = resolveOverlaps([cue('00:00:01,000', '00:00:02,000', 'A'), cue('00:00:01,000', '00:00:03,000', 'B')], 'trim');
+
+            expect(times(result.subtitles)).toEqual([['00:00:01,000', '00:00:03,000', 'A\nB']]);
+        });
+
+        test('should merge overlapping cues into one', () => {
+            const result = resolveOverlaps(overlappingCues, 'merge');
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:05,000', 'A\nB\nC'],
+                ['00:00:06,000', '00:00:07,000', 'D']
+            ]);
+            expect(result.subtitles.map(subtitle => subtitle.index)).toEqual([1, 2]);
+            expect(result.changes).toEqual([{ cues: [1, 2, 3], message: 'Merged cues 1, 2, 3 into one cue' }]);
+        });
+
+        test('should stack overlapping cues on separate lines', () => {
+            const result = resolveOverlaps(overlappingCues, 'stack');
+
+            expect(times(result.subtitles)).toEqual(times(overlappingCues));
+            expect(result.subtitles.map(subtitle => subtitle.settings)).toEqual([undefined, { line: '-3' }, { line: '-5' }, undefined]);
+            expect(result.changes.map(change => change.message)).toEqual(['Moved cue 2 up to line -3', 'Moved cue 3 up to line -5']);
+        });
+
+        test('should stack positioned cues from their own line', () => {
+            const positioned = [
+                { ...cue('00:00:01,000', '00:00:04,000', 'Top A'), settings: { line: '0' } },
+                { ...cue('00:00:02,000', '00:00:05,000', 'Top B'), settings: { line: '0', align: 'start' } },
+                cue('00:00:02,500', '00:00:05,000', 'Bottom'),
+                { ...cue('00:00:03,000', '00:00:05,000', 'Middle A'), settings: { line: '50%,center' } },
+                { ...cue('00:00:03,000', '00:00:05,000', 'Middle B'), settings: { line: '50%,center' } }
+            ];
+            const result = resolveOverlaps(positioned, 'stack');
+
+            expect(result.subtitles.map(subtitle => subtitle.settings)).toEqual([
+                { line: '0' },
+                { line: '2', align: 'start' },
+                undefined,
+                { line: '50%,center' },
+                { line: '50%,center' }
+            ]);
+            expect(result.changes.map(change => change.message)).toEqual(['Moved cue 2 down to line 2']);
+        });
+
+        test('should reject overlaps with the error strategy and unknown strategies', () => {
+            expect(() => resolveOverlaps(overlappingCues, 'error')).toThrow('Cues 1 and 2 overlap by 1000ms');
+            expect(resolveOverlaps([overlappingCues[3]], 'error').changes).toEqual([]);
+            expect(() => resolveOverlaps(overlappingCues, 'shift')).toThrow('Unknown overlap strategy "shift"');
+        });
+    });
+
+    describe('chainCues', () => {
+        const gappedCues = [
+            cue('00:00:01,000', '00:00:02,000', 'A'),
+            cue('00:00:02,200', '00:00:03,000', 'B'),
+            cue('00:00:03,000', '00:00:04,000', 'C'),
+            cue('00:00:06,000', '00:00:07,000', 'D')
+        ];
+        const times = subtitles => subtitles.map(subtitle => [subtitle.startTime, subtitle.endTime]);
+
+        test('should extend earlier cues to leave the minimum gap', () => {
+            const result = chainCues(gappedCues);
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:02,120'],
+                ['00:00:02,200', '00:00:02,920'],
+                ['00:00:03,000', '00:00:04,000'],
+                ['00:00:06,000', '00:00:07,000']
+            ]);
+            expect(result.stats).toEqual({ chained: 2, changed: 2, thresholdMs: 480, minGapMs: 80 });
+        });
+
+        test('should delay later cues with direction delay', () => {
+            const result = chainCues(gappedCues, { direction: 'delay' });
+
+            expect(times(result.subtitles)).toEqual([
+                ['00:00:01,000', '00:00:02,000'],
+                ['00:00:02,080', '00:00:03,000'],
+                ['00:00:03,080', '00:00:04,000'],
+                ['00:00:06,000', '00:00:07,000']
+            ]);
+            expect(result.stats.changed).toBe(2);
+        });
+
+        test('should measure the threshold and gap in frames of the given frame rate', () => {
+            const result = chainCues(gappedCues, { fps: 24, thresholdFrames: 3, minGapFrames: 1 });
+
+            expect(times(result.subtitles).slice(0, 2)).toEqual([
+                ['00:00:01,000', '00:00:02,000'],
+                ['00:00:02,200', '00:00:02,958']
+            ]);
+            expect(result.stats).toEqual({ chained: 1, changed: 1, thresholdMs: 125, minGapMs: 42 });
+        });
+
+        test('should leave overlaps, exact gaps and cues that would lose their duration alone', () => {
+            const subtitles = [
+                cue('00:00:01,000', '00:00:02,500', 'Overlaps'),
+                cue('00:00:02,000', '00:00:02,030', 'Tiny'),
+                cue('00:00:02,060', '00:00:03,000', 'Close'),
+                cue('00:00:03,080', '00:00:04,000', 'Exact')
+            ];
+            const result = chainCues(subtitles, { direction: 'extend' });
+
+            expect(result.subtitles).toEqual(subtitles);
+            expect(result.stats.changed).toBe(0);
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => chainCues(gappedCues, { direction: 'pull' })).toThrow('Unknown chain direction "pull"');
+            expect(() => chainCues(gappedCues, { fps: 0 })).toThrow('Invalid frame rate');
+            expect(() => chainCues(gappedCues, { thresholdFrames: 1, minGapFrames: 2 })).toThrow('minimum gap no larger than the threshold');
+            expect(() => chainCues('nope')).toThrow('subtitles must be an array');
+        });
+    });
+});
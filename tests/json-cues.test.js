@@ -0,0 +1,79 @@
+/**
+ * Unit tests for JSON cue input and output
+ */
+
+const { subtitlesToJSONCues, validateJSONCues, parseJSONCues } = require('../utils/json-cues');
+const { parseSRT } = require('../utils/srt-parser');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+describe('JSON Cues', () => {
+    describe('subtitlesToJSONCues', () => {
+        test('should expose times in milliseconds and as strings', () => {
+            const cues = subtitlesToJSONCues([
+                { index: 7, startTime: '00:00:01,500', endTime: '00:01:02,000', text: 'Top', settings: { line: '0' } },
+                { index: 8, startTime: '00:01:03,000', endTime: '00:01:04,250', text: 'Plain', identifier: 'intro' }
+            ]);
+
+            expect(cues).toEqual([
+                { index: 1, start: 1500, end: 62000, startTime: '00:00:01.500', endTime: '00:01:02.000', text: 'Top', settings: { line: '0' } },
+                { index: 2, start: 63000, end: 64250, startTime: '00:01:03.000', endTime: '00:01:04.250', text: 'Plain', identifier: 'intro' }
+            ]);
+        });
+
+        test('should round-trip through parseJSONCues', () => {
+            const subtitles = parseSRT(validSRTSamples.simple);
+
+            expect(parseJSONCues(JSON.stringify(subtitlesToJSONCues(subtitles)))).toEqual(subtitles);
+        });
+    });
+
+    describe('parseJSONCues', () => {
+        test('should accept milliseconds, timestamp strings and a cues wrapper', () => {
+            const subtitles = parseJSONCues({
+                cues: [
+                    { start: 1000, end: 2500, text: 'One' },
+                    { startTime: '00:03.000', endTime: '00:00:04,000', text: 'Two\r\nlines', settings: { align: 'start' } }
+                ]
+            });
+
+            expect(subtitles).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,500', text: 'One' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: 'Two\nlines', settings: { align: 'start' } }
+            ]);
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseJSONCues('not json')).toThrow('Invalid JSON cue format: Content is not valid JSON');
+            expect(() => parseJSONCues('{"items": []}')).toThrow('Expected an array of cues or an object with a "cues" array');
+            expect(() => parseJSONCues('[]')).toThrow('No cues found');
+            expect(() => parseJSONCues([{ start: 0, end: 1000 }])).toThrow('Cue 1: "text" must be a non-empty string');
+            expect(() => parseJSONCues([{ start: -1, end: 1000, text: 'x' }])).toThrow('Cue 1: "start" must be a non-negative number');
+            expect(() => parseJSONCues([{ start: 0, text: 'x' }])).toThrow('Cue 1: missing "end" (ms) or "endTime" (timestamp)');
+            expect(() => parseJSONCues([{ start: 0, end: 1000, text: 'x', settings: 'line:0' }])).toThrow('"settings" must be an object');
+        });
+
+        test('should reject invalid cue settings by cue', () => {
+            const cues = [
+                { start: 0, end: 1000, text: 'x', settings: { line: '0' } },
+                { start: 1000, end: 2000, text: 'y', settings: { line: 'top', colour: 'red' } }
+            ];
+
+            expect(() => parseJSONCues(cues))
+                .toThrow('Invalid JSON cue format: Cue 2: invalid value in "line:top", unknown cue setting "colour:red"');
+        });
+
+        test('should leave timing checks to the timing stage', () => {
+            expect(parseJSONCues([{ start: 2000, end: 1000, text: 'x' }])).toEqual([
+                { index: 1, startTime: '00:00:02,000', endTime: '00:00:01,000', text: 'x' }
+            ]);
+        });
+    });
+
+    describe('validateJSONCues', () => {
+        test('should return a boolean', () => {
+            expect(validateJSONCues('[{"start": 0, "end": 1000, "text": "Hi"}]')).toBe(true);
+            expect(validateJSONCues('[{"start": 0}]')).toBe(false);
+            expect(validateJSONCues('')).toBe(false);
+        });
+    });
+});
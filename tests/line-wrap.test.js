@@ -0,0 +1,109 @@
+/**
+ * Unit tests for cue text line wrapping
+ */
+
+const {
+    DEFAULT_WRAP_OPTIONS,
+    visibleLength,
+    wrapCueText,
+    wrapSubtitles
+} = require('../utils/line-wrap');
+
+describe('Line Wrap', () => {
+    describe('visibleLength', () => {
+        test('should not count markup', () => {
+            expect(visibleLength('<i>Hello</i>')).toBe(5);
+            expect(visibleLength('<font color="red">Red</font>')).toBe(3);
+            expect(visibleLength('{\\an8}Top')).toBe(3);
+            expect(visibleLength('Ünïcödé')).toBe(7);
+        });
+    });
+
+    describe('wrapCueText', () => {
+        test('should keep text that already fits', () => {
+            expect(wrapCueText('Hello world')).toEqual({ text: 'Hello world', changed: false, fits: true });
+            expect(wrapCueText('Short\nlines')).toEqual({ text: 'Short\nlines', changed: false, fits: true });
+        });
+
+        test('should split a long line into balanced lines with the lower line longer', () => {
+            const result = wrapCueText('I never thought I would see the day when you came back home', { language: 'en' });
+
+            expect(result).toEqual({ text: 'I never thought I would see\nthe day when you came back home', changed: true, fits: true });
+        });
+
+        test('should avoid ending a line with an article or preposition of the language', () => {
+            const text = 'This sentence is just a little bit too long for a line';
+
+            expect(wrapCueText(text, { language: 'en' }).text).toBe('This sentence is just\na little bit too long for a line');
+            expect(wrapCueText('Ich habe gestern mit dem Nachbarn über den Garten gesprochen', { language: 'de' }).text)
+                .toBe('Ich habe gestern mit dem Nachbarn\nüber den Garten gesprochen');
+        });
+
+        test('should prefer breaking after punctuation', () => {
+            expect(wrapCueText('Well, if you really want to know the answer to that', { maxLineLength: 30 }).text)
+                .toBe('Well, if you really want\nto know the answer to that');
+            expect(wrapCueText('We waited for hours, then we finally went home', { maxLineLength: 30 }).text)
+                .toBe('We waited for hours,\nthen we finally went home');
+        });
+
+        test('should keep markup with its words and not count it', () => {
+            const result = wrapCueText('<i>I never thought I would see the day when you came back home</i>', { language: 'en' });
+
+            expect(result.text).toBe('<i>I never thought I would see\nthe day when you came back home</i>');
+            expect(wrapCueText('<font color="#ff0000">Red words</font> and some more text to wrap', { maxLineLength: 20 }).text)
+                .toBe('<font color="#ff0000">Red words</font> and some\nmore text to wrap');
+        });
+
+        test('should join lines when there are more than allowed', () => {
+            expect(wrapCueText('One\nTwo\nThree')).toEqual({ text: 'One Two Three', changed: true, fits: true });
+            expect(wrapCueText('One\nTwo\nThree', { maxLines: 3 }).changed).toBe(false);
+        });
+
+        test('should wrap at the line length and report text that needs more lines', () => {
+            const text = 'So I told him that we should go to the market before it closes for the night, okay?';
+            const result = wrapCueText(text, { language: 'en' });
+
+            expect(result.fits).toBe(false);
+            expect(result.text.split('\n').every(line => line.length <= DEFAULT_WRAP_OPTIONS.maxLineLength)).toBe(true);
+            expect(result.text.replace(/\n/g, ' ')).toBe(text);
+        });
+
+        test('should find the best breaks of long cues quickly', () => {
+            const words = Array(199).fill('a').join(' ');
+            const started = Date.now();
+            const result = wrapCueText(words, { maxLineLength: 100, maxLines: 4 });
+
+            expect(Date.now() - started).toBeLessThan(1000);
+            expect(result.fits).toBe(true);
+            expect(result.text.split('\n').map(line => line.length)).toEqual([97, 99, 99, 99]);
+        });
+
+        test('should leave dialogue with one speaker per line alone', () => {
+            const text = '- Are you coming with us tonight, or are you staying here?\n- Yes.';
+
+            expect(wrapCueText(text)).toEqual({ text, changed: false, fits: false });
+        });
+    });
+
+    describe('wrapSubtitles', () => {
+        test('should wrap every cue and count the changes', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Short' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'A line that is definitely longer than twenty characters' }
+            ];
+            const result = wrapSubtitles(subtitles, { maxLineLength: 20, maxLines: 2 });
+
+            expect(result.subtitles[0]).toBe(subtitles[0]);
+            expect(result.subtitles[1].text).toBe('A line that is\ndefinitely longer\nthan twenty\ncharacters');
+            expect(result.stats).toEqual({ wrapped: 1, tooLong: [2] });
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => wrapSubtitles([], { maxLineLength: 0 })).toThrow('positive whole numbers');
+            expect(() => wrapSubtitles([], { maxLines: 1.5 })).toThrow('positive whole numbers');
+            expect(() => wrapSubtitles([], { maxLines: 18 })).toThrow('maximum lines at most 4');
+            expect(() => wrapSubtitles([], { maxLineLength: 101 })).toThrow('Maximum line length must be at most 100');
+            expect(() => wrapSubtitles('nope')).toThrow('subtitles must be an array');
+        });
+    });
+});
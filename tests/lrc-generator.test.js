@@ -0,0 +1,65 @@
+/**
+ * Unit tests for LRC lyric generation
+ */
+
+const { convertToLRCTimeTag, generateLRC, getLRCDroppedCues, generateLRCBase64Output, getLRCMimeTypeConfig } = require('../utils/lrc-generator');
+const { parseLRC } = require('../utils/lrc-parser');
+
+describe('LRC Generator', () => {
+    describe('convertToLRCTimeTag', () => {
+        test('should round to centiseconds', () => {
+            expect(convertToLRCTimeTag('00:00:12,345')).toBe('[00:12.35]');
+            expect(convertToLRCTimeTag('01:15:00.000')).toBe('[75:00.00]');
+        });
+    });
+
+    describe('generateLRC', () => {
+        test('should write lyric lines and mark gaps with empty lines', () => {
+            const lrc = generateLRC([
+                { index: 1, startTime: '00:00:12,000', endTime: '00:00:15,500', text: 'First line' },
+                { index: 2, startTime: '00:00:15,500', endTime: '00:00:18,000', text: '<i>Second</i>\nline' },
+                { index: 3, startTime: '00:00:22,000', endTime: '00:00:25,000', text: 'Last line' }
+            ]);
+
+            expect(lrc).toBe('[00:12.00]First line\n[00:15.50]Second line\n[00:18.00]\n[00:22.00]Last line\n[00:25.00]\n');
+        });
+
+        test('should preserve timing through the LRC parser', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'One' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,500', text: 'Two' }
+            ];
+
+            expect(parseLRC(generateLRC(subtitles))).toEqual(subtitles);
+        });
+
+        test('should skip cues that hold only markup and end the cue before them', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'First' },
+                { index: 2, startTime: '00:00:02,000', endTime: '00:00:03,000', text: '<i></i>' },
+                { index: 3, startTime: '00:00:04,000', endTime: '00:00:05,000', text: 'Last' }
+            ];
+
+            expect(generateLRC(subtitles)).toBe('[00:01.00]First\n[00:02.00]\n[00:04.00]Last\n[00:05.00]\n');
+            expect(getLRCDroppedCues(subtitles)).toEqual([2]);
+            expect(() => generateLRC([subtitles[1]])).toThrow('No subtitles with text left for LRC generation');
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => generateLRC({})).toThrow('Invalid input: subtitles must be an array');
+            expect(() => generateLRC([])).toThrow('No subtitles provided for LRC generation');
+            expect(() => generateLRC([{ startTime: 'x', endTime: '00:00:02,000', text: 'Hi' }]))
+                .toThrow('Error processing subtitle at index 0');
+        });
+    });
+
+    describe('output helpers', () => {
+        test('should encode Base64 output and describe the MIME type', () => {
+            const result = generateLRCBase64Output('[00:01.00]Hi\n');
+
+            expect(Buffer.from(result.content, 'base64').toString('utf8')).toBe('[00:01.00]Hi\n');
+            expect(result.metadata.format).toBe('LRC');
+            expect(getLRCMimeTypeConfig().fileExtension).toBe('.lrc');
+        });
+    });
+});
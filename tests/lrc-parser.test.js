@@ -0,0 +1,81 @@
+/**
+ * Unit tests for LRC lyric parsing
+ */
+
+const { validateLRCFormat, parseLRC, DEFAULT_LAST_LINE_DURATION } = require('../utils/lrc-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('LRC Parser', () => {
+    const sampleLRC = `[ti:Sample Song]
+[ar:Sample Artist]
+[00:12.00]First line
+[00:15.50]Second line
+[00:20.25]
+[00:22.00]Last line
+`;
+
+    describe('parseLRC', () => {
+        test('should infer end times from the next line', () => {
+            expect(parseLRC(sampleLRC)).toEqual([
+                { index: 1, startTime: '00:00:12,000', endTime: '00:00:15,500', text: 'First line' },
+                { index: 2, startTime: '00:00:15,500', endTime: '00:00:20,250', text: 'Second line' },
+                { index: 3, startTime: '00:00:22,000', endTime: '00:00:27,000', text: 'Last line' }
+            ]);
+            expect(DEFAULT_LAST_LINE_DURATION).toBe(5000);
+        });
+
+        test('should use the [length:] tag or option for the last line', () => {
+            expect(parseLRC('[length:00:30]\n[00:22.00]Last')[0].endTime).toBe('00:00:30,000');
+            expect(parseLRC('[00:22.00]Last', { lastLineDuration: 2000 })[0].endTime).toBe('00:00:24,000');
+        });
+
+        test('should expand lines with several time tags', () => {
+            const subtitles = parseLRC('[00:10.00][00:30.00]Chorus\n[00:20.00]Verse\n[00:40.00]Outro');
+
+            expect(subtitles.map(subtitle => [subtitle.startTime, subtitle.endTime, subtitle.text])).toEqual([
+                ['00:00:10,000', '00:00:20,000', 'Chorus'],
+                ['00:00:20,000', '00:00:30,000', 'Verse'],
+                ['00:00:30,000', '00:00:40,000', 'Chorus'],
+                ['00:00:40,000', '00:00:45,000', 'Outro']
+            ]);
+        });
+
+        test('should apply the [offset:] tag', () => {
+            const subtitles = parseLRC('[offset:+500]\n[00:01.00]Sooner\n[00:02.00]Next');
+
+            expect(subtitles[0].startTime).toBe('00:00:00,500');
+            expect(subtitles[0].endTime).toBe('00:00:01,500');
+        });
+
+        test('should accept millisecond, tenth and minute-only variants', () => {
+            const subtitles = parseLRC('[00:01.5]Tenths\n[00:02.123]Millis\n[75:00]Long song');
+
+            expect(subtitles.map(subtitle => subtitle.startTime)).toEqual(['00:00:01,500', '00:00:02,123', '01:15:00,000']);
+        });
+
+        test('should strip enhanced LRC word timing', () => {
+            expect(parseLRC('[00:01.00]<00:01.00>Word <00:01.50>by word')[0].text).toBe('Word by word');
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseLRC('[ti:Only metadata]')).toThrow('Invalid LRC format: No timed lyric lines found');
+            expect(() => parseLRC('[00:01.00]\n[00:02.00]')).toThrow('No lyric lines with text found');
+            expect(() => parseLRC('[00:01.00]Ok\nplain text')).toThrow('Invalid LRC line "plain text" at line 2');
+            expect(() => parseLRC('[offset:soon]\n[00:01.00]Ok')).toThrow('Invalid offset "soon" at line 1');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseLRC(sampleLRC));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+        });
+    });
+
+    describe('validateLRCFormat', () => {
+        test('should validate content', () => {
+            expect(validateLRCFormat(sampleLRC)).toBe(true);
+            expect(validateLRCFormat('0:00:01.000,0:00:02.000\nSBV')).toBe(false);
+            expect(validateLRCFormat('')).toBe(false);
+        });
+    });
+});
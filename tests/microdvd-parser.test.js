@@ -0,0 +1,101 @@
+/**
+ * Unit tests for MicroDVD parsing
+ */
+
+const { validateMicroDVDFormat, parseMicroDVD, detectMicroDVDFrameRate, convertMicroDVDText } = require('../utils/microdvd-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('MicroDVD Parser', () => {
+    const sampleMicroDVD = `{1}{1}25
+{25}{75}Hello world
+{100}{150}First line|Second line
+`;
+
+    describe('detectMicroDVDFrameRate', () => {
+        test('should read the frame rate header line', () => {
+            expect(detectMicroDVDFrameRate(sampleMicroDVD)).toBe(25);
+            expect(detectMicroDVDFrameRate('{1}{1}23.976\n{1}{24}Hi')).toBe(23.976);
+            expect(detectMicroDVDFrameRate('{0}{0}29.97\n{1}{24}Hi')).toBe(29.97);
+        });
+
+        test('should return null without header', () => {
+            expect(detectMicroDVDFrameRate('{25}{75}Hello')).toBeNull();
+            expect(detectMicroDVDFrameRate('')).toBeNull();
+            expect(detectMicroDVDFrameRate('{1}{1}0')).toBeNull();
+        });
+    });
+
+    describe('parseMicroDVD', () => {
+        test('should convert frames using the header frame rate', () => {
+            expect(parseMicroDVD(sampleMicroDVD)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello world' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'First line\nSecond line' }
+            ]);
+        });
+
+        test('should use the fps option when there is no header', () => {
+            const subtitles = parseMicroDVD('{24}{48}One second', { fps: 24 });
+
+            expect(subtitles[0].startTime).toBe('00:00:01,000');
+            expect(subtitles[0].endTime).toBe('00:00:02,000');
+        });
+
+        test('should let the fps option override the header', () => {
+            const subtitles = parseMicroDVD(sampleMicroDVD, { fps: 50 });
+
+            expect(subtitles[0].startTime).toBe('00:00:00,500');
+        });
+
+        test('should round NTSC frame times to milliseconds', () => {
+            const subtitles = parseMicroDVD('{100}{200}NTSC', { fps: 23.976 });
+
+            expect(subtitles[0].startTime).toBe('00:00:04,171');
+            expect(subtitles[0].endTime).toBe('00:00:08,342');
+        });
+
+        test('should require a frame rate', () => {
+            expect(() => parseMicroDVD('{25}{75}Hello')).toThrow('Frame rate required');
+            expect(() => parseMicroDVD('{25}{75}Hello', { fps: -1 })).toThrow('Invalid frame rate: -1');
+        });
+
+        test('should reject malformed lines', () => {
+            expect(() => parseMicroDVD('{25}{75}Hello\nnot a cue', { fps: 25 }))
+                .toThrow('Invalid MicroDVD format: Invalid MicroDVD line "not a cue" at line 2');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseMicroDVD(sampleMicroDVD));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+            expect(vttContent).toContain('First line\nSecond line');
+            expect(vttContent).not.toContain('|');
+        });
+    });
+
+    describe('validateMicroDVDFormat', () => {
+        test('should validate with and without options', () => {
+            expect(validateMicroDVDFormat(sampleMicroDVD)).toBe(true);
+            expect(validateMicroDVDFormat('{25}{75}Hello')).toBe(false);
+            expect(validateMicroDVDFormat('{25}{75}Hello', { fps: 25 })).toBe(true);
+            expect(validateMicroDVDFormat(null)).toBe(false);
+        });
+    });
+
+    describe('convertMicroDVDText', () => {
+        test('should translate line and cue style codes', () => {
+            expect(convertMicroDVDText('{y:i}Italic line|Plain line')).toBe('<i>Italic line</i>\nPlain line');
+            expect(convertMicroDVDText('{Y:b}Bold|{y:i}Both')).toBe('<b>Bold</b>\n<b><i>Both</i></b>');
+            expect(convertMicroDVDText('{y:i,u}Two styles')).toBe('<i><u>Two styles</u></i>');
+        });
+
+        test('should italicize lines that start with the "/" marker', () => {
+            expect(convertMicroDVDText('/Italic line|Plain line')).toBe('<i>Italic line</i>\nPlain line');
+            expect(convertMicroDVDText('{y:b}/Both|/ Spaced|and/or')).toBe('<b><i>Both</i></b>\n<i>Spaced</i>\nand/or');
+            expect(convertMicroDVDText('{Y:i}/Once')).toBe('<i>Once</i>');
+        });
+
+        test('should strip other control codes', () => {
+            expect(convertMicroDVDText('{c:$0000FF}{f:Arial}{s:20}{P:0,10}Red text')).toBe('Red text');
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for reading-speed and duration quality rules
+ */
+
+const {
+    DEFAULT_QUALITY_RULES,
+    resolveQualityRules,
+    parseQualityRules,
+    countReadableCharacters,
+    checkQualityRules,
+    extendCuesIntoGaps
+} = require('../utils/quality-rules');
+
+describe('Quality Rules', () => {
+    const cue = (startTime, endTime, text) => ({ startTime, endTime, text });
+
+    describe('resolveQualityRules', () => {
+        test('should use the defaults for unknown languages', () => {
+            expect(resolveQualityRules('')).toEqual(DEFAULT_QUALITY_RULES);
+            expect(resolveQualityRules('en')).toEqual(DEFAULT_QUALITY_RULES);
+        });
+
+        test('should apply language defaults and then overrides', () => {
+            expect(resolveQualityRules('ja').maxCps).toBe(4);
+            expect(resolveQualityRules('ZH').maxCps).toBe(9);
+            expect(resolveQualityRules('ja', { maxCps: 6 }).maxCps).toBe(6);
+        });
+
+        test('should reject unknown rules and invalid thresholds', () => {
+            expect(() => resolveQualityRules('en', { maxLines: 2 })).toThrow('Unknown quality rule "maxLines"');
+            expect(() => resolveQualityRules('en', { maxCps: -1 })).toThrow('Invalid threshold "-1" for maxCps');
+        });
+    });
+
+    describe('parseQualityRules', () => {
+        test('should parse rule:threshold pairs', () => {
+            expect(parseQualityRules('maxCps:15, minGapMs:120')).toEqual({ maxCps: 15, minGapMs: 120 });
+            expect(parseQualityRules('maxDurationMs:0')).toEqual({ maxDurationMs: 0 });
+        });
+
+        test('should reject malformed pairs and unknown rules', () => {
+            expect(() => parseQualityRules('maxCps')).toThrow('Invalid quality rule "maxCps"');
+            expect(() => parseQualityRules('maxCps:fast')).toThrow('Invalid quality rule "maxCps:fast"');
+            expect(() => parseQualityRules('maxLines:2')).toThrow('Unknown quality rule "maxLines"');
+            expect(() => parseQualityRules('maxDurationMs:7500.5')).toThrow('Invalid threshold "7500.5" for maxDurationMs. Must be a whole number of milliseconds');
+            expect(parseQualityRules('maxCps:15.5')).toEqual({ maxCps: 15.5 });
+        });
+    });
+
+    describe('countReadableCharacters', () => {
+        test('should ignore markup and line breaks', () => {
+            expect(countReadableCharacters('<i>Hello</i>\nworld')).toBe(10);
+            expect(countReadableCharacters('{\\an8}Top')).toBe(3);
+            expect(countReadableCharacters('こんにちは')).toBe(5);
+            expect(countReadableCharacters('')).toBe(0);
+        });
+    });
+
+    describe('checkQualityRules', () => {
+        test('should pass cues that follow every rule', () => {
+            const result = checkQualityRules([
+                cue('00:00:01,000', '00:00:03,000', 'Hello world'),
+                cue('00:00:04,000', '00:00:06,000', 'This is a test')
+            ]);
+
+            expect(result.issues).toEqual([]);
+            expect(result.checks).toEqual({ maxCps: true, minDurationMs: true, maxDurationMs: true, minGapMs: true });
+        });
+
+        test('should report each broken rule per cue', () => {
+            const result = checkQualityRules([
+                cue('00:00:01,000', '00:00:01,500', 'Far too much text for half a second'),
+                cue('00:00:01,540', '00:00:10,000', 'Long'),
+                cue('00:00:12,000', '00:00:13,000', 'Fine')
+            ]);
+
+            expect(result.issues).toEqual([
+                { rule: 'maxCps', cue: 1, message: 'Cue 1 needs 70 characters per second (maximum 17)' },
+                { rule: 'minDurationMs', cue: 1, message: 'Cue 1 is shown for 500ms (minimum 1000ms)' },
+                { rule: 'minGapMs', cue: 1, message: 'Cue 1 is followed by a gap of 40ms before cue 2 (minimum 83ms)' },
+                { rule: 'maxDurationMs', cue: 2, message: 'Cue 2 is shown for 8460ms (maximum 7000ms)' }
+            ]);
+            expect(result.checks).toEqual({ maxCps: false, minDurationMs: false, maxDurationMs: false, minGapMs: false });
+        });
+
+        test('should skip rules with a threshold of 0 and leave overlaps to the overlap checks', () => {
+            const rules = resolveQualityRules('en', { minDurationMs: 0 });
+            const result = checkQualityRules([
+                cue('00:00:01,000', '00:00:01,500', 'Hi'),
+                cue('00:00:01,400', '00:00:03,000', 'Overlapping')
+            ], rules);
+
+            expect(result.issues).toEqual([]);
+        });
+
+        test('should use the language thresholds it is given', () => {
+            const subtitles = [cue('00:00:01,000', '00:00:03,000', 'こんにちは、元気ですか')];
+
+            expect(checkQualityRules(subtitles, resolveQualityRules('en')).issues).toEqual([]);
+            expect(checkQualityRules(subtitles, resolveQualityRules('ja')).issues).toEqual([
+                { rule: 'maxCps', cue: 1, message: 'Cue 1 needs 5.5 characters per second (maximum 4)' }
+            ]);
+        });
+    });
+
+    describe('extendCuesIntoGaps', () => {
+        test('should extend short and fast cues up to the gap before the next cue', () => {
+            const result = extendCuesIntoGaps([
+                cue('00:00:01,000', '00:00:01,300', 'Hi'),
+                cue('00:00:03,000', '00:00:03,500', 'Thirty-four characters to be read.'),
+                cue('00:00:04,000', '00:00:05,500', 'Fine')
+            ]);
+
+            expect(result.subtitles.map(subtitle => subtitle.endTime)).toEqual(['00:00:02,000', '00:00:03,917', '00:00:05,500']);
+            expect(result.changes).toEqual([
+                { cue: 1, message: 'Extended cue 1 by 700ms to end at 00:00:02,000' },
+                { cue: 2, message: 'Extended cue 2 by 417ms to end at 00:00:03,917' }
+            ]);
+            expect(checkQualityRules(result.subtitles).checks.minGapMs).toBe(true);
+        });
+
+        test('should not extend beyond the maximum duration or move start times', () => {
+            const rules = resolveQualityRules('en', { maxCps: 1, maxDurationMs: 3000 });
+            const result = extendCuesIntoGaps([cue('00:00:01,000', '00:00:02,000', 'Ten chars!')], rules);
+
+            expect(result.subtitles).toEqual([cue('00:00:01,000', '00:00:04,000', 'Ten chars!')]);
+        });
+
+        test('should leave cues without room to grow unchanged', () => {
+            const subtitles = [
+                cue('00:00:01,000', '00:00:01,500', 'Short'),
+                cue('00:00:01,500', '00:00:03,000', 'Next')
+            ];
+            const result = extendCuesIntoGaps(subtitles);
+
+            expect(result.subtitles).toEqual(subtitles);
+            expect(result.changes).toEqual([]);
+        });
+    });
+});
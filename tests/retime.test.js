@@ -0,0 +1,173 @@
+/**
+ * Unit tests for subtitle retiming
+ */
+
+const {
+    parseTimeParameter,
+    shiftSubtitles,
+    convertFrameRate,
+    parseSyncAnchors,
+    computeLinearSync,
+    applyLinearSync
+} = require('../utils/retime');
+
+describe('Retiming', () => {
+    const subtitles = [
+        { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,500', text: 'Intro' },
+        { index: 2, startTime: '00:00:03,000', endTime: '00:00:05,000', text: 'Second', settings: { line: '0' } },
+        { index: 3, startTime: '00:01:30,000', endTime: '00:01:32,000', text: 'After the bumper' }
+    ];
+
+    describe('parseTimeParameter', () => {
+        test('should accept milliseconds and timestamps', () => {
+            expect(parseTimeParameter('90000')).toBe(90000);
+            expect(parseTimeParameter(1500)).toBe(1500);
+            expect(parseTimeParameter('00:01:30,000')).toBe(90000);
+            expect(parseTimeParameter('01:30.250')).toBe(90250);
+        });
+
+        test('should reject other values', () => {
+            expect(() => parseTimeParameter('-5')).toThrow('Invalid timestamp format');
+            expect(() => parseTimeParameter('soon')).toThrow('Invalid timestamp format');
+            expect(() => parseTimeParameter(-5)).toThrow('Invalid time value');
+        });
+    });
+
+    describe('shiftSubtitles', () => {
+        test('should move every cue by a positive offset', () => {
+            const result = shiftSubtitles(subtitles, 2500);
+
+            expect(result.subtitles.map(cue => [cue.startTime, cue.endTime])).toEqual([
+                ['00:00:03,500', '00:00:05,000'],
+                ['00:00:05,500', '00:00:07,500'],
+                ['00:01:32,500', '00:01:34,500']
+            ]);
+            expect(result.subtitles[1]).toMatchObject({ text: 'Second', settings: { line: '0' } });
+            expect(result.stats).toEqual({ shifted: 3, clamped: 0, dropped: 0 });
+        });
+
+        test('should clamp cues that start before zero and drop cues that end there', () => {
+            const result = shiftSubtitles(subtitles, -3500);
+
+            expect(result.subtitles.map(cue => [cue.index, cue.startTime, cue.endTime, cue.text])).toEqual([
+                [1, '00:00:00,000', '00:00:01,500', 'Second'],
+                [2, '00:01:26,500', '00:01:28,500', 'After the bumper']
+            ]);
+            expect(result.stats).toEqual({ shifted: 2, clamped: 1, dropped: 1 });
+        });
+
+        test('should only shift cues starting at or after options.from', () => {
+            const result = shiftSubtitles(subtitles, 4000, { from: 3000 });
+
+            expect(result.subtitles.map(cue => cue.startTime)).toEqual(['00:00:01,000', '00:00:07,000', '00:01:34,000']);
+            expect(result.stats.shifted).toBe(2);
+        });
+
+        test('should not modify the input', () => {
+            shiftSubtitles(subtitles, 1000);
+
+            expect(subtitles[0].startTime).toBe('00:00:01,000');
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => shiftSubtitles(null, 0)).toThrow('Invalid input: subtitles must be an array');
+            expect(() => shiftSubtitles(subtitles, NaN)).toThrow('Invalid offset');
+            expect(() => shiftSubtitles(subtitles, 360000000)).toThrow('Error processing subtitle at index 0');
+        });
+    });
+
+    describe('convertFrameRate', () => {
+        const masterCues = [
+            { index: 1, startTime: '00:00:10,000', endTime: '00:01:00,000', text: 'Long cue' },
+            { index: 2, startTime: '00:01:00,000', endTime: '00:01:00,010', text: 'Blink', settings: { line: '0' } }
+        ];
+
+        test('should scale 23.976 fps timings for a 25 fps video and snap to the frame grid', () => {
+            const result = convertFrameRate(masterCues, 23.976, 25);
+
+            expect(result.subtitles.map(cue => [cue.startTime, cue.endTime])).toEqual([
+                ['00:00:09,600', '00:00:57,560'],
+                ['00:00:57,560', '00:00:57,600']
+            ]);
+            expect(result.subtitles[1]).toMatchObject({ text: 'Blink', settings: { line: '0' } });
+            expect(result.stats).toEqual({ ratio: 0.95904, maxDriftMs: 2440 });
+        });
+
+        test('should stretch timings when converting back to the slower rate', () => {
+            const result = convertFrameRate(masterCues, 25, 23.976);
+
+            expect(result.subtitles[0].startTime).toBe('00:00:10,427');
+            expect(result.subtitles[0].endTime).toBe('00:01:02,563');
+        });
+
+        test('should keep at least one target frame per cue', () => {
+            const result = convertFrameRate(masterCues, 25, 25);
+
+            expect(result.subtitles[1].endTime).toBe('00:01:00,040');
+            expect(result.stats.ratio).toBe(1);
+        });
+
+        test('should throw for invalid frame rates', () => {
+            expect(() => convertFrameRate(masterCues, 0, 25)).toThrow('Invalid frame rates');
+            expect(() => convertFrameRate(masterCues, 25, '30')).toThrow('Invalid frame rates');
+            expect(() => convertFrameRate('x', 25, 25)).toThrow('Invalid input: subtitles must be an array');
+        });
+    });
+
+    describe('two-point sync', () => {
+        const driftingCues = [
+            { index: 1, startTime: '00:00:10,000', endTime: '00:00:12,000', text: 'First' },
+            { index: 2, startTime: '00:05:00,000', endTime: '00:05:02,000', text: 'Middle' },
+            { index: 3, startTime: '00:10:00,000', endTime: '00:10:03,000', text: 'Last' }
+        ];
+
+        test('should parse two anchors', () => {
+            expect(parseSyncAnchors('1@00:00:11,000; 3@600600')).toEqual([
+                { cue: 1, time: 11000 },
+                { cue: 3, time: 600600 }
+            ]);
+        });
+
+        test('should reject malformed anchors', () => {
+            expect(() => parseSyncAnchors('1@00:00:11,000')).toThrow('Expected two sync anchors');
+            expect(() => parseSyncAnchors('0@1000;2@2000')).toThrow('Invalid sync anchor "0@1000"');
+            expect(() => parseSyncAnchors('1@soon;2@2000')).toThrow('Invalid sync anchor "1@soon": Invalid timestamp format');
+            expect(() => parseSyncAnchors('2@1000;2@2000')).toThrow('Sync anchors must refer to two different cues');
+        });
+
+        test('should compute scale and offset from the anchors', () => {
+            expect(computeLinearSync(driftingCues, [{ cue: 1, time: 15000 }, { cue: 2, time: 305000 }]))
+                .toEqual({ scale: 1, offsetMs: 5000 });
+
+            const stretched = computeLinearSync(driftingCues, [{ cue: 1, time: 20000 }, { cue: 2, time: 600000 }]);
+            expect(stretched).toEqual({ scale: 2, offsetMs: 0 });
+        });
+
+        test('should reject anchors that cannot define a transform', () => {
+            expect(() => computeLinearSync(driftingCues, [{ cue: 1, time: 0 }, { cue: 9, time: 1000 }]))
+                .toThrow('Sync anchor cue 9 does not exist (the file has 3 cues)');
+            expect(() => computeLinearSync(driftingCues, [{ cue: 1, time: 5000 }, { cue: 3, time: 1000 }]))
+                .toThrow('Sync anchors must keep the cues in their original order');
+        });
+
+        test('should apply the transform to every cue', () => {
+            const transform = computeLinearSync(driftingCues, [{ cue: 1, time: 11000 }, { cue: 3, time: 601000 }]);
+            const result = applyLinearSync(driftingCues, transform);
+
+            expect(result.subtitles.map(cue => [cue.startTime, cue.endTime])).toEqual([
+                ['00:00:11,000', '00:00:13,000'],
+                ['00:05:01,000', '00:05:03,000'],
+                ['00:10:01,000', '00:10:04,000']
+            ]);
+            expect(result.stats).toEqual({ clamped: 0, dropped: 0 });
+        });
+
+        test('should clamp or drop cues moved before zero', () => {
+            const result = applyLinearSync(driftingCues, { scale: 1, offsetMs: -12000 });
+
+            expect(result.subtitles.map(cue => cue.text)).toEqual(['Middle', 'Last']);
+            expect(result.stats).toEqual({ clamped: 0, dropped: 1 });
+            expect(() => applyLinearSync(driftingCues, { scale: 0, offsetMs: 0 })).toThrow('Invalid sync transform');
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for YouTube SBV generation
+ */
+
+const { convertToSBVTimestamp, generateSBV, getSBVDroppedCues, generateSBVBase64Output, getSBVMimeTypeConfig } = require('../utils/sbv-generator');
+const { parseSBV } = require('../utils/sbv-parser');
+const { parseSRT } = require('../utils/srt-parser');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+describe('SBV Generator', () => {
+    describe('convertToSBVTimestamp', () => {
+        test('should use unpadded hours and a dot separator', () => {
+            expect(convertToSBVTimestamp('00:00:01,500')).toBe('0:00:01.500');
+            expect(convertToSBVTimestamp('12:34:56.789')).toBe('12:34:56.789');
+        });
+    });
+
+    describe('generateSBV', () => {
+        test('should generate SBV blocks without markup', () => {
+            const sbv = generateSBV([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<i>Hello</i> world' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: 'Line one\nLine two' }
+            ]);
+
+            expect(sbv).toBe('0:00:01.000,0:00:02.000\nHello world\n\n0:00:03.000,0:00:04.000\nLine one\nLine two\n');
+        });
+
+        test('should round-trip through the SBV parser', () => {
+            const original = parseSRT(validSRTSamples.simple);
+
+            expect(parseSBV(generateSBV(original))).toEqual(original);
+        });
+
+        test('should skip cues that hold only markup', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<i></i>' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: 'Kept' }
+            ];
+
+            expect(generateSBV(subtitles)).toBe('0:00:03.000,0:00:04.000\nKept\n');
+            expect(getSBVDroppedCues(subtitles)).toEqual([1]);
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => generateSBV(null)).toThrow('Invalid input: subtitles must be an array');
+            expect(() => generateSBV([])).toThrow('No subtitles provided for SBV generation');
+            expect(() => generateSBV([{ startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<b></b>' }]))
+                .toThrow('No subtitles with text left for SBV generation');
+        });
+    });
+
+    describe('output helpers', () => {
+        test('should encode Base64 output and describe the MIME type', () => {
+            const result = generateSBVBase64Output('0:00:01.000,0:00:02.000\nHi\n');
+
+            expect(Buffer.from(result.content, 'base64').toString('utf8')).toBe('0:00:01.000,0:00:02.000\nHi\n');
+            expect(result.metadata.format).toBe('SBV');
+            expect(getSBVMimeTypeConfig().fileExtension).toBe('.sbv');
+        });
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for YouTube SBV parsing
+ */
+
+const { validateSBVFormat, parseSBV } = require('../utils/sbv-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('SBV Parser', () => {
+    const sampleSBV = `0:00:01.000,0:00:03.500
+Hello world
+
+0:00:04.000,0:00:06.000
+>> First line
+Second line
+
+1:02:03.004,1:02:05.000
+Past the hour
+`;
+
+    describe('parseSBV', () => {
+        test('should parse SBV blocks', () => {
+            expect(parseSBV(sampleSBV)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,500', text: 'Hello world' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: '>> First line\nSecond line' },
+                { index: 3, startTime: '01:02:03,004', endTime: '01:02:05,000', text: 'Past the hour' }
+            ]);
+        });
+
+        test('should handle BOM, CRLF and a missing trailing newline', () => {
+            const subtitles = parseSBV('\uFEFF0:00:01.000,0:00:02.000\r\nOne\r\n\r\n0:00:03.000,0:00:04.000\r\nTwo');
+
+            expect(subtitles.map(subtitle => subtitle.text)).toEqual(['One', 'Two']);
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseSBV('00:00:01,000 --> 00:00:02,000\nSRT'))
+                .toThrow('Invalid SBV format: Invalid timing line "00:00:01,000 --> 00:00:02,000" at line 1');
+            expect(() => parseSBV('0:00:01.000,0:00:02.000\n')).toThrow('No valid subtitle blocks found');
+            expect(() => parseSBV('')).toThrow('Content must be a non-empty string');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseSBV(sampleSBV));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+            expect(vttContent).toContain('01:02:03.004 --> 01:02:05.000');
+        });
+    });
+
+    describe('validateSBVFormat', () => {
+        test('should validate content', () => {
+            expect(validateSBVFormat(sampleSBV)).toBe(true);
+            expect(validateSBVFormat('[00:01.00]Lyric')).toBe(false);
+            expect(validateSBVFormat(null)).toBe(false);
+        });
+    });
+});
@@ -62,6 +62,29 @@ global.testUtils = {
       srt += `Random subtitle ${i}\n\n`;
     }
     return srt;
+  },
+  
+  // Read the entries of a ZIP archive into a {name: Buffer} map using its central directory
+  readZipEntries: (buffer) => {
+    const zlib = require('zlib');
+    const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      entries[name] = method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data);
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
   }
 };
 
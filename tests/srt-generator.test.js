@@ -0,0 +1,105 @@
+/**
+ * Unit tests for SRT generation
+ */
+
+const { convertToSRTTimestamp, generateSRT, generateSRTBase64Output, getSRTMimeTypeConfig } = require('../utils/srt-generator');
+const { parseSRT, validateSRTFormat } = require('../utils/srt-parser');
+const { parseVTT } = require('../utils/vtt-parser');
+const { validSRTSamples, edgeCaseSRTSamples } = require('./fixtures/test-data');
+
+describe('SRT Generator Module', () => {
+    describe('convertToSRTTimestamp', () => {
+        test('should accept both separators', () => {
+            expect(convertToSRTTimestamp('00:00:01,500')).toBe('00:00:01,500');
+            expect(convertToSRTTimestamp('00:00:01.500')).toBe('00:00:01,500');
+        });
+
+        test('should reject invalid timestamps', () => {
+            expect(() => convertToSRTTimestamp('')).toThrow('Invalid timestamp: must be a non-empty string');
+            expect(() => convertToSRTTimestamp('1:00:00,000')).toThrow('Invalid timestamp format');
+        });
+    });
+
+    describe('generateSRT', () => {
+        test('should generate numbered SRT blocks', () => {
+            const srt = generateSRT([
+                { startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello world' },
+                { startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'Line one\nLine two' }
+            ]);
+
+            expect(srt).toBe('1\n00:00:01,000 --> 00:00:03,000\nHello world\n\n' +
+                '2\n00:00:04,000 --> 00:00:06,000\nLine one\nLine two\n');
+            expect(validateSRTFormat(srt)).toBe(true);
+        });
+
+        test('should round-trip parsed SRT samples', () => {
+            const subtitles = parseSRT(validSRTSamples.german);
+            expect(parseSRT(generateSRT(subtitles))).toEqual(subtitles);
+        });
+
+        test('should renumber cues and drop VTT identifiers and settings', () => {
+            const cues = parseVTT('WEBVTT\n\nintro\n00:05.000 --> 00:06.000 align:start\nFirst\n\n00:07.000 --> 00:08.000\nSecond\n');
+            const srt = generateSRT(cues);
+
+            expect(srt).toBe('1\n00:00:05,000 --> 00:00:06,000\nFirst\n\n2\n00:00:07,000 --> 00:00:08,000\nSecond\n');
+        });
+
+        test('should translate WebVTT-only markup from the VTT parser', () => {
+            const cues = parseVTT('WEBVTT\n\n00:01.000 --> 00:02.000\n<v Bob>Hello &amp; bye</v>\n\n' +
+                '00:03.000 --> 00:04.000\n<c.colorff0000>Red</c> <c.loud><b.x>loud</b></c> <lang de>Hallo</lang>\n\n' +
+                '00:05.000 --> 00:06.000\n<ruby>漢<rt>kan</rt></ruby> <00:00:05.500><i>sung</i>\n');
+
+            expect(generateSRT(cues)).toBe('1\n00:00:01,000 --> 00:00:02,000\nBob: Hello & bye\n\n' +
+                '2\n00:00:03,000 --> 00:00:04,000\n<font color="#ff0000">Red</font> <b>loud</b> Hallo\n\n' +
+                '3\n00:00:05,000 --> 00:00:06,000\n漢 <i>sung</i>\n');
+        });
+
+        test('should keep SRT markup as it is', () => {
+            const srt = generateSRT([{ startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<font color="red">Red</font> {\\an8}<i>top</i>' }]);
+
+            expect(srt).toBe('1\n00:00:01,000 --> 00:00:02,000\n<font color="red">Red</font> {\\an8}<i>top</i>\n');
+        });
+
+        test('should remove blank lines inside cue text', () => {
+            const subtitles = parseSRT(edgeCaseSRTSamples.veryLongText);
+            const srt = generateSRT(subtitles);
+
+            expect(validateSRTFormat(srt)).toBe(true);
+            expect(parseSRT(srt)).toHaveLength(2);
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => generateSRT(null)).toThrow('Invalid input: subtitles must be an array');
+            expect(() => generateSRT([])).toThrow('No subtitles provided for SRT generation');
+            expect(() => generateSRT([null])).toThrow('Invalid subtitle object at index 0');
+            expect(() => generateSRT([{ startTime: '00:00:01,000', text: 'x' }])).toThrow('Missing required fields');
+            expect(() => generateSRT([{ startTime: '00:00:01,000', endTime: '00:00:02,000', text: '  ' }])).toThrow('Empty text in subtitle at index 0');
+            expect(() => generateSRT([{ startTime: 'bad', endTime: '00:00:02,000', text: 'x' }])).toThrow('Error processing subtitle at index 0');
+        });
+    });
+
+    describe('generateSRTBase64Output', () => {
+        test('should encode SRT content', () => {
+            const srt = generateSRT(parseSRT(validSRTSamples.simple));
+            const result = generateSRTBase64Output(srt);
+
+            expect(Buffer.from(result.content, 'base64').toString('utf8')).toBe(srt);
+            expect(result.mimeType).toBe('application/x-subrip');
+            expect(result.metadata.format).toBe('SubRip');
+        });
+
+        test('should reject empty content', () => {
+            expect(() => generateSRTBase64Output('')).toThrow('Invalid SRT content for Base64 encoding');
+        });
+    });
+
+    describe('getSRTMimeTypeConfig', () => {
+        test('should return SRT MIME configuration', () => {
+            expect(getSRTMimeTypeConfig()).toEqual({
+                primary: 'application/x-subrip',
+                fileExtension: '.srt',
+                contentType: 'application/x-subrip; charset=utf-8'
+            });
+        });
+    });
+});
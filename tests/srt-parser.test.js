@@ -2,7 +2,7 @@
  * Unit tests for SRT format validation and parsing
  */
 
-const { validateSRTFormat, parseSRT, parseTimestamp } = require('../utils/srt-parser');
+const { validateSRTFormat, parseSRT, parseSRTLenient, diagnoseSRT, parseTimestamp } = require('../utils/srt-parser');
 const { 
   validSRTSamples, 
   invalidSRTSamples, 
@@ -84,6 +84,15 @@ Hello world`;
         expect(validateSRTFormat(invalidSRT)).toBe(false);
     });
 
+    test('should reject minutes and seconds of 60 or more like diagnoseSRT', () => {
+        const outOfRange = '1\n00:00:01,000 --> 00:00:02,000\nText\n\n2\n00:61:00,000 --> 00:62:00,000\nBroken\n';
+
+        expect(validateSRTFormat(outOfRange)).toBe(false);
+        expect(validateSRTFormat('1\n00:00:59,000 --> 00:00:60,000\nText\n')).toBe(false);
+        expect(diagnoseSRT(outOfRange).valid).toBe(false);
+        expect(() => parseSRT(outOfRange)).toThrow('Invalid timestamp format "00:61:00,000 --> 00:62:00,000" for subtitle 2');
+    });
+
     test('should reject missing timestamp separator', () => {
         const invalidSRT = `1
 00:00:01,000 00:00:04,000
@@ -227,6 +236,39 @@ Line three`;
         expect(result).toHaveLength(1);
         expect(result[0].text).toBe('Line one\n\nLine three');
     });
+
+    test('should move {\\anN} positioning codes into cue settings', () => {
+        const srtContent = `1
+00:00:01,000 --> 00:00:04,000
+{\\an8}Top line
+
+2
+00:00:05,000 --> 00:00:06,000
+{\\an2}Bottom line`;
+
+        expect(parseSRT(srtContent)).toEqual([
+            { index: 1, startTime: '00:00:01,000', endTime: '00:00:04,000', text: 'Top line', settings: { line: '0' } },
+            { index: 2, startTime: '00:00:05,000', endTime: '00:00:06,000', text: 'Bottom line' }
+        ]);
+        expect(parseSRTLenient(srtContent).subtitles).toEqual(parseSRT(srtContent));
+    });
+
+    test('should reject inverted and zero-length cues', () => {
+        expect(() => parseSRT('1\n00:00:05,000 --> 00:00:04,000\nBackwards'))
+            .toThrow('Invalid SRT format: Cue 1 ends before it starts (00:00:05,000 --> 00:00:04,000)');
+        expect(() => parseSRT('1\n00:00:05,000 --> 00:00:05,000\nZero\n\n2\n00:00:07,000 --> 00:00:06,000\nBackwards'))
+            .toThrow('Cue 1 has zero duration (00:00:05,000 --> 00:00:05,000) (and 1 more timing error(s))');
+    });
+
+    test('should apply timing severity overrides', () => {
+        const unordered = '1\n00:00:05,000 --> 00:00:06,000\nLater\n\n2\n00:00:01,000 --> 00:00:02,000\nEarlier';
+
+        expect(parseSRT(unordered)).toHaveLength(2);
+        expect(() => parseSRT(unordered, { timingSeverity: { 'out-of-order': 'error' } }))
+            .toThrow('Cue 2 starts at 00:00:01,000, before the previous cue (00:00:05,000)');
+        expect(parseSRT('1\n00:00:05,000 --> 00:00:04,000\nBackwards', { timingSeverity: { inverted: 'warning' } })).toHaveLength(1);
+        expect(validateSRTFormat('1\n00:00:05,000 --> 00:00:04,000\nBackwards')).toBe(true);
+    });
 });
 
 describe('Timestamp Parsing', () => {
@@ -268,6 +310,8 @@ describe('Timestamp Parsing', () => {
         expect(() => parseTimestamp('01:23:45.678')).toThrow('Invalid timestamp format');
         expect(() => parseTimestamp('01:23:45,67')).toThrow('Invalid timestamp format');
         expect(() => parseTimestamp('01:23:45,6789')).toThrow('Invalid timestamp format');
+        expect(() => parseTimestamp('01:60:45,678')).toThrow('Invalid timestamp format');
+        expect(() => parseTimestamp('01:23:60,678')).toThrow('Invalid timestamp format');
         expect(() => parseTimestamp('invalid')).toThrow('Invalid timestamp format');
     });
 });
@@ -407,4 +451,174 @@ describe('Stress Testing', () => {
         expect(result[0].endTime).toBe('00:00:03,000');
         expect(result[0].text).toBe('Text with extra whitespace');
     });
-});
\ No newline at end of file
+});
+
+describe('Lenient SRT Parsing', () => {
+    const brokenSRT = `1a
+0:00:01.000 --> 00:00:03,000
+Hello world
+5
+00:00:04,000 -> 00:00:06,5
+Second subtitle
+00:00:07,000 --> 00:00:08,000
+No index
+`;
+
+    test('should match strict parsing for valid files', () => {
+        Object.values(validSRTSamples).forEach(sample => {
+            const result = parseSRTLenient(sample);
+            expect(result.subtitles).toEqual(parseSRT(sample));
+            expect(result.repairs).toEqual([]);
+        });
+    });
+
+    test('should recover and renumber cues from a broken file', () => {
+        const { subtitles } = parseSRTLenient(brokenSRT);
+
+        expect(subtitles).toEqual([
+            { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello world' },
+            { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,500', text: 'Second subtitle' },
+            { index: 3, startTime: '00:00:07,000', endTime: '00:00:08,000', text: 'No index' }
+        ]);
+    });
+
+    test('should report every repair with line, kind, original and fixed values', () => {
+        const { repairs } = parseSRTLenient(brokenSRT);
+
+        expect(repairs).toEqual([
+            { line: 1, kind: 'invalid-index', original: '1a', fixed: '1' },
+            { line: 2, kind: 'timestamp-separator', original: '0:00:01.000 --> 00:00:03,000', fixed: '00:00:01,000 --> 00:00:03,000' },
+            { line: 2, kind: 'timestamp-padding', original: '0:00:01.000 --> 00:00:03,000', fixed: '00:00:01,000 --> 00:00:03,000' },
+            { line: 4, kind: 'missing-blank-line', original: '5', fixed: '\n5' },
+            { line: 4, kind: 'renumbered', original: '5', fixed: '2' },
+            { line: 5, kind: 'timestamp-padding', original: '00:00:04,000 -> 00:00:06,5', fixed: '00:00:04,000 --> 00:00:06,500' },
+            { line: 5, kind: 'timestamp-arrow', original: '00:00:04,000 -> 00:00:06,5', fixed: '00:00:04,000 --> 00:00:06,500' },
+            { line: 7, kind: 'missing-blank-line', original: '00:00:07,000 --> 00:00:08,000', fixed: '\n00:00:07,000 --> 00:00:08,000' },
+            { line: 7, kind: 'missing-index', original: '', fixed: '3' }
+        ]);
+    });
+
+    test('should drop empty cues and stray lines before the first cue', () => {
+        const { subtitles, repairs } = parseSRTLenient('Exported by Tool\n\n1\n00:00:01,000 --> 00:00:02,000\nText\n\n2\n00:00:03,000 --> 00:00:04,000\n\n');
+
+        expect(subtitles).toHaveLength(1);
+        expect(repairs).toEqual([
+            { line: 1, kind: 'dropped-line', original: 'Exported by Tool', fixed: '' },
+            { line: 8, kind: 'empty-cue', original: '00:00:03,000 --> 00:00:04,000', fixed: '' }
+        ]);
+    });
+
+    test('should accept colon millisecond separators', () => {
+        const { subtitles, repairs } = parseSRTLenient('1\n00:00:01:000 --> 00:00:02:000\nText');
+
+        expect(subtitles[0].startTime).toBe('00:00:01,000');
+        expect(repairs.map(repair => repair.kind)).toEqual(['timestamp-separator']);
+    });
+
+    test('should throw when nothing can be recovered', () => {
+        expect(() => parseSRTLenient('Just some text')).toThrow('Invalid SRT format: No valid subtitle blocks found');
+        expect(() => parseSRTLenient('')).toThrow('Content must be a non-empty string');
+        expect(() => parseSRTLenient('1\n00:00:01,000 --> 00:00:02,000\n')).toThrow('No valid subtitle blocks found');
+    });
+});
+
+describe('SRT Diagnostics', () => {
+    test('should report valid files without errors', () => {
+        Object.values(validSRTSamples).forEach(sample => {
+            const report = diagnoseSRT(sample);
+            expect(report.valid).toBe(true);
+            expect(report.errorCount).toBe(0);
+            expect(report.cueCount).toBe(parseSRT(sample).length);
+        });
+    });
+
+    test('should collect every problem with line, column, severity, code and suggestion', () => {
+        const report = diagnoseSRT(`1
+00:00:01.000 --> 00:00:03,000
+Hello world
+3
+00:00:04,000 -> 00:00:06,000
+Second subtitle
+`);
+
+        expect(report.valid).toBe(false);
+        expect(report.errorCount).toBe(3);
+        expect(report.warningCount).toBe(1);
+        expect(report.diagnostics).toEqual([
+            {
+                line: 2,
+                column: 9,
+                severity: 'error',
+                code: 'TIMESTAMP_SEPARATOR',
+                message: 'Milliseconds must be separated by a comma',
+                suggestion: 'Change the timing line to "00:00:01,000 --> 00:00:03,000"'
+            },
+            {
+                line: 4,
+                column: 1,
+                severity: 'error',
+                code: 'MISSING_BLANK_LINE',
+                message: 'Subtitle blocks must be separated by a blank line',
+                suggestion: 'Insert a blank line before this line'
+            },
+            {
+                line: 4,
+                column: 1,
+                severity: 'warning',
+                code: 'INDEX_OUT_OF_SEQUENCE',
+                message: 'Subtitle index 3 is out of sequence',
+                suggestion: 'Renumber to 2'
+            },
+            {
+                line: 5,
+                column: 13,
+                severity: 'error',
+                code: 'TIMESTAMP_ARROW',
+                message: 'Timestamps must be separated by " --> "',
+                suggestion: 'Change the timing line to "00:00:04,000 --> 00:00:06,000"'
+            }
+        ]);
+    });
+
+    test('should point at unpadded fields', () => {
+        const [diagnostic] = diagnoseSRT('1\n0:00:01,000 --> 00:00:02,000\nText').diagnostics;
+
+        expect(diagnostic).toMatchObject({ line: 2, column: 1, code: 'TIMESTAMP_PADDING' });
+    });
+
+    test('should flag timing lines that cannot be read', () => {
+        const report = diagnoseSRT('1\n00:00:01,000 --> 00:00:02,000\nText\n\n2\n00:61:00,000 --> 00:62:00,000\nBroken');
+
+        expect(report.diagnostics).toContainEqual(expect.objectContaining({ line: 6, code: 'INVALID_TIMESTAMP', severity: 'error' }));
+    });
+
+    test('should report missing and invalid indexes and empty cues', () => {
+        const codes = diagnoseSRT('abc\n00:00:01,000 --> 00:00:02,000\nOne\n00:00:03,000 --> 00:00:04,000\nTwo\n\n3\n00:00:05,000 --> 00:00:06,000\n')
+            .diagnostics.map(diagnostic => diagnostic.code);
+
+        expect(codes).toEqual(['INVALID_INDEX', 'MISSING_BLANK_LINE', 'MISSING_INDEX', 'EMPTY_CUE']);
+    });
+
+    test('should report timing problems on their timing line', () => {
+        const report = diagnoseSRT('1\n00:00:05,000 --> 00:00:04,000\nBackwards\n\n2\n00:00:03,000 --> 00:00:03,000\nZero\n');
+
+        expect(report.diagnostics.map(diagnostic => [diagnostic.line, diagnostic.severity, diagnostic.code])).toEqual([
+            [2, 'error', 'INVERTED_TIMING'],
+            [6, 'error', 'ZERO_DURATION'],
+            [6, 'warning', 'OUT_OF_ORDER']
+        ]);
+        expect(report.diagnostics[0].suggestion).toBe('Swap the start and end time');
+    });
+
+    test('should report files without subtitles', () => {
+        expect(diagnoseSRT('').diagnostics[0].code).toBe('EMPTY_FILE');
+        expect(diagnoseSRT('Just some text').diagnostics).toEqual([expect.objectContaining({ code: 'NO_SUBTITLES', line: 1 })]);
+        expect(diagnoseSRT(null).valid).toBe(false);
+    });
+
+    test('should agree with strict validation on invalid samples', () => {
+        Object.values(invalidSRTSamples).forEach(sample => {
+            expect(diagnoseSRT(sample).valid).toBe(validateSRTFormat(sample));
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for multi-format subtitle bundles
+ */
+
+const {
+    getSupportedBundleFormats,
+    parseBundleFormats,
+    generateBundle
+} = require('../utils/subtitle-bundle');
+const { COMPLIANCE_PROFILES } = require('../utils/compliance-profiles');
+
+describe('Subtitle Bundle', () => {
+    const subtitles = [
+        { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hallo zusammen.' },
+        { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: '<font color="red">Willkommen</font>!' }
+    ];
+
+    describe('parseBundleFormats', () => {
+        test('should split, normalize and deduplicate the list', () => {
+            expect(parseBundleFormats('vtt, SRT,txt,json,vtt')).toEqual(['vtt', 'srt', 'txt', 'json']);
+        });
+
+        test('should reject empty lists and unknown formats', () => {
+            expect(() => parseBundleFormats(' , ')).toThrow('No bundle formats requested');
+            expect(() => parseBundleFormats('vtt,docx')).toThrow('Unsupported bundle format "docx"');
+        });
+
+        test('should offer every output format plus transcripts and json', () => {
+            expect(getSupportedBundleFormats()).toEqual(['vtt', 'srt', 'ttml', 'sbv', 'lrc', 'txt', 'md', 'json']);
+        });
+    });
+
+    describe('generateBundle', () => {
+        test('should name files <base>.<lang>.<ext> and add a manifest', () => {
+            const { buffer, manifest } = generateBundle(subtitles, ['vtt', 'srt', 'txt', 'json'], {
+                baseName: 'lecture-01',
+                language: 'de',
+                manifest: { encoding: { detected: 'utf8' } }
+            });
+            const files = testUtils.readZipEntries(buffer);
+
+            expect(Object.keys(files)).toEqual([
+                'lecture-01.de.vtt',
+                'lecture-01.de.srt',
+                'lecture-01.de.txt',
+                'lecture-01.de.json',
+                'manifest.json'
+            ]);
+            expect(files['lecture-01.de.vtt'].toString('utf8')).toContain('<c.colorff0000>Willkommen</c>!');
+            expect(files['lecture-01.de.srt'].toString('utf8')).toMatch(/^1\n00:00:01,000 --> 00:00:03,000\n/);
+            expect(files['lecture-01.de.txt'].toString('utf8')).toBe('Hallo zusammen. Willkommen!\n');
+            expect(JSON.parse(files['lecture-01.de.json'].toString('utf8'))[1]).toMatchObject({ start: 4000, end: 6000 });
+            expect(JSON.parse(files['manifest.json'].toString('utf8'))).toEqual(JSON.parse(JSON.stringify(manifest)));
+        });
+
+        test('should record compliance results in the manifest', () => {
+            const { manifest } = generateBundle(subtitles, ['vtt', 'ttml', 'sbv'], { baseName: 'x', language: 'de' });
+
+            expect(manifest.encoding).toBeUndefined();
+            expect(manifest.files.map(file => file.name)).toEqual(['x.de.vtt', 'x.de.ttml', 'x.de.sbv']);
+            expect(manifest.files[0].compliance.bunnyStreamCompatible).toBe(true);
+            expect(manifest.files[0].compliance.warnings).toContain('Converted <font color="red"> to <c.colorff0000> (1 occurrence)');
+            expect(manifest.files[1].compliance.imsc1Compatible).toBe(true);
+            expect(manifest.files[2].compliance).toBeUndefined();
+            expect(manifest.files[0]).toMatchObject({ format: 'vtt', mimeType: 'text/vtt' });
+        });
+
+        test('should pass the compliance options to the compliance checks', () => {
+            const inverted = [{ index: 1, startTime: '00:00:03,000', endTime: '00:00:01,000', text: 'Backwards' }];
+
+            expect(() => generateBundle(inverted, ['vtt'])).toThrow('Failed to generate vtt for the bundle: VTT compliance validation failed');
+
+            const { manifest } = generateBundle(inverted, ['vtt', 'srt'], { complianceOptions: { timingSeverity: { inverted: 'warning' } } });
+            expect(manifest.files[0].compliance.bunnyStreamCompatible).toBe(true);
+            expect(manifest.files[0].compliance.warnings).toHaveLength(1);
+        });
+
+        test('should check VTT files against the requested profile', () => {
+            const { manifest } = generateBundle(subtitles, ['vtt', 'ttml'], { complianceOptions: { profile: COMPLIANCE_PROFILES.html5 } });
+
+            expect(manifest.files[0].compliance).toMatchObject({ html5Compatible: true, profile: 'html5' });
+            expect(manifest.files[0].compliance.checks).not.toHaveProperty('noBOM');
+            expect(manifest.files[1].compliance).toHaveProperty('imsc1Compatible', true);
+            expect(manifest.files[1].compliance).not.toHaveProperty('profile');
+            expect(() => generateBundle(subtitles, ['vtt'], { complianceOptions: { profile: COMPLIANCE_PROFILES.youtube } }))
+                .toThrow('YouTube does not allow: <c>');
+        });
+
+        test('should use "und" when no language was detected', () => {
+            const { manifest } = generateBundle(subtitles, ['md'], { baseName: 'clip' });
+
+            expect(manifest.files[0].name).toBe('clip.und.md');
+        });
+
+        test('should name the format that failed', () => {
+            expect(() => generateBundle([{ startTime: 'bad', endTime: 'bad', text: 'x' }], ['json']))
+                .toThrow('Failed to generate json for the bundle');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the subtitle format registry
+ */
+
+const {
+    getInputFormat,
+    getOutputFormat,
+    getSupportedInputFormats,
+    getSupportedOutputFormats,
+    getSupportedExtensions,
+    isSupportedUpload,
+    detectInputFormat
+} = require('../utils/subtitle-formats');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+describe('Subtitle Format Registry', () => {
+    const vttContent = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n';
+    const assContent = '[Script Info]\nTitle: x\n\n[Events]\nFormat: Start, End, Text\nDialogue: 0:00:01.00,0:00:02.00,Hello\n';
+
+    describe('getInputFormat', () => {
+        test('should return parsers for supported formats', () => {
+            getSupportedInputFormats().forEach(key => {
+                const format = getInputFormat(key);
+                expect(typeof format.parse).toBe('function');
+                expect(typeof format.validate).toBe('function');
+            });
+        });
+
+        test('should be case-insensitive and reject unknown formats', () => {
+            expect(getInputFormat('ASS')).toBe(getInputFormat('ass'));
+            expect(getInputFormat('docx')).toBeNull();
+            expect(getInputFormat(undefined)).toBeNull();
+        });
+    });
+
+    describe('getOutputFormat', () => {
+        test('should return generators for supported formats', () => {
+            expect(getSupportedOutputFormats()).toEqual(expect.arrayContaining(['vtt', 'srt', 'ttml', 'sbv', 'lrc']));
+            getSupportedOutputFormats().forEach(key => {
+                const format = getOutputFormat(key);
+                expect(typeof format.generate).toBe('function');
+                expect(typeof format.base64).toBe('function');
+                expect(typeof (format.checkCompliance || format.validate)).toBe('function');
+                expect(format.mimeConfig()).toEqual({
+                    primary: expect.any(String),
+                    fileExtension: expect.stringMatching(/^\./),
+                    contentType: expect.stringContaining('charset=utf-8')
+                });
+            });
+        });
+
+        test('should be case-insensitive and reject unknown formats', () => {
+            expect(getOutputFormat('TTML')).toBe(getOutputFormat('ttml'));
+            expect(getOutputFormat('docx')).toBeNull();
+        });
+    });
+
+    describe('detectInputFormat', () => {
+        test('should prefer the file extension', () => {
+            expect(detectInputFormat('movie.SRT', vttContent)).toBe('srt');
+            expect(detectInputFormat('movie.vtt', '')).toBe('vtt');
+            expect(detectInputFormat('movie.ssa', '')).toBe('ass');
+            expect(detectInputFormat('movie.dfxp', '')).toBe('ttml');
+            expect(detectInputFormat('upload.sbv', '')).toBe('sbv');
+            expect(detectInputFormat('song.lrc', '')).toBe('lrc');
+            expect(detectInputFormat('cues.json', '')).toBe('json');
+        });
+
+        test('should sniff content for unknown extensions', () => {
+            expect(detectInputFormat('captions.txt', validSRTSamples.simple)).toBe('srt');
+            expect(detectInputFormat('captions.txt', '\uFEFF' + vttContent)).toBe('vtt');
+            expect(detectInputFormat('captions.txt', assContent)).toBe('ass');
+            expect(detectInputFormat('captions.txt', assContent.replace(/^\[Script Info\]\nTitle: x\n\n/, ''))).toBe('ass');
+            expect(detectInputFormat('captions.txt', '0:00:01.000,0:00:02.000\nHi')).toBe('sbv');
+            expect(detectInputFormat('captions.txt', '[ar:Artist]\n[00:01.00]Hi')).toBe('lrc');
+            expect(detectInputFormat('captions.txt', '<?xml version="1.0"?>\n<tt xmlns="http://www.w3.org/ns/ttml"></tt>')).toBe('ttml');
+            expect(detectInputFormat('captions.txt', '[{"start": 0, "end": 1000, "text": "Hi"}]')).toBe('json');
+        });
+
+        test('should sniff between formats sharing the .sub extension', () => {
+            expect(detectInputFormat('archive.sub', '{1}{1}25\n{25}{50}Hello')).toBe('microdvd');
+            expect(detectInputFormat('archive.sub', '[INFORMATION]\n[END INFORMATION]\n00:00:01.00,00:00:02.00\nHi')).toBe('subviewer');
+            expect(detectInputFormat('archive.sub', '00:00:01.00,00:00:02.00\nHi')).toBe('subviewer');
+            expect(detectInputFormat('archive.sub', 'unknown')).toBe('microdvd');
+        });
+
+        test('should return null when the format is unknown', () => {
+            expect(detectInputFormat('notes.txt', 'Just some text')).toBeNull();
+            expect(detectInputFormat('notes.txt', null)).toBeNull();
+        });
+    });
+
+    describe('upload filtering', () => {
+        test('should list all supported extensions', () => {
+            expect(getSupportedExtensions()).toEqual(expect.arrayContaining(['.srt', '.vtt', '.ass', '.ssa', '.sub']));
+            expect(getSupportedExtensions().filter(extension => extension === '.sub')).toHaveLength(1);
+        });
+
+        test('should accept known extensions and MIME types', () => {
+            expect(isSupportedUpload('a.ass', 'application/octet-stream')).toBe(true);
+            expect(isSupportedUpload('a.bin', 'text/vtt')).toBe(true);
+            expect(isSupportedUpload('a.txt', 'text/plain')).toBe(true);
+            expect(isSupportedUpload('cues', 'application/json')).toBe(true);
+            expect(isSupportedUpload('a.pdf', 'application/pdf')).toBe(false);
+        });
+    });
+});
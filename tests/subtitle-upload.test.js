@@ -0,0 +1,101 @@
+/**
+ * Unit tests for reading and parsing subtitle uploads
+ */
+
+const { readSubtitleUpload, parseUploadedSubtitles } = require('../utils/subtitle-upload');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+/**
+ * Builds the parts of an Express request the upload helpers read
+ * @param {Object} options - {file, body, query, json}
+ * @returns {Object} - Request stand-in
+ */
+function createRequest({ file, body = {}, query = {}, json = false } = {}) {
+    return { file, body, query, is: type => json && type === 'application/json' };
+}
+
+/**
+ * Builds a multer-style uploaded file
+ * @param {string} content - File content
+ * @param {string} originalname - File name
+ * @returns {Object} - Uploaded file
+ */
+function createFile(content, originalname) {
+    const buffer = Buffer.from(content, 'utf8');
+    return { originalname, mimetype: 'application/octet-stream', buffer, size: buffer.length };
+}
+
+describe('Subtitle Upload', () => {
+    describe('readSubtitleUpload', () => {
+        test('should return the file and the input parameters', () => {
+            const file = createFile(validSRTSamples.simple, 'test.srt');
+            const upload = readSubtitleUpload(createRequest({ file, body: { fps: '25' }, query: { inputFormat: 'SRT' } }));
+
+            expect(upload).toEqual({ file, requestedInputFormat: 'SRT', fps: 25 });
+        });
+
+        test('should read a JSON body of cues as a .json file', () => {
+            const cues = [{ start: 0, end: 1000, text: 'Hi' }];
+            const upload = readSubtitleUpload(createRequest({ body: { cues, filename: 'clip.json' }, json: true }));
+
+            expect(upload.file.originalname).toBe('clip.json');
+            expect(JSON.parse(upload.file.buffer.toString('utf8'))).toEqual(cues);
+        });
+
+        test('should throw errors carrying their response body', () => {
+            const file = createFile(validSRTSamples.simple, 'test.srt');
+            const cases = [
+                [createRequest(), { error: 'File Upload Error', message: 'No SRT file provided', stage: 'upload' }],
+                [createRequest({ file: createFile('', 'empty.srt') }), { error: 'File Upload Error', message: 'Uploaded file is empty' }],
+                [createRequest({ file, query: { inputFormat: 'stl' } }), { error: 'Invalid Parameter', message: expect.stringContaining('Unsupported input format "stl"') }],
+                [createRequest({ file, body: { fps: '-1' } }), { error: 'Invalid Parameter', message: expect.stringContaining('Invalid frame rate "-1"') }]
+            ];
+
+            cases.forEach(([req, response]) => {
+                expect(() => readSubtitleUpload(req)).toThrow(expect.objectContaining({ response: expect.objectContaining(response) }));
+            });
+        });
+    });
+
+    describe('parseUploadedSubtitles', () => {
+        test('should detect the format and parse the file', () => {
+            const upload = { file: createFile('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n', 'clip.vtt') };
+            const result = parseUploadedSubtitles(upload);
+
+            expect(result).toMatchObject({ detectedEncoding: 'utf8', inputFormat: 'vtt', frameRate: null, repairs: [] });
+            expect(result.subtitles).toEqual([{ index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'Hello' }]);
+        });
+
+        test('should let options.inputFormat override the requested format', () => {
+            const upload = { file: createFile('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n', 'clip.txt'), requestedInputFormat: 'srt' };
+
+            expect(parseUploadedSubtitles(upload, { inputFormat: 'vtt' }).inputFormat).toBe('vtt');
+        });
+
+        test('should read the MicroDVD frame rate from the request or the file', () => {
+            const file = createFile('{25}{50}Hello\n', 'clip.sub');
+
+            expect(parseUploadedSubtitles({ file, fps: 25 }).subtitles[0]).toMatchObject({ startTime: '00:00:01,000', endTime: '00:00:02,000' });
+            expect(() => parseUploadedSubtitles({ file })).toThrow('files are frame-based');
+            expect(parseUploadedSubtitles({ file: createFile('{1}{1}25\n{25}{50}Hello\n', 'clip.sub') }).frameRate).toBe(25);
+        });
+
+        test('should parse SRT leniently in lenient mode only', () => {
+            const srt = '1\n00:00:01.000 -> 00:00:02.000\nHello\n';
+
+            expect(parseUploadedSubtitles({ file: createFile(srt, 'test.srt') }, { mode: 'lenient' }).repairs.length).toBeGreaterThan(0);
+            expect(() => parseUploadedSubtitles({ file: createFile(srt, 'test.srt') }))
+                .toThrow(expect.objectContaining({ response: expect.objectContaining({ error: 'Format Validation Error', stage: 'validation' }) }));
+            expect(() => parseUploadedSubtitles({ file: createFile('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n', 'clip.vtt') }, { mode: 'lenient' }))
+                .toThrow('Lenient mode is only available for SRT input, not VTT');
+        });
+
+        test('should pass timingSeverity to the parser', () => {
+            const srt = '1\n00:00:02,000 --> 00:00:01,000\nInverted\n';
+            const upload = { file: createFile(srt, 'test.srt') };
+
+            expect(() => parseUploadedSubtitles(upload)).toThrow(expect.objectContaining({ response: expect.objectContaining({ error: 'SRT Parsing Error' }) }));
+            expect(parseUploadedSubtitles(upload, { timingSeverity: { inverted: 'warning' } }).subtitles).toHaveLength(1);
+        });
+    });
+});
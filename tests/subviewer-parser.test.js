@@ -0,0 +1,79 @@
+/**
+ * Unit tests for SubViewer parsing
+ */
+
+const { validateSubViewerFormat, parseSubViewer, convertSubViewerText } = require('../utils/subviewer-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('SubViewer Parser', () => {
+    const sampleSubViewer = `[INFORMATION]
+[TITLE]Archive Tape
+[AUTHOR]
+[SOURCE]
+[PRG]
+[FILEPATH]
+[DELAY]0
+[CD TRACK]0
+[COMMENT]
+[END INFORMATION]
+[SUBTITLE]
+[COLF]&HFFFFFF,[STYLE]bd,[SIZE]18,[FONT]Arial
+00:00:01.00,00:00:03.50
+Hello world
+
+00:00:04.00,00:00:06.00
+First line[br]Second line
+
+00:00:07.00,00:00:08.00
+Pipe|separated
+`;
+
+    describe('parseSubViewer', () => {
+        test('should parse SubViewer 2 files', () => {
+            expect(parseSubViewer(sampleSubViewer)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,500', text: 'Hello world' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'First line\nSecond line' },
+                { index: 3, startTime: '00:00:07,000', endTime: '00:00:08,000', text: 'Pipe\nseparated' }
+            ]);
+        });
+
+        test('should parse files without header', () => {
+            const subtitles = parseSubViewer('00:00:01.00,00:00:02.00\nNo header\r\n');
+
+            expect(subtitles).toHaveLength(1);
+            expect(subtitles[0].text).toBe('No header');
+        });
+
+        test('should accept millisecond precision', () => {
+            expect(parseSubViewer('00:00:01.250,00:00:02.500\nms')[0].startTime).toBe('00:00:01,250');
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseSubViewer('Random text\n')).toThrow('Invalid SubViewer format: Unexpected content "Random text" at line 1');
+            expect(() => parseSubViewer('00:00:01.00,00:00:02.00\nOk\n\n00:00:03,00 00:00:04,00\nBad\n'))
+                .toThrow('Invalid timing line "00:00:03,00 00:00:04,00" at line 4');
+            expect(() => parseSubViewer('[INFORMATION]\n[END INFORMATION]\n')).toThrow('No valid subtitle blocks found');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseSubViewer(sampleSubViewer));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+            expect(vttContent).not.toContain('[br]');
+        });
+    });
+
+    describe('validateSubViewerFormat', () => {
+        test('should validate content', () => {
+            expect(validateSubViewerFormat(sampleSubViewer)).toBe(true);
+            expect(validateSubViewerFormat('{1}{25}MicroDVD')).toBe(false);
+            expect(validateSubViewerFormat('')).toBe(false);
+        });
+    });
+
+    describe('convertSubViewerText', () => {
+        test('should translate [br] and | separators', () => {
+            expect(convertSubViewerText('One[BR]Two|Three')).toBe('One\nTwo\nThree');
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for timestamp conversion helpers
+ */
+
+const { timestampToMs, msToTimestamp, isValidFrameRate } = require('../utils/timestamp');
+
+describe('Timestamp Conversion', () => {
+    describe('timestampToMs', () => {
+        test('should parse SRT timestamps', () => {
+            expect(timestampToMs('00:00:01,500')).toBe(1500);
+            expect(timestampToMs('01:23:45,678')).toBe(5025678);
+        });
+
+        test('should parse VTT timestamps with and without hours', () => {
+            expect(timestampToMs('00:01:02.003')).toBe(62003);
+            expect(timestampToMs('01:02.003')).toBe(62003);
+            expect(timestampToMs('100:00:00.000')).toBe(360000000);
+        });
+
+        test('should reject invalid timestamps', () => {
+            expect(() => timestampToMs('')).toThrow('Invalid timestamp: must be a non-empty string');
+            expect(() => timestampToMs(null)).toThrow('Invalid timestamp: must be a non-empty string');
+            expect(() => timestampToMs('00:60:00,000')).toThrow('Invalid timestamp format');
+            expect(() => timestampToMs('00:00:01,00')).toThrow('Invalid timestamp format');
+            expect(() => timestampToMs('1.000')).toThrow('Invalid timestamp format');
+        });
+    });
+
+    describe('msToTimestamp', () => {
+        test('should format milliseconds as SRT timestamps', () => {
+            expect(msToTimestamp(0)).toBe('00:00:00,000');
+            expect(msToTimestamp(62003)).toBe('00:01:02,003');
+            expect(msToTimestamp(5025678)).toBe('01:23:45,678');
+        });
+
+        test('should support a custom separator', () => {
+            expect(msToTimestamp(1500, '.')).toBe('00:00:01.500');
+        });
+
+        test('should round fractional milliseconds', () => {
+            expect(msToTimestamp(1000.6)).toBe('00:00:01,001');
+        });
+
+        test('should reject negative, non-numeric and out-of-range values', () => {
+            expect(() => msToTimestamp(-1)).toThrow('Invalid time value');
+            expect(() => msToTimestamp(NaN)).toThrow('Invalid time value');
+            expect(() => msToTimestamp('1000')).toThrow('Invalid time value');
+            expect(() => msToTimestamp(100 * 3600000)).toThrow('exceeds maximum timestamp');
+        });
+
+        test('should round-trip with timestampToMs', () => {
+            ['00:00:00,000', '00:59:59,999', '12:34:56,789', '99:59:59,999'].forEach(timestamp => {
+                expect(msToTimestamp(timestampToMs(timestamp))).toBe(timestamp);
+            });
+        });
+    });
+
+    describe('isValidFrameRate', () => {
+        test('should accept common frame rates', () => {
+            [23.976, 24, 25, 29.97, 30, 50, 59.94, 60].forEach(fps => {
+                expect(isValidFrameRate(fps)).toBe(true);
+            });
+        });
+
+        test('should reject invalid values', () => {
+            [0, -25, NaN, Infinity, '25', null, undefined, 1001].forEach(fps => {
+                expect(isValidFrameRate(fps)).toBe(false);
+            });
+        });
+    });
+});
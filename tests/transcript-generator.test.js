@@ -0,0 +1,96 @@
+/**
+ * Unit tests for transcript generation
+ */
+
+const {
+    buildTranscriptParagraphs,
+    generatePlainTranscript,
+    generateMarkdownTranscript,
+    generateTranscript,
+    getTranscriptMimeTypeConfig
+} = require('../utils/transcript-generator');
+
+describe('Transcript Generator', () => {
+    const subtitles = [
+        { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Welcome to the <i>course</i>.' },
+        { index: 2, startTime: '00:00:03,500', endTime: '00:00:05,000', text: 'Today we cover\ntwo topics' },
+        { index: 3, startTime: '00:00:09,000', endTime: '00:00:11,000', text: 'and a bonus.' },
+        { index: 4, startTime: '00:00:15,000', endTime: '00:00:17,000', text: '{\\an8}First, R&amp;D *basics*.' },
+        { index: 5, startTime: '00:01:20,000', endTime: '00:01:22,000', text: 'Second, practice!' }
+    ];
+
+    describe('buildTranscriptParagraphs', () => {
+        test('should break paragraphs only after a sentence followed by a pause', () => {
+            const paragraphs = buildTranscriptParagraphs(subtitles);
+
+            expect(paragraphs.map(paragraph => paragraph.cues.map(cue => cue.text))).toEqual([
+                ['Welcome to the course.', 'Today we cover two topics', 'and a bonus.'],
+                ['First, R&D *basics*.'],
+                ['Second, practice!']
+            ]);
+            expect(paragraphs[0]).toMatchObject({ start: 1000, end: 11000 });
+        });
+
+        test('should honour a custom pause threshold', () => {
+            expect(buildTranscriptParagraphs(subtitles, { pauseThreshold: 500 })).toHaveLength(4);
+            expect(buildTranscriptParagraphs(subtitles, { pauseThreshold: 120000 })).toHaveLength(1);
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => buildTranscriptParagraphs(null)).toThrow('Invalid input: subtitles must be an array');
+            expect(() => buildTranscriptParagraphs([{ startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<b></b>' }]))
+                .toThrow('No subtitle text available for the transcript');
+            expect(() => buildTranscriptParagraphs([{ startTime: 'x', endTime: '00:00:02,000', text: 'Hi' }]))
+                .toThrow('Error processing subtitle at index 0');
+        });
+    });
+
+    describe('generatePlainTranscript', () => {
+        test('should separate paragraphs with blank lines', () => {
+            expect(generatePlainTranscript(subtitles)).toBe(
+                'Welcome to the course. Today we cover two topics and a bonus.\n\n' +
+                'First, R&D *basics*.\n\n' +
+                'Second, practice!\n'
+            );
+        });
+
+        test('should insert time markers every N seconds', () => {
+            expect(generatePlainTranscript(subtitles, { markerInterval: 10 })).toBe(
+                '[00:00:01] Welcome to the course. Today we cover two topics and a bonus.\n\n' +
+                '[00:00:15] First, R&D *basics*.\n\n' +
+                '[00:01:20] Second, practice!\n'
+            );
+        });
+    });
+
+    describe('generateMarkdownTranscript', () => {
+        test('should write a timestamped heading per paragraph and escape Markdown', () => {
+            expect(generateMarkdownTranscript(subtitles, { title: 'Lesson_1' })).toBe(
+                '# Lesson\\_1\n\n' +
+                '## 00:00:01\n\nWelcome to the course. Today we cover two topics and a bonus.\n\n' +
+                '## 00:00:15\n\nFirst, R&D \\*basics\\*.\n\n' +
+                '## 00:01:20\n\nSecond, practice!\n'
+            );
+        });
+    });
+
+    describe('generateTranscript', () => {
+        test('should dispatch on the format key', () => {
+            expect(generateTranscript(subtitles, 'txt')).toBe(generatePlainTranscript(subtitles));
+            expect(generateTranscript(subtitles, 'md')).toBe(generateMarkdownTranscript(subtitles));
+            expect(() => generateTranscript(subtitles, 'pdf')).toThrow('Unsupported transcript format: pdf');
+        });
+    });
+
+    describe('getTranscriptMimeTypeConfig', () => {
+        test('should return MIME configuration for supported formats', () => {
+            expect(getTranscriptMimeTypeConfig('txt')).toEqual({
+                primary: 'text/plain',
+                fileExtension: '.txt',
+                contentType: 'text/plain; charset=utf-8'
+            });
+            expect(getTranscriptMimeTypeConfig('md').fileExtension).toBe('.md');
+            expect(getTranscriptMimeTypeConfig('file')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for TTML (IMSC1) generation
+ */
+
+const {
+    convertCueTextToTTML,
+    getTTMLDroppedCues,
+    generateTTML,
+    validateIMSC1Compliance,
+    generateTTMLBase64Output,
+    getTTMLMimeTypeConfig
+} = require('../utils/ttml-generator');
+const { parseTTML } = require('../utils/ttml-parser');
+const { parseSRT } = require('../utils/srt-parser');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+describe('TTML Generator', () => {
+    const subtitles = [
+        { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello & <b>welcome</b>' },
+        { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,500', text: 'First line\nSecond line' }
+    ];
+
+    describe('generateTTML', () => {
+        test('should generate an IMSC1 text profile document', () => {
+            const ttml = generateTTML(subtitles, { language: 'en' });
+
+            expect(ttml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<tt xmlns="http://www.w3.org/ns/ttml"')).toBe(true);
+            expect(ttml).toContain('ttp:profile="http://www.w3.org/ns/ttml/profile/imsc1/text"');
+            expect(ttml).toContain('xml:lang="en"');
+            expect(ttml).toContain('<p xml:id="c1" begin="00:00:01.000" end="00:00:03.000">Hello &amp; <span tts:fontWeight="bold">welcome</span></p>');
+            expect(ttml).toContain('<p xml:id="c2" begin="00:00:04.000" end="00:00:06.500">First line<br/>Second line</p>');
+        });
+
+        test('should round-trip through the TTML parser', () => {
+            const original = parseSRT(validSRTSamples.simple);
+
+            expect(parseTTML(generateTTML(original))).toEqual(original);
+        });
+
+        test('should default to an undetermined language', () => {
+            expect(generateTTML(subtitles)).toContain('xml:lang=""');
+        });
+
+        test('should skip cues that hold only markup', () => {
+            const withEmpty = [{ index: 1, startTime: '00:00:00,500', endTime: '00:00:00,900', text: '<i></i>' }, ...subtitles];
+            const ttml = generateTTML(withEmpty);
+
+            expect(ttml).not.toContain('xml:id="c1"');
+            expect(ttml).toContain('xml:id="c2"');
+            expect(getTTMLDroppedCues(withEmpty)).toEqual([1]);
+            expect(validateIMSC1Compliance(ttml).isValid).toBe(true);
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => generateTTML('x')).toThrow('Invalid input: subtitles must be an array');
+            expect(() => generateTTML([])).toThrow('No subtitles provided for TTML generation');
+            expect(() => generateTTML([{ startTime: '00:00:01,000', endTime: '00:00:02,000', text: ' ' }]))
+                .toThrow('No subtitles with text left for TTML generation');
+            expect(() => generateTTML([{ startTime: 'bad', endTime: '00:00:02,000', text: 'x' }]))
+                .toThrow('Error processing subtitle at index 0');
+        });
+    });
+
+    describe('convertCueTextToTTML', () => {
+        test('should map markup tags to styled spans', () => {
+            expect(convertCueTextToTTML('<i>a</i> <u>b</u>')).toBe('<span tts:fontStyle="italic">a</span> <span tts:textDecoration="underline">b</span>');
+        });
+
+        test('should drop unsupported markup and keep the output well-formed', () => {
+            expect(convertCueTextToTTML('<font color="red">red</font>')).toBe('red');
+            expect(convertCueTextToTTML('<b><i>x</b>y</i>')).toBe('<span tts:fontWeight="bold"><span tts:fontStyle="italic">x</span></span><span tts:fontStyle="italic">y</span>');
+            expect(convertCueTextToTTML('<i>open')).toBe('<span tts:fontStyle="italic">open</span>');
+            expect(convertCueTextToTTML('1 < 2')).toBe('1 &lt; 2');
+        });
+    });
+
+    describe('validateIMSC1Compliance', () => {
+        test('should pass for generated documents', () => {
+            const result = validateIMSC1Compliance(generateTTML(subtitles, { language: 'en' }));
+
+            expect(result.isValid).toBe(true);
+            expect(Object.values(result.compliance).every(Boolean)).toBe(true);
+            expect(result.errors).toEqual([]);
+            expect(result.warnings).toEqual([]);
+        });
+
+        test('should warn about an undetermined language', () => {
+            const result = validateIMSC1Compliance(generateTTML(subtitles));
+
+            expect(result.isValid).toBe(true);
+            expect(result.warnings).toContain('Document language is undetermined (xml:lang is empty).');
+        });
+
+        test('should report missing profile, language and invalid timing', () => {
+            const result = validateIMSC1Compliance(`<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:timeBase="smpte">
+<body><div><p begin="00:00:02.000" end="00:00:01.000">x</p><p begin="00:00:01:10" end="3s">y</p></div></body></tt>`);
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.hasIMSC1TextProfile).toBe(false);
+            expect(result.compliance.hasLanguage).toBe(false);
+            expect(result.compliance.mediaTimeBase).toBe(false);
+            expect(result.compliance.validTimeExpressions).toBe(false);
+            expect(result.errors).toEqual(expect.arrayContaining([
+                'Root element is missing the xml:lang attribute',
+                'End time must be after begin time (line 2)',
+                'Frame-based time expression "00:00:01:10" requires ttp:frameRate (line 2)'
+            ]));
+        });
+
+        test('should reject malformed XML and BOM', () => {
+            const malformed = validateIMSC1Compliance('<tt>');
+            expect(malformed.isValid).toBe(false);
+            expect(malformed.compliance.wellFormedXML).toBe(false);
+
+            const withBOM = validateIMSC1Compliance('\uFEFF' + generateTTML(subtitles, { language: 'en' }));
+            expect(withBOM.isValid).toBe(false);
+            expect(withBOM.compliance.noBOM).toBe(false);
+        });
+
+        test('should reject images', () => {
+            const ttml = generateTTML(subtitles, { language: 'en' }).replace('<div>', '<div><image src="x.png"/>');
+            const result = validateIMSC1Compliance(ttml);
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.noImages).toBe(false);
+        });
+    });
+
+    describe('output helpers', () => {
+        test('should encode Base64 output', () => {
+            const ttml = generateTTML(subtitles);
+            const result = generateTTMLBase64Output(ttml);
+
+            expect(Buffer.from(result.content, 'base64').toString('utf8')).toBe(ttml);
+            expect(result.mimeType).toBe('application/ttml+xml');
+            expect(() => generateTTMLBase64Output('')).toThrow('Invalid TTML content for Base64 encoding');
+        });
+
+        test('should provide the MIME type configuration', () => {
+            expect(getTTMLMimeTypeConfig()).toEqual({
+                primary: 'application/ttml+xml',
+                fileExtension: '.ttml',
+                contentType: 'application/ttml+xml; charset=utf-8'
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for TTML/DFXP parsing
+ */
+
+const { validateTTMLFormat, parseTTML, parseTTMLTime, getTimingParameters } = require('../utils/ttml-parser');
+const { parseXML } = require('../utils/xml-parser');
+const { generateVTT, validateBunnyStreamCompliance } = require('../utils/vtt-generator');
+
+describe('TTML Parser', () => {
+    const sampleTTML = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xml:lang="en">
+  <head>
+    <styling>
+      <style xml:id="italic" tts:fontStyle="italic"/>
+    </styling>
+  </head>
+  <body>
+    <div>
+      <p begin="00:00:01.000" end="00:00:03.500">Hello
+        world</p>
+      <p begin="00:00:04.000" end="00:00:06.000">First line<br/>Second line</p>
+      <p begin="00:00:07.000" end="00:00:08.000" style="italic">Styled <span tts:fontWeight="bold">bold</span></p>
+    </div>
+  </body>
+</tt>`;
+
+    describe('parseTTML', () => {
+        test('should parse paragraphs, line breaks and styles', () => {
+            expect(parseTTML(sampleTTML)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,500', text: 'Hello world' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'First line\nSecond line' },
+                { index: 3, startTime: '00:00:07,000', endTime: '00:00:08,000', text: '<i>Styled <b>bold</b></i>' }
+            ]);
+        });
+
+        test('should parse DFXP documents with prefixed elements', () => {
+            const dfxp = `<tt:tt xmlns:tt="http://www.w3.org/2006/10/ttaf1" xmlns:tts="http://www.w3.org/2006/10/ttaf1#styling">
+<tt:body><tt:div>
+<tt:p begin="1s" dur="2s"><tt:span tts:fontStyle="italic">DFXP</tt:span></tt:p>
+</tt:div></tt:body></tt:tt>`;
+
+            expect(parseTTML(dfxp)).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: '<i>DFXP</i>' }
+            ]);
+        });
+
+        test('should use ttp:frameRate and ttp:tickRate for time expressions', () => {
+            const content = `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25" ttp:tickRate="10000000">
+<body><div>
+<p begin="00:00:01:12" end="00:00:02:00">Frames</p>
+<p begin="30000000t" end="40000000t">Ticks</p>
+<p begin="125f" end="150f">Offset frames</p>
+</div></body></tt>`;
+
+            expect(parseTTML(content).map(cue => [cue.startTime, cue.endTime])).toEqual([
+                ['00:00:01,480', '00:00:02,000'],
+                ['00:00:03,000', '00:00:04,000'],
+                ['00:00:05,000', '00:00:06,000']
+            ]);
+        });
+
+        test('should offset paragraph times by their container begin and sort cues', () => {
+            const content = `<tt xmlns="http://www.w3.org/ns/ttml"><body>
+<div begin="10s"><p begin="1s" end="2s">Later</p></div>
+<div><p begin="1s" end="2s">Earlier</p></div>
+</body></tt>`;
+
+            expect(parseTTML(content).map(cue => [cue.startTime, cue.text])).toEqual([
+                ['00:00:01,000', 'Earlier'],
+                ['00:00:11,000', 'Later']
+            ]);
+        });
+
+        test('should inherit the end time from the container', () => {
+            const content = '<tt xmlns="http://www.w3.org/ns/ttml"><body><div begin="0s" end="5s"><p begin="1s">Open</p></div></body></tt>';
+
+            expect(parseTTML(content)[0].endTime).toBe('00:00:05,000');
+        });
+
+        test('should throw descriptive errors', () => {
+            expect(() => parseTTML('<html><body/></html>')).toThrow('Invalid TTML format: Root element must be <tt>, found <html>');
+            expect(() => parseTTML('<tt><head/></tt>')).toThrow('Missing <body> element');
+            expect(() => parseTTML('<tt><body><p begin="1s">x</p></body></tt>')).toThrow('Missing end time for <p> at line 1');
+            expect(() => parseTTML('<tt><body><p begin="soon" end="2s">x</p></body></tt>')).toThrow('Invalid TTML time expression: soon at line 1');
+            expect(() => parseTTML('<tt><body><div/></body></tt>')).toThrow('No <p> elements with text found');
+        });
+
+        test('should produce Bunny Stream compliant VTT', () => {
+            const vttContent = generateVTT(parseTTML(sampleTTML));
+
+            expect(validateBunnyStreamCompliance(vttContent).isValid).toBe(true);
+            expect(vttContent).toContain('First line\nSecond line');
+        });
+    });
+
+    describe('parseTTMLTime', () => {
+        test('should parse clock times', () => {
+            expect(parseTTMLTime('00:00:01.5')).toBe(1500);
+            expect(parseTTMLTime('01:02:03')).toBe(3723000);
+            expect(parseTTMLTime('00:00:01:15')).toBe(1500);
+        });
+
+        test('should parse offset times', () => {
+            expect(parseTTMLTime('1.5s')).toBe(1500);
+            expect(parseTTMLTime('250ms')).toBe(250);
+            expect(parseTTMLTime('0.5m')).toBe(30000);
+            expect(parseTTMLTime('1h')).toBe(3600000);
+            expect(parseTTMLTime('30f')).toBe(1000);
+            expect(parseTTMLTime('10t', { frameRate: 30, subFrameRate: 1, tickRate: 10 })).toBe(1000);
+        });
+
+        test('should reject invalid expressions', () => {
+            expect(() => parseTTMLTime('1.5')).toThrow('Invalid TTML time expression: 1.5');
+            expect(() => parseTTMLTime('00:01.000')).toThrow('Invalid TTML time expression');
+        });
+    });
+
+    describe('getTimingParameters', () => {
+        test('should apply the frame rate multiplier', () => {
+            const root = parseXML('<tt xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="30" ttp:frameRateMultiplier="1000 1001"/>');
+            const timing = getTimingParameters(root);
+
+            expect(timing.frameRate).toBeCloseTo(29.97, 2);
+            expect(timing.tickRate).toBeCloseTo(29.97, 2);
+        });
+
+        test('should default to 30 fps and one tick per second', () => {
+            expect(getTimingParameters(parseXML('<tt/>'))).toEqual({ frameRate: 30, subFrameRate: 1, tickRate: 1 });
+        });
+    });
+
+    describe('validateTTMLFormat', () => {
+        test('should validate content', () => {
+            expect(validateTTMLFormat(sampleTTML)).toBe(true);
+            expect(validateTTMLFormat('<tt><body>')).toBe(false);
+            expect(validateTTMLFormat(null)).toBe(false);
+        });
+    });
+});
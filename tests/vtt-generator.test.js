@@ -3,8 +3,9 @@
  * Validates Bunny Stream compatibility and proper format conversion
  */
 
-const { convertTimestamp, generateVTT, validateVTTFormat, validateBunnyStreamCompliance, generateBase64Output, getVTTMimeTypeConfig } = require('../utils/vtt-generator');
+const { convertTimestamp, generateVTT, getVTTMarkupWarnings, validateVTTFormat, validateProfileCompliance, validateBunnyStreamCompliance, normalizeVTT, generateBase64Output, getVTTMimeTypeConfig } = require('../utils/vtt-generator');
 const { parseSRT } = require('../utils/srt-parser');
+const { COMPLIANCE_PROFILES, parseComplianceProfile } = require('../utils/compliance-profiles');
 const { validSRTSamples, expectedVTTOutputs, edgeCaseSRTSamples } = require('./fixtures/test-data');
 
 describe('VTT Generator Module', () => {
@@ -148,6 +149,72 @@ describe('VTT Generator Module', () => {
             expect(result).toContain('Hällö Wörld! Tschüß!');
         });
 
+        test('should translate SRT font colours into classes with a STYLE block', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: '<font color="#ff0">Yellow</font> {\\an8}text' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: '<font face="Arial"><i>Plain</i></font>' }
+            ];
+
+            const result = generateVTT(subtitles);
+
+            expect(result).toBe(`WEBVTT
+
+STYLE
+::cue(.colorffff00) {
+  color: #ffff00;
+}
+
+00:00:01.000 --> 00:00:02.000
+<c.colorffff00>Yellow</c> text
+
+00:00:03.000 --> 00:00:04.000
+<i>Plain</i>
+
+`);
+            expect(validateBunnyStreamCompliance(result).isValid).toBe(true);
+            expect(getVTTMarkupWarnings(subtitles)).toEqual([
+                'Converted <font color="#ff0"> to <c.colorffff00> (1 occurrence)',
+                'Removed markup not supported by WebVTT: {\\an8} (1 occurrence)',
+                'Removed markup not supported by WebVTT: <font face="Arial"> (1 occurrence)'
+            ]);
+        });
+
+        test('should escape reserved characters and embedded arrows in cue text', () => {
+            const result = generateVTT([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'Tom & Jerry <i>say</i> 1 < 2' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: 'Next --> there &amp; back' }
+            ]);
+
+            expect(result).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nTom &amp; Jerry <i>say</i> 1 &lt; 2\n\n' +
+                '00:00:03.000 --> 00:00:04.000\nNext --&gt; there &amp; back\n\n');
+            expect(validateBunnyStreamCompliance(result).isValid).toBe(true);
+        });
+
+        test('should write cue settings on the timing line', () => {
+            const result = generateVTT([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'Top', settings: { line: '0', position: '90%', align: 'end' } }
+            ]);
+
+            expect(result).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:02.000 line:0 position:90% align:end\nTop\n\n');
+            expect(validateBunnyStreamCompliance(result).compliance.validCueSettings).toBe(true);
+        });
+
+        test('should write cue identifiers only when the policy requires them', () => {
+            const subtitles = [
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:02,000', text: 'One', identifier: 'intro' },
+                { index: 2, startTime: '00:00:03,000', endTime: '00:00:04,000', text: 'Two' },
+                { index: 3, startTime: '00:00:05,000', endTime: '00:00:06,000', text: 'Three', identifier: 'a --> b' }
+            ];
+            const required = parseComplianceProfile('{"extends": "html5", "cueIdentifiers": "required"}');
+
+            const result = generateVTT(subtitles, { cueIdentifiers: 'required' });
+
+            expect(result).toBe('WEBVTT\n\nintro\n00:00:01.000 --> 00:00:02.000\nOne\n\n' +
+                '2\n00:00:03.000 --> 00:00:04.000\nTwo\n\n3\n00:00:05.000 --> 00:00:06.000\nThree\n\n');
+            expect(validateProfileCompliance(result, required).isValid).toBe(true);
+            expect(generateVTT(subtitles)).not.toContain('intro');
+        });
+
         test('should throw error for invalid input', () => {
             expect(() => generateVTT(null)).toThrow('Invalid input: subtitles must be an array');
             expect(() => generateVTT(undefined)).toThrow('Invalid input: subtitles must be an array');
@@ -415,6 +482,58 @@ Third subtitle with special chars: äöü
             expect(result.warnings).toContain('WEBVTT header should not have leading or trailing whitespace.');
         });
 
+        test('should flag unescaped characters in cue text', () => {
+            const result = validateBunnyStreamCompliance('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nTom & Jerry <i>ok</i>\n\n' +
+                '00:00:04.000 --> 00:00:05.000\n3 < 4 &amp; 5 &gt; 4\n\n');
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.escapedCueText).toBe(false);
+            expect(result.compliance.noEmbeddedArrows).toBe(true);
+            expect(result.errors).toContain('Cue text contains unescaped &, < or > characters (lines 4, 7). Use &amp;, &lt; and &gt;');
+        });
+
+        test('should flag "-->" embedded in cue text', () => {
+            const result = validateBunnyStreamCompliance('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nNext --> there\n\n');
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.noEmbeddedArrows).toBe(false);
+            expect(result.errors).toContain('Cue text contains "-->", which ends the cue early (line 4)');
+        });
+
+        test('should accept escaped text, cue tags and cue settings', () => {
+            const result = validateBunnyStreamCompliance('WEBVTT\n\n00:00:01.000 --> 00:00:03.000 line:0\n' +
+                '<v Tom>Tom &amp; Jerry</v> &lt;3 <c.colorffff00>yes</c> <00:00:02.000>--&gt;\n\n');
+
+            expect(result.isValid).toBe(true);
+            expect(result.compliance.escapedCueText).toBe(true);
+        });
+
+        test('should flag invalid cue settings', () => {
+            const result = validateBunnyStreamCompliance('WEBVTT\n\n00:00:01.000 --> 00:00:03.000 line:top align:start size\nHello\n\n');
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.validCueSettings).toBe(false);
+            expect(result.errors).toContain('Invalid cue settings: invalid value in "line:top" (line 3); invalid value in "size" (line 3)');
+        });
+
+        test('should check cue timing', () => {
+            const result = validateBunnyStreamCompliance('WEBVTT\n\n00:00:05.000 --> 00:00:04.000\nBackwards\n\n' +
+                '00:00:01.000 --> 00:00:02.000\nEarlier\n\n');
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.validCueTiming).toBe(false);
+            expect(result.errors).toContain('Invalid cue timing: Cue 1 ends before it starts (00:00:05.000 --> 00:00:04.000) (line 3)');
+            expect(result.warnings).toContain('Cue 2 starts at 00:00:01.000, before the previous cue (00:00:05.000) (line 6)');
+        });
+
+        test('should apply timing severity overrides', () => {
+            const content = 'WEBVTT\n\n00:00:05.000 --> 00:00:06.000\nLater\n\n00:00:01.000 --> 00:00:02.000\nEarlier\n\n';
+
+            expect(validateBunnyStreamCompliance(content).isValid).toBe(true);
+            expect(validateBunnyStreamCompliance(content, { timingSeverity: { 'out-of-order': 'error' } }).compliance.validCueTiming).toBe(false);
+            expect(validateBunnyStreamCompliance(content, { timingSeverity: { 'out-of-order': 'ignore' } }).warnings).toEqual([]);
+        });
+
         test('should handle invalid VTT content', () => {
             const result = validateBunnyStreamCompliance('invalid content');
             
@@ -439,6 +558,130 @@ Third subtitle with special chars: äöü
         });
     });
 
+    describe('validateProfileCompliance', () => {
+        const exportedVTT = '\uFEFFWEBVTT - Exported captions\r\nKind: captions\r\n\r\n' +
+            'intro\r\n00:00:01.000 --> 00:00:03.000\r\n<b>Hello</b> &amp; welcome\r\n\r\n' +
+            'outro\r\n00:00:04.000 --> 00:00:06.000\r\nGoodbye\r\n';
+
+        test('should accept header text, identifiers, BOM and CRLF for HTML5 <track>', () => {
+            const result = validateProfileCompliance(exportedVTT, COMPLIANCE_PROFILES.html5);
+
+            expect(result.isValid).toBe(true);
+            expect(result.compliance).not.toHaveProperty('noBOM');
+            expect(result.compliance).not.toHaveProperty('noSequenceNumbers');
+            expect(result.warnings).toEqual([]);
+        });
+
+        test('should check the header, BOM and allowed tags for YouTube', () => {
+            const result = validateProfileCompliance(exportedVTT, COMPLIANCE_PROFILES.youtube);
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance.noBOM).toBe(false);
+            expect(result.compliance.allowedTagsOnly).toBe(true);
+            expect(result.errors).toEqual(['VTT content must not contain BOM (Byte Order Mark)']);
+            expect(result.violations).toEqual([]);
+            expect(validateProfileCompliance(exportedVTT.slice(1), COMPLIANCE_PROFILES.youtube).isValid).toBe(true);
+        });
+
+        test('should apply the line, reading-speed and tag limits of the Netflix-style profile', () => {
+            const content = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<b>This line is a lot longer than forty-two characters</b>\nTwo\nThree\n\n' +
+                '00:00:03.000 --> 00:00:06.000\n<i>Fine &amp; short</i>\n';
+            const result = validateProfileCompliance(content, COMPLIANCE_PROFILES['netflix-like']);
+
+            expect(result.isValid).toBe(false);
+            expect(result.compliance).toMatchObject({
+                withinLineLength: false,
+                withinMaxLines: false,
+                withinReadingSpeed: false,
+                allowedTagsOnly: false
+            });
+            expect(result.errors).toEqual([
+                'Cue text is longer than 42 characters per line (line 4)',
+                'Cues have more than 2 lines of text (line 3)',
+                'Cues need more than 20 characters per second (line 3)',
+                'Cue text uses tags Netflix-style timed text does not allow: <b> (line 4)'
+            ]);
+            expect(result.violations).toEqual(result.errors);
+            expect(validateProfileCompliance('WEBVTT\n\n00:00:03.000 --> 00:00:06.000\n<i>Fine &amp; short</i>\n', COMPLIANCE_PROFILES['netflix-like']).isValid).toBe(true);
+        });
+
+        test('should apply the cue identifier policy of custom profiles', () => {
+            const required = parseComplianceProfile('{"extends": "html5", "cueIdentifiers": "required"}');
+            const forbidden = parseComplianceProfile('{"extends": "html5", "cueIdentifiers": "forbidden"}');
+            const partlyIdentified = 'WEBVTT\n\nintro\n00:00:01.000 --> 00:00:03.000\nHello\n\n00:00:04.000 --> 00:00:06.000\nGoodbye\n';
+
+            expect(validateProfileCompliance(exportedVTT, required).isValid).toBe(true);
+            expect(validateProfileCompliance(partlyIdentified, required).errors).toEqual(['Every cue must have an identifier for Custom (based on HTML5 <track>) compatibility']);
+            expect(validateProfileCompliance(partlyIdentified, forbidden).compliance.noCueIdentifiers).toBe(false);
+        });
+
+        test('should match validateBunnyStreamCompliance for the bunny profile', () => {
+            expect(validateProfileCompliance(exportedVTT, COMPLIANCE_PROFILES.bunny)).toEqual(validateBunnyStreamCompliance(exportedVTT));
+        });
+    });
+
+    describe('normalizeVTT', () => {
+        const thirdPartyVTT = '\uFEFFWEBVTT - Exported captions\r\n\r\n' +
+            'NOTE exported by tool\r\n\r\n' +
+            '1\r\n00:01.000 --> 00:03.000 align:start size:big\r\nHello\tworld\r\n\r\n' +
+            '2\r\n00:00:04.000 --> 00:00:06.000\r\nSecond cue\r\n';
+
+        test('should re-emit third-party VTT as Bunny Stream compliant content', () => {
+            const result = normalizeVTT(thirdPartyVTT);
+
+            expect(result.content).toBe(`WEBVTT
+
+00:00:01.000 --> 00:00:03.000 align:start
+Hello world
+
+00:00:04.000 --> 00:00:06.000
+Second cue
+
+`);
+            expect(result.cueCount).toBe(2);
+            expect(result.after.isValid).toBe(true);
+        });
+
+        test('should report before/after compliance', () => {
+            const result = normalizeVTT(thirdPartyVTT);
+
+            expect(result.before.isValid).toBe(false);
+            expect(result.before.compliance.noBOM).toBe(false);
+            expect(result.before.warnings.length).toBeGreaterThan(0);
+            expect(result.after.warnings).toEqual([]);
+        });
+
+        test('should list every change applied', () => {
+            const types = normalizeVTT(thirdPartyVTT).changes.map(change => change.type);
+
+            expect(types).toEqual(['bom', 'line-endings', 'header', 'sequence-numbers', 'cue-settings', 'blocks', 'tabs']);
+        });
+
+        test('should keep valid cue settings and report only the removed ones', () => {
+            const result = normalizeVTT('WEBVTT\n\n00:00:01.000 --> 00:00:03.000 line:0 align:start region:r1 size:big\nTop\n\n' +
+                '00:00:04.000 --> 00:00:06.000 position:10%\nLeft\n');
+
+            expect(result.content).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.000 line:0 align:start\nTop\n\n' +
+                '00:00:04.000 --> 00:00:06.000 position:10%\nLeft\n\n');
+            expect(result.changes).toEqual([{ type: 'cue-settings', message: 'Removed 2 invalid or unsupported cue setting(s)' }]);
+            expect(result.after.compliance.validCueSettings).toBe(true);
+        });
+
+        test('should report no changes for already compliant content', () => {
+            const vttContent = generateVTT(parseSRT(validSRTSamples.simple));
+            const result = normalizeVTT(vttContent);
+
+            expect(result.changes).toEqual([]);
+            expect(result.content).toBe(vttContent);
+            expect(result.before.isValid).toBe(true);
+        });
+
+        test('should throw for invalid input', () => {
+            expect(() => normalizeVTT('')).toThrow('Invalid VTT content: must be a non-empty string');
+            expect(() => normalizeVTT(validSRTSamples.simple)).toThrow('Invalid VTT format');
+        });
+    });
+
     describe('generateBase64Output', () => {
         const validVTT = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello, world!\n\n';
 
@@ -497,6 +740,15 @@ Third subtitle with special chars: äöü
             expect(result.metadata.encoding).toBe('UTF-8 without BOM');
         });
 
+        test('should report the requested profile and its compliance result', () => {
+            const html5 = generateBase64Output(validVTT, COMPLIANCE_PROFILES.html5);
+            const tagged = generateBase64Output('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<c.red>Hi</c>\n\n', COMPLIANCE_PROFILES.youtube);
+
+            expect(html5.metadata).toMatchObject({ profile: 'html5', html5Compatible: true });
+            expect(html5.metadata).not.toHaveProperty('bunnyStreamCompatible');
+            expect(tagged.metadata).toMatchObject({ profile: 'youtube', youtubeCompatible: false });
+        });
+
         test('should handle special characters correctly', () => {
             const vttWithSpecialChars = 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHällö Wörld! 🌍\n\n';
             const result = generateBase64Output(vttWithSpecialChars);
@@ -0,0 +1,168 @@
+/**
+ * Unit tests for WebVTT parsing
+ */
+
+const { validateWebVTTFormat, parseVTT, parseVTTDocument, parseCueSettings } = require('../utils/vtt-parser');
+const { generateVTT } = require('../utils/vtt-generator');
+const { parseSRT } = require('../utils/srt-parser');
+const { validSRTSamples } = require('./fixtures/test-data');
+
+describe('WebVTT Parser', () => {
+    const simpleVTT = `WEBVTT
+
+00:00:01.000 --> 00:00:03.000
+Hello world
+
+00:00:04.000 --> 00:00:06.000
+This is a test subtitle
+`;
+
+    describe('validateWebVTTFormat', () => {
+        test('should accept valid WebVTT', () => {
+            expect(validateWebVTTFormat(simpleVTT)).toBe(true);
+        });
+
+        test('should reject content without WEBVTT signature', () => {
+            expect(validateWebVTTFormat(validSRTSamples.simple)).toBe(false);
+            expect(validateWebVTTFormat('WEBVTTX\n\n00:01.000 --> 00:02.000\nText')).toBe(false);
+        });
+
+        test('should reject empty and non-string input', () => {
+            expect(validateWebVTTFormat('')).toBe(false);
+            expect(validateWebVTTFormat(null)).toBe(false);
+            expect(validateWebVTTFormat(undefined)).toBe(false);
+        });
+
+        test('should reject files without cues', () => {
+            expect(validateWebVTTFormat('WEBVTT\n\nNOTE nothing here\n')).toBe(false);
+        });
+    });
+
+    describe('parseVTT', () => {
+        test('should parse cues into subtitle objects with SRT timestamps', () => {
+            const cues = parseVTT(simpleVTT);
+
+            expect(cues).toEqual([
+                { index: 1, startTime: '00:00:01,000', endTime: '00:00:03,000', text: 'Hello world' },
+                { index: 2, startTime: '00:00:04,000', endTime: '00:00:06,000', text: 'This is a test subtitle' }
+            ]);
+        });
+
+        test('should parse hour-less timestamps', () => {
+            const cues = parseVTT('WEBVTT\n\n01:02.500 --> 01:05.000\nShort form\n');
+
+            expect(cues[0].startTime).toBe('00:01:02,500');
+            expect(cues[0].endTime).toBe('00:01:05,000');
+        });
+
+        test('should keep cue identifiers', () => {
+            const cues = parseVTT('WEBVTT\n\nintro-1\n00:00:01.000 --> 00:00:02.000\nHi\n\n2\n00:00:03.000 --> 00:00:04.000\nThere\n');
+
+            expect(cues[0].identifier).toBe('intro-1');
+            expect(cues[1].identifier).toBe('2');
+            expect(cues[1].index).toBe(2);
+        });
+
+        test('should parse cue settings', () => {
+            const cues = parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000 align:start line:0% position:10%\nTop\n');
+
+            expect(cues[0].settings).toEqual({ align: 'start', line: '0%', position: '10%' });
+            expect(cues[0].text).toBe('Top');
+        });
+
+        test('should skip NOTE, STYLE and REGION blocks', () => {
+            const vtt = `WEBVTT - With metadata
+Kind: captions
+
+STYLE
+::cue { color: yellow; }
+
+REGION
+id:fred
+width:40%
+
+NOTE This is a comment
+spanning two lines
+
+00:00:01.000 --> 00:00:02.000 region:fred
+First
+
+NOTE
+another comment
+
+00:00:03.000 --> 00:00:04.000
+Second
+`;
+            const document = parseVTTDocument(vtt);
+
+            expect(document.cues).toHaveLength(2);
+            expect(document.cues[0].text).toBe('First');
+            expect(document.cues[1].text).toBe('Second');
+            expect(document.styles).toEqual(['::cue { color: yellow; }']);
+            expect(document.regions).toEqual(['id:fred\nwidth:40%']);
+            expect(document.notes).toHaveLength(2);
+        });
+
+        test('should handle BOM and Windows line endings', () => {
+            const cues = parseVTT('\uFEFFWEBVTT\r\n\r\n00:00:01.000 --> 00:00:02.000\r\nLine one\r\nLine two\r\n');
+
+            expect(cues).toHaveLength(1);
+            expect(cues[0].text).toBe('Line one\nLine two');
+        });
+
+        test('should preserve multi-line cue text and markup', () => {
+            const cues = parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<v Roger>Hello</v>\n<i>there</i>\n');
+
+            expect(cues[0].text).toBe('<v Roger>Hello</v>\n<i>there</i>');
+        });
+
+        test('should decode character references in cue text', () => {
+            const cues = parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<i>Tom &amp; Jerry</i> &lt;3&nbsp;&#233;\n');
+
+            expect(cues[0].text).toBe('<i>Tom & Jerry</i> <3\u00A0\u00E9');
+        });
+
+        test('should skip cues without text', () => {
+            const cues = parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n\n00:00:03.000 --> 00:00:04.000\nText\n');
+
+            expect(cues).toHaveLength(1);
+            expect(cues[0].index).toBe(1);
+        });
+
+        test('should accept a cue directly after the header', () => {
+            const cues = parseVTT('WEBVTT\n00:00:01.000 --> 00:00:02.000\nNo blank line\n');
+
+            expect(cues).toHaveLength(1);
+        });
+
+        test('should throw descriptive errors for invalid timings', () => {
+            expect(() => parseVTT('WEBVTT\n\n00:00:01,000 --> 00:00:02,000\nComma\n'))
+                .toThrow('Invalid VTT format: Invalid cue timing "00:00:01,000 --> 00:00:02,000" at line 3');
+            expect(() => parseVTT('WEBVTT\n\nidentifier\nno timing here\n'))
+                .toThrow('Invalid VTT format: Missing cue timing line at line 4');
+        });
+
+        test('should reject STYLE blocks after the first cue', () => {
+            expect(() => parseVTT('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nText\n\nSTYLE\n::cue {}\n'))
+                .toThrow('STYLE block at line 6 must appear before the first cue');
+        });
+
+        test('should round-trip generated VTT', () => {
+            const subtitles = parseSRT(validSRTSamples.multiLine);
+            const cues = parseVTT(generateVTT(subtitles));
+
+            expect(cues).toEqual(subtitles);
+        });
+    });
+
+    describe('parseCueSettings', () => {
+        test('should ignore malformed settings', () => {
+            expect(parseCueSettings('align:center bogus :x y: line:-1')).toEqual({ align: 'center', line: '-1' });
+        });
+
+        test('should return an empty object for missing settings', () => {
+            expect(parseCueSettings(undefined)).toEqual({});
+            expect(parseCueSettings('')).toEqual({});
+        });
+    });
+});
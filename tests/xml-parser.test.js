@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the minimal XML parser
+ */
+
+const { parseXML, escapeXML, decodeXMLEntities, getLocalName, getAttribute } = require('../utils/xml-parser');
+
+describe('XML Parser', () => {
+    describe('parseXML', () => {
+        test('should build an element tree', () => {
+            const root = parseXML('<?xml version="1.0"?>\n<!-- comment -->\n<tt:tt a="1" b=\'2\'><p>Hi<br/>there</p></tt:tt>\n');
+
+            expect(root.name).toBe('tt:tt');
+            expect(root.attributes).toEqual({ a: '1', b: '2' });
+            expect(root.children).toHaveLength(1);
+            expect(root.children[0].children).toEqual([
+                { text: 'Hi' },
+                { name: 'br', attributes: {}, children: [], lineNumber: 3 },
+                { text: 'there' }
+            ]);
+        });
+
+        test('should decode entities and keep CDATA verbatim', () => {
+            const root = parseXML('<p title="&quot;x&quot;">A &amp; B &#233;<![CDATA[<raw>]]></p>');
+
+            expect(root.attributes.title).toBe('"x"');
+            expect(root.children.map(child => child.text).join('')).toBe('A & B é<raw>');
+        });
+
+        test('should ignore a leading BOM and DOCTYPE', () => {
+            expect(parseXML('\uFEFF<!DOCTYPE tt>\n<tt/>').name).toBe('tt');
+        });
+
+        test('should reject documents that are not well-formed', () => {
+            expect(() => parseXML('<tt><p></tt>')).toThrow('Unexpected closing tag </tt> at line 1');
+            expect(() => parseXML('<tt>\n<p>')).toThrow('Missing closing tag for <p> opened at line 2');
+            expect(() => parseXML('<a/><b/>')).toThrow('Multiple root elements');
+            expect(() => parseXML('text')).toThrow('Unexpected text outside the root element');
+            expect(() => parseXML('<p a=1/>')).toThrow('Malformed attribute');
+            expect(() => parseXML('')).toThrow('Content must be a non-empty string');
+        });
+    });
+
+    describe('helpers', () => {
+        test('should escape and decode text', () => {
+            expect(escapeXML('a < b & "c"')).toBe('a &lt; b &amp; &quot;c&quot;');
+            expect(decodeXMLEntities('&lt;&#x41;&unknown;')).toBe('<A&unknown;');
+        });
+
+        test('should read attributes by local name', () => {
+            const element = parseXML('<p tts:fontStyle="italic" begin="1s"/>');
+
+            expect(getLocalName('tts:fontStyle')).toBe('fontStyle');
+            expect(getAttribute(element, 'fontStyle')).toBe('italic');
+            expect(getAttribute(element, 'begin')).toBe('1s');
+            expect(getAttribute(element, 'end')).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for ZIP archive generation
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crc32, createZipArchive, getZipMimeTypeConfig } = require('../utils/zip-archive');
+
+describe('ZIP Archive', () => {
+    describe('crc32', () => {
+        test('should match the standard check value', () => {
+            expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+            expect(crc32(Buffer.alloc(0))).toBe(0);
+        });
+    });
+
+    describe('createZipArchive', () => {
+        const entries = [
+            { name: 'lecture.de.vtt', content: 'WEBVTT\n\n' + '00:00:01.000 --> 00:00:02.000\nGrüße\n\n'.repeat(20) },
+            { name: 'tiny.txt', content: 'a' },
+            { name: 'data.bin', content: Buffer.from([0, 1, 2, 255]) }
+        ];
+
+        test('should write entries that can be read back', () => {
+            const archive = createZipArchive(entries);
+            const files = testUtils.readZipEntries(archive);
+
+            expect(Object.keys(files)).toEqual(['lecture.de.vtt', 'tiny.txt', 'data.bin']);
+            expect(files['lecture.de.vtt'].toString('utf8')).toBe(entries[0].content);
+            expect(files['tiny.txt'].toString('utf8')).toBe('a');
+            expect(files['data.bin']).toEqual(entries[2].content);
+        });
+
+        test('should deflate compressible entries and store the rest', () => {
+            const archive = createZipArchive(entries);
+
+            expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+            expect(archive.readUInt16LE(8)).toBe(8);
+            expect(archive.length).toBeLessThan(Buffer.byteLength(entries[0].content));
+
+            const single = createZipArchive([entries[1]]);
+            expect(single.readUInt16LE(8)).toBe(0);
+            expect(single.readUInt32LE(14)).toBe(crc32(Buffer.from('a')));
+        });
+
+        test('should produce an archive accepted by unzip when available', () => {
+            let hasUnzip = true;
+            try {
+                execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+            } catch (error) {
+                hasUnzip = false;
+            }
+            if (!hasUnzip) {
+                return;
+            }
+
+            const file = path.join(os.tmpdir(), `zip-archive-test-${process.pid}.zip`);
+            fs.writeFileSync(file, createZipArchive(entries));
+            try {
+                expect(() => execFileSync('unzip', ['-tq', file], { stdio: 'ignore' })).not.toThrow();
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        test('should reject missing and duplicate names', () => {
+            expect(() => createZipArchive('x')).toThrow('Invalid input: entries must be an array');
+            expect(() => createZipArchive([{ content: 'x' }])).toThrow('ZIP entry 1 has no file name');
+            expect(() => createZipArchive([{ name: 'a', content: '' }, { name: 'a', content: '' }]))
+                .toThrow('Duplicate ZIP entry name: a');
+        });
+
+        test('should write an empty archive', () => {
+            const archive = createZipArchive([]);
+
+            expect(archive.length).toBe(22);
+            expect(testUtils.readZipEntries(archive)).toEqual({});
+        });
+    });
+
+    describe('getZipMimeTypeConfig', () => {
+        test('should return application/zip', () => {
+            expect(getZipMimeTypeConfig()).toEqual({
+                primary: 'application/zip',
+                fileExtension: '.zip',
+                contentType: 'application/zip'
+            });
+        });
+    });
+});
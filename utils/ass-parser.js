@@ -0,0 +1,283 @@
+/**
+ * ASS/SSA Parsing Module
+ * Parses Advanced SubStation Alpha and SubStation Alpha [Events] into subtitle objects
+ */
+
+const { msToTimestamp } = require('./timestamp');
+const { extractPositionCodes } = require('./cue-settings');
+
+/**
+ * Field order used when a file has no Format: line in its [Events] section
+ * SSA v4 uses "Marked" in place of "Layer", which has the same position
+ */
+const DEFAULT_EVENT_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+/**
+ * Override tags that have a direct equivalent in SRT/WebVTT markup
+ */
+const STYLE_TAGS = {
+    b: 'b',
+    i: 'i',
+    u: 'u'
+};
+
+/**
+ * Converts an ASS timestamp (H:MM:SS.cc) to milliseconds
+ * @param {string} timestamp - ASS timestamp with centisecond precision
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} - If timestamp format is invalid
+ */
+function parseASSTimestamp(timestamp) {
+    const match = timestamp.trim().match(/^(\d+):([0-5]\d):([0-5]\d)[.:](\d{2,3})$/);
+    if (!match) {
+        throw new Error(`Invalid ASS timestamp format: ${timestamp}. Expected format: H:MM:SS.cc`);
+    }
+
+    const [, hours, minutes, seconds, fraction] = match;
+    const milliseconds = fraction.length === 2 ? parseInt(fraction, 10) * 10 : parseInt(fraction, 10);
+
+    return parseInt(hours, 10) * 3600000 +
+        parseInt(minutes, 10) * 60000 +
+        parseInt(seconds, 10) * 1000 +
+        milliseconds;
+}
+
+/**
+ * Converts ASS dialogue text to SRT-style cue text
+ * Translates \N and \n to line breaks, \h to a space and bold/italic/underline
+ * override tags to <b>/<i>/<u>; every other override tag is stripped
+ * @param {string} assText - Text field of a Dialogue line
+ * @returns {string} - Cue text with SRT-style markup
+ */
+function convertASSText(assText) {
+    const open = [];
+    let output = '';
+    let drawing = false;
+
+    const closeTag = (tag) => {
+        const position = open.lastIndexOf(tag);
+        if (position === -1) return;
+        // Close tags opened after this one first to keep the markup well-formed
+        for (let i = open.length - 1; i >= position; i--) {
+            output += `</${open[i]}>`;
+        }
+        const reopen = open.slice(position + 1);
+        open.length = position;
+        for (const other of reopen) {
+            output += `<${other}>`;
+            open.push(other);
+        }
+    };
+
+    const tokens = assText.split(/(\{[^}]*\})/);
+    for (const token of tokens) {
+        if (token.startsWith('{') && token.endsWith('}')) {
+            // Tags are matched up to the next backslash so \bord, \blur or \pos are not mistaken for \b, \p
+            for (const match of token.slice(1, -1).matchAll(/\\(?:(b|i|u|p)(\d*)|(r)[^\\]*)(?=\\|$)/g)) {
+                const [, tag, value, reset] = match;
+                if (reset) {
+                    while (open.length > 0) {
+                        output += `</${open.pop()}>`;
+                    }
+                } else if (tag === 'p') {
+                    drawing = value !== '' && value !== '0';
+                } else {
+                    // \b also accepts a font weight, which counts as bold when heavier than normal
+                    const enabled = tag === 'b' && value.length > 1 ? parseInt(value, 10) > 400 : value === '1';
+                    const htmlTag = STYLE_TAGS[tag];
+                    if (enabled && !open.includes(htmlTag)) {
+                        output += `<${htmlTag}>`;
+                        open.push(htmlTag);
+                    } else if (!enabled) {
+                        closeTag(htmlTag);
+                    }
+                }
+            }
+            continue;
+        }
+
+        // Text inside drawing mode is vector drawing commands, not dialogue
+        if (!drawing) {
+            output += token;
+        }
+    }
+
+    while (open.length > 0) {
+        output += `</${open.pop()}>`;
+    }
+
+    return output
+        .replace(/\\[Nn]/g, '\n')
+        .replace(/\\h/g, ' ')
+        .replace(/<(b|i|u)><\/\1>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .trim();
+}
+
+/**
+ * Internal function to parse ASS/SSA content with detailed error checking
+ * @param {string} content - The ASS/SSA file content as string
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid ASS/SSA format
+ */
+function parseASSInternal(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    // Remove BOM if present and normalize line endings
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+
+    let section = null;
+    let hasEventsSection = false;
+    let format = null;
+    const events = [];
+
+    lines.forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        const lineNumber = lineIndex + 1;
+
+        if (line === '' || line.startsWith(';')) {
+            return;
+        }
+
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].trim().toLowerCase();
+            if (section === 'events') {
+                hasEventsSection = true;
+            }
+            return;
+        }
+
+        if (section !== 'events') {
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            return;
+        }
+
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'format') {
+            format = value.split(',').map(field => field.trim().toLowerCase());
+            if (!format.includes('start') || !format.includes('end') || !format.includes('text')) {
+                throw new Error(`Format line at line ${lineNumber} must contain Start, End and Text fields`);
+            }
+            if (format[format.length - 1] !== 'text') {
+                throw new Error(`Format line at line ${lineNumber} must end with the Text field`);
+            }
+            return;
+        }
+
+        if (key !== 'dialogue') {
+            return;
+        }
+
+        const fields = format || DEFAULT_EVENT_FORMAT;
+        // Only split as many commas as there are fields; the Text field may contain commas
+        const parts = [];
+        let rest = value;
+        for (let i = 0; i < fields.length - 1; i++) {
+            const comma = rest.indexOf(',');
+            if (comma === -1) {
+                throw new Error(`Dialogue at line ${lineNumber} has fewer fields than the Format line (${fields.length})`);
+            }
+            parts.push(rest.slice(0, comma).trim());
+            rest = rest.slice(comma + 1);
+        }
+        parts.push(rest);
+
+        const event = {};
+        fields.forEach((field, i) => {
+            event[field] = parts[i];
+        });
+
+        let start;
+        let end;
+        try {
+            start = parseASSTimestamp(event.start);
+            end = parseASSTimestamp(event.end);
+        } catch (error) {
+            throw new Error(`${error.message} at line ${lineNumber}`);
+        }
+
+        // {\anN} and {\aN} become cue settings before the remaining override tags are translated or stripped
+        const position = extractPositionCodes(event.text);
+        const text = convertASSText(position.text);
+        if (text === '') {
+            return;
+        }
+
+        events.push({ start, end, text, settings: position.settings, lineNumber });
+    });
+
+    if (!hasEventsSection) {
+        throw new Error('Missing [Events] section');
+    }
+
+    if (events.length === 0) {
+        throw new Error('No Dialogue lines with text found in [Events] section');
+    }
+
+    // Dialogue lines are not required to be in time order in ASS; cues are
+    events.sort((a, b) => a.start - b.start || a.lineNumber - b.lineNumber);
+
+    return events.map((event, i) => {
+        const subtitle = {
+            index: i + 1,
+            startTime: msToTimestamp(event.start),
+            endTime: msToTimestamp(event.end),
+            text: event.text
+        };
+        if (event.settings && Object.keys(event.settings).length > 0) {
+            subtitle.settings = event.settings;
+        }
+        return subtitle;
+    });
+}
+
+/**
+ * Validates if the content follows ASS/SSA format structure
+ * @param {string} content - The ASS/SSA file content as string
+ * @returns {boolean} - True if valid ASS/SSA format, false otherwise
+ */
+function validateASSFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseASSInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses ASS/SSA content into structured subtitle entries
+ * Returns the same shape as parseSRT so generateVTT and the compliance checks work unchanged
+ * @param {string} content - The ASS/SSA file content as string
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text and, for {\anN} positioning, settings
+ * @throws {Error} - If content is invalid ASS/SSA format
+ */
+function parseASS(content) {
+    try {
+        return parseASSInternal(content);
+    } catch (error) {
+        throw new Error('Invalid ASS format: ' + error.message);
+    }
+}
+
+module.exports = {
+    validateASSFormat,
+    parseASS,
+    parseASSTimestamp,
+    convertASSText
+};
@@ -0,0 +1,188 @@
+/**
+ * Compliance Profiles Module
+ * Declares the WebVTT rule sets of delivery targets (Bunny Stream, HTML5 <track>, YouTube,
+ * Netflix-style timed text) and parses custom profiles written as JSON
+ */
+
+const { WEBVTT_TAGS } = require('./cue-text');
+
+/**
+ * Cue identifier policies
+ * - no-sequence-numbers: numeric identifiers (SRT-style sequence numbers) are errors
+ * - forbidden: any identifier is an error
+ * - allowed: identifiers are not checked
+ * - required: every cue must have an identifier
+ */
+const CUE_IDENTIFIER_POLICIES = ['no-sequence-numbers', 'forbidden', 'allowed', 'required'];
+
+/**
+ * Line-ending policies; LF warns about CRLF line endings, any accepts both
+ */
+const LINE_ENDING_POLICIES = ['lf', 'any'];
+
+/**
+ * Built-in profiles
+ * - header.allowBOM: a byte order mark before WEBVTT is accepted
+ * - header.allowText: text after the WEBVTT signature (e.g. "WEBVTT - Title") is accepted
+ * - cueIdentifiers: one of CUE_IDENTIFIER_POLICIES
+ * - maxLineLength / maxLines / maxCps: limits per cue, null when not checked
+ *   (markup is not counted; maxCps does not count line breaks)
+ * - allowedTags: cue text tags that may be used, null for every WebVTT tag
+ * - lineEndings: one of LINE_ENDING_POLICIES
+ * - complianceFlag: name of the pass/fail field in /convert responses
+ */
+const COMPLIANCE_PROFILES = {
+    bunny: {
+        name: 'bunny',
+        label: 'Bunny Stream',
+        complianceFlag: 'bunnyStreamCompatible',
+        header: { allowBOM: false, allowText: false },
+        cueIdentifiers: 'no-sequence-numbers',
+        maxLineLength: null,
+        maxLines: null,
+        maxCps: null,
+        allowedTags: null,
+        lineEndings: 'lf'
+    },
+    html5: {
+        name: 'html5',
+        label: 'HTML5 <track>',
+        complianceFlag: 'html5Compatible',
+        header: { allowBOM: true, allowText: true },
+        cueIdentifiers: 'allowed',
+        maxLineLength: null,
+        maxLines: null,
+        maxCps: null,
+        allowedTags: null,
+        lineEndings: 'any'
+    },
+    youtube: {
+        name: 'youtube',
+        label: 'YouTube',
+        complianceFlag: 'youtubeCompatible',
+        header: { allowBOM: false, allowText: true },
+        cueIdentifiers: 'allowed',
+        maxLineLength: null,
+        maxLines: null,
+        maxCps: null,
+        allowedTags: ['b', 'i', 'u'],
+        lineEndings: 'any'
+    },
+    'netflix-like': {
+        name: 'netflix-like',
+        label: 'Netflix-style timed text',
+        complianceFlag: 'netflixLikeCompatible',
+        header: { allowBOM: false, allowText: false },
+        cueIdentifiers: 'allowed',
+        maxLineLength: 42,
+        maxLines: 2,
+        maxCps: 20,
+        allowedTags: ['i'],
+        lineEndings: 'lf'
+    }
+};
+
+const DEFAULT_PROFILE = 'bunny';
+
+// Fields a custom profile may set, with their validators
+const PROFILE_FIELDS = {
+    label: value => typeof value === 'string' && value.trim() !== '',
+    header: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([key, flag]) => ['allowBOM', 'allowText'].includes(key) && typeof flag === 'boolean'),
+    cueIdentifiers: value => CUE_IDENTIFIER_POLICIES.includes(value),
+    maxLineLength: value => value === null || (Number.isInteger(value) && value > 0),
+    maxLines: value => value === null || (Number.isInteger(value) && value > 0),
+    maxCps: value => value === null || (typeof value === 'number' && Number.isFinite(value) && value > 0),
+    allowedTags: value => value === null || (Array.isArray(value) && value.every(tag => WEBVTT_TAGS.includes(tag))),
+    lineEndings: value => LINE_ENDING_POLICIES.includes(value)
+};
+
+/**
+ * Gets a built-in profile by name
+ * @param {string} name - Profile name (case-insensitive)
+ * @returns {Object|null} - Profile, or null if the name is unknown
+ */
+function getComplianceProfile(name) {
+    const key = String(name || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(COMPLIANCE_PROFILES, key) ? COMPLIANCE_PROFILES[key] : null;
+}
+
+/**
+ * Builds a custom profile from its JSON definition
+ * The definition extends a built-in profile ("extends", bunny by default) and replaces any of its fields
+ * @param {Object} definition - Parsed JSON definition
+ * @returns {Object} - Complete profile named "custom"
+ * @throws {Error} - If the base profile, a field or a value is invalid
+ */
+function buildCustomProfile(definition) {
+    if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('Invalid custom profile: must be a JSON object');
+    }
+
+    const { extends: baseName = DEFAULT_PROFILE, ...fields } = definition;
+    const base = getComplianceProfile(baseName);
+    if (!base) {
+        throw new Error(`Invalid custom profile: unknown base profile "${baseName}". Supported profiles: ${Object.keys(COMPLIANCE_PROFILES).join(', ')}`);
+    }
+
+    Object.entries(fields).forEach(([field, value]) => {
+        if (!PROFILE_FIELDS[field]) {
+            throw new Error(`Invalid custom profile: unknown field "${field}". Supported fields: extends, ${Object.keys(PROFILE_FIELDS).join(', ')}`);
+        }
+        if (!PROFILE_FIELDS[field](value)) {
+            throw new Error(`Invalid custom profile: invalid value ${JSON.stringify(value)} for ${field}`);
+        }
+    });
+
+    return {
+        ...base,
+        ...fields,
+        header: { ...base.header, ...fields.header },
+        name: 'custom',
+        label: fields.label || `Custom (based on ${base.label})`,
+        complianceFlag: 'customProfileCompatible'
+    };
+}
+
+/**
+ * Parses the profile request parameter
+ * @param {string} value - Built-in profile name, or a JSON object defining a custom profile
+ * @returns {Object} - Profile
+ * @throws {Error} - If the name is unknown or the JSON is invalid
+ */
+function parseComplianceProfile(value) {
+    const text = String(value).trim();
+    if (text.startsWith('{')) {
+        let definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid custom profile: ${error.message}`);
+        }
+        return buildCustomProfile(definition);
+    }
+
+    const profile = getComplianceProfile(text);
+    if (!profile) {
+        throw new Error(`Invalid profile "${value}". Supported profiles: ${Object.keys(COMPLIANCE_PROFILES).join(', ')}, or a JSON object for a custom profile`);
+    }
+    return profile;
+}
+
+/**
+ * Lists the built-in profiles
+ * @returns {Array} - Profiles in declaration order
+ */
+function getSupportedProfiles() {
+    return Object.values(COMPLIANCE_PROFILES);
+}
+
+module.exports = {
+    CUE_IDENTIFIER_POLICIES,
+    LINE_ENDING_POLICIES,
+    COMPLIANCE_PROFILES,
+    DEFAULT_PROFILE,
+    getComplianceProfile,
+    parseComplianceProfile,
+    getSupportedProfiles
+};
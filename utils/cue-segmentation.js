@@ -0,0 +1,358 @@
+/**
+ * Cue Segmentation Module
+ * Splits cues that are too long at sentence or clause boundaries, merges short fragments into their neighbours
+ * and rebuilds ASR cues around sentences
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+const { DEFAULT_WRAP_OPTIONS, WEAK_LINE_ENDINGS, visibleLength, splitCueWords, isWeakEnding, checkWrapLimits, wrapCueText } = require('./line-wrap');
+const { DEFAULT_QUALITY_RULES } = require('./quality-rules');
+
+/**
+ * Segmentation settings unless overridden; line limits and durations follow the wrap and quality defaults
+ * - minCharacters: cues with less text than this are fragments
+ * - maxGapMs: fragments are only merged with a neighbour this close
+ */
+const DEFAULT_SEGMENTATION_OPTIONS = {
+    ...DEFAULT_WRAP_OPTIONS,
+    minDurationMs: DEFAULT_QUALITY_RULES.minDurationMs,
+    maxDurationMs: DEFAULT_QUALITY_RULES.maxDurationMs,
+    minCharacters: 10,
+    maxGapMs: 500
+};
+
+// Split point costs in characters of imbalance: sentence ends are preferred over clause ends,
+// which are preferred over any other word, and weak words are avoided
+const CLAUSE_BOUNDARY_PENALTY = 25;
+const WORD_BOUNDARY_PENALTY = 50;
+const WEAK_BOUNDARY_PENALTY = 45;
+
+const MARKUP_REGEX = /<[^>]*>|\{[^}]*\}/g;
+const SENTENCE_END_REGEX = /[.!?…]["'”’)\]]*$/;
+const CLAUSE_END_REGEX = /[,;:]["'”’)\]]*$|^[-–—]$/;
+const TAG_REGEX = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)[^>]*>/g;
+
+/**
+ * Validates segmentation options and applies the defaults
+ * @param {Object} options - Options to check
+ * @returns {Object} - Complete options
+ * @throws {Error} - If a limit is not a non-negative whole number or a line limit is zero or above WRAP_LIMITS
+ */
+function resolveSegmentationOptions(options = {}) {
+    const resolved = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options };
+    Object.keys(DEFAULT_SEGMENTATION_OPTIONS).forEach(name => {
+        if (!Number.isInteger(resolved[name]) || resolved[name] < 0) {
+            throw new Error(`Invalid ${name}: ${resolved[name]}. Must be a non-negative whole number`);
+        }
+    });
+    checkWrapLimits(resolved.maxLineLength, resolved.maxLines);
+    return resolved;
+}
+
+/**
+ * Closes markup that is still open at the end of a piece and reopens it at the start of the next
+ * @param {Array<string>} pieces - Consecutive pieces of one cue text
+ * @returns {Array<string>} - Pieces with balanced markup
+ */
+function balanceMarkup(pieces) {
+    let open = [];
+    return pieces.map(piece => {
+        const prefix = open.map(tag => tag.markup).join('');
+        let match;
+        TAG_REGEX.lastIndex = 0;
+        while ((match = TAG_REGEX.exec(piece)) !== null) {
+            const name = match[2].toLowerCase();
+            if (!match[1]) {
+                open.push({ name, markup: match[0] });
+            } else {
+                const index = open.map(tag => tag.name).lastIndexOf(name);
+                if (index !== -1) {
+                    open = open.slice(0, index).concat(open.slice(index + 1));
+                }
+            }
+        }
+        const suffix = [...open].reverse().map(tag => `</${tag.name}>`).join('');
+        return prefix + piece + suffix;
+    });
+}
+
+/**
+ * Cost of splitting after a word
+ * @param {string} word - Last word before the split
+ * @param {number} imbalance - Difference in visible characters between both sides
+ * @param {Array<string>} weakWords - Weak line endings for the language
+ * @returns {number} - Split cost; lower is better
+ */
+function boundaryCost(word, imbalance, weakWords) {
+    const plain = word.replace(MARKUP_REGEX, '');
+    if (SENTENCE_END_REGEX.test(plain)) {
+        return imbalance;
+    }
+    if (CLAUSE_END_REGEX.test(plain)) {
+        return imbalance + CLAUSE_BOUNDARY_PENALTY;
+    }
+    return imbalance + WORD_BOUNDARY_PENALTY + (isWeakEnding(word, weakWords) ? WEAK_BOUNDARY_PENALTY : 0);
+}
+
+/**
+ * Splits words into pieces that each fit the line limits and maximum duration
+ * Pieces are halved recursively at the cheapest boundary; a single word is never split
+ * @param {Array<string>} words - Words of the cue
+ * @param {number} msPerCharacter - Cue duration per visible character
+ * @param {Object} options - Complete segmentation options with language
+ * @returns {Array<Array<string>>} - Pieces as word arrays
+ */
+function splitWords(words, msPerCharacter, options) {
+    const lengths = words.map(word => visibleLength(word));
+    const characters = lengths.reduce((sum, length) => sum + length, 0);
+    const fitsLines = wrapCueText(words.join(' '), options).fits;
+    const fitsDuration = options.maxDurationMs === 0 || characters * msPerCharacter <= options.maxDurationMs;
+    if (words.length < 2 || (fitsLines && fitsDuration)) {
+        return [words];
+    }
+
+    const weakWords = WEAK_LINE_ENDINGS[String(options.language || '').toLowerCase()] || [];
+    let best = 1;
+    let bestCost = Infinity;
+    let left = 0;
+    for (let i = 1; i < words.length; i++) {
+        left += lengths[i - 1];
+        const cost = boundaryCost(words[i - 1], Math.abs(characters - 2 * left), weakWords);
+        if (cost < bestCost) {
+            best = i;
+            bestCost = cost;
+        }
+    }
+
+    return [
+        ...splitWords(words.slice(0, best), msPerCharacter, options),
+        ...splitWords(words.slice(best), msPerCharacter, options)
+    ];
+}
+
+/**
+ * Splits cues whose text does not fit in maxLines lines of maxLineLength characters, or that last
+ * longer than maxDurationMs, into several cues at sentence or clause boundaries
+ * The cue's time is distributed in proportion to the text length of each piece, so reading speed
+ * is unchanged; pieces are wrapped, keep the cue settings and have open markup closed and reopened
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Segmentation options (see DEFAULT_SEGMENTATION_OPTIONS) and language
+ * @param {string} options.language - ISO 639-1 code of the text, or empty when unknown
+ * @returns {Object} - {subtitles, stats: {split, created}}; subtitles are re-indexed
+ * @throws {Error} - If the input or an option is invalid, or a timestamp cannot be read
+ */
+function splitLongCues(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    const { language, ...limits } = options;
+    const resolved = { ...resolveSegmentationOptions(limits), language };
+
+    const stats = { split: 0, created: 0 };
+    const result = [];
+
+    subtitles.forEach(subtitle => {
+        const start = timestampToMs(subtitle.startTime);
+        const end = timestampToMs(subtitle.endTime);
+        const words = splitCueWords(subtitle.text);
+        const characters = words.reduce((sum, word) => sum + visibleLength(word), 0);
+        const pieces = characters > 0 ? splitWords(words, (end - start) / characters, resolved) : [words];
+
+        if (pieces.length < 2) {
+            result.push({ ...subtitle, index: result.length + 1 });
+            return;
+        }
+
+        stats.split++;
+        stats.created += pieces.length - 1;
+
+        const texts = balanceMarkup(pieces.map(piece => piece.join(' ')));
+        let done = 0;
+        pieces.forEach((piece, i) => {
+            const pieceStart = start + Math.round((end - start) * done / characters);
+            done += piece.reduce((sum, word) => sum + visibleLength(word), 0);
+            const pieceEnd = i === pieces.length - 1 ? end : start + Math.round((end - start) * done / characters);
+
+            const cue = {
+                ...subtitle,
+                index: result.length + 1,
+                startTime: msToTimestamp(pieceStart),
+                endTime: msToTimestamp(pieceEnd),
+                text: wrapCueText(texts[i], resolved).text
+            };
+            if (i > 0) {
+                delete cue.identifier;
+            }
+            result.push(cue);
+        });
+    });
+
+    return { subtitles: result, stats };
+}
+
+/**
+ * Merges fragments (cues shorter than minDurationMs or with fewer than minCharacters characters)
+ * into the previous cue, or the next one when that is not possible
+ * Cues are only merged when they are at most maxGapMs apart and the merged cue still fits the line
+ * limits and maxDurationMs; the merged text is wrapped
+ * @param {Array} subtitles - Array of subtitle objects from any parser, in time order
+ * @param {Object} options - Segmentation options (see DEFAULT_SEGMENTATION_OPTIONS) and language
+ * @param {string} options.language - ISO 639-1 code of the text, or empty when unknown
+ * @returns {Object} - {subtitles, stats: {merged}}; merged counts cues absorbed into a neighbour,
+ *                     subtitles are re-indexed
+ * @throws {Error} - If the input or an option is invalid, or a timestamp cannot be read
+ */
+function mergeShortCues(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    const { language, ...limits } = options;
+    const resolved = { ...resolveSegmentationOptions(limits), language };
+
+    const isFragment = cue => cue.end - cue.start < resolved.minDurationMs ||
+        visibleLength(String(cue.subtitle.text || '').replace(/\s+/g, '')) < resolved.minCharacters;
+    const tryMerge = (first, second) => {
+        const gap = second.start - first.end;
+        const start = Math.min(first.start, second.start);
+        const end = Math.max(first.end, second.end);
+        if (gap > resolved.maxGapMs || (resolved.maxDurationMs > 0 && end - start > resolved.maxDurationMs)) {
+            return null;
+        }
+        const wrapped = wrapCueText(`${first.subtitle.text}\n${second.subtitle.text}`, resolved);
+        if (!wrapped.fits) {
+            return null;
+        }
+        return { subtitle: { ...first.subtitle, text: wrapped.text }, start, end };
+    };
+
+    let merged = 0;
+    const result = [];
+    subtitles.forEach(subtitle => {
+        const cue = { subtitle, start: timestampToMs(subtitle.startTime), end: timestampToMs(subtitle.endTime) };
+        const previous = result[result.length - 1];
+        const combined = previous && (isFragment(cue) || isFragment(previous)) ? tryMerge(previous, cue) : null;
+        if (combined) {
+            result[result.length - 1] = combined;
+            merged++;
+        } else {
+            result.push(cue);
+        }
+    });
+
+    return {
+        subtitles: result.map((cue, i) => ({
+            ...cue.subtitle,
+            index: i + 1,
+            startTime: msToTimestamp(cue.start),
+            endTime: msToTimestamp(cue.end)
+        })),
+        stats: { merged }
+    };
+}
+
+/**
+ * Turns cues into a stream of words, each with a time interpolated from its position in the cue
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array<Object>} - Words as {word, start, end} in milliseconds
+ */
+function toTimedWords(subtitles) {
+    const words = [];
+    subtitles.forEach(subtitle => {
+        const start = timestampToMs(subtitle.startTime);
+        const end = timestampToMs(subtitle.endTime);
+        const cueWords = splitCueWords(subtitle.text);
+        const characters = cueWords.reduce((sum, word) => sum + visibleLength(word), 0);
+
+        let done = 0;
+        cueWords.forEach(word => {
+            const wordStart = start + (characters > 0 ? Math.round((end - start) * done / characters) : 0);
+            done += visibleLength(word);
+            const wordEnd = characters > 0 ? start + Math.round((end - start) * done / characters) : end;
+            words.push({ word, start: wordStart, end: wordEnd });
+        });
+    });
+    return words;
+}
+
+/**
+ * Rebuilds cues around sentences, e.g. for Whisper-style exports that cut sentences mid-cue
+ * All cue text is joined into one stream of words with interpolated times. A new cue is started
+ * after each sentence end (once the cue has minDurationMs and minCharacters), at pauses longer than
+ * maxGapMs, and wherever the next word would break the line limits or maxDurationMs; in that case
+ * the cue is cut at its last sentence end, else its last clause end, else before the word.
+ * New cues are wrapped and do not keep identifiers or cue settings
+ * @param {Array} subtitles - Array of subtitle objects from any parser, in time order
+ * @param {Object} options - Segmentation options (see DEFAULT_SEGMENTATION_OPTIONS) and language
+ * @param {string} options.language - ISO 639-1 code of the text, or empty when unknown
+ * @returns {Object} - {subtitles, stats: {originalCount, cueCount}}
+ * @throws {Error} - If the input or an option is invalid, or a timestamp cannot be read
+ */
+function resegmentSubtitles(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    const { language, ...limits } = options;
+    const resolved = { ...resolveSegmentationOptions(limits), language };
+    const weakWords = WEAK_LINE_ENDINGS[String(language || '').toLowerCase()] || [];
+
+    const groups = [];
+    let current = [];
+    const fits = words => wrapCueText(words.map(entry => entry.word).join(' '), resolved).fits &&
+        (resolved.maxDurationMs === 0 || words[words.length - 1].end - words[0].start <= resolved.maxDurationMs);
+    const isLongEnough = words => words[words.length - 1].end - words[0].start >= resolved.minDurationMs &&
+        words.reduce((sum, entry) => sum + visibleLength(entry.word), 0) >= resolved.minCharacters;
+    const endsWith = (entry, regex) => regex.test(entry.word.replace(MARKUP_REGEX, ''));
+
+    // Index to cut the current words at: after the last sentence end, else the last clause end,
+    // else before the new word (moving a weak word to the next cue)
+    const cutIndex = words => {
+        for (const regex of [SENTENCE_END_REGEX, CLAUSE_END_REGEX]) {
+            for (let i = words.length - 1; i > 0; i--) {
+                if (endsWith(words[i - 1], regex) && isLongEnough(words.slice(0, i))) {
+                    return i;
+                }
+            }
+        }
+        return words.length > 1 && isWeakEnding(words[words.length - 1].word, weakWords) ? words.length - 1 : words.length;
+    };
+
+    toTimedWords(subtitles).forEach(entry => {
+        const previous = current[current.length - 1];
+        if (previous && entry.start - previous.end > resolved.maxGapMs) {
+            groups.push(current);
+            current = [];
+        }
+        while (current.length > 0 && !fits([...current, entry])) {
+            const cut = cutIndex(current);
+            groups.push(current.slice(0, cut));
+            current = current.slice(cut);
+        }
+        current.push(entry);
+        if (endsWith(entry, SENTENCE_END_REGEX) && isLongEnough(current)) {
+            groups.push(current);
+            current = [];
+        }
+    });
+    if (current.length > 0) {
+        groups.push(current);
+    }
+
+    const texts = balanceMarkup(groups.map(words => words.map(entry => entry.word).join(' ')));
+    return {
+        subtitles: groups.map((words, i) => ({
+            index: i + 1,
+            startTime: msToTimestamp(words[0].start),
+            endTime: msToTimestamp(words[words.length - 1].end),
+            text: wrapCueText(texts[i], resolved).text
+        })),
+        stats: { originalCount: subtitles.length, cueCount: groups.length }
+    };
+}
+
+module.exports = {
+    DEFAULT_SEGMENTATION_OPTIONS,
+    resolveSegmentationOptions,
+    splitLongCues,
+    mergeShortCues,
+    resegmentSubtitles
+};
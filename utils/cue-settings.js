@@ -0,0 +1,116 @@
+/**
+ * Cue Settings Module
+ * Maps SRT/ASS numpad positioning codes to WebVTT cue settings and validates cue setting syntax
+ */
+
+/**
+ * WebVTT cue settings for each {\anN} numpad position (5 is the screen centre, 2 the default bottom centre)
+ */
+const NUMPAD_SETTINGS = {
+    1: { position: '10%', align: 'start' },
+    2: {},
+    3: { position: '90%', align: 'end' },
+    4: { line: '50%,center', position: '10%', align: 'start' },
+    5: { line: '50%,center' },
+    6: { line: '50%,center', position: '90%', align: 'end' },
+    7: { line: '0', position: '10%', align: 'start' },
+    8: { line: '0' },
+    9: { line: '0', position: '90%', align: 'end' }
+};
+
+/**
+ * Legacy SSA {\aN} values: 1-3 bottom, 5-7 top, 9-11 middle
+ */
+const LEGACY_ALIGNMENT = {
+    1: 1, 2: 2, 3: 3,
+    5: 7, 6: 8, 7: 9,
+    9: 4, 10: 5, 11: 6
+};
+
+const PERCENTAGE = '\\d+(?:\\.\\d+)?%';
+
+/**
+ * Value syntax of every WebVTT cue setting
+ */
+const SETTING_PATTERNS = {
+    vertical: /^(?:rl|lr)$/,
+    line: new RegExp(`^(?:-?\\d+(?:\\.\\d+)?|${PERCENTAGE})(?:,(?:start|center|end))?$`),
+    position: new RegExp(`^${PERCENTAGE}(?:,(?:line-left|center|line-right))?$`),
+    size: new RegExp(`^${PERCENTAGE}$`),
+    align: /^(?:start|center|end|left|right)$/,
+    region: /^[^\s:]+$/
+};
+
+/**
+ * Removes {\anN} and {\aN} positioning codes from cue text and returns the matching cue settings
+ * Other override codes in the same block are left for the markup translation to handle
+ * @param {string} text - SRT cue text
+ * @returns {Object} - {text, settings}; settings is null when the text has no positioning code
+ */
+function extractPositionCodes(text) {
+    let numpad = null;
+
+    const stripped = String(text).replace(/\{(\\[^}]*)\}/g, (block, codes) => {
+        const remaining = codes.replace(/\\(an?)(\d{1,2})(?=\\|$)/g, (code, name, value) => {
+            const position = name === 'an' ? parseInt(value, 10) : LEGACY_ALIGNMENT[value];
+            if (NUMPAD_SETTINGS[position]) {
+                numpad = position;
+                return '';
+            }
+            return code;
+        });
+        return remaining === '' ? '' : `{${remaining}}`;
+    });
+
+    if (numpad === null) {
+        return { text: String(text), settings: null };
+    }
+
+    return { text: stripped.trim(), settings: { ...NUMPAD_SETTINGS[numpad] } };
+}
+
+/**
+ * Formats a cue settings map for the WebVTT timing line
+ * @param {Object} settings - Map of setting name to value
+ * @returns {string} - Space-separated name:value pairs (empty when there are none)
+ */
+function formatCueSettings(settings) {
+    if (!settings) {
+        return '';
+    }
+    return Object.keys(settings).map(name => `${name}:${settings[name]}`).join(' ');
+}
+
+/**
+ * Checks the cue settings part of a WebVTT timing line
+ * @param {string} settingsString - Text after the end timestamp (e.g. "line:0 align:start")
+ * @returns {Array<string>} - Problems found, empty when every setting is valid
+ */
+function validateCueSettings(settingsString) {
+    const problems = [];
+    const seen = new Set();
+
+    String(settingsString || '').trim().split(/[ \t]+/).filter(Boolean).forEach(token => {
+        const separator = token.indexOf(':');
+        const name = separator === -1 ? token : token.slice(0, separator);
+        const value = separator === -1 ? '' : token.slice(separator + 1);
+
+        if (!SETTING_PATTERNS[name]) {
+            problems.push(`unknown cue setting "${token}"`);
+        } else if (separator === -1 || !SETTING_PATTERNS[name].test(value)) {
+            problems.push(`invalid value in "${token}"`);
+        } else if (seen.has(name)) {
+            problems.push(`duplicate cue setting "${name}"`);
+        }
+        seen.add(name);
+    });
+
+    return problems;
+}
+
+module.exports = {
+    NUMPAD_SETTINGS,
+    extractPositionCodes,
+    formatCueSettings,
+    validateCueSettings
+};
@@ -0,0 +1,368 @@
+/**
+ * Cue Text Markup Module
+ * Translates SRT-style cue text markup into tags that are valid in WebVTT cue text, and back
+ */
+
+/**
+ * WebVTT cue span tags that are kept as they are (lower-cased)
+ */
+const WEBVTT_TAGS = ['b', 'i', 'u', 'c', 'v', 'lang', 'ruby', 'rt'];
+
+/**
+ * Tags whose start tag carries an annotation (<v Speaker>, <lang en>)
+ */
+const ANNOTATED_TAGS = ['v', 'lang'];
+
+/**
+ * Colour keywords accepted in <font color> and their hex values
+ */
+const NAMED_COLORS = {
+    white: 'ffffff',
+    black: '000000',
+    red: 'ff0000',
+    green: '008000',
+    lime: '00ff00',
+    blue: '0000ff',
+    yellow: 'ffff00',
+    cyan: '00ffff',
+    aqua: '00ffff',
+    magenta: 'ff00ff',
+    fuchsia: 'ff00ff',
+    gray: '808080',
+    grey: '808080',
+    silver: 'c0c0c0',
+    maroon: '800000',
+    olive: '808000',
+    navy: '000080',
+    purple: '800080',
+    teal: '008080',
+    orange: 'ffa500'
+};
+
+const TIMESTAMP_TAG_REGEX = /^<(?:\d{2,}:)?[0-5]\d:[0-5]\d\.\d{3}>$/;
+const TOKEN_REGEX = /(<\/?[a-zA-Z][^<>]*>|<[\d:.]+>|\{\\[^}]*\}|\{\/?[biuBIU]\})/;
+const TAG_REGEX = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\.[^\s.<>]+)*)(?:\s+([^>]*?))?\s*>$/;
+const COLOR_CLASS_REGEX = /^color([0-9a-f]{6})$/;
+const CHARACTER_REFERENCE = '(?:[a-zA-Z][a-zA-Z0-9]*|#\\d+|#x[0-9a-fA-F]+);';
+const VALID_TAG_REGEX = /<\/?(?:c|i|b|u|v|lang|ruby|rt)(?:\.[^\s.<>&]+)*(?:[ \t][^<>]*)?>|<(?:\d{2,}:)?[0-5]\d:[0-5]\d\.\d{3}>/g;
+
+/**
+ * Escapes the characters WebVTT reserves in cue text
+ * Existing character references (&amp;, &nbsp;, &#233;) are left alone so escaped input is not escaped twice
+ * @param {string} text - Plain cue text without tags
+ * @returns {string} - Text with &, < and > escaped
+ */
+function escapeCueText(text) {
+    return String(text)
+        .replace(new RegExp(`&(?!${CHARACTER_REFERENCE})`, 'g'), '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Characters of the named references WebVTT defines for cue text
+ */
+const NAMED_REFERENCES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    nbsp: '\u00A0',
+    lrm: '\u200E',
+    rlm: '\u200F'
+};
+
+/**
+ * Replaces character references in WebVTT cue text with the characters they stand for
+ * Tags and their annotations are left as they are; unknown or invalid references are kept
+ * @param {string} text - WebVTT cue text
+ * @returns {string} - Cue text with plain characters, as the other parsers produce it
+ */
+function unescapeCueText(text) {
+    return String(text).split(/(<[^>]*>)/).map((part, i) => {
+        // Odd positions hold the tags
+        if (i % 2 === 1) {
+            return part;
+        }
+        return part.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));/g, (reference, decimal, hex, name) => {
+            if (name) {
+                return Object.prototype.hasOwnProperty.call(NAMED_REFERENCES, name) ? NAMED_REFERENCES[name] : reference;
+            }
+            const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : reference;
+        });
+    }).join('');
+}
+
+/**
+ * Finds characters in a line of WebVTT cue text that should have been escaped
+ * @param {string} line - Cue payload line
+ * @returns {Array<string>} - Distinct unescaped characters (&, < or >)
+ */
+function findUnescapedCharacters(line) {
+    const text = String(line).replace(VALID_TAG_REGEX, '');
+    const found = [];
+    if (new RegExp(`&(?!${CHARACTER_REFERENCE})`).test(text)) found.push('&');
+    if (text.includes('<')) found.push('<');
+    if (text.includes('>')) found.push('>');
+    return found;
+}
+
+/**
+ * Converts a <font color> value to a six digit lower-case hex colour
+ * @param {string} value - Colour attribute value (#rgb, #rrggbb, rrggbb or a colour keyword)
+ * @returns {string|null} - Hex colour without "#", or null if the value is not supported
+ */
+function normalizeColor(value) {
+    const color = String(value).trim().toLowerCase();
+    if (NAMED_COLORS[color]) {
+        return NAMED_COLORS[color];
+    }
+
+    const hex = color.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (!hex) {
+        return null;
+    }
+    return hex[1].length === 3 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+}
+
+/**
+ * Gets the class name used for a colour (ffff00 -> colorffff00)
+ * @param {string} hex - Six digit hex colour
+ * @returns {string} - WebVTT class name
+ */
+function getColorClassName(hex) {
+    return `color${hex}`;
+}
+
+/**
+ * Translates cue text markup to WebVTT
+ * <b>, <i>, <u> and other WebVTT span tags are kept (lower-cased), <font color> becomes
+ * a <c.colorrrggbb> class span and any other tag or {\...} override block is dropped.
+ * Mis-nested tags are closed and reopened so the result is always balanced (reopened tags
+ * that get no content are dropped), and the text between tags is escaped with escapeCueText (which also breaks up a literal "-->")
+ * @param {string} text - Cue text with SRT-style markup
+ * @returns {Object} - {text, classes: {className: '#rrggbb'}, changes: [{type, original, replacement}]}
+ */
+function translateCueMarkup(text) {
+    const classes = {};
+    const changes = [];
+    const open = [];
+    let output = '';
+
+    const record = (type, original, replacement) => changes.push({ type, original, replacement });
+    const openTag = entry => entry.emit ? `<${entry.emit}>` : '';
+    const closeTag = entry => entry.emit && !entry.deferred ? `</${entry.closer}>` : '';
+    // Reopened tags are only written once content follows them
+    const emitDeferred = () => open.filter(entry => entry.deferred).forEach(entry => {
+        output += openTag(entry);
+        entry.deferred = false;
+    });
+
+    const tokens = String(text).split(TOKEN_REGEX);
+    tokens.forEach((token, i) => {
+        // Odd positions hold the captured markup tokens
+        if (i % 2 === 0) {
+            if (token !== '') {
+                emitDeferred();
+                output += escapeCueText(token);
+            }
+            return;
+        }
+
+        // Timestamp tags (karaoke) are valid WebVTT as they are
+        if (TIMESTAMP_TAG_REGEX.test(token)) {
+            emitDeferred();
+            output += token;
+            return;
+        }
+        if (/^<\d/.test(token)) {
+            emitDeferred();
+            output += escapeCueText(token);
+            return;
+        }
+
+        // SRT {b}/{i}/{u} shorthand
+        const brace = token.match(/^\{(\/?)([biuBIU])\}$/);
+        const match = brace ? [token, brace[1], brace[2], '', undefined] : token.match(TAG_REGEX);
+
+        if (!match) {
+            record('removed', token, '');
+            return;
+        }
+
+        const [, closing, tagName, classList, annotation] = match;
+        const name = tagName.toLowerCase();
+
+        if (closing) {
+            const position = open.map(entry => entry.name).lastIndexOf(name);
+            if (position === -1) {
+                record('removed', token, '');
+                return;
+            }
+            // Close tags opened after this one first and reopen them to keep the markup balanced
+            const reopen = open.slice(position + 1);
+            output += [...open.slice(position)].reverse().map(closeTag).join('');
+            open.length = position;
+            reopen.forEach(entry => {
+                entry.deferred = true;
+                open.push(entry);
+            });
+            return;
+        }
+
+        if (name === 'font') {
+            const colorMatch = (annotation || '').match(/\bcolor\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+))/i);
+            const hex = colorMatch ? normalizeColor(colorMatch[1] || colorMatch[2] || colorMatch[3]) : null;
+            if (!hex) {
+                open.push({ name, emit: null });
+                record('removed', token, '');
+                return;
+            }
+            const className = getColorClassName(hex);
+            classes[className] = `#${hex}`;
+            const entry = { name, closer: 'c', emit: `c.${className}` };
+            emitDeferred();
+            open.push(entry);
+            output += openTag(entry);
+            record('converted', token, openTag(entry));
+            return;
+        }
+
+        if (!WEBVTT_TAGS.includes(name)) {
+            record('removed', token, '');
+            return;
+        }
+
+        classList.split('.').filter(Boolean).forEach(className => {
+            const color = className.match(COLOR_CLASS_REGEX);
+            if (color) {
+                classes[className] = `#${color[1]}`;
+            }
+        });
+
+        const suffix = ANNOTATED_TAGS.includes(name) && annotation ? ` ${annotation}` : '';
+        const entry = { name, closer: name, emit: `${name}${classList}${suffix}` };
+        emitDeferred();
+        open.push(entry);
+        output += openTag(entry);
+        if (openTag(entry) !== token) {
+            record('normalized', token, openTag(entry));
+        }
+    });
+
+    output += [...open].reverse().map(closeTag).join('');
+
+    return { text: output, classes, changes };
+}
+
+/**
+ * Translates WebVTT cue text markup into markup SRT players understand (the reverse of translateCueMarkup)
+ * <b>, <i> and <u> are kept without classes, <c.colorrrggbb> spans become <font color="#rrggbb">,
+ * <v Speaker> becomes a "Speaker: " prefix, <rt> ruby text is dropped and the other WebVTT-only
+ * tags (<c>, <lang>, <ruby>, <v> end tags) and timestamp tags are removed. Tags WebVTT does
+ * not define (e.g. SRT <font>) are left alone
+ * @param {string} text - Cue text as read by the WebVTT parser (character references already decoded)
+ * @returns {string} - Cue text with SRT markup
+ */
+function translateCueMarkupToSRT(text) {
+    const closers = [];
+    let rubyText = 0;
+    let output = '';
+
+    const tokens = String(text).split(TOKEN_REGEX);
+    tokens.forEach((token, i) => {
+        // Odd positions hold the captured markup tokens
+        if (i % 2 === 0) {
+            output += rubyText > 0 ? '' : token;
+            return;
+        }
+        if (TIMESTAMP_TAG_REGEX.test(token)) {
+            return;
+        }
+
+        const match = token.match(TAG_REGEX);
+        const name = match ? match[2].toLowerCase() : null;
+        if (!match || !WEBVTT_TAGS.includes(name)) {
+            output += rubyText > 0 ? '' : token;
+            return;
+        }
+
+        const [, closing, , classList, annotation] = match;
+        if (name === 'rt') {
+            rubyText = Math.max(rubyText + (closing ? -1 : 1), 0);
+            return;
+        }
+        if (rubyText > 0) {
+            return;
+        }
+
+        if (['b', 'i', 'u'].includes(name)) {
+            output += `<${closing}${name}>`;
+        } else if (name === 'c') {
+            // Only colour classes have an SRT counterpart; the matching end tag closes what the start tag opened
+            if (closing) {
+                output += closers.pop() || '';
+            } else {
+                const color = classList.split('.').map(className => className.match(COLOR_CLASS_REGEX)).find(Boolean);
+                output += color ? `<font color="#${color[1]}">` : '';
+                closers.push(color ? '</font>' : '');
+            }
+        } else if (name === 'v' && !closing && annotation) {
+            output += `${annotation.trim()}: `;
+        }
+    });
+
+    return output;
+}
+
+/**
+ * Builds the WebVTT STYLE block for generated colour classes
+ * @param {Object} classes - Map of class name to CSS colour from translateCueMarkup
+ * @returns {string} - STYLE block followed by a blank line, or an empty string when there are no classes
+ */
+function generateStyleBlock(classes) {
+    const names = Object.keys(classes).sort();
+    if (names.length === 0) {
+        return '';
+    }
+
+    const rules = names.map(name => `::cue(.${name}) {\n  color: ${classes[name]};\n}`);
+    return `STYLE\n${rules.join('\n')}\n\n`;
+}
+
+/**
+ * Summarizes markup changes as human readable warnings, one per distinct tag
+ * @param {Array} changes - Changes from translateCueMarkup
+ * @returns {Array<string>} - Warning messages
+ */
+function summarizeMarkupChanges(changes) {
+    const counts = new Map();
+    changes.forEach(change => {
+        const key = JSON.stringify([change.type, change.original, change.replacement]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return [...counts.entries()].map(([key, count]) => {
+        const [type, original, replacement] = JSON.parse(key);
+        const times = count === 1 ? '1 occurrence' : `${count} occurrences`;
+        if (type === 'converted') {
+            return `Converted ${original} to ${replacement} (${times})`;
+        }
+        if (type === 'normalized') {
+            return `Normalized ${original} to ${replacement} (${times})`;
+        }
+        return `Removed markup not supported by WebVTT: ${original} (${times})`;
+    });
+}
+
+module.exports = {
+    WEBVTT_TAGS,
+    translateCueMarkup,
+    translateCueMarkupToSRT,
+    escapeCueText,
+    unescapeCueText,
+    findUnescapedCharacters,
+    generateStyleBlock,
+    summarizeMarkupChanges,
+    normalizeColor
+};
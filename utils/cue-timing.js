@@ -0,0 +1,426 @@
+/**
+ * Cue Timing Module
+ * Semantic timing checks (inverted, zero-length, out-of-order and overlapping cues), their repair and cue chaining
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+
+/**
+ * Severity of each timing issue unless overridden; "ignore" turns a check off
+ */
+const DEFAULT_TIMING_SEVERITY = {
+    'inverted': 'error',
+    'zero-duration': 'error',
+    'out-of-order': 'warning'
+};
+
+const SEVERITY_LEVELS = ['error', 'warning', 'ignore'];
+
+/**
+ * Duration given to zero-length cues by repairCueTiming, unless the next cue starts earlier
+ */
+const REPAIRED_CUE_DURATION = 1000;
+
+/**
+ * Ways to resolve overlapping cues
+ */
+const OVERLAP_STRATEGIES = ['trim', 'merge', 'stack', 'error'];
+
+/**
+ * Text lines assumed per cue when stacking; each stacked layer is moved by this many lines
+ */
+const STACK_LINES_PER_LAYER = 2;
+
+/**
+ * Reads the line a cue is anchored to for stacking
+ * Cues without a line setting sit at the bottom (line -1); negative lines count from the
+ * bottom and the others from the top
+ * @param {Object} settings - Cue settings map, if any
+ * @returns {Object|null} - {line, alignment} with alignment being the ",start" style suffix,
+ *                          or null for percentage and fractional lines, which are not stacked
+ */
+function getStackAnchor(settings) {
+    if (!settings || settings.line === undefined) {
+        return { line: -1, alignment: '' };
+    }
+    const match = String(settings.line).match(/^(-?\d+)(,(?:start|center|end))?$/);
+    return match ? { line: parseInt(match[1], 10), alignment: match[2] || '' } : null;
+}
+
+/**
+ * Which cue chainCues moves: extend changes the end of the earlier cue, delay the start of the later one
+ */
+const CHAIN_DIRECTIONS = ['extend', 'delay'];
+
+/**
+ * Chaining settings unless overridden: gaps shorter than 12 frames are closed to 2 frames at 25fps
+ */
+const DEFAULT_CHAIN_OPTIONS = {
+    fps: 25,
+    thresholdFrames: 12,
+    minGapFrames: 2,
+    direction: 'extend'
+};
+
+/**
+ * Merges severity overrides with the defaults
+ * @param {Object} overrides - Map of issue kind to "error", "warning" or "ignore"
+ * @returns {Object} - Complete severity map
+ * @throws {Error} - If an issue kind or severity is unknown
+ */
+function resolveTimingSeverity(overrides = {}) {
+    Object.entries(overrides).forEach(([kind, level]) => {
+        if (!DEFAULT_TIMING_SEVERITY[kind]) {
+            throw new Error(`Unknown timing check "${kind}". Supported checks: ${Object.keys(DEFAULT_TIMING_SEVERITY).join(', ')}`);
+        }
+        if (!SEVERITY_LEVELS.includes(level)) {
+            throw new Error(`Invalid severity "${level}" for ${kind}. Use ${SEVERITY_LEVELS.join(', ')}`);
+        }
+    });
+    return { ...DEFAULT_TIMING_SEVERITY, ...overrides };
+}
+
+/**
+ * Parses severity overrides written as "out-of-order:error,zero-duration:warning"
+ * @param {string} value - Comma-separated kind:severity pairs
+ * @returns {Object} - Complete severity map
+ * @throws {Error} - If a pair is malformed or names an unknown kind or severity
+ */
+function parseTimingSeverity(value) {
+    const overrides = {};
+    String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const [kind, level, extra] = pair.split(':').map(part => part.trim());
+        if (!kind || !level || extra !== undefined) {
+            throw new Error(`Invalid timing severity "${pair}". Use <check>:<severity>, e.g. out-of-order:error`);
+        }
+        overrides[kind] = level;
+    });
+    return resolveTimingSeverity(overrides);
+}
+
+/**
+ * Finds cues whose end is before their start, cues with zero duration and cues that start
+ * before the previous cue
+ * @param {Array} subtitles - Array of subtitle objects (startTime/endTime in SRT or WebVTT form)
+ * @param {Object} options - Check options
+ * @param {Object} options.severity - Severity overrides (see DEFAULT_TIMING_SEVERITY)
+ * @returns {Object} - {errors, warnings}; each issue is {kind, cue, message} with cue numbered from 1
+ * @throws {Error} - If a timestamp cannot be read or a severity is unknown
+ */
+function checkCueTiming(subtitles, options = {}) {
+    const severity = resolveTimingSeverity(options.severity);
+    const result = { errors: [], warnings: [] };
+    const report = (kind, cue, message) => {
+        if (severity[kind] === 'error') {
+            result.errors.push({ kind, cue, message });
+        } else if (severity[kind] === 'warning') {
+            result.warnings.push({ kind, cue, message });
+        }
+    };
+
+    let previousStart = null;
+    subtitles.forEach((subtitle, i) => {
+        const cue = i + 1;
+        const start = timestampToMs(subtitle.startTime);
+        const end = timestampToMs(subtitle.endTime);
+
+        if (end < start) {
+            report('inverted', cue, `Cue ${cue} ends before it starts (${subtitle.startTime} --> ${subtitle.endTime})`);
+        } else if (end === start) {
+            report('zero-duration', cue, `Cue ${cue} has zero duration (${subtitle.startTime} --> ${subtitle.endTime})`);
+        }
+
+        if (previousStart !== null && start < previousStart.ms) {
+            report('out-of-order', cue, `Cue ${cue} starts at ${subtitle.startTime}, before the previous cue (${previousStart.timestamp})`);
+        }
+        previousStart = { ms: start, timestamp: subtitle.startTime };
+    });
+
+    return result;
+}
+
+/**
+ * Repairs timing issues: swaps inverted start and end times, sorts cues by start time and
+ * extends zero-length cues to one second (or up to the next cue when it starts sooner)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Object} - {subtitles, repairs}; each repair is {kind, cue, message} with cue numbered
+ *                     from 1 in the original order; subtitles are re-indexed
+ * @throws {Error} - If a timestamp cannot be read
+ */
+function repairCueTiming(subtitles) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const repairs = [];
+    const cues = subtitles.map((subtitle, i) => {
+        let start = timestampToMs(subtitle.startTime);
+        let end = timestampToMs(subtitle.endTime);
+        if (end < start) {
+            [start, end] = [end, start];
+            repairs.push({ kind: 'inverted', cue: i + 1, message: `Swapped the start and end time of cue ${i + 1}` });
+        }
+        return { subtitle, cue: i + 1, start, end };
+    });
+
+    // Array.prototype.sort is stable, so cues starting together keep their order
+    const sorted = [...cues].sort((a, b) => a.start - b.start);
+    sorted.forEach((entry, position) => {
+        if (entry !== cues[position] && entry.cue > position + 1) {
+            repairs.push({ kind: 'out-of-order', cue: entry.cue, message: `Moved cue ${entry.cue} to position ${position + 1} to restore time order` });
+        }
+    });
+
+    sorted.forEach((entry, position) => {
+        if (entry.end === entry.start) {
+            const next = sorted.slice(position + 1).find(other => other.start > entry.start);
+            entry.end = next ? Math.min(next.start, entry.start + REPAIRED_CUE_DURATION) : entry.start + REPAIRED_CUE_DURATION;
+            repairs.push({ kind: 'zero-duration', cue: entry.cue, message: `Extended zero-length cue ${entry.cue} to ${entry.end - entry.start}ms` });
+        }
+    });
+
+    return {
+        subtitles: sorted.map((entry, position) => ({
+            ...entry.subtitle,
+            index: position + 1,
+            startTime: msToTimestamp(entry.start),
+            endTime: msToTimestamp(entry.end)
+        })),
+        repairs: repairs.sort((a, b) => a.cue - b.cue)
+    };
+}
+
+/**
+ * Reads cue times and sorts the cues by start time, keeping the original position of each cue
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array} - Array of {subtitle, cue, start, end} with cue numbered from 1
+ */
+function toSortedEntries(subtitles) {
+    return subtitles
+        .map((subtitle, i) => ({
+            subtitle,
+            cue: i + 1,
+            start: timestampToMs(subtitle.startTime),
+            end: timestampToMs(subtitle.endTime)
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds every pair of cues that are shown at the same time
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array} - Array of {first, second, overlapMs, message}; first starts no later than second,
+ *                    both numbered from 1 in the original order
+ * @throws {Error} - If the input is not an array or a timestamp cannot be read
+ */
+function findOverlaps(subtitles) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const entries = toSortedEntries(subtitles);
+    const overlaps = [];
+
+    entries.forEach((entry, i) => {
+        for (let j = i + 1; j < entries.length && entries[j].start < entry.end; j++) {
+            const other = entries[j];
+            const overlapMs = Math.min(entry.end, other.end) - other.start;
+            if (overlapMs <= 0) {
+                continue;
+            }
+            overlaps.push({
+                first: entry.cue,
+                second: other.cue,
+                overlapMs,
+                message: `Cues ${entry.cue} and ${other.cue} overlap by ${overlapMs}ms from ${msToTimestamp(other.start)}`
+            });
+        }
+    });
+
+    return overlaps;
+}
+
+/**
+ * Resolves overlapping cues
+ * - trim: the earlier cue ends when the next one starts (cues starting together are merged)
+ * - merge: overlapping cues become one cue spanning all of them, with their text on separate lines
+ * - stack: cues keep their times and each overlapping layer is moved with a "line" cue setting, up from
+ *   bottom lines and down from top lines (e.g. {\an8} cues); cues at a percentage line are left in place
+ * Cues are returned sorted by start time and re-indexed
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {string} strategy - trim, merge or stack
+ * @returns {Object} - {subtitles, changes}; each change is {cues, message} with cues numbered from 1
+ * @throws {Error} - If the strategy is unknown, or "error" and the cues overlap
+ */
+function resolveOverlaps(subtitles, strategy) {
+    if (!OVERLAP_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown overlap strategy "${strategy}". Supported strategies: ${OVERLAP_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'error') {
+        const overlaps = findOverlaps(subtitles);
+        if (overlaps.length > 0) {
+            throw new Error(overlaps.map(overlap => overlap.message).join('; '));
+        }
+    }
+
+    const entries = toSortedEntries(subtitles);
+    const changes = [];
+    let resolved = entries;
+
+    if (strategy === 'merge' || strategy === 'trim') {
+        // Merge everything that overlaps (merge) or only cues starting at the same time (trim)
+        resolved = [];
+        entries.forEach(entry => {
+            const group = resolved[resolved.length - 1];
+            const joins = group && (strategy === 'merge' ? entry.start < group.end : entry.start === group.start);
+            if (joins) {
+                group.end = Math.max(group.end, entry.end);
+                group.texts.push(entry.subtitle.text);
+                group.cues.push(entry.cue);
+            } else {
+                resolved.push({ ...entry, texts: [entry.subtitle.text], cues: [entry.cue] });
+            }
+        });
+        resolved.forEach(group => {
+            if (group.cues.length > 1) {
+                group.subtitle = { ...group.subtitle, text: group.texts.join('\n') };
+                changes.push({ cues: group.cues, message: `Merged cues ${group.cues.join(', ')} into one cue` });
+            }
+        });
+    }
+
+    if (strategy === 'trim') {
+        resolved.forEach((entry, i) => {
+            const next = resolved[i + 1];
+            if (next && next.start < entry.end) {
+                entry.end = next.start;
+                changes.push({ cues: [entry.cue], message: `Trimmed cue ${entry.cue} to end at ${msToTimestamp(entry.end)}` });
+            }
+        });
+    }
+
+    if (strategy === 'stack') {
+        // Cues anchored to the same line share layers; each cue takes the first layer that is free
+        // when it starts and layer 0 keeps its position
+        const layerEnds = new Map();
+        resolved.forEach(entry => {
+            const anchor = getStackAnchor(entry.subtitle.settings);
+            if (!anchor) {
+                return;
+            }
+            if (!layerEnds.has(anchor.line)) {
+                layerEnds.set(anchor.line, []);
+            }
+            const ends = layerEnds.get(anchor.line);
+            let layer = ends.findIndex(end => end <= entry.start);
+            if (layer === -1) {
+                layer = ends.length;
+            }
+            ends[layer] = entry.end;
+            if (layer > 0) {
+                const fromTop = anchor.line >= 0;
+                const line = anchor.line + (fromTop ? 1 : -1) * layer * STACK_LINES_PER_LAYER;
+                entry.subtitle = { ...entry.subtitle, settings: { ...entry.subtitle.settings, line: `${line}${anchor.alignment}` } };
+                changes.push({ cues: [entry.cue], message: `Moved cue ${entry.cue} ${fromTop ? 'down' : 'up'} to line ${line}` });
+            }
+        });
+    }
+
+    return {
+        subtitles: resolved.map((entry, i) => ({
+            ...entry.subtitle,
+            index: i + 1,
+            startTime: msToTimestamp(entry.start),
+            endTime: msToTimestamp(entry.end)
+        })),
+        changes: changes.sort((a, b) => a.cues[0] - b.cues[0])
+    };
+}
+
+/**
+ * Chains consecutive cues: every gap shorter than the threshold is set to exactly the minimum gap,
+ * so nearly touching cues are joined and cues that are too close are pushed apart
+ * Overlapping pairs are left to resolveOverlaps; a pair is skipped when the change would leave a
+ * cue without duration. Cue order is unchanged
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Chaining options (see DEFAULT_CHAIN_OPTIONS)
+ * @param {number} options.fps - Frame rate the frame counts refer to
+ * @param {number} options.thresholdFrames - Gaps shorter than this many frames are chained
+ * @param {number} options.minGapFrames - Gap left between chained cues, in frames
+ * @param {string} options.direction - extend (move the earlier cue's end) or delay (move the later cue's start)
+ * @returns {Object} - {subtitles, stats: {chained, changed, thresholdMs, minGapMs}}; chained counts pairs, changed counts cues
+ * @throws {Error} - If the input or an option is invalid, or a timestamp cannot be read
+ */
+function chainCues(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const { fps, thresholdFrames, minGapFrames, direction } = { ...DEFAULT_CHAIN_OPTIONS, ...options };
+    if (!CHAIN_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown chain direction "${direction}". Supported directions: ${CHAIN_DIRECTIONS.join(', ')}`);
+    }
+    if (!(fps > 0) || !Number.isFinite(fps)) {
+        throw new Error(`Invalid frame rate: ${fps}. Must be a positive number such as 23.976 or 25`);
+    }
+    if (!(thresholdFrames >= 0) || !(minGapFrames >= 0) || minGapFrames > thresholdFrames) {
+        throw new Error('Chain threshold and minimum gap must be non-negative frame counts, with the minimum gap no larger than the threshold');
+    }
+
+    const thresholdMs = Math.round(thresholdFrames * 1000 / fps);
+    const minGapMs = Math.round(minGapFrames * 1000 / fps);
+    const entries = toSortedEntries(subtitles);
+    const changedCues = new Set();
+    let chained = 0;
+
+    entries.forEach((entry, i) => {
+        const next = entries[i + 1];
+        const gap = next ? next.start - entry.end : null;
+        if (gap === null || gap < 0 || gap >= thresholdMs || gap === minGapMs) {
+            return;
+        }
+
+        if (direction === 'extend') {
+            const end = next.start - minGapMs;
+            if (end <= entry.start) {
+                return;
+            }
+            entry.end = end;
+            changedCues.add(entry.cue);
+        } else {
+            const start = entry.end + minGapMs;
+            if (start >= next.end) {
+                return;
+            }
+            next.start = start;
+            changedCues.add(next.cue);
+        }
+        chained++;
+    });
+
+    const times = new Map(entries.map(entry => [entry.cue, entry]));
+    return {
+        subtitles: subtitles.map((subtitle, i) => {
+            const entry = times.get(i + 1);
+            return changedCues.has(entry.cue)
+                ? { ...subtitle, startTime: msToTimestamp(entry.start), endTime: msToTimestamp(entry.end) }
+                : subtitle;
+        }),
+        stats: { chained, changed: changedCues.size, thresholdMs, minGapMs }
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMING_SEVERITY,
+    OVERLAP_STRATEGIES,
+    CHAIN_DIRECTIONS,
+    DEFAULT_CHAIN_OPTIONS,
+    resolveTimingSeverity,
+    parseTimingSeverity,
+    checkCueTiming,
+    repairCueTiming,
+    findOverlaps,
+    resolveOverlaps,
+    chainCues,
+    toSortedEntries
+};
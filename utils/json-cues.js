@@ -0,0 +1,176 @@
+/**
+ * JSON Cue Module
+ * Converts between subtitle objects and the JSON cue arrays used by API clients
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+const { formatCueSettings, validateCueSettings } = require('./cue-settings');
+
+/**
+ * Converts subtitle objects to JSON cues with times in milliseconds and as WebVTT-style strings
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array} - Array of {index, start, end, startTime, endTime, text, settings?, identifier?}
+ */
+function subtitlesToJSONCues(subtitles) {
+    return subtitles.map((subtitle, i) => {
+        const start = timestampToMs(subtitle.startTime);
+        const end = timestampToMs(subtitle.endTime);
+        const cue = {
+            index: i + 1,
+            start,
+            end,
+            startTime: msToTimestamp(start, '.'),
+            endTime: msToTimestamp(end, '.'),
+            text: subtitle.text
+        };
+        if (subtitle.identifier !== undefined) {
+            cue.identifier = subtitle.identifier;
+        }
+        if (subtitle.settings && Object.keys(subtitle.settings).length > 0) {
+            cue.settings = { ...subtitle.settings };
+        }
+        return cue;
+    });
+}
+
+/**
+ * Reads a cue time from milliseconds or a timestamp string
+ * @param {Object} cue - JSON cue
+ * @param {string} msField - Field holding milliseconds (start, end)
+ * @param {string} stringField - Field holding a timestamp string (startTime, endTime)
+ * @param {number} position - Position of the cue for error messages
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} - If neither field holds a valid time
+ */
+function readCueTime(cue, msField, stringField, position) {
+    if (cue[msField] !== undefined) {
+        if (typeof cue[msField] !== 'number' || !Number.isFinite(cue[msField]) || cue[msField] < 0) {
+            throw new Error(`Cue ${position}: "${msField}" must be a non-negative number of milliseconds`);
+        }
+        return cue[msField];
+    }
+    if (cue[stringField] !== undefined) {
+        try {
+            return timestampToMs(cue[stringField]);
+        } catch (error) {
+            throw new Error(`Cue ${position}: ${error.message}`);
+        }
+    }
+    throw new Error(`Cue ${position}: missing "${msField}" (ms) or "${stringField}" (timestamp)`);
+}
+
+/**
+ * Internal function to parse JSON cues with detailed error checking
+ * Accepts an array of cues or an object with a "cues" array
+ * @param {string|Array|Object} content - JSON text or already parsed JSON
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is not a valid cue array or a cue has invalid settings
+ */
+function parseJSONCuesInternal(content) {
+    let data = content;
+    if (typeof content === 'string') {
+        try {
+            data = JSON.parse(content.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Content is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const cues = Array.isArray(data) ? data : (data && data.cues);
+    if (!Array.isArray(cues)) {
+        throw new Error('Expected an array of cues or an object with a "cues" array');
+    }
+    if (cues.length === 0) {
+        throw new Error('No cues found');
+    }
+
+    return cues.map((cue, i) => {
+        const position = i + 1;
+        if (!cue || typeof cue !== 'object' || Array.isArray(cue)) {
+            throw new Error(`Cue ${position}: must be an object`);
+        }
+        if (typeof cue.text !== 'string' || cue.text.trim() === '') {
+            throw new Error(`Cue ${position}: "text" must be a non-empty string`);
+        }
+
+        const start = readCueTime(cue, 'start', 'startTime', position);
+        const end = readCueTime(cue, 'end', 'endTime', position);
+
+        const subtitle = {
+            index: position,
+            startTime: msToTimestamp(start),
+            endTime: msToTimestamp(end),
+            text: cue.text.replace(/\r\n?/g, '\n').trim()
+        };
+        if (cue.identifier !== undefined) {
+            subtitle.identifier = String(cue.identifier);
+        }
+        if (cue.settings !== undefined) {
+            if (!cue.settings || typeof cue.settings !== 'object' || Array.isArray(cue.settings)) {
+                throw new Error(`Cue ${position}: "settings" must be an object of cue settings`);
+            }
+            if (Object.keys(cue.settings).length > 0) {
+                subtitle.settings = Object.fromEntries(Object.entries(cue.settings).map(([name, value]) => [name, String(value)]));
+            }
+        }
+        return subtitle;
+    });
+}
+
+/**
+ * Checks the cue settings of parsed JSON cues with the WebVTT cue setting rules
+ * @param {Array} subtitles - Subtitle objects from parseJSONCuesInternal
+ * @throws {Error} - Naming the first cue with invalid settings
+ */
+function checkJSONCueSettings(subtitles) {
+    subtitles.forEach(subtitle => {
+        if (!subtitle.settings) {
+            return;
+        }
+        const problems = validateCueSettings(formatCueSettings(subtitle.settings));
+        if (problems.length > 0) {
+            throw new Error(`Cue ${subtitle.index}: ${problems.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Validates if the content is a JSON cue array
+ * @param {string|Array|Object} content - JSON text or already parsed JSON
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateJSONCues(content) {
+    if (!content) {
+        return false;
+    }
+
+    try {
+        parseJSONCuesInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses JSON cues into structured subtitle entries
+ * Cue timing is not checked here; like every input format it goes through checkCueTiming or repairCueTiming
+ * @param {string|Array|Object} content - JSON text or already parsed JSON
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text and optional settings
+ * @throws {Error} - If content is not a valid cue array or a cue has invalid settings
+ */
+function parseJSONCues(content) {
+    try {
+        const subtitles = parseJSONCuesInternal(content);
+        checkJSONCueSettings(subtitles);
+        return subtitles;
+    } catch (error) {
+        throw new Error('Invalid JSON cue format: ' + error.message);
+    }
+}
+
+module.exports = {
+    subtitlesToJSONCues,
+    validateJSONCues,
+    parseJSONCues
+};
@@ -0,0 +1,276 @@
+/**
+ * Line Wrap Module
+ * Re-wraps cue text to a maximum line length and line count with balanced line breaks
+ */
+
+/**
+ * Wrapping settings unless overridden
+ */
+const DEFAULT_WRAP_OPTIONS = {
+    maxLineLength: 42,
+    maxLines: 2
+};
+
+/**
+ * Largest accepted settings; they bound the work of finding the best line breaks
+ */
+const WRAP_LIMITS = {
+    maxLineLength: 100,
+    maxLines: 4
+};
+
+/**
+ * Articles, prepositions and conjunctions a line should not end with, per ISO 639-1 code
+ */
+const WEAK_LINE_ENDINGS = {
+    'en': ['a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'into', 'about', 'and', 'or', 'but', 'as'],
+    'de': ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines', 'in', 'im', 'an', 'am', 'auf', 'zu', 'zum', 'zur', 'für', 'von', 'vom', 'mit', 'bei', 'nach', 'aus', 'über', 'unter', 'vor', 'und', 'oder', 'aber'],
+    'es': ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'a', 'en', 'con', 'por', 'para', 'sin', 'sobre', 'y', 'o', 'pero'],
+    'fr': ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'au', 'aux', 'à', 'en', 'dans', 'sur', 'avec', 'par', 'pour', 'sans', 'sous', 'et', 'ou', 'mais'],
+    'it': ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'di', 'del', 'della', 'a', 'al', 'alla', 'da', 'in', 'nel', 'nella', 'con', 'su', 'per', 'tra', 'fra', 'e', 'o', 'ma'],
+    'pt': ['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'ao', 'com', 'por', 'para', 'sem', 'e', 'ou', 'mas'],
+    'ru': ['в', 'во', 'на', 'с', 'со', 'к', 'ко', 'по', 'о', 'об', 'от', 'до', 'из', 'за', 'для', 'без', 'и', 'а', 'но', 'или']
+};
+
+// Layout cost weights: a top line longer than the one below costs more than the reverse
+// ("bottom-heavy pyramid"), a weak line ending costs about as much as 15 characters of imbalance
+// and ending a line on punctuation is preferred
+const TOP_HEAVY_WEIGHT = 3;
+const BOTTOM_HEAVY_WEIGHT = 1;
+const WEAK_ENDING_PENALTY = 45;
+const PUNCTUATION_BONUS = 10;
+
+const MARKUP_REGEX = /<[^>]*>|\{[^}]*\}/g;
+const WORD_REGEX = /(?:<[^>]*>|\{[^}]*\}|\S)+/g;
+const DIALOGUE_LINE_REGEX = /^(?:<[^>]*>)*\s*[-–—]/;
+
+/**
+ * Counts the characters of a word or line as displayed (markup is not counted)
+ * @param {string} text - Text with optional markup
+ * @returns {number} - Visible length in code points
+ */
+function visibleLength(text) {
+    return Array.from(text.replace(MARKUP_REGEX, '')).length;
+}
+
+/**
+ * Splits cue text into words; markup stays attached to its word, even when it contains spaces
+ * @param {string} text - Cue text
+ * @returns {Array<string>} - Words
+ */
+function splitCueWords(text) {
+    return String(text || '').match(WORD_REGEX) || [];
+}
+
+/**
+ * Checks whether a line ends with an article, preposition or conjunction
+ * @param {string} word - Last word of the line
+ * @param {Array<string>} weakWords - Weak line endings for the language
+ * @returns {boolean} - True if the line should not end with this word
+ */
+function isWeakEnding(word, weakWords) {
+    return weakWords.includes(word.replace(MARKUP_REGEX, '').toLowerCase());
+}
+
+/**
+ * Costs of one line followed by the next: imbalance between the two and how the first one ends
+ * @param {number} length - Visible length of the line
+ * @param {number} nextLength - Visible length of the line below
+ * @param {string} lastWord - Last word of the line
+ * @param {Array<string>} weakWords - Weak line endings for the language
+ * @returns {number} - Cost of the line break
+ */
+function lineBreakCost(length, nextLength, lastWord, weakWords) {
+    const difference = length - nextLength;
+    let cost = difference > 0 ? difference * TOP_HEAVY_WEIGHT : -difference * BOTTOM_HEAVY_WEIGHT;
+
+    if (isWeakEnding(lastWord, weakWords)) {
+        cost += WEAK_ENDING_PENALTY;
+    } else if (/[,.;:!?…]$/.test(lastWord.replace(MARKUP_REGEX, ''))) {
+        cost -= PUNCTUATION_BONUS;
+    }
+
+    return cost;
+}
+
+/**
+ * Finds the cheapest way to break words into exactly lineCount lines that all fit
+ * Layouts are scored by lineBreakCost for every pair of neighbouring lines. The search is dynamic
+ * programming over the last line of each prefix, so it grows with the number of words times the
+ * square of the words that fit on a line instead of with the number of possible layouts
+ * @param {Array<Object>} tokens - Words as {word, length}
+ * @param {number} lineCount - Number of lines
+ * @param {number} maxLineLength - Maximum visible characters per line
+ * @param {Array<string>} weakWords - Weak line endings for the language
+ * @returns {Array<Array<Object>>|null} - Best layout, or null if the words do not fit
+ */
+function findBestLayout(tokens, lineCount, maxLineLength, weakWords) {
+    const count = tokens.length;
+    const offsets = [0];
+    tokens.forEach(token => offsets.push(offsets[offsets.length - 1] + token.length));
+    const lineLength = (start, end) => offsets[end] - offsets[start] + end - start - 1;
+
+    if (count < lineCount || lineLength(0, count) > lineCount * maxLineLength + lineCount - 1) {
+        return null;
+    }
+
+    // states[k] maps the last line [start, end) of k + 1 lines to {cost, previous start}
+    const states = [new Map()];
+    for (let end = 1; end <= count - (lineCount - 1) && lineLength(0, end) <= maxLineLength; end++) {
+        states[0].set(`0:${end}`, { start: 0, end, cost: 0, previous: null });
+    }
+
+    for (let k = 1; k < lineCount; k++) {
+        const next = new Map();
+        states[k - 1].forEach(state => {
+            const length = lineLength(state.start, state.end);
+            const lastWord = tokens[state.end - 1].word;
+            // Each line takes at least one word and leaves one for every remaining line
+            for (let end = state.end + 1; end <= count - (lineCount - 1 - k) && lineLength(state.end, end) <= maxLineLength; end++) {
+                const key = `${state.end}:${end}`;
+                const cost = state.cost + lineBreakCost(length, lineLength(state.end, end), lastWord, weakWords);
+                const current = next.get(key);
+                if (!current || cost < current.cost) {
+                    next.set(key, { start: state.end, end, cost, previous: state });
+                }
+            }
+        });
+        states.push(next);
+    }
+
+    let best = null;
+    states[lineCount - 1].forEach(state => {
+        if (state.end === count && (!best || state.cost < best.cost)) {
+            best = state;
+        }
+    });
+    if (!best) {
+        return null;
+    }
+
+    const layout = [];
+    for (let state = best; state; state = state.previous) {
+        layout.unshift(tokens.slice(state.start, state.end));
+    }
+    return layout;
+}
+
+/**
+ * Checks wrap settings
+ * @param {number} maxLineLength - Maximum visible characters per line
+ * @param {number} maxLines - Maximum lines per cue
+ * @throws {Error} - If a setting is not a positive whole number or is above WRAP_LIMITS
+ */
+function checkWrapLimits(maxLineLength, maxLines) {
+    if (!Number.isInteger(maxLineLength) || maxLineLength < 1 || !Number.isInteger(maxLines) || maxLines < 1) {
+        throw new Error('Maximum line length and maximum lines must be positive whole numbers');
+    }
+    if (maxLineLength > WRAP_LIMITS.maxLineLength || maxLines > WRAP_LIMITS.maxLines) {
+        throw new Error(`Maximum line length must be at most ${WRAP_LIMITS.maxLineLength} and maximum lines at most ${WRAP_LIMITS.maxLines}`);
+    }
+}
+
+/**
+ * Breaks words greedily at the maximum line length; used when they do not fit in maxLines lines
+ * @param {Array<Object>} tokens - Words as {word, length}
+ * @param {number} maxLineLength - Maximum visible characters per line
+ * @returns {Array<Array<Object>>} - Lines
+ */
+function greedyLayout(tokens, maxLineLength) {
+    const lines = [];
+    let length = 0;
+    tokens.forEach(token => {
+        const current = lines[lines.length - 1];
+        if (current && length + 1 + token.length <= maxLineLength) {
+            current.push(token);
+            length += 1 + token.length;
+        } else {
+            lines.push([token]);
+            length = token.length;
+        }
+    });
+    return lines;
+}
+
+/**
+ * Re-wraps the text of one cue
+ * Text that already fits is kept as it is, and so are dialogue cues with one speaker per line.
+ * Otherwise the words are laid out in as few lines as fit, choosing breaks that balance the lines
+ * with the lower line longer, and that avoid ending a line with an article, preposition or
+ * conjunction of the language. Markup such as <i> is kept with its words and not counted
+ * @param {string} text - Cue text
+ * @param {Object} options - Wrap options (see DEFAULT_WRAP_OPTIONS)
+ * @param {number} options.maxLineLength - Maximum visible characters per line
+ * @param {number} options.maxLines - Maximum lines per cue
+ * @param {string} options.language - ISO 639-1 code of the text, or empty when unknown
+ * @returns {Object} - {text, changed, fits}; fits is false when the words need more than maxLines lines
+ */
+function wrapCueText(text, options = {}) {
+    const { maxLineLength, maxLines, language } = { ...DEFAULT_WRAP_OPTIONS, ...options };
+    const original = String(text || '');
+    const lines = original.split('\n');
+    const fitsAlready = lines.length <= maxLines && lines.every(line => visibleLength(line) <= maxLineLength);
+    const isDialogue = lines.filter(line => DIALOGUE_LINE_REGEX.test(line)).length > 1;
+
+    if (fitsAlready || isDialogue) {
+        return { text: original, changed: false, fits: fitsAlready };
+    }
+
+    const tokens = splitCueWords(original).map(word => ({ word, length: visibleLength(word) }));
+    const weakWords = WEAK_LINE_ENDINGS[String(language || '').toLowerCase()] || [];
+
+    let layout = null;
+    for (let lineCount = 1; lineCount <= Math.min(maxLines, tokens.length) && !layout; lineCount++) {
+        layout = findBestLayout(tokens, lineCount, maxLineLength, weakWords);
+    }
+    const fits = layout !== null;
+    if (!layout) {
+        layout = greedyLayout(tokens, maxLineLength);
+    }
+
+    const wrapped = layout.map(line => line.map(token => token.word).join(' ')).join('\n');
+    return { text: wrapped, changed: wrapped !== original, fits };
+}
+
+/**
+ * Re-wraps the text of every cue (see wrapCueText)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Wrap options passed to wrapCueText
+ * @returns {Object} - {subtitles, stats: {wrapped, tooLong}}; tooLong lists cues (numbered from 1)
+ *                     that still need more than maxLines lines
+ * @throws {Error} - If the input or an option is invalid
+ */
+function wrapSubtitles(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    const { maxLineLength, maxLines } = { ...DEFAULT_WRAP_OPTIONS, ...options };
+    checkWrapLimits(maxLineLength, maxLines);
+
+    const stats = { wrapped: 0, tooLong: [] };
+    const result = subtitles.map((subtitle, i) => {
+        const { text, changed, fits } = wrapCueText(subtitle.text, options);
+        if (!fits) {
+            stats.tooLong.push(i + 1);
+        }
+        if (!changed) {
+            return subtitle;
+        }
+        stats.wrapped++;
+        return { ...subtitle, text };
+    });
+
+    return { subtitles: result, stats };
+}
+
+module.exports = {
+    DEFAULT_WRAP_OPTIONS,
+    WRAP_LIMITS,
+    WEAK_LINE_ENDINGS,
+    visibleLength,
+    splitCueWords,
+    isWeakEnding,
+    checkWrapLimits,
+    wrapCueText,
+    wrapSubtitles
+};
@@ -0,0 +1,155 @@
+/**
+ * LRC Generation Module
+ * Converts parsed subtitle data to [mm:ss.xx] lyric files
+ */
+
+const { timestampToMs } = require('./timestamp');
+
+/**
+ * Converts a subtitle timestamp to an LRC time tag
+ * @param {string} timestamp - Timestamp in HH:MM:SS,mmm or HH:MM:SS.mmm format
+ * @returns {string} - Time tag rounded to centiseconds ([mm:ss.xx])
+ */
+function convertToLRCTimeTag(timestamp) {
+    const centiseconds = Math.round(timestampToMs(timestamp) / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    const fraction = centiseconds % 100;
+
+    return `[${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(fraction).padStart(2, '0')}]`;
+}
+
+/**
+ * Converts cue text to a single lyric line
+ * Markup is removed and the lines of the cue are joined with spaces
+ * @param {string} text - Cue text
+ * @returns {string} - Lyric text, empty when the cue held only markup
+ */
+function convertCueTextToLRC(text) {
+    return String(text)
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .join(' ');
+}
+
+/**
+ * Lists the cues generateLRC leaves out because no text remains once markup is removed
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array<number>} - Cue numbers starting at 1
+ */
+function getLRCDroppedCues(subtitles) {
+    return subtitles
+        .map((subtitle, index) => (convertCueTextToLRC(subtitle.text) === '' ? index + 1 : null))
+        .filter(cue => cue !== null);
+}
+
+/**
+ * Generates LRC content from parsed subtitle data
+ * LRC lines have no end time, so an empty time-tagged line marks the end of a
+ * cue whenever the next cue does not start right away. Markup is removed and
+ * multi-line cues are joined into a single lyric line; cues with no text left
+ * are skipped (see getLRCDroppedCues)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {string} - Complete LRC content
+ * @throws {Error} - If the input is invalid or no cue has text
+ */
+function generateLRC(subtitles) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No subtitles provided for LRC generation');
+    }
+
+    const cues = [];
+    subtitles.forEach((subtitle, index) => {
+        if (!subtitle || typeof subtitle !== 'object') {
+            throw new Error(`Invalid subtitle object at index ${index}`);
+        }
+
+        const { startTime, endTime, text } = subtitle;
+
+        if (!startTime || !endTime || text === undefined) {
+            throw new Error(`Missing required fields in subtitle at index ${index}. Required: startTime, endTime, text`);
+        }
+
+        const lyric = convertCueTextToLRC(text);
+        if (lyric !== '') {
+            cues.push({ index, startTime, endTime, lyric });
+        }
+    });
+
+    if (cues.length === 0) {
+        throw new Error('No subtitles with text left for LRC generation');
+    }
+
+    const lines = [];
+    cues.forEach(({ index, startTime, endTime, lyric }, position) => {
+        try {
+            lines.push(`${convertToLRCTimeTag(startTime)}${lyric}`);
+
+            const next = cues[position + 1];
+            if (!next || timestampToMs(next.startTime) > timestampToMs(endTime)) {
+                lines.push(convertToLRCTimeTag(endTime));
+            }
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Generates Base64 encoded LRC content for API consumers
+ * @param {string} lrcContent - The LRC content to encode
+ * @returns {Object} - Base64 data with metadata, same shape as generateBase64Output
+ */
+function generateLRCBase64Output(lrcContent) {
+    if (!lrcContent || typeof lrcContent !== 'string') {
+        throw new Error('Invalid LRC content for Base64 encoding');
+    }
+
+    const buffer = Buffer.from(lrcContent, 'utf8');
+    const base64Content = buffer.toString('base64');
+
+    return {
+        content: base64Content,
+        mimeType: 'text/plain',
+        charset: 'utf-8',
+        encoding: 'base64',
+        size: {
+            original: buffer.length,
+            encoded: base64Content.length
+        },
+        metadata: {
+            format: 'LRC',
+            encoding: 'UTF-8 without BOM'
+        }
+    };
+}
+
+/**
+ * Gets the MIME type configuration for LRC files
+ * LRC has no registered MIME type; players read it as plain text
+ * @returns {Object} - MIME type configuration
+ */
+function getLRCMimeTypeConfig() {
+    return {
+        primary: 'text/plain',
+        fileExtension: '.lrc',
+        contentType: 'text/plain; charset=utf-8'
+    };
+}
+
+module.exports = {
+    convertToLRCTimeTag,
+    convertCueTextToLRC,
+    getLRCDroppedCues,
+    generateLRC,
+    generateLRCBase64Output,
+    getLRCMimeTypeConfig
+};
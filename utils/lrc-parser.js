@@ -0,0 +1,169 @@
+/**
+ * LRC Parsing Module
+ * Parses [mm:ss.xx] lyric files into subtitle objects
+ */
+
+const { msToTimestamp } = require('./timestamp');
+
+const TIME_TAG_REGEX = /^\[(\d+):([0-5]?\d)(?:[.:](\d{1,3}))?\]/;
+const METADATA_REGEX = /^\[([a-zA-Z#]+):(.*)\]$/;
+
+/**
+ * Display time for the last lyric line when the file has no [length:] tag
+ */
+const DEFAULT_LAST_LINE_DURATION = 5000;
+
+/**
+ * Converts the captured parts of an LRC time tag to milliseconds
+ * @param {string} minutes - Minutes (may exceed 59)
+ * @param {string} seconds - Seconds
+ * @param {string} fraction - Optional tenths, hundredths or thousandths of a second
+ * @returns {number} - Time in milliseconds
+ */
+function partsToMs(minutes, seconds, fraction) {
+    const milliseconds = fraction ? Math.round(parseInt(fraction, 10) * Math.pow(10, 3 - fraction.length)) : 0;
+    return parseInt(minutes, 10) * 60000 + parseInt(seconds, 10) * 1000 + milliseconds;
+}
+
+/**
+ * Internal function to parse LRC content with detailed error checking
+ * @param {string} content - The LRC file content as string
+ * @param {Object} options - Parse options
+ * @param {number} options.lastLineDuration - Display time of the last line in ms when there is no [length:] tag
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid LRC format
+ */
+function parseLRCInternal(content, options = {}) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const entries = [];
+    let offset = 0;
+    let length = null;
+
+    lines.forEach((rawLine, lineIndex) => {
+        let line = rawLine.trim();
+        const lineNumber = lineIndex + 1;
+
+        if (line === '') {
+            return;
+        }
+
+        // A lyric line may carry several time tags when it repeats, e.g. [00:12.00][01:15.00]Chorus
+        const times = [];
+        let match;
+        while ((match = line.match(TIME_TAG_REGEX)) !== null) {
+            times.push(partsToMs(match[1], match[2], match[3]));
+            line = line.slice(match[0].length);
+        }
+
+        if (times.length > 0) {
+            // Enhanced LRC word timing (<mm:ss.xx>) has no cue-level equivalent
+            const text = line.replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim();
+            times.forEach(start => entries.push({ start, text, lineNumber }));
+            return;
+        }
+
+        const metadata = line.match(METADATA_REGEX);
+        if (!metadata) {
+            throw new Error(`Invalid LRC line "${line}" at line ${lineNumber} (expected [mm:ss.xx]text or [tag:value])`);
+        }
+
+        const [, tag, value] = metadata;
+        if (tag.toLowerCase() === 'offset') {
+            if (!/^[+-]?\d+$/.test(value.trim())) {
+                throw new Error(`Invalid offset "${value}" at line ${lineNumber} (expected milliseconds)`);
+            }
+            offset = parseInt(value.trim(), 10);
+        } else if (tag.toLowerCase() === 'length') {
+            const lengthMatch = value.trim().match(/^(\d+):([0-5]?\d)(?:[.:](\d{1,3}))?$/);
+            length = lengthMatch ? partsToMs(lengthMatch[1], lengthMatch[2], lengthMatch[3]) : null;
+        }
+    });
+
+    if (entries.length === 0) {
+        throw new Error('No timed lyric lines found');
+    }
+
+    // A positive [offset:] makes lyrics appear sooner
+    entries.forEach(entry => {
+        entry.start = Math.max(0, entry.start - offset);
+    });
+    entries.sort((a, b) => a.start - b.start || a.lineNumber - b.lineNumber);
+
+    const lastLineDuration = options.lastLineDuration || DEFAULT_LAST_LINE_DURATION;
+    const subtitles = [];
+
+    entries.forEach((entry, i) => {
+        if (entry.text === '') {
+            // Empty lines only mark the end of the previous lyric
+            return;
+        }
+
+        // A line is shown until the next line with a later time tag
+        const next = entries.slice(i + 1).find(other => other.start > entry.start);
+        let end;
+        if (next) {
+            end = next.start;
+        } else if (length !== null && length - offset > entry.start) {
+            end = length - offset;
+        } else {
+            end = entry.start + lastLineDuration;
+        }
+
+        subtitles.push({
+            index: subtitles.length + 1,
+            startTime: msToTimestamp(entry.start),
+            endTime: msToTimestamp(end),
+            text: entry.text
+        });
+    });
+
+    if (subtitles.length === 0) {
+        throw new Error('No lyric lines with text found');
+    }
+
+    return subtitles;
+}
+
+/**
+ * Validates if the content follows LRC format structure
+ * @param {string} content - The LRC file content as string
+ * @returns {boolean} - True if valid LRC format, false otherwise
+ */
+function validateLRCFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseLRCInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses LRC content into structured subtitle entries
+ * End times are inferred from the start of the next line
+ * @param {string} content - The LRC file content as string
+ * @param {Object} options - Parse options (see parseLRCInternal)
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @throws {Error} - If content is invalid LRC format
+ */
+function parseLRC(content, options = {}) {
+    try {
+        return parseLRCInternal(content, options);
+    } catch (error) {
+        throw new Error('Invalid LRC format: ' + error.message);
+    }
+}
+
+module.exports = {
+    DEFAULT_LAST_LINE_DURATION,
+    validateLRCFormat,
+    parseLRC
+};
@@ -0,0 +1,206 @@
+/**
+ * MicroDVD Parsing Module
+ * Parses frame-based MicroDVD ({start}{end}text) files into subtitle objects
+ */
+
+const { msToTimestamp, isValidFrameRate } = require('./timestamp');
+
+const LINE_REGEX = /^\{(\d+)\}\{(\d+)\}(.*)$/;
+
+/**
+ * MicroDVD {y:...} style codes that have an SRT/WebVTT tag equivalent
+ */
+const STYLE_TAGS = {
+    b: 'b',
+    i: 'i',
+    u: 'u'
+};
+
+/**
+ * Normalizes content and returns the non-empty lines with their line numbers
+ * @param {string} content - Raw file content
+ * @returns {Array} - Array of {line, lineNumber}
+ */
+function getContentLines(content) {
+    return content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n')
+        .split('\n')
+        .map((line, i) => ({ line: line.trim(), lineNumber: i + 1 }))
+        .filter(({ line }) => line !== '');
+}
+
+/**
+ * Detects the frame rate from a {1}{1}23.976 style header line
+ * @param {string} content - The MicroDVD file content as string
+ * @returns {number|null} - Frame rate from the header or null if there is none
+ */
+function detectMicroDVDFrameRate(content) {
+    if (!content || typeof content !== 'string') {
+        return null;
+    }
+
+    const lines = getContentLines(content);
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const match = lines[0].line.match(/^\{[01]\}\{[01]\}(\d+(?:\.\d+)?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const fps = parseFloat(match[1]);
+    return isValidFrameRate(fps) ? fps : null;
+}
+
+/**
+ * Extracts the style names from a {y:...} or {Y:...} control code value
+ * @param {string} value - Comma-separated style list (e.g. "i,b")
+ * @returns {Array<string>} - Supported tag names
+ */
+function parseStyleCodes(value) {
+    return value.split(',')
+        .map(style => style.trim().toLowerCase())
+        .filter(style => STYLE_TAGS[style]);
+}
+
+/**
+ * Converts MicroDVD cue text to SRT-style cue text
+ * "|" separates lines; {Y:i} styles apply to the whole cue and {y:i} to a single line,
+ * as does the "/" italic marker at the start of a line.
+ * Other control codes ({c:$BBGGRR}, {f:font}, {s:size}, {P:x,y}) are stripped
+ * @param {string} text - Text part of a MicroDVD line
+ * @returns {string} - Cue text with SRT-style markup
+ */
+function convertMicroDVDText(text) {
+    const cueStyles = [];
+    for (const match of text.matchAll(/\{Y:([^}]*)\}/g)) {
+        cueStyles.push(...parseStyleCodes(match[1]));
+    }
+
+    return text.split('|')
+        .map(line => {
+            const styles = [...cueStyles];
+            for (const match of line.matchAll(/\{y:([^}]*)\}/g)) {
+                styles.push(...parseStyleCodes(match[1]));
+            }
+
+            let plainLine = line.replace(/\{[a-zA-Z]:[^}]*\}/g, '').trim();
+            if (plainLine.startsWith('/')) {
+                styles.push('i');
+                plainLine = plainLine.slice(1).trim();
+            }
+            if (plainLine === '') {
+                return plainLine;
+            }
+
+            const tags = [...new Set(styles)].map(style => STYLE_TAGS[style]);
+            return tags.map(tag => `<${tag}>`).join('') +
+                plainLine +
+                [...tags].reverse().map(tag => `</${tag}>`).join('');
+        })
+        .filter(line => line !== '')
+        .join('\n');
+}
+
+/**
+ * Internal function to parse MicroDVD content with detailed error checking
+ * @param {string} content - The MicroDVD file content as string
+ * @param {Object} options - Parse options
+ * @param {number} options.fps - Frame rate; overrides the header line when given
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid MicroDVD format or no frame rate is known
+ */
+function parseMicroDVDInternal(content, options = {}) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    if (options.fps !== undefined && options.fps !== null && !isValidFrameRate(options.fps)) {
+        throw new Error(`Invalid frame rate: ${options.fps}. Must be a positive number`);
+    }
+
+    const headerFps = detectMicroDVDFrameRate(content);
+    const fps = options.fps || headerFps;
+    if (!fps) {
+        throw new Error('Frame rate required: provide the fps parameter or a {1}{1}<fps> header line');
+    }
+
+    const lines = getContentLines(content);
+    const subtitles = [];
+
+    lines.forEach(({ line, lineNumber }, i) => {
+        // Skip the frame rate header line
+        if (i === 0 && headerFps) {
+            return;
+        }
+
+        const match = line.match(LINE_REGEX);
+        if (!match) {
+            throw new Error(`Invalid MicroDVD line "${line}" at line ${lineNumber} (expected {start}{end}text)`);
+        }
+
+        const [, startFrame, endFrame, rawText] = match;
+        const start = parseInt(startFrame, 10);
+        const end = parseInt(endFrame, 10);
+
+        const text = convertMicroDVDText(rawText);
+        if (text === '') {
+            return;
+        }
+
+        subtitles.push({
+            index: subtitles.length + 1,
+            startTime: msToTimestamp(start * 1000 / fps),
+            endTime: msToTimestamp(end * 1000 / fps),
+            text
+        });
+    });
+
+    if (subtitles.length === 0) {
+        throw new Error('No valid subtitle lines found');
+    }
+
+    return subtitles;
+}
+
+/**
+ * Validates if the content follows MicroDVD format structure
+ * @param {string} content - The MicroDVD file content as string
+ * @param {Object} options - Parse options (see parseMicroDVD)
+ * @returns {boolean} - True if valid MicroDVD format, false otherwise
+ */
+function validateMicroDVDFormat(content, options = {}) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseMicroDVDInternal(content, options);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses MicroDVD content into structured subtitle entries
+ * @param {string} content - The MicroDVD file content as string
+ * @param {Object} options - Parse options
+ * @param {number} options.fps - Frame rate; overrides the header line when given
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @throws {Error} - If content is invalid MicroDVD format or no frame rate is known
+ */
+function parseMicroDVD(content, options = {}) {
+    try {
+        return parseMicroDVDInternal(content, options);
+    } catch (error) {
+        throw new Error('Invalid MicroDVD format: ' + error.message);
+    }
+}
+
+module.exports = {
+    validateMicroDVDFormat,
+    parseMicroDVD,
+    detectMicroDVDFrameRate,
+    convertMicroDVDText
+};
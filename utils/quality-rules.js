@@ -0,0 +1,207 @@
+/**
+ * Quality Rules Module
+ * Reading-speed and duration checks (characters per second, minimum/maximum duration, gaps between cues)
+ */
+
+const { msToTimestamp } = require('./timestamp');
+const { toSortedEntries } = require('./cue-timing');
+
+/**
+ * Default thresholds; a value of 0 turns the rule off
+ * - maxCps: characters per second (markup and line breaks are not counted)
+ * - minDurationMs / maxDurationMs: how long a cue is shown
+ * - minGapMs: pause between a cue and the next one (two frames at 24fps)
+ */
+const DEFAULT_QUALITY_RULES = {
+    maxCps: 17,
+    minDurationMs: 1000,
+    maxDurationMs: 7000,
+    minGapMs: 83
+};
+
+/**
+ * Per-language overrides of the defaults; CJK scripts carry more meaning per character
+ */
+const LANGUAGE_QUALITY_RULES = {
+    'ja': { maxCps: 4 },
+    'zh': { maxCps: 9 },
+    'ko': { maxCps: 12 }
+};
+
+/**
+ * Gets the thresholds for a language with overrides applied
+ * @param {string} language - ISO 639-1 code of the subtitle language, or empty when unknown
+ * @param {Object} overrides - Thresholds that replace the language defaults
+ * @returns {Object} - Complete rule map
+ * @throws {Error} - If a rule is unknown, a threshold is not a non-negative number
+ *                   or a millisecond threshold is not a whole number
+ */
+function resolveQualityRules(language, overrides = {}) {
+    Object.entries(overrides).forEach(([rule, value]) => {
+        if (!(rule in DEFAULT_QUALITY_RULES)) {
+            throw new Error(`Unknown quality rule "${rule}". Supported rules: ${Object.keys(DEFAULT_QUALITY_RULES).join(', ')}`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid threshold "${value}" for ${rule}. Must be a non-negative number`);
+        }
+        if (rule.endsWith('Ms') && !Number.isInteger(value)) {
+            throw new Error(`Invalid threshold "${value}" for ${rule}. Must be a whole number of milliseconds`);
+        }
+    });
+    const languageRules = LANGUAGE_QUALITY_RULES[String(language || '').toLowerCase()] || {};
+    return { ...DEFAULT_QUALITY_RULES, ...languageRules, ...overrides };
+}
+
+/**
+ * Parses threshold overrides written as "maxCps:15,minGapMs:120"
+ * @param {string} value - Comma-separated rule:threshold pairs
+ * @returns {Object} - Validated overrides (language defaults are applied by resolveQualityRules)
+ * @throws {Error} - If a pair is malformed or names an unknown rule or invalid threshold
+ */
+function parseQualityRules(value) {
+    const overrides = {};
+    String(value).split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const [rule, threshold, extra] = pair.split(':').map(part => part.trim());
+        if (!rule || !threshold || extra !== undefined || !/^\d+(?:\.\d+)?$/.test(threshold)) {
+            throw new Error(`Invalid quality rule "${pair}". Use <rule>:<threshold>, e.g. maxCps:15`);
+        }
+        overrides[rule] = Number(threshold);
+    });
+    resolveQualityRules('', overrides);
+    return overrides;
+}
+
+/**
+ * Counts the characters a viewer reads: markup is removed and line breaks are not counted
+ * @param {string} text - Cue text
+ * @returns {number} - Number of characters (code points)
+ */
+function countReadableCharacters(text) {
+    const plain = String(text || '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .join('');
+    return Array.from(plain).length;
+}
+
+/**
+ * Shortest duration a cue needs to meet the reading speed and minimum duration rules
+ * @param {number} characters - Readable characters in the cue
+ * @param {Object} rules - Complete rule map
+ * @returns {number} - Duration in milliseconds
+ */
+function requiredDuration(characters, rules) {
+    const readingTime = rules.maxCps > 0 ? Math.ceil(characters * 1000 / rules.maxCps) : 0;
+    return Math.max(readingTime, rules.minDurationMs);
+}
+
+/**
+ * Reads cue times and text length in the start time order of toSortedEntries
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array} - Array of {subtitle, cue, start, end, characters} with cue numbered from 1
+ */
+function toMeasuredEntries(subtitles) {
+    return toSortedEntries(subtitles).map(entry => ({ ...entry, characters: countReadableCharacters(entry.subtitle.text) }));
+}
+
+/**
+ * Checks every cue against the quality rules
+ * Gaps are measured to the next cue by start time; overlapping cues are left to the overlap checks
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} rules - Complete rule map from resolveQualityRules
+ * @returns {Object} - {checks, issues}; checks maps each rule to true when no cue breaks it,
+ *                     each issue is {rule, cue, message} with cue numbered from 1
+ * @throws {Error} - If the input is not an array or a timestamp cannot be read
+ */
+function checkQualityRules(subtitles, rules = DEFAULT_QUALITY_RULES) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const issues = [];
+    const entries = toMeasuredEntries(subtitles);
+
+    entries.forEach((entry, i) => {
+        const duration = entry.end - entry.start;
+
+        if (rules.maxCps > 0 && entry.characters > 0 && duration > 0) {
+            const cps = entry.characters * 1000 / duration;
+            if (cps > rules.maxCps) {
+                issues.push({ rule: 'maxCps', cue: entry.cue, message: `Cue ${entry.cue} needs ${Math.round(cps * 10) / 10} characters per second (maximum ${rules.maxCps})` });
+            }
+        }
+        if (rules.minDurationMs > 0 && duration < rules.minDurationMs) {
+            issues.push({ rule: 'minDurationMs', cue: entry.cue, message: `Cue ${entry.cue} is shown for ${duration}ms (minimum ${rules.minDurationMs}ms)` });
+        }
+        if (rules.maxDurationMs > 0 && duration > rules.maxDurationMs) {
+            issues.push({ rule: 'maxDurationMs', cue: entry.cue, message: `Cue ${entry.cue} is shown for ${duration}ms (maximum ${rules.maxDurationMs}ms)` });
+        }
+
+        const next = entries[i + 1];
+        const gap = next ? next.start - entry.end : null;
+        if (rules.minGapMs > 0 && gap !== null && gap >= 0 && gap < rules.minGapMs) {
+            issues.push({ rule: 'minGapMs', cue: entry.cue, message: `Cue ${entry.cue} is followed by a gap of ${gap}ms before cue ${next.cue} (minimum ${rules.minGapMs}ms)` });
+        }
+    });
+
+    const checks = {};
+    Object.keys(DEFAULT_QUALITY_RULES).forEach(rule => {
+        checks[rule] = !issues.some(issue => issue.rule === rule);
+    });
+
+    return { checks, issues: issues.sort((a, b) => a.cue - b.cue) };
+}
+
+/**
+ * Extends cues that are too short or too fast to read into the gap before the next cue
+ * A cue is extended up to the duration the rules require, but never closer to the next cue than
+ * minGapMs and never beyond maxDurationMs; cue order and start times are unchanged
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} rules - Complete rule map from resolveQualityRules
+ * @returns {Object} - {subtitles, changes}; each change is {cue, message} with cue numbered from 1
+ * @throws {Error} - If the input is not an array or a timestamp cannot be read
+ */
+function extendCuesIntoGaps(subtitles, rules = DEFAULT_QUALITY_RULES) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const entries = toMeasuredEntries(subtitles);
+    const newEnds = new Map();
+    const changes = [];
+
+    entries.forEach((entry, i) => {
+        let target = entry.start + requiredDuration(entry.characters, rules);
+        if (rules.maxDurationMs > 0) {
+            target = Math.min(target, entry.start + rules.maxDurationMs);
+        }
+        const next = entries.slice(i + 1).find(other => other.start > entry.start);
+        if (next) {
+            target = Math.min(target, next.start - rules.minGapMs);
+        }
+
+        if (target > entry.end) {
+            newEnds.set(entry.cue, target);
+            changes.push({ cue: entry.cue, message: `Extended cue ${entry.cue} by ${target - entry.end}ms to end at ${msToTimestamp(target)}` });
+        }
+    });
+
+    return {
+        subtitles: subtitles.map((subtitle, i) => (newEnds.has(i + 1)
+            ? { ...subtitle, endTime: msToTimestamp(newEnds.get(i + 1)) }
+            : subtitle)),
+        changes: changes.sort((a, b) => a.cue - b.cue)
+    };
+}
+
+module.exports = {
+    DEFAULT_QUALITY_RULES,
+    LANGUAGE_QUALITY_RULES,
+    resolveQualityRules,
+    parseQualityRules,
+    countReadableCharacters,
+    checkQualityRules,
+    extendCuesIntoGaps
+};
@@ -0,0 +1,253 @@
+/**
+ * Retiming Module
+ * Shifts and scales the timing of parsed subtitle cues
+ */
+
+const { timestampToMs, msToTimestamp, isValidFrameRate } = require('./timestamp');
+
+/**
+ * Parses a time parameter given as milliseconds ("90000") or as a timestamp ("00:01:30,000")
+ * @param {string|number} value - Time value
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} - If the value is neither a non-negative number nor a valid timestamp
+ */
+function parseTimeParameter(value) {
+    if (typeof value === 'number' || /^\s*\d+(?:\.\d+)?\s*$/.test(String(value))) {
+        const ms = Number(value);
+        if (!Number.isFinite(ms) || ms < 0) {
+            throw new Error(`Invalid time value: ${value}. Must be a non-negative number of milliseconds`);
+        }
+        return Math.round(ms);
+    }
+    return timestampToMs(String(value));
+}
+
+/**
+ * Applies a time mapping to every cue
+ * Cues that start before zero after the mapping are clamped to start at zero; cues that also
+ * end at or before zero are dropped
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Function} mapTimes - (start, end) => [start, end] in milliseconds, or null to keep the cue as it is
+ * @returns {Object} - {subtitles, stats: {changed, clamped, dropped}}; changed counts the mapped cues that were kept,
+ *                     subtitles are re-indexed
+ * @throws {Error} - If a cue time is invalid or exceeds the timestamp range after the mapping
+ */
+function mapCueTimes(subtitles, mapTimes) {
+    const stats = { changed: 0, clamped: 0, dropped: 0 };
+    const result = [];
+
+    subtitles.forEach((subtitle, index) => {
+        try {
+            let start = timestampToMs(subtitle.startTime);
+            let end = timestampToMs(subtitle.endTime);
+
+            const mapped = mapTimes(start, end);
+            if (mapped) {
+                [start, end] = mapped;
+
+                if (end <= 0) {
+                    stats.dropped++;
+                    return;
+                }
+                if (start < 0) {
+                    start = 0;
+                    stats.clamped++;
+                }
+                stats.changed++;
+            }
+
+            result.push({
+                ...subtitle,
+                index: result.length + 1,
+                startTime: msToTimestamp(start),
+                endTime: msToTimestamp(end)
+            });
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    });
+
+    return { subtitles: result, stats };
+}
+
+/**
+ * Shifts cues by a fixed offset
+ * Only cues starting at or after options.from are moved. Cues pushed before zero are clamped
+ * or dropped (see mapCueTimes)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {number} offsetMs - Offset in milliseconds (negative moves cues earlier)
+ * @param {Object} options - Shift options
+ * @param {number} options.from - Only shift cues starting at or after this time in milliseconds (default 0)
+ * @returns {Object} - {subtitles, stats: {shifted, clamped, dropped}}; shifted counts the moved cues that were kept
+ *                     and dropped the ones removed; subtitles are re-indexed
+ * @throws {Error} - If the input or offset is invalid or a shifted time exceeds the timestamp range
+ */
+function shiftSubtitles(subtitles, offsetMs, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    if (typeof offsetMs !== 'number' || !Number.isFinite(offsetMs)) {
+        throw new Error(`Invalid offset: ${offsetMs}. Must be a number of milliseconds`);
+    }
+
+    const from = options.from || 0;
+    const result = mapCueTimes(subtitles, (start, end) => (start >= from ? [start + offsetMs, end + offsetMs] : null));
+    const { changed, clamped, dropped } = result.stats;
+
+    return { subtitles: result.subtitles, stats: { shifted: changed, clamped, dropped } };
+}
+
+/**
+ * Snaps a time to the nearest frame boundary
+ * @param {number} ms - Time in milliseconds
+ * @param {number} fps - Frame rate
+ * @returns {number} - Frame number
+ */
+function toFrame(ms, fps) {
+    return Math.round(ms * fps / 1000);
+}
+
+/**
+ * Retimes cues made against a source frame rate for a video at the target frame rate
+ * Every time is scaled by sourceFps / targetFps (e.g. 23.976 to 25 for a PAL speed-up) and
+ * snapped to the target frame grid; a cue keeps at least one frame of duration
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {number} sourceFps - Frame rate the subtitles were timed against
+ * @param {number} targetFps - Frame rate of the re-encoded video
+ * @returns {Object} - {subtitles, stats: {ratio, maxDriftMs}}; maxDriftMs is the largest correction applied
+ * @throws {Error} - If the input or a frame rate is invalid
+ */
+function convertFrameRate(subtitles, sourceFps, targetFps) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    if (!isValidFrameRate(sourceFps) || !isValidFrameRate(targetFps)) {
+        throw new Error(`Invalid frame rates: ${sourceFps} -> ${targetFps}. Must be positive numbers such as 23.976 or 25`);
+    }
+
+    const ratio = sourceFps / targetFps;
+    const frameToMs = frame => Math.round(frame * 1000 / targetFps);
+    let maxDriftMs = 0;
+
+    const result = subtitles.map((subtitle, index) => {
+        try {
+            const start = timestampToMs(subtitle.startTime);
+            const end = timestampToMs(subtitle.endTime);
+            const startFrame = toFrame(start * ratio, targetFps);
+            const endFrame = Math.max(toFrame(end * ratio, targetFps), startFrame + 1);
+            const newStart = frameToMs(startFrame);
+            const newEnd = frameToMs(endFrame);
+
+            maxDriftMs = Math.max(maxDriftMs, Math.abs(newStart - start), Math.abs(newEnd - end));
+
+            return {
+                ...subtitle,
+                startTime: msToTimestamp(newStart),
+                endTime: msToTimestamp(newEnd)
+            };
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    });
+
+    return { subtitles: result, stats: { ratio, maxDriftMs } };
+}
+
+/**
+ * Parses two sync anchors written as "<cue>@<time>;<cue>@<time>", e.g. "1@00:00:05,000;42@00:12:30,500"
+ * Cues are numbered from 1 in file order; times are timestamps or milliseconds
+ * @param {string} value - Anchor list
+ * @returns {Array} - Two anchors as {cue, time} with time in milliseconds
+ * @throws {Error} - If the list does not hold exactly two valid anchors for different cues
+ */
+function parseSyncAnchors(value) {
+    const parts = String(value).split(';').map(part => part.trim()).filter(Boolean);
+    if (parts.length !== 2) {
+        throw new Error('Expected two sync anchors such as "1@00:00:05,000;42@00:12:30,500"');
+    }
+
+    const anchors = parts.map(part => {
+        const match = part.match(/^(\d+)\s*@\s*(.+)$/);
+        if (!match || parseInt(match[1], 10) < 1) {
+            throw new Error(`Invalid sync anchor "${part}". Use <cue number>@<time>`);
+        }
+        try {
+            return { cue: parseInt(match[1], 10), time: parseTimeParameter(match[2]) };
+        } catch (error) {
+            throw new Error(`Invalid sync anchor "${part}": ${error.message}`);
+        }
+    });
+
+    if (anchors[0].cue === anchors[1].cue) {
+        throw new Error('Sync anchors must refer to two different cues');
+    }
+
+    return anchors;
+}
+
+/**
+ * Computes the linear transform that moves two anchor cues to their correct start times
+ * The transform maps a time t to t * scale + offsetMs
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Array} anchors - Two anchors as {cue, time} (cue numbered from 1, time in milliseconds)
+ * @returns {Object} - {scale, offsetMs}
+ * @throws {Error} - If an anchor cue does not exist or the anchors would reverse the cue order
+ */
+function computeLinearSync(subtitles, anchors) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const [first, second] = anchors.map(anchor => {
+        const subtitle = subtitles[anchor.cue - 1];
+        if (!subtitle) {
+            throw new Error(`Sync anchor cue ${anchor.cue} does not exist (the file has ${subtitles.length} cues)`);
+        }
+        return { current: timestampToMs(subtitle.startTime), target: anchor.time };
+    });
+
+    if (first.current === second.current) {
+        throw new Error('Sync anchor cues start at the same time, so no scale can be computed');
+    }
+
+    const scale = (second.target - first.target) / (second.current - first.current);
+    if (!(scale > 0)) {
+        throw new Error('Sync anchors must keep the cues in their original order');
+    }
+
+    return { scale, offsetMs: first.target - first.current * scale };
+}
+
+/**
+ * Applies a linear transform (t * scale + offsetMs) to every cue
+ * Cues pushed before zero are clamped or dropped (see mapCueTimes)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} transform - {scale, offsetMs} from computeLinearSync or an earlier response
+ * @returns {Object} - {subtitles, stats: {clamped, dropped}}; subtitles are re-indexed
+ * @throws {Error} - If the input or transform is invalid
+ */
+function applyLinearSync(subtitles, transform) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+    const { scale, offsetMs } = transform || {};
+    if (typeof scale !== 'number' || !(scale > 0) || !Number.isFinite(scale) ||
+        typeof offsetMs !== 'number' || !Number.isFinite(offsetMs)) {
+        throw new Error('Invalid sync transform: scale must be a positive number and offsetMs a number of milliseconds');
+    }
+
+    const mapTime = time => Math.round(time * scale + offsetMs);
+    const result = mapCueTimes(subtitles, (start, end) => [mapTime(start), mapTime(end)]);
+    const { clamped, dropped } = result.stats;
+
+    return { subtitles: result.subtitles, stats: { clamped, dropped } };
+}
+
+module.exports = {
+    parseTimeParameter,
+    shiftSubtitles,
+    convertFrameRate,
+    parseSyncAnchors,
+    computeLinearSync,
+    applyLinearSync
+};
@@ -0,0 +1,140 @@
+/**
+ * SBV Generation Module
+ * Converts parsed subtitle data to YouTube SubViewer (.sbv) format
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+
+/**
+ * Converts a subtitle timestamp to SBV format
+ * @param {string} timestamp - Timestamp in HH:MM:SS,mmm or HH:MM:SS.mmm format
+ * @returns {string} - Timestamp in SBV format (H:MM:SS.mmm)
+ */
+function convertToSBVTimestamp(timestamp) {
+    return msToTimestamp(timestampToMs(timestamp), '.').replace(/^0(\d)/, '$1');
+}
+
+/**
+ * Converts cue text to SBV text
+ * SBV has no markup, so formatting tags are removed along with empty lines
+ * @param {string} text - Cue text
+ * @returns {string} - Plain cue text, empty when the cue held only markup
+ */
+function convertCueTextToSBV(text) {
+    return String(text)
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .join('\n');
+}
+
+/**
+ * Lists the cues generateSBV leaves out because no text remains once markup is removed
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array<number>} - Cue numbers starting at 1
+ */
+function getSBVDroppedCues(subtitles) {
+    return subtitles
+        .map((subtitle, index) => (convertCueTextToSBV(subtitle.text) === '' ? index + 1 : null))
+        .filter(cue => cue !== null);
+}
+
+/**
+ * Generates SBV format content from parsed subtitle data
+ * SBV has no markup, so formatting tags are removed from the cue text;
+ * cues with no text left are skipped (see getSBVDroppedCues)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {string} - Complete SBV format content
+ * @throws {Error} - If the input is invalid or no cue has text
+ */
+function generateSBV(subtitles) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No subtitles provided for SBV generation');
+    }
+
+    const blocks = [];
+    subtitles.forEach((subtitle, index) => {
+        if (!subtitle || typeof subtitle !== 'object') {
+            throw new Error(`Invalid subtitle object at index ${index}`);
+        }
+
+        const { startTime, endTime, text } = subtitle;
+
+        if (!startTime || !endTime || text === undefined) {
+            throw new Error(`Missing required fields in subtitle at index ${index}. Required: startTime, endTime, text`);
+        }
+
+        const cueText = convertCueTextToSBV(text);
+        if (cueText === '') {
+            return;
+        }
+
+        try {
+            blocks.push(`${convertToSBVTimestamp(startTime)},${convertToSBVTimestamp(endTime)}\n${cueText}\n`);
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    });
+
+    if (blocks.length === 0) {
+        throw new Error('No subtitles with text left for SBV generation');
+    }
+
+    return blocks.join('\n');
+}
+
+/**
+ * Generates Base64 encoded SBV content for API consumers
+ * @param {string} sbvContent - The SBV content to encode
+ * @returns {Object} - Base64 data with metadata, same shape as generateBase64Output
+ */
+function generateSBVBase64Output(sbvContent) {
+    if (!sbvContent || typeof sbvContent !== 'string') {
+        throw new Error('Invalid SBV content for Base64 encoding');
+    }
+
+    const buffer = Buffer.from(sbvContent, 'utf8');
+    const base64Content = buffer.toString('base64');
+
+    return {
+        content: base64Content,
+        mimeType: 'text/plain',
+        charset: 'utf-8',
+        encoding: 'base64',
+        size: {
+            original: buffer.length,
+            encoded: base64Content.length
+        },
+        metadata: {
+            format: 'SBV',
+            encoding: 'UTF-8 without BOM'
+        }
+    };
+}
+
+/**
+ * Gets the MIME type configuration for SBV files
+ * SBV has no registered MIME type; YouTube accepts it as plain text
+ * @returns {Object} - MIME type configuration
+ */
+function getSBVMimeTypeConfig() {
+    return {
+        primary: 'text/plain',
+        fileExtension: '.sbv',
+        contentType: 'text/plain; charset=utf-8'
+    };
+}
+
+module.exports = {
+    convertToSBVTimestamp,
+    convertCueTextToSBV,
+    getSBVDroppedCues,
+    generateSBV,
+    generateSBVBase64Output,
+    getSBVMimeTypeConfig
+};
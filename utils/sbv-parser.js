@@ -0,0 +1,112 @@
+/**
+ * SBV Parsing Module
+ * Parses YouTube SubViewer (.sbv) caption files into subtitle objects
+ */
+
+const { msToTimestamp } = require('./timestamp');
+
+const TIMESTAMP = '(\\d+):([0-5]\\d):([0-5]\\d)\\.(\\d{3})';
+const TIMING_LINE_REGEX = new RegExp(`^${TIMESTAMP}\\s*,\\s*${TIMESTAMP}$`);
+
+/**
+ * Converts the captured parts of an SBV timestamp to milliseconds
+ * @param {Array<string>} parts - Hours, minutes, seconds and milliseconds
+ * @returns {number} - Time in milliseconds
+ */
+function partsToMs([hours, minutes, seconds, milliseconds]) {
+    return parseInt(hours, 10) * 3600000 +
+        parseInt(minutes, 10) * 60000 +
+        parseInt(seconds, 10) * 1000 +
+        parseInt(milliseconds, 10);
+}
+
+/**
+ * Internal function to parse SBV content with detailed error checking
+ * @param {string} content - The SBV file content as string
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid SBV format
+ */
+function parseSBVInternal(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const subtitles = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        while (i < lines.length && lines[i].trim() === '') {
+            i++;
+        }
+
+        if (i >= lines.length) break;
+
+        const timingLine = lines[i].trim();
+        const match = timingLine.match(TIMING_LINE_REGEX);
+        if (!match) {
+            throw new Error(`Invalid timing line "${timingLine}" at line ${i + 1} (expected H:MM:SS.mmm,H:MM:SS.mmm)`);
+        }
+        i++;
+
+        const textLines = [];
+        while (i < lines.length && lines[i].trim() !== '') {
+            textLines.push(lines[i].trim());
+            i++;
+        }
+
+        if (textLines.length === 0) {
+            continue;
+        }
+
+        subtitles.push({
+            index: subtitles.length + 1,
+            startTime: msToTimestamp(partsToMs(match.slice(1, 5))),
+            endTime: msToTimestamp(partsToMs(match.slice(5, 9))),
+            text: textLines.join('\n')
+        });
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No valid subtitle blocks found');
+    }
+
+    return subtitles;
+}
+
+/**
+ * Validates if the content follows SBV format structure
+ * @param {string} content - The SBV file content as string
+ * @returns {boolean} - True if valid SBV format, false otherwise
+ */
+function validateSBVFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseSBVInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses SBV content into structured subtitle entries
+ * @param {string} content - The SBV file content as string
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @throws {Error} - If content is invalid SBV format
+ */
+function parseSBV(content) {
+    try {
+        return parseSBVInternal(content);
+    } catch (error) {
+        throw new Error('Invalid SBV format: ' + error.message);
+    }
+}
+
+module.exports = {
+    validateSBVFormat,
+    parseSBV
+};
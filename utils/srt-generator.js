@@ -0,0 +1,116 @@
+/**
+ * SRT Format Generation Module
+ * Converts parsed subtitle data back to SubRip (SRT) format
+ */
+
+const { translateCueMarkupToSRT } = require('./cue-text');
+
+/**
+ * Converts a subtitle timestamp to SRT format
+ * Accepts both separators so cues from the VTT parser and the SRT parser can be mixed
+ * @param {string} timestamp - Timestamp in HH:MM:SS,mmm or HH:MM:SS.mmm format
+ * @returns {string} - Timestamp in SRT format (HH:MM:SS,mmm)
+ */
+function convertToSRTTimestamp(timestamp) {
+    if (!timestamp || typeof timestamp !== 'string') {
+        throw new Error('Invalid timestamp: must be a non-empty string');
+    }
+
+    const match = timestamp.match(/^(\d{2}):([0-5]\d):([0-5]\d)[,.](\d{3})$/);
+    if (!match) {
+        throw new Error(`Invalid timestamp format: ${timestamp}. Expected format: HH:MM:SS,mmm`);
+    }
+
+    return timestamp.replace('.', ',');
+}
+
+/**
+ * Generates SRT format content from parsed subtitle data
+ * Cues are renumbered sequentially; WebVTT identifiers and cue settings are dropped and
+ * WebVTT-only markup is translated with translateCueMarkupToSRT
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {string} - Complete SRT format content
+ */
+function generateSRT(subtitles) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No subtitles provided for SRT generation');
+    }
+
+    const blocks = subtitles.map((subtitle, index) => {
+        if (!subtitle || typeof subtitle !== 'object') {
+            throw new Error(`Invalid subtitle object at index ${index}`);
+        }
+
+        const { startTime, endTime, text } = subtitle;
+
+        if (!startTime || !endTime || text === undefined) {
+            throw new Error(`Missing required fields in subtitle at index ${index}. Required: startTime, endTime, text`);
+        }
+
+        // SRT uses blank lines as block separators, so they cannot appear inside cue text
+        const cueText = translateCueMarkupToSRT(text).split('\n').filter(line => line.trim() !== '').join('\n');
+        if (cueText === '') {
+            throw new Error(`Empty text in subtitle at index ${index}`);
+        }
+
+        try {
+            return `${index + 1}\n${convertToSRTTimestamp(startTime)} --> ${convertToSRTTimestamp(endTime)}\n${cueText}\n`;
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    });
+
+    return blocks.join('\n');
+}
+
+/**
+ * Generates Base64 encoded SRT content for API consumers
+ * @param {string} srtContent - The SRT content to encode
+ * @returns {Object} - Base64 data with metadata, same shape as generateBase64Output
+ */
+function generateSRTBase64Output(srtContent) {
+    if (!srtContent || typeof srtContent !== 'string') {
+        throw new Error('Invalid SRT content for Base64 encoding');
+    }
+
+    const buffer = Buffer.from(srtContent, 'utf8');
+    const base64Content = buffer.toString('base64');
+
+    return {
+        content: base64Content,
+        mimeType: 'application/x-subrip',
+        charset: 'utf-8',
+        encoding: 'base64',
+        size: {
+            original: buffer.length,
+            encoded: base64Content.length
+        },
+        metadata: {
+            format: 'SubRip',
+            encoding: 'UTF-8 without BOM'
+        }
+    };
+}
+
+/**
+ * Gets the MIME type configuration for SRT files
+ * @returns {Object} - MIME type configuration
+ */
+function getSRTMimeTypeConfig() {
+    return {
+        primary: 'application/x-subrip',
+        fileExtension: '.srt',
+        contentType: 'application/x-subrip; charset=utf-8'
+    };
+}
+
+module.exports = {
+    convertToSRTTimestamp,
+    generateSRT,
+    generateSRTBase64Output,
+    getSRTMimeTypeConfig
+};
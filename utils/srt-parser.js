@@ -3,6 +3,31 @@
  * Handles validation and parsing of SRT subtitle files
  */
 
+const { extractPositionCodes } = require('./cue-settings');
+const { checkCueTiming } = require('./cue-timing');
+
+/**
+ * Timing line pattern for strict parsing; minutes and seconds must be below 60, as in diagnoseSRT
+ */
+const TIMING_LINE_REGEX = /^\d{2}:[0-5]\d:[0-5]\d,\d{3}\s*-->\s*\d{2}:[0-5]\d:[0-5]\d,\d{3}$/;
+
+/**
+ * Builds a subtitle object, moving {\anN} positioning codes from the text into cue settings
+ * @param {number} index - Subtitle index
+ * @param {string} startTime - Start timestamp
+ * @param {string} endTime - End timestamp
+ * @param {string} text - Cue text
+ * @returns {Object} - Subtitle object with optional settings
+ */
+function createSubtitle(index, startTime, endTime, text) {
+    const position = extractPositionCodes(text);
+    const subtitle = { index, startTime, endTime, text: position.text };
+    if (position.settings && Object.keys(position.settings).length > 0) {
+        subtitle.settings = position.settings;
+    }
+    return subtitle;
+}
+
 /**
  * Validates if the content follows proper SRT format structure
  * @param {string} content - The SRT file content as string
@@ -14,8 +39,9 @@ function validateSRTFormat(content) {
     }
 
     try {
-        // Try to parse the content - if parsing fails, it's invalid
-        parseSRTInternal(content);
+        // Try to parse the content - if parsing fails, it's invalid. Timing problems are
+        // reported by parseSRT with their own message instead
+        parseSRTInternal(content, { checkTiming: false });
         return true;
     } catch (error) {
         return false;
@@ -27,10 +53,13 @@ function validateSRTFormat(content) {
 /**
  * Internal function to parse SRT content with detailed error checking
  * @param {string} content - The SRT file content as string
+ * @param {Object} options - Parse options
+ * @param {boolean} options.checkTiming - Run the semantic timing checks (default true)
+ * @param {Object} options.timingSeverity - Severity overrides for checkCueTiming
  * @returns {Array} - Array of subtitle objects
- * @throws {Error} - If content is invalid SRT format
+ * @throws {Error} - If content is invalid SRT format or has timing errors
  */
-function parseSRTInternal(content) {
+function parseSRTInternal(content, options = {}) {
     // Remove BOM if present and normalize line endings
     const normalizedContent = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
     
@@ -60,8 +89,7 @@ function parseSRTInternal(content) {
             throw new Error(`Missing timestamp for subtitle ${index}`);
         }
         const timestampLine = lines[i].trim();
-        const timestampRegex = /^\d{2}:\d{2}:\d{2},\d{3}\s*-->\s*\d{2}:\d{2}:\d{2},\d{3}$/;
-        if (!timestampRegex.test(timestampLine)) {
+        if (!TIMING_LINE_REGEX.test(timestampLine)) {
             throw new Error(`Invalid timestamp format "${timestampLine}" for subtitle ${index}`);
         }
         const [startTime, endTime] = timestampLine.split(/\s*-->\s*/);
@@ -80,7 +108,7 @@ function parseSRTInternal(content) {
                 // and there's a potential timestamp after it, this might be a new subtitle
                 if (nextLine !== '' && i + 2 < lines.length) {
                     const potentialTimestamp = lines[i + 2].trim();
-                    if (/^\d{2}:\d{2}:\d{2},\d{3}\s*-->\s*\d{2}:\d{2}:\d{2},\d{3}$/.test(potentialTimestamp)) {
+                    if (TIMING_LINE_REGEX.test(potentialTimestamp)) {
                         // This looks like a new subtitle block, validate the index
                         if (!/^\d+$/.test(nextLine)) {
                             throw new Error(`Invalid subtitle index "${nextLine}" at line ${i + 2} (expected number)`);
@@ -108,35 +136,388 @@ function parseSRTInternal(content) {
         // Join text lines and trim the result
         const text = textLines.join('\n').trim();
         
-        subtitles.push({
-            index,
-            startTime: startTime.trim(),
-            endTime: endTime.trim(),
-            text
-        });
+        subtitles.push(createSubtitle(index, startTime.trim(), endTime.trim(), text));
     }
 
     if (subtitles.length === 0) {
         throw new Error('No valid subtitle blocks found');
     }
 
+    if (options.checkTiming !== false) {
+        const { errors } = checkCueTiming(subtitles, { severity: options.timingSeverity });
+        if (errors.length > 0) {
+            const more = errors.length > 1 ? ` (and ${errors.length - 1} more timing error(s))` : '';
+            throw new Error(errors[0].message + more);
+        }
+    }
+
     return subtitles;
 }
 
 /**
  * Parses SRT content into structured subtitle entries
+ * Inverted and zero-length cues are errors by default; see checkCueTiming for the severity options
  * @param {string} content - The SRT file content as string
- * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @param {Object} options - Parse options
+ * @param {Object} options.timingSeverity - Severity overrides for the timing checks
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text and
+ *                    settings when the text carried a {\anN} positioning code
  * @throws {Error} - If content is invalid SRT format
  */
-function parseSRT(content) {
+function parseSRT(content, options = {}) {
     try {
-        return parseSRTInternal(content);
+        return parseSRTInternal(content, options);
     } catch (error) {
         throw new Error('Invalid SRT format: ' + error.message);
     }
 }
 
+/**
+ * Timing line pattern for lenient parsing: accepts one-digit fields, "." or ":" before
+ * the milliseconds, short millisecond fields and arrows such as "->" or "- ->"
+ */
+const LENIENT_TIMING_REGEX = /^(\d{1,2}):([0-5]?\d):([0-5]?\d)([,.:])(\d{1,3})\s*-[-\s]*>\s*(\d{1,2}):([0-5]?\d):([0-5]?\d)([,.:])(\d{1,3})$/;
+
+/**
+ * Normalizes a timing line matched by LENIENT_TIMING_REGEX
+ * @param {Array<string>} match - Regex match of the timing line
+ * @returns {Object} - {startTime, endTime, line} in strict SRT format
+ */
+function normalizeLenientTiming(match) {
+    const format = (hours, minutes, seconds, milliseconds) =>
+        `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')},${milliseconds.padEnd(3, '0')}`;
+    const startTime = format(match[1], match[2], match[3], match[5]);
+    const endTime = format(match[6], match[7], match[8], match[10]);
+
+    return { startTime, endTime, line: `${startTime} --> ${endTime}` };
+}
+
+/**
+ * Parses SRT content, recovering from common defects instead of throwing
+ * Repairs non-numeric, missing and out-of-sequence indexes, "." or ":" millisecond
+ * separators, unpadded timestamp fields, malformed arrows and missing blank lines
+ * between blocks. Cues are renumbered sequentially.
+ * @param {string} content - The SRT file content as string
+ * @returns {Object} - {subtitles, repairs}; each repair is {line, kind, original, fixed}
+ * @throws {Error} - If no subtitle block can be recovered
+ */
+function parseSRTLenient(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Invalid SRT format: Content must be a non-empty string');
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const repairs = [];
+    const addRepair = (lineIndex, kind, original, fixed) => {
+        repairs.push({ line: lineIndex + 1, kind, original, fixed });
+    };
+
+    // Timing lines anchor the blocks; everything else is resolved relative to them
+    const timingLines = [];
+    lines.forEach((line, i) => {
+        const match = line.trim().match(LENIENT_TIMING_REGEX);
+        if (match) {
+            timingLines.push({ lineIndex: i, match });
+        }
+    });
+
+    if (timingLines.length === 0) {
+        throw new Error('Invalid SRT format: No valid subtitle blocks found');
+    }
+
+    // Find the index line of each block: the line right above the timing line when it is
+    // numeric, or any non-empty line there that is preceded by a blank line (or file start)
+    const blocks = timingLines.map(({ lineIndex, match }, k) => {
+        const previousEnd = k === 0 ? -1 : timingLines[k - 1].lineIndex;
+        const candidate = lineIndex - 1;
+        let indexLine = null;
+
+        if (candidate > previousEnd && lines[candidate].trim() !== '') {
+            const candidateText = lines[candidate].trim();
+            const precededByBlank = candidate === 0 || lines[candidate - 1].trim() === '';
+            if (/^\d+$/.test(candidateText) || (precededByBlank && (k === 0 || candidate - 1 > previousEnd))) {
+                indexLine = candidate;
+            }
+        }
+
+        return { timingLineIndex: lineIndex, match, indexLine };
+    });
+
+    const subtitles = [];
+
+    blocks.forEach((block, k) => {
+        const nextBlock = blocks[k + 1];
+        const textEnd = nextBlock
+            ? (nextBlock.indexLine !== null ? nextBlock.indexLine : nextBlock.timingLineIndex)
+            : lines.length;
+
+        if (k === 0) {
+            const firstLine = block.indexLine !== null ? block.indexLine : block.timingLineIndex;
+            for (let i = 0; i < firstLine; i++) {
+                if (lines[i].trim() !== '') {
+                    addRepair(i, 'dropped-line', lines[i].trim(), '');
+                }
+            }
+        }
+
+        const timingOriginal = lines[block.timingLineIndex].trim();
+        const timing = normalizeLenientTiming(block.match);
+        if (timing.line !== timingOriginal) {
+            const [, h1, m1, s1, sep1, ms1, h2, m2, s2, sep2, ms2] = block.match;
+            if (sep1 !== ',' || sep2 !== ',') {
+                addRepair(block.timingLineIndex, 'timestamp-separator', timingOriginal, timing.line);
+            }
+            if ([h1, m1, s1, h2, m2, s2].some(field => field.length < 2) || ms1.length < 3 || ms2.length < 3) {
+                addRepair(block.timingLineIndex, 'timestamp-padding', timingOriginal, timing.line);
+            }
+            if (!/^\S+ --> \S+$/.test(timingOriginal)) {
+                addRepair(block.timingLineIndex, 'timestamp-arrow', timingOriginal, timing.line);
+            }
+        }
+
+        const textLines = lines.slice(block.timingLineIndex + 1, textEnd);
+        const text = textLines.join('\n').trim();
+        if (text === '') {
+            addRepair(block.timingLineIndex, 'empty-cue', timingOriginal, '');
+            return;
+        }
+
+        const index = subtitles.length + 1;
+
+        if (block.indexLine === null) {
+            addRepair(block.timingLineIndex, 'missing-index', '', String(index));
+        } else {
+            const indexOriginal = lines[block.indexLine].trim();
+            if (!/^\d+$/.test(indexOriginal)) {
+                addRepair(block.indexLine, 'invalid-index', indexOriginal, String(index));
+            } else if (parseInt(indexOriginal, 10) !== index) {
+                addRepair(block.indexLine, 'renumbered', indexOriginal, String(index));
+            }
+        }
+
+        // The next block must be separated from this cue's text by a blank line
+        if (nextBlock && textEnd > block.timingLineIndex + 1 && lines[textEnd - 1].trim() !== '') {
+            addRepair(textEnd, 'missing-blank-line', lines[textEnd].trim(), `\n${lines[textEnd].trim()}`);
+        }
+
+        subtitles.push(createSubtitle(index, timing.startTime, timing.endTime, text));
+    });
+
+    if (subtitles.length === 0) {
+        throw new Error('Invalid SRT format: No valid subtitle blocks found');
+    }
+
+    repairs.sort((a, b) => a.line - b.line);
+
+    return { subtitles, repairs };
+}
+
+/**
+ * Diagnostic code, severity and suggestion for each lenient repair kind
+ */
+const REPAIR_DIAGNOSTICS = {
+    'dropped-line': {
+        code: 'UNEXPECTED_TEXT',
+        severity: 'error',
+        message: repair => `Unexpected text "${repair.original}" before the first subtitle`,
+        suggestion: () => 'Remove this line'
+    },
+    'invalid-index': {
+        code: 'INVALID_INDEX',
+        severity: 'error',
+        message: repair => `Invalid subtitle index "${repair.original}" (expected number)`,
+        suggestion: repair => `Replace "${repair.original}" with ${repair.fixed}`
+    },
+    'missing-index': {
+        code: 'MISSING_INDEX',
+        severity: 'error',
+        message: () => 'Subtitle block has no index line',
+        suggestion: repair => `Insert the index ${repair.fixed} above the timing line`
+    },
+    'renumbered': {
+        code: 'INDEX_OUT_OF_SEQUENCE',
+        severity: 'warning',
+        message: repair => `Subtitle index ${repair.original} is out of sequence`,
+        suggestion: repair => `Renumber to ${repair.fixed}`
+    },
+    'timestamp-separator': {
+        code: 'TIMESTAMP_SEPARATOR',
+        severity: 'error',
+        message: () => 'Milliseconds must be separated by a comma',
+        suggestion: repair => `Change the timing line to "${repair.fixed}"`
+    },
+    'timestamp-padding': {
+        code: 'TIMESTAMP_PADDING',
+        severity: 'error',
+        message: () => 'Timestamps need two-digit hours, minutes and seconds and three-digit milliseconds',
+        suggestion: repair => `Change the timing line to "${repair.fixed}"`
+    },
+    'timestamp-arrow': {
+        code: 'TIMESTAMP_ARROW',
+        severity: 'error',
+        message: () => 'Timestamps must be separated by " --> "',
+        suggestion: repair => `Change the timing line to "${repair.fixed}"`
+    },
+    'missing-blank-line': {
+        code: 'MISSING_BLANK_LINE',
+        severity: 'error',
+        message: () => 'Subtitle blocks must be separated by a blank line',
+        suggestion: () => 'Insert a blank line before this line'
+    },
+    'empty-cue': {
+        code: 'EMPTY_CUE',
+        severity: 'error',
+        message: () => 'Subtitle block has no text',
+        suggestion: () => 'Add subtitle text or remove the block'
+    }
+};
+
+/**
+ * Diagnostic code and suggestion for each timing issue kind from checkCueTiming
+ */
+const TIMING_DIAGNOSTICS = {
+    'inverted': {
+        code: 'INVERTED_TIMING',
+        suggestion: 'Swap the start and end time'
+    },
+    'zero-duration': {
+        code: 'ZERO_DURATION',
+        suggestion: 'Give the cue an end time after its start time'
+    },
+    'out-of-order': {
+        code: 'OUT_OF_ORDER',
+        suggestion: 'Move the block so that cues are sorted by start time'
+    }
+};
+
+/**
+ * Finds the 1-based column a repair points at within its source line
+ * @param {string} line - Source line
+ * @param {Object} repair - Repair from parseSRTLenient
+ * @returns {number} - Column number
+ */
+function getRepairColumn(line, repair) {
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+    let offset = 0;
+
+    if (repair.kind === 'timestamp-separator') {
+        offset = text.search(/\d[.:]\d{1,3}(?:\s|$)/) + 1;
+    } else if (repair.kind === 'timestamp-padding') {
+        offset = text.search(/(?:^|[^\d])\d(?:[^\d]|$)|[,.:]\d{1,2}(?:\s|$)/);
+        offset = offset > 0 ? offset + 1 : 0;
+    } else if (repair.kind === 'timestamp-arrow') {
+        offset = text.search(/\s*-/);
+    }
+
+    return indent + Math.max(offset, 0) + 1;
+}
+
+/**
+ * Collects every problem in SRT content instead of stopping at the first one
+ * Each diagnostic carries {line, column, severity, code, message, suggestion};
+ * errors make the file invalid for strict parsing, warnings do not
+ * @param {string} content - The SRT file content as string
+ * @returns {Object} - {valid, cueCount, errorCount, warningCount, diagnostics}
+ */
+function diagnoseSRT(content) {
+    if (!content || typeof content !== 'string' || content.trim() === '') {
+        return {
+            valid: false,
+            cueCount: 0,
+            errorCount: 1,
+            warningCount: 0,
+            diagnostics: [{
+                line: 1,
+                column: 1,
+                severity: 'error',
+                code: 'EMPTY_FILE',
+                message: 'File is empty',
+                suggestion: 'Upload a file that contains subtitle blocks'
+            }]
+        };
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const diagnostics = [];
+
+    // Lines that look like timing lines but cannot be read even leniently
+    lines.forEach((line, i) => {
+        const text = line.trim();
+        if (text.includes('-->') && !LENIENT_TIMING_REGEX.test(text)) {
+            diagnostics.push({
+                line: i + 1,
+                column: line.length - line.trimStart().length + 1,
+                severity: 'error',
+                code: 'INVALID_TIMESTAMP',
+                message: `Invalid timing line "${text}"`,
+                suggestion: 'Use the format HH:MM:SS,mmm --> HH:MM:SS,mmm with minutes and seconds below 60'
+            });
+        }
+    });
+
+    let cueCount = 0;
+    try {
+        const { subtitles, repairs } = parseSRTLenient(content);
+        cueCount = subtitles.length;
+        repairs.forEach(repair => {
+            const definition = REPAIR_DIAGNOSTICS[repair.kind];
+            diagnostics.push({
+                line: repair.line,
+                column: getRepairColumn(lines[repair.line - 1] || '', repair),
+                severity: definition.severity,
+                code: definition.code,
+                message: definition.message(repair),
+                suggestion: definition.suggestion(repair)
+            });
+        });
+    } catch (error) {
+        diagnostics.push({
+            line: 1,
+            column: 1,
+            severity: 'error',
+            code: 'NO_SUBTITLES',
+            message: 'No subtitle blocks found',
+            suggestion: 'Each block needs an index line, a "HH:MM:SS,mmm --> HH:MM:SS,mmm" timing line and text'
+        });
+    }
+
+    // Semantic timing problems, reported on each timing line that can be read
+    const timingLines = [];
+    lines.forEach((line, i) => {
+        const match = line.trim().match(LENIENT_TIMING_REGEX);
+        if (match) {
+            timingLines.push({ ...normalizeLenientTiming(match), line: i + 1, column: line.length - line.trimStart().length + 1 });
+        }
+    });
+    const timing = checkCueTiming(timingLines);
+    [['error', timing.errors], ['warning', timing.warnings]].forEach(([severity, issues]) => {
+        issues.forEach(issue => {
+            const timingLine = timingLines[issue.cue - 1];
+            diagnostics.push({
+                line: timingLine.line,
+                column: timingLine.column,
+                severity,
+                code: TIMING_DIAGNOSTICS[issue.kind].code,
+                message: issue.message,
+                suggestion: TIMING_DIAGNOSTICS[issue.kind].suggestion
+            });
+        });
+    });
+
+    diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+    return {
+        valid: errorCount === 0,
+        cueCount,
+        errorCount,
+        warningCount: diagnostics.length - errorCount,
+        diagnostics
+    };
+}
+
 /**
  * Validates and parses timestamp format
  * @param {string} timestamp - Timestamp in format HH:MM:SS,mmm
@@ -144,7 +525,7 @@ function parseSRT(content) {
  * @throws {Error} - If timestamp format is invalid
  */
 function parseTimestamp(timestamp) {
-    const timestampRegex = /^(\d{2}):(\d{2}):(\d{2}),(\d{3})$/;
+    const timestampRegex = /^(\d{2}):([0-5]\d):([0-5]\d),(\d{3})$/;
     const match = timestamp.match(timestampRegex);
     
     if (!match) {
@@ -164,5 +545,7 @@ function parseTimestamp(timestamp) {
 module.exports = {
     validateSRTFormat,
     parseSRT,
+    parseSRTLenient,
+    diagnoseSRT,
     parseTimestamp
 };
\ No newline at end of file
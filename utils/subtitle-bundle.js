@@ -0,0 +1,170 @@
+/**
+ * Subtitle Bundle Module
+ * Packs several output formats, transcripts and a JSON sidecar into one ZIP archive with a manifest
+ */
+
+const { getOutputFormat, getSupportedOutputFormats } = require('./subtitle-formats');
+const { generateTranscript, getTranscriptMimeTypeConfig, TRANSCRIPT_FORMATS } = require('./transcript-generator');
+const { subtitlesToJSONCues } = require('./json-cues');
+const { createZipArchive } = require('./zip-archive');
+
+/**
+ * Language tag used in file names when no language was detected (BCP 47 "undetermined")
+ */
+const UNDETERMINED_LANGUAGE = 'und';
+
+const MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * Gets all format keys that can be requested in a bundle
+ * @returns {Array<string>} - Subtitle output formats, transcript formats and json
+ */
+function getSupportedBundleFormats() {
+    return [...getSupportedOutputFormats(), ...Object.keys(TRANSCRIPT_FORMATS), 'json'];
+}
+
+/**
+ * Parses a comma-separated bundle format list such as "vtt,srt,txt,json"
+ * @param {string} value - Format list
+ * @returns {Array<string>} - Lower-case format keys in request order without duplicates
+ * @throws {Error} - If the list is empty or names an unsupported format
+ */
+function parseBundleFormats(value) {
+    const formats = [...new Set(String(value).split(',').map(format => format.trim().toLowerCase()).filter(Boolean))];
+    if (formats.length === 0) {
+        throw new Error('No bundle formats requested');
+    }
+
+    const supported = getSupportedBundleFormats();
+    const unsupported = formats.filter(format => !supported.includes(format));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported bundle format "${unsupported.join('", "')}". Supported formats: ${supported.join(', ')}`);
+    }
+
+    return formats;
+}
+
+/**
+ * Generates one bundle file
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {string} format - Bundle format key
+ * @param {Object} options - Options passed on from generateBundle
+ * @returns {Object} - {content, mimeType, fileExtension, compliance?, droppedCues?}
+ * @throws {Error} - If generation or a compliance check fails
+ */
+function generateBundleFile(subtitles, format, options) {
+    if (format === 'json') {
+        return {
+            content: JSON.stringify(subtitlesToJSONCues(subtitles), null, 2) + '\n',
+            mimeType: 'application/json',
+            fileExtension: '.json'
+        };
+    }
+
+    const transcriptConfig = getTranscriptMimeTypeConfig(format);
+    if (transcriptConfig) {
+        return {
+            content: generateTranscript(subtitles, format, { ...options.transcriptOptions, title: options.baseName }),
+            mimeType: transcriptConfig.primary,
+            fileExtension: transcriptConfig.fileExtension
+        };
+    }
+
+    const handler = getOutputFormat(format);
+    // A requested compliance profile applies to the formats that support profiles (VTT)
+    const profile = handler.supportsProfiles && options.complianceOptions ? options.complianceOptions.profile : null;
+    const content = handler.generate(subtitles, { language: options.language || '', profile: profile || undefined });
+    const mimeConfig = handler.mimeConfig();
+    const file = { content, mimeType: mimeConfig.primary, fileExtension: mimeConfig.fileExtension };
+    if (handler.droppedCues) {
+        const droppedCues = handler.droppedCues(subtitles);
+        if (droppedCues.length > 0) {
+            file.droppedCues = droppedCues;
+        }
+    }
+
+    if (handler.checkCompliance) {
+        const complianceResult = handler.checkCompliance(content, options.complianceOptions);
+        if (!complianceResult.isValid) {
+            throw new Error(`${handler.label} compliance validation failed: ${complianceResult.errors.join(', ')}`);
+        }
+        if (handler.markupWarnings) {
+            complianceResult.warnings.push(...handler.markupWarnings(subtitles));
+        }
+        file.compliance = {
+            [profile ? profile.complianceFlag : handler.complianceFlag]: complianceResult.isValid,
+            checks: complianceResult.compliance,
+            warnings: complianceResult.warnings
+        };
+        if (profile) {
+            file.compliance.profile = profile.name;
+        }
+    } else if (!handler.validate(content)) {
+        throw new Error(`Generated ${handler.label} content failed format validation`);
+    }
+
+    return file;
+}
+
+/**
+ * Generates a ZIP bundle with one file per requested format and a manifest.json
+ * Files are named <baseName>.<language>.<ext>
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Array<string>} formats - Format keys from parseBundleFormats
+ * @param {Object} options - Bundle options
+ * @param {string} options.baseName - File name without extension
+ * @param {string} options.language - Detected language code; "und" is used when empty
+ * @param {Object} options.transcriptOptions - Options for txt/md transcripts
+ * @param {Object} options.complianceOptions - Options for the compliance checks ({ timingSeverity, profile })
+ * @param {Object} options.manifest - Extra manifest fields (source, language detection, encoding)
+ * @returns {Object} - {buffer, manifest}
+ * @throws {Error} - If a file cannot be generated
+ */
+function generateBundle(subtitles, formats, options = {}) {
+    const baseName = options.baseName || 'subtitle';
+    const languageTag = options.language || UNDETERMINED_LANGUAGE;
+    const entries = [];
+    const files = [];
+
+    formats.forEach(format => {
+        let file;
+        try {
+            file = generateBundleFile(subtitles, format, { ...options, baseName });
+        } catch (error) {
+            throw new Error(`Failed to generate ${format} for the bundle: ${error.message}`);
+        }
+
+        const name = `${baseName}.${languageTag}${file.fileExtension}`;
+        entries.push({ name, content: file.content });
+
+        const fileInfo = {
+            name,
+            format,
+            mimeType: file.mimeType,
+            size: Buffer.byteLength(file.content, 'utf8')
+        };
+        if (file.compliance) {
+            fileInfo.compliance = file.compliance;
+        }
+        if (file.droppedCues) {
+            fileInfo.droppedCues = file.droppedCues;
+        }
+        files.push(fileInfo);
+    });
+
+    const manifest = {
+        ...options.manifest,
+        generatedAt: new Date().toISOString(),
+        files
+    };
+    entries.push({ name: MANIFEST_FILENAME, content: JSON.stringify(manifest, null, 2) + '\n' });
+
+    return { buffer: createZipArchive(entries), manifest };
+}
+
+module.exports = {
+    UNDETERMINED_LANGUAGE,
+    getSupportedBundleFormats,
+    parseBundleFormats,
+    generateBundle
+};
@@ -0,0 +1,293 @@
+/**
+ * Subtitle Format Registry
+ * Maps input formats to their parsers, output formats to their generators
+ * and detects the format of uploaded files
+ */
+
+const path = require('path');
+const { validateSRTFormat, parseSRT } = require('./srt-parser');
+const { validateWebVTTFormat, parseVTT } = require('./vtt-parser');
+const { validateASSFormat, parseASS } = require('./ass-parser');
+const { validateMicroDVDFormat, parseMicroDVD, detectMicroDVDFrameRate } = require('./microdvd-parser');
+const { validateSubViewerFormat, parseSubViewer } = require('./subviewer-parser');
+const { validateTTMLFormat, parseTTML } = require('./ttml-parser');
+const { validateSBVFormat, parseSBV } = require('./sbv-parser');
+const { validateLRCFormat, parseLRC } = require('./lrc-parser');
+const { validateJSONCues, parseJSONCues } = require('./json-cues');
+const { generateVTT, getVTTMarkupWarnings, validateProfileCompliance, generateBase64Output, getVTTMimeTypeConfig } = require('./vtt-generator');
+const { COMPLIANCE_PROFILES, DEFAULT_PROFILE } = require('./compliance-profiles');
+const { generateSRT, generateSRTBase64Output, getSRTMimeTypeConfig } = require('./srt-generator');
+const { generateTTML, getTTMLDroppedCues, validateIMSC1Compliance, generateTTMLBase64Output, getTTMLMimeTypeConfig } = require('./ttml-generator');
+const { generateSBV, getSBVDroppedCues, generateSBVBase64Output, getSBVMimeTypeConfig } = require('./sbv-generator');
+const { generateLRC, getLRCDroppedCues, generateLRCBase64Output, getLRCMimeTypeConfig } = require('./lrc-generator');
+
+/**
+ * Supported input formats
+ * Every parser returns the {index, startTime, endTime, text} objects produced by parseSRT.
+ * validate and parse accept an optional options object (e.g. { fps } for frame-based formats)
+ */
+const INPUT_FORMATS = {
+    srt: {
+        name: 'SubRip',
+        label: 'SRT',
+        extensions: ['.srt'],
+        mimeTypes: ['application/x-subrip'],
+        validate: validateSRTFormat,
+        parse: parseSRT,
+        sniff: content => /^\s*\d+\s*\n\s*\d{1,2}:\d{2}:\d{2}[,.]\d{3}\s*-->/.test(content),
+        formatHint: 'Please ensure the file follows proper SRT structure with sequence numbers, timestamps, and text.'
+    },
+    vtt: {
+        name: 'WebVTT',
+        label: 'VTT',
+        extensions: ['.vtt'],
+        mimeTypes: ['text/vtt'],
+        validate: validateWebVTTFormat,
+        parse: parseVTT,
+        sniff: content => /^WEBVTT(?:[ \t\n]|$)/.test(content),
+        formatHint: 'Please ensure the file starts with a WEBVTT header followed by cues with valid timestamps.'
+    },
+    ass: {
+        name: 'Advanced SubStation Alpha',
+        label: 'ASS',
+        extensions: ['.ass', '.ssa'],
+        mimeTypes: ['text/x-ssa', 'text/x-ass'],
+        validate: validateASSFormat,
+        parse: parseASS,
+        sniff: content => /^\s*\[Script Info\]/i.test(content) || /^\[Events\]\s*$/im.test(content),
+        formatHint: 'Please ensure the file has an [Events] section with a Format line and Dialogue lines.'
+    },
+    microdvd: {
+        name: 'MicroDVD',
+        label: 'MicroDVD',
+        extensions: ['.sub'],
+        mimeTypes: [],
+        validate: validateMicroDVDFormat,
+        parse: parseMicroDVD,
+        sniff: content => /^\s*\{\d+\}\{\d+\}/.test(content),
+        requiresFrameRate: true,
+        detectFrameRate: detectMicroDVDFrameRate,
+        formatHint: 'Please ensure every line follows the {start}{end}text structure with frame numbers.'
+    },
+    subviewer: {
+        name: 'SubViewer',
+        label: 'SubViewer',
+        extensions: ['.sub'],
+        mimeTypes: [],
+        validate: validateSubViewerFormat,
+        parse: parseSubViewer,
+        // SubViewer 2 writes two-digit hours and centiseconds, which tells it apart from SBV
+        sniff: content => /^\s*\[INFORMATION\]/i.test(content) ||
+            /^\d{2}:\d{2}:\d{2}\.\d{2}\s*,\s*\d{2}:\d{2}:\d{2}\.\d{2}\s*$/m.test(content),
+        formatHint: 'Please ensure every cue starts with a HH:MM:SS.cc,HH:MM:SS.cc timing line.'
+    },
+    ttml: {
+        name: 'Timed Text Markup Language',
+        label: 'TTML',
+        extensions: ['.ttml', '.dfxp', '.xml'],
+        mimeTypes: ['application/ttml+xml', 'application/xml', 'text/xml'],
+        validate: validateTTMLFormat,
+        parse: parseTTML,
+        sniff: content => /<tt[\s>]/.test(content) && /http:\/\/www\.w3\.org\/(?:ns\/ttml|2006\/10\/ttaf1)/.test(content),
+        formatHint: 'Please ensure the file is well-formed XML with a <tt> root and <p> elements with begin and end times.'
+    },
+    sbv: {
+        name: 'YouTube SubViewer',
+        label: 'SBV',
+        extensions: ['.sbv'],
+        mimeTypes: [],
+        validate: validateSBVFormat,
+        parse: parseSBV,
+        sniff: content => /^\d+:\d{2}:\d{2}\.\d{3}\s*,\s*\d+:\d{2}:\d{2}\.\d{3}\s*$/m.test(content),
+        formatHint: 'Please ensure every cue starts with a H:MM:SS.mmm,H:MM:SS.mmm timing line.'
+    },
+    lrc: {
+        name: 'LRC Lyrics',
+        label: 'LRC',
+        extensions: ['.lrc'],
+        mimeTypes: [],
+        validate: validateLRCFormat,
+        parse: parseLRC,
+        sniff: content => /^\[\d+:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(content),
+        formatHint: 'Please ensure lyric lines start with a [mm:ss.xx] time tag.'
+    },
+    json: {
+        name: 'JSON cues',
+        label: 'JSON',
+        extensions: ['.json'],
+        mimeTypes: ['application/json'],
+        validate: validateJSONCues,
+        parse: parseJSONCues,
+        sniff: content => /^\s*[[{]/.test(content) && /"text"\s*:/.test(content),
+        formatHint: 'Please provide an array of cues with "text" and "start"/"end" in milliseconds or "startTime"/"endTime" timestamps.'
+    }
+};
+
+/**
+ * Supported output formats
+ * generate receives the parsed subtitles and { language, profile }; checkCompliance returns
+ * a validateBunnyStreamCompliance-style result whose isValid gates the conversion,
+ * validate is a plain format check for formats without a compliance profile.
+ * supportsProfiles marks formats whose checkCompliance accepts { profile } (see compliance-profiles)
+ * and whose generate and base64 follow that profile.
+ * markupWarnings, when present, lists cue markup the generator had to change;
+ * droppedCues lists the cues (numbered from 1) the generator leaves out because only markup was left
+ */
+const OUTPUT_FORMATS = {
+    vtt: {
+        name: 'WebVTT',
+        label: 'VTT',
+        generate: (subtitles, options = {}) => generateVTT(subtitles, { cueIdentifiers: options.profile ? options.profile.cueIdentifiers : undefined }),
+        checkCompliance: (content, options = {}) => validateProfileCompliance(content, options.profile || COMPLIANCE_PROFILES[DEFAULT_PROFILE], options),
+        complianceFlag: 'bunnyStreamCompatible',
+        supportsProfiles: true,
+        markupWarnings: getVTTMarkupWarnings,
+        base64: generateBase64Output,
+        mimeConfig: () => {
+            const config = getVTTMimeTypeConfig();
+            return { primary: config.primary, fileExtension: config.fileExtension, contentType: config.bunnyStream.contentType };
+        }
+    },
+    srt: {
+        name: 'SubRip',
+        label: 'SRT',
+        generate: subtitles => generateSRT(subtitles),
+        validate: validateSRTFormat,
+        base64: generateSRTBase64Output,
+        mimeConfig: getSRTMimeTypeConfig
+    },
+    ttml: {
+        name: 'IMSC1 (TTML text profile)',
+        label: 'TTML',
+        generate: generateTTML,
+        droppedCues: getTTMLDroppedCues,
+        checkCompliance: validateIMSC1Compliance,
+        complianceFlag: 'imsc1Compatible',
+        base64: generateTTMLBase64Output,
+        mimeConfig: getTTMLMimeTypeConfig
+    },
+    sbv: {
+        name: 'YouTube SubViewer',
+        label: 'SBV',
+        generate: subtitles => generateSBV(subtitles),
+        droppedCues: getSBVDroppedCues,
+        validate: validateSBVFormat,
+        base64: generateSBVBase64Output,
+        mimeConfig: getSBVMimeTypeConfig
+    },
+    lrc: {
+        name: 'LRC Lyrics',
+        label: 'LRC',
+        generate: subtitles => generateLRC(subtitles),
+        droppedCues: getLRCDroppedCues,
+        validate: validateLRCFormat,
+        base64: generateLRCBase64Output,
+        mimeConfig: getLRCMimeTypeConfig
+    }
+};
+
+/**
+ * Gets the registry entry for an input format
+ * @param {string} formatKey - Format key (e.g. "srt", "vtt", "ass")
+ * @returns {Object|null} - Format definition or null if unsupported
+ */
+function getInputFormat(formatKey) {
+    if (typeof formatKey !== 'string') {
+        return null;
+    }
+    return INPUT_FORMATS[formatKey.toLowerCase()] || null;
+}
+
+/**
+ * Gets the registry entry for an output format
+ * @param {string} formatKey - Format key (e.g. "vtt", "srt", "ttml")
+ * @returns {Object|null} - Format definition or null if unsupported
+ */
+function getOutputFormat(formatKey) {
+    if (typeof formatKey !== 'string') {
+        return null;
+    }
+    return OUTPUT_FORMATS[formatKey.toLowerCase()] || null;
+}
+
+/**
+ * Gets the keys of all supported output formats
+ * @returns {Array<string>} - Format keys
+ */
+function getSupportedOutputFormats() {
+    return Object.keys(OUTPUT_FORMATS);
+}
+
+/**
+ * Gets the keys of all supported input formats
+ * @returns {Array<string>} - Format keys
+ */
+function getSupportedInputFormats() {
+    return Object.keys(INPUT_FORMATS);
+}
+
+/**
+ * Gets all file extensions accepted for upload
+ * @returns {Array<string>} - Extensions including the leading dot
+ */
+function getSupportedExtensions() {
+    return [...new Set(Object.values(INPUT_FORMATS).flatMap(format => format.extensions))];
+}
+
+/**
+ * Checks whether an uploaded file may contain a supported subtitle format
+ * @param {string} filename - Original file name
+ * @param {string} mimetype - MIME type reported by the client
+ * @returns {boolean} - True if the file should be accepted
+ */
+function isSupportedUpload(filename, mimetype) {
+    const extension = path.extname(filename || '').toLowerCase();
+    if (getSupportedExtensions().includes(extension)) {
+        return true;
+    }
+    return mimetype === 'text/plain' ||
+        Object.values(INPUT_FORMATS).some(format => format.mimeTypes.includes(mimetype));
+}
+
+/**
+ * Detects the input format from the file extension, falling back to content sniffing
+ * Extensions shared by several formats (.sub) are resolved by sniffing among those formats
+ * @param {string} filename - Original file name
+ * @param {string} content - Decoded file content
+ * @returns {string|null} - Format key or null if the format could not be determined
+ */
+function detectInputFormat(filename, content) {
+    const extension = path.extname(filename || '').toLowerCase();
+    const candidates = Object.keys(INPUT_FORMATS)
+        .filter(key => INPUT_FORMATS[key].extensions.includes(extension));
+
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+
+    if (!content || typeof content !== 'string') {
+        return candidates.length > 0 ? candidates[0] : null;
+    }
+
+    const normalizedContent = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const sniffed = (candidates.length > 0 ? candidates : Object.keys(INPUT_FORMATS))
+        .find(key => INPUT_FORMATS[key].sniff(normalizedContent));
+
+    if (sniffed) {
+        return sniffed;
+    }
+
+    return candidates.length > 0 ? candidates[0] : null;
+}
+
+module.exports = {
+    INPUT_FORMATS,
+    OUTPUT_FORMATS,
+    getInputFormat,
+    getOutputFormat,
+    getSupportedInputFormats,
+    getSupportedOutputFormats,
+    getSupportedExtensions,
+    isSupportedUpload,
+    detectInputFormat
+};
@@ -0,0 +1,147 @@
+/**
+ * Subtitle Upload Module
+ * Reads an uploaded subtitle file (or a JSON body of cues), decodes it to UTF-8,
+ * detects its format with the format registry and parses it for the processing endpoints
+ */
+
+const { detectEncoding, convertToUTF8 } = require('./encoding');
+const { parseSRTLenient, diagnoseSRT } = require('./srt-parser');
+const { isValidFrameRate } = require('./timestamp');
+const { getInputFormat, getSupportedInputFormats, detectInputFormat } = require('./subtitle-formats');
+
+/**
+ * Creates an error that carries the JSON body of its 400 response
+ * @param {string} title - Error category (e.g. "File Upload Error")
+ * @param {string} message - Error message
+ * @param {string} stage - Processing stage the error belongs to
+ * @param {Object} details - Extra response fields (e.g. diagnostics)
+ * @returns {Error} - Error with a response property ({ error, message, stage, ...details })
+ */
+function uploadError(title, message, stage, details = {}) {
+    const error = new Error(message);
+    error.response = { error: title, message, stage, ...details };
+    return error;
+}
+
+/**
+ * Lists the problems of an SRT file that failed strict validation or parsing
+ * @param {string} inputFormat - Input format key
+ * @param {string} fileContent - Decoded file content
+ * @returns {Object} - {diagnostics} for SRT input with errors (see diagnoseSRT), otherwise empty
+ */
+function srtDiagnostics(inputFormat, fileContent) {
+    if (inputFormat !== 'srt') {
+        return {};
+    }
+    const report = diagnoseSRT(fileContent);
+    return report.valid ? {} : { diagnostics: report.diagnostics };
+}
+
+/**
+ * Reads the uploaded file and the input parameters shared by the processing endpoints
+ * A JSON request body of cues (an array or { cues, filename }) is read like an uploaded .json file
+ * @param {Object} req - Express request after multer's upload.single
+ * @returns {Object} - {file, requestedInputFormat, fps}
+ * @throws {Error} - With a response property if no file was uploaded or inputFormat or fps is invalid
+ */
+function readSubtitleUpload(req) {
+    let file = req.file;
+    if (!file && req.is('application/json')) {
+        const cues = Array.isArray(req.body) ? req.body : req.body.cues;
+        if (cues !== undefined) {
+            const buffer = Buffer.from(JSON.stringify(cues), 'utf8');
+            file = {
+                originalname: req.body.filename || 'cues.json',
+                mimetype: 'application/json',
+                buffer,
+                size: buffer.length
+            };
+        }
+    }
+
+    if (!file) {
+        throw uploadError('File Upload Error', 'No SRT file provided', 'upload');
+    }
+    if (!file.buffer || file.buffer.length === 0) {
+        throw uploadError('File Upload Error', 'Uploaded file is empty', 'upload');
+    }
+
+    const requestedInputFormat = req.body.inputFormat || req.query.inputFormat;
+    if (requestedInputFormat && !getInputFormat(requestedInputFormat)) {
+        throw uploadError(
+            'Invalid Parameter',
+            `Unsupported input format "${requestedInputFormat}". Supported formats: ${getSupportedInputFormats().join(', ')}`,
+            'upload'
+        );
+    }
+
+    const fpsParam = req.body.fps || req.query.fps;
+    const fps = fpsParam !== undefined ? Number(fpsParam) : undefined;
+    if (fps !== undefined && !isValidFrameRate(fps)) {
+        throw uploadError('Invalid Parameter', `Invalid frame rate "${fpsParam}". Must be a positive number such as 23.976 or 25`, 'upload');
+    }
+
+    return { file, requestedInputFormat, fps };
+}
+
+/**
+ * Decodes, validates and parses an upload read by readSubtitleUpload
+ * The input format is options.inputFormat, the requested inputFormat, or detected from the file name and content
+ * @param {Object} upload - Result of readSubtitleUpload
+ * @param {Object} options - Parse options
+ * @param {string} options.inputFormat - Input format that overrides the request and detection (e.g. "vtt" for vtt-to-srt)
+ * @param {string} options.mode - "strict" (default) or "lenient"; lenient parses SRT with parseSRTLenient
+ * @param {Object} options.timingSeverity - Severity overrides for parsers that check cue timing
+ * @returns {Object} - {fileContent, detectedEncoding, inputFormat, inputHandler, frameRate, subtitles, repairs}
+ * @throws {Error} - With a response property if the file cannot be parsed in its format;
+ *                   for strict SRT input the response lists the diagnostics of diagnoseSRT
+ */
+function parseUploadedSubtitles(upload, options = {}) {
+    const detectedEncoding = detectEncoding(upload.file.buffer);
+    const fileContent = convertToUTF8(upload.file.buffer, detectedEncoding).toString('utf8');
+
+    const inputFormat = (options.inputFormat || upload.requestedInputFormat || detectInputFormat(upload.file.originalname, fileContent) || 'srt').toLowerCase();
+    const inputHandler = getInputFormat(inputFormat);
+    const lenient = options.mode === 'lenient';
+
+    if (lenient && inputFormat !== 'srt') {
+        throw uploadError('Invalid Parameter', `Lenient mode is only available for SRT input, not ${inputHandler.label}`, 'validation');
+    }
+
+    // Frame-based formats need a frame rate from the request or the file header
+    const frameRate = inputHandler.requiresFrameRate ? upload.fps || inputHandler.detectFrameRate(fileContent) : null;
+    if (inputHandler.requiresFrameRate && !frameRate) {
+        throw uploadError(
+            'Invalid Parameter',
+            `${inputHandler.name} files are frame-based. Please provide the frame rate with the "fps" parameter (e.g. 23.976 or 25).`,
+            'validation'
+        );
+    }
+    const parseOptions = { fps: frameRate || undefined, timingSeverity: options.timingSeverity };
+
+    // Lenient mode reports defects as repairs instead of failing validation
+    if (!lenient && !inputHandler.validate(fileContent, parseOptions)) {
+        throw uploadError('Format Validation Error', `Invalid ${inputHandler.label} file format. ${inputHandler.formatHint}`, 'validation',
+            srtDiagnostics(inputFormat, fileContent));
+    }
+
+    let subtitles;
+    let repairs = [];
+    try {
+        if (lenient) {
+            ({ subtitles, repairs } = parseSRTLenient(fileContent));
+        } else {
+            subtitles = inputHandler.parse(fileContent, parseOptions);
+        }
+    } catch (error) {
+        throw uploadError(`${inputHandler.label} Parsing Error`, error.message, 'validation',
+            lenient ? {} : srtDiagnostics(inputFormat, fileContent));
+    }
+
+    return { fileContent, detectedEncoding, inputFormat, inputHandler, frameRate, subtitles, repairs };
+}
+
+module.exports = {
+    readSubtitleUpload,
+    parseUploadedSubtitles
+};
@@ -0,0 +1,138 @@
+/**
+ * SubViewer Parsing Module
+ * Parses SubViewer 2 (.sub) files into subtitle objects
+ */
+
+const { msToTimestamp } = require('./timestamp');
+
+const TIMESTAMP = '(\\d{1,2}):([0-5]\\d):([0-5]\\d)\\.(\\d{2,3})';
+const TIMING_LINE_REGEX = new RegExp(`^${TIMESTAMP}\\s*,\\s*${TIMESTAMP}$`);
+
+/**
+ * Converts the captured parts of a SubViewer timestamp to milliseconds
+ * @param {Array<string>} parts - Hours, minutes, seconds and fraction
+ * @returns {number} - Time in milliseconds
+ */
+function partsToMs([hours, minutes, seconds, fraction]) {
+    const milliseconds = fraction.length === 2 ? parseInt(fraction, 10) * 10 : parseInt(fraction, 10);
+    return parseInt(hours, 10) * 3600000 +
+        parseInt(minutes, 10) * 60000 +
+        parseInt(seconds, 10) * 1000 +
+        milliseconds;
+}
+
+/**
+ * Converts SubViewer cue text to SRT-style cue text
+ * Both the SubViewer 2 [br] tag and the "|" separator become line breaks
+ * @param {string} text - Raw cue text
+ * @returns {string} - Cue text with newline separated lines
+ */
+function convertSubViewerText(text) {
+    return text
+        .split(/\[br\]|\|/i)
+        .map(line => line.trim())
+        .filter(line => line !== '')
+        .join('\n');
+}
+
+/**
+ * Internal function to parse SubViewer content with detailed error checking
+ * @param {string} content - The SubViewer file content as string
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid SubViewer format
+ */
+function parseSubViewerInternal(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+    const subtitles = [];
+    let i = 0;
+
+    // Skip the [INFORMATION] header and the style tags that precede the first cue
+    while (i < lines.length && !TIMING_LINE_REGEX.test(lines[i].trim())) {
+        const line = lines[i].trim();
+        if (line !== '' && !line.startsWith('[')) {
+            throw new Error(`Unexpected content "${line}" at line ${i + 1} (expected header tag or timing line)`);
+        }
+        i++;
+    }
+
+    while (i < lines.length) {
+        while (i < lines.length && lines[i].trim() === '') {
+            i++;
+        }
+
+        if (i >= lines.length) break;
+
+        const timingLine = lines[i].trim();
+        const match = timingLine.match(TIMING_LINE_REGEX);
+        if (!match) {
+            throw new Error(`Invalid timing line "${timingLine}" at line ${i + 1} (expected HH:MM:SS.cc,HH:MM:SS.cc)`);
+        }
+        i++;
+
+        const textLines = [];
+        while (i < lines.length && lines[i].trim() !== '') {
+            textLines.push(lines[i]);
+            i++;
+        }
+
+        const text = convertSubViewerText(textLines.join('|'));
+        if (text === '') {
+            continue;
+        }
+
+        subtitles.push({
+            index: subtitles.length + 1,
+            startTime: msToTimestamp(partsToMs(match.slice(1, 5))),
+            endTime: msToTimestamp(partsToMs(match.slice(5, 9))),
+            text
+        });
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No valid subtitle blocks found');
+    }
+
+    return subtitles;
+}
+
+/**
+ * Validates if the content follows SubViewer format structure
+ * @param {string} content - The SubViewer file content as string
+ * @returns {boolean} - True if valid SubViewer format, false otherwise
+ */
+function validateSubViewerFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseSubViewerInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses SubViewer content into structured subtitle entries
+ * @param {string} content - The SubViewer file content as string
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @throws {Error} - If content is invalid SubViewer format
+ */
+function parseSubViewer(content) {
+    try {
+        return parseSubViewerInternal(content);
+    } catch (error) {
+        throw new Error('Invalid SubViewer format: ' + error.message);
+    }
+}
+
+module.exports = {
+    validateSubViewerFormat,
+    parseSubViewer,
+    convertSubViewerText
+};
@@ -0,0 +1,71 @@
+/**
+ * Timestamp Conversion Module
+ * Converts between subtitle timestamp strings and millisecond values
+ */
+
+/**
+ * Parses an SRT or WebVTT timestamp into milliseconds
+ * Accepts HH:MM:SS,mmm, HH:MM:SS.mmm and the hour-less WebVTT form MM:SS.mmm
+ * @param {string} timestamp - Timestamp string
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} - If timestamp format is invalid
+ */
+function timestampToMs(timestamp) {
+    if (!timestamp || typeof timestamp !== 'string') {
+        throw new Error('Invalid timestamp: must be a non-empty string');
+    }
+
+    const match = timestamp.trim().match(/^(?:(\d+):)?([0-5]\d):([0-5]\d)[,.](\d{3})$/);
+    if (!match) {
+        throw new Error(`Invalid timestamp format: ${timestamp}. Expected format: HH:MM:SS,mmm or MM:SS.mmm`);
+    }
+
+    const [, hours = '0', minutes, seconds, milliseconds] = match;
+
+    return parseInt(hours, 10) * 3600000 +
+        parseInt(minutes, 10) * 60000 +
+        parseInt(seconds, 10) * 1000 +
+        parseInt(milliseconds, 10);
+}
+
+/**
+ * Formats milliseconds as an SRT timestamp (HH:MM:SS,mmm)
+ * This is the timestamp form used by the internal subtitle objects
+ * @param {number} ms - Time in milliseconds
+ * @param {string} separator - Separator between seconds and milliseconds
+ * @returns {string} - Formatted timestamp
+ * @throws {Error} - If time is negative, not finite or exceeds 99:59:59,999
+ */
+function msToTimestamp(ms, separator = ',') {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+        throw new Error(`Invalid time value: ${ms}. Must be a non-negative number of milliseconds`);
+    }
+
+    const total = Math.round(ms);
+    const hours = Math.floor(total / 3600000);
+    if (hours > 99) {
+        throw new Error(`Time value ${ms}ms exceeds maximum timestamp 99:59:59,999`);
+    }
+
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const milliseconds = total % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(seconds).padStart(2, '0')}${separator}${String(milliseconds).padStart(3, '0')}`;
+}
+
+/**
+ * Validates a frame rate value for frame-based formats and retiming
+ * @param {*} fps - Frame rate to check
+ * @returns {boolean} - True if fps is a positive finite number up to 1000
+ */
+function isValidFrameRate(fps) {
+    return typeof fps === 'number' && Number.isFinite(fps) && fps > 0 && fps <= 1000;
+}
+
+module.exports = {
+    timestampToMs,
+    msToTimestamp,
+    isValidFrameRate
+};
@@ -0,0 +1,216 @@
+/**
+ * Transcript Generation Module
+ * Builds readable plain text and Markdown transcripts from parsed subtitle data
+ */
+
+const { timestampToMs } = require('./timestamp');
+
+/**
+ * A pause of at least this many milliseconds after a finished sentence starts a new paragraph
+ */
+const DEFAULT_PAUSE_THRESHOLD = 2000;
+
+const SENTENCE_END_REGEX = /[.!?…]["'”’)\]]*$/;
+
+/**
+ * Supported transcript formats with their MIME type configuration
+ */
+const TRANSCRIPT_FORMATS = {
+    txt: {
+        name: 'Plain text transcript',
+        primary: 'text/plain',
+        fileExtension: '.txt',
+        contentType: 'text/plain; charset=utf-8'
+    },
+    md: {
+        name: 'Markdown transcript',
+        primary: 'text/markdown',
+        fileExtension: '.md',
+        contentType: 'text/markdown; charset=utf-8'
+    }
+};
+
+/**
+ * Converts cue text to a single line of plain text
+ * Markup tags, override blocks and WebVTT character references are removed or decoded
+ * @param {string} text - Cue text
+ * @returns {string} - Plain text
+ */
+function cueTextToPlainText(text) {
+    return String(text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\\[^}]*\}/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Formats milliseconds as an HH:MM:SS transcript marker time
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} - HH:MM:SS
+ */
+function formatMarkerTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+/**
+ * Groups cues into paragraphs
+ * A new paragraph starts when the previous cue ends a sentence and is followed by a pause
+ * of at least pauseThreshold milliseconds
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Grouping options
+ * @param {number} options.pauseThreshold - Minimum pause in milliseconds (default 2000)
+ * @returns {Array} - Array of {start, end, cues: [{start, text}]} with times in milliseconds
+ */
+function buildTranscriptParagraphs(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    const pauseThreshold = options.pauseThreshold !== undefined ? options.pauseThreshold : DEFAULT_PAUSE_THRESHOLD;
+    const paragraphs = [];
+    let current = null;
+    let previous = null;
+
+    subtitles.forEach((subtitle, index) => {
+        let start;
+        let end;
+        try {
+            start = timestampToMs(subtitle.startTime);
+            end = timestampToMs(subtitle.endTime);
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+
+        const text = cueTextToPlainText(subtitle.text);
+        if (text === '') {
+            return;
+        }
+
+        const startsParagraph = !current ||
+            (SENTENCE_END_REGEX.test(previous.text) && start - previous.end >= pauseThreshold);
+        if (startsParagraph) {
+            current = { start, end, cues: [] };
+            paragraphs.push(current);
+        }
+
+        current.cues.push({ start, text });
+        current.end = Math.max(current.end, end);
+        previous = { end, text };
+    });
+
+    if (paragraphs.length === 0) {
+        throw new Error('No subtitle text available for the transcript');
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Generates a plain text transcript
+ * With markerInterval, a [HH:MM:SS] marker is placed before the first cue and before
+ * the first cue starting at least markerInterval seconds after the previous marker
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Transcript options
+ * @param {number} options.pauseThreshold - Paragraph pause in milliseconds (see buildTranscriptParagraphs)
+ * @param {number} options.markerInterval - Seconds between time markers; 0 or omitted for none
+ * @returns {string} - Transcript with paragraphs separated by blank lines
+ */
+function generatePlainTranscript(subtitles, options = {}) {
+    const paragraphs = buildTranscriptParagraphs(subtitles, options);
+    const interval = options.markerInterval > 0 ? options.markerInterval * 1000 : null;
+    let nextMarker = 0;
+
+    const blocks = paragraphs.map(paragraph => paragraph.cues.map(cue => {
+        if (interval === null || cue.start < nextMarker) {
+            return cue.text;
+        }
+        nextMarker = cue.start + interval;
+        return `[${formatMarkerTime(cue.start)}] ${cue.text}`;
+    }).join(' '));
+
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Escapes text so Markdown renders it literally
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+    return text
+        .replace(/([\\`*_[\]<>|])/g, '\\$1')
+        .replace(/^(#|[-+] |\d+\. )/, '\\$1');
+}
+
+/**
+ * Generates a Markdown transcript with a timestamped heading for every paragraph
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Transcript options
+ * @param {number} options.pauseThreshold - Paragraph pause in milliseconds (see buildTranscriptParagraphs)
+ * @param {string} options.title - Optional document title
+ * @returns {string} - Markdown document
+ */
+function generateMarkdownTranscript(subtitles, options = {}) {
+    const paragraphs = buildTranscriptParagraphs(subtitles, options);
+    const sections = paragraphs.map(paragraph => {
+        const text = paragraph.cues.map(cue => cue.text).join(' ');
+        return `## ${formatMarkerTime(paragraph.start)}\n\n${escapeMarkdown(text)}`;
+    });
+
+    if (options.title) {
+        sections.unshift(`# ${escapeMarkdown(options.title)}`);
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Generates a transcript in the requested format
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {string} format - Transcript format key (txt or md)
+ * @param {Object} options - Options for generatePlainTranscript or generateMarkdownTranscript
+ * @returns {string} - Transcript content
+ * @throws {Error} - If the format is not supported
+ */
+function generateTranscript(subtitles, format, options = {}) {
+    switch (format) {
+        case 'txt':
+            return generatePlainTranscript(subtitles, options);
+        case 'md':
+            return generateMarkdownTranscript(subtitles, options);
+        default:
+            throw new Error(`Unsupported transcript format: ${format}`);
+    }
+}
+
+/**
+ * Gets the MIME type configuration for a transcript format
+ * @param {string} format - Transcript format key (txt or md)
+ * @returns {Object|null} - {primary, fileExtension, contentType} or null if unsupported
+ */
+function getTranscriptMimeTypeConfig(format) {
+    const config = TRANSCRIPT_FORMATS[format];
+    if (!config) {
+        return null;
+    }
+    return { primary: config.primary, fileExtension: config.fileExtension, contentType: config.contentType };
+}
+
+module.exports = {
+    DEFAULT_PAUSE_THRESHOLD,
+    TRANSCRIPT_FORMATS,
+    buildTranscriptParagraphs,
+    generatePlainTranscript,
+    generateMarkdownTranscript,
+    generateTranscript,
+    getTranscriptMimeTypeConfig
+};
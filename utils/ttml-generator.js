@@ -0,0 +1,349 @@
+/**
+ * TTML Generation Module
+ * Converts parsed subtitle data to IMSC1 (TTML text profile) documents
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+const { parseXML, escapeXML, getLocalName, getAttribute } = require('./xml-parser');
+const { parseTTMLTime, getTimingParameters } = require('./ttml-parser');
+
+const TTML_NAMESPACE = 'http://www.w3.org/ns/ttml';
+const IMSC1_TEXT_PROFILE = 'http://www.w3.org/ns/ttml/profile/imsc1/text';
+
+/**
+ * TTML styling attributes used for SRT/WebVTT markup tags
+ */
+const TAG_STYLES = {
+    b: 'tts:fontWeight="bold"',
+    i: 'tts:fontStyle="italic"',
+    u: 'tts:textDecoration="underline"'
+};
+
+/**
+ * Converts SRT-style cue text to TTML paragraph content
+ * <b>, <i> and <u> become styled spans, newlines become <br/>; any other markup is dropped
+ * @param {string} text - Cue text
+ * @returns {string} - Escaped TTML content
+ */
+function convertCueTextToTTML(text) {
+    const open = [];
+    let output = '';
+
+    const tokens = String(text).split(/(<\/?[a-zA-Z][^>]*>)/);
+    for (const token of tokens) {
+        const tagMatch = token.match(/^<(\/?)([a-zA-Z]+)[^>]*>$/);
+        if (!tagMatch) {
+            output += escapeXML(token).replace(/\n/g, '<br/>');
+            continue;
+        }
+
+        const [, closing, tagName] = tagMatch;
+        const tag = tagName.toLowerCase();
+        if (!TAG_STYLES[tag]) {
+            continue;
+        }
+
+        if (!closing) {
+            output += `<span ${TAG_STYLES[tag]}>`;
+            open.push(tag);
+            continue;
+        }
+
+        const position = open.lastIndexOf(tag);
+        if (position === -1) {
+            continue;
+        }
+        // Close spans opened after this one first and reopen them to keep the markup well-formed
+        const reopen = open.slice(position + 1);
+        output += '</span>'.repeat(open.length - position);
+        open.length = position;
+        for (const other of reopen) {
+            output += `<span ${TAG_STYLES[other]}>`;
+            open.push(other);
+        }
+    }
+
+    output += '</span>'.repeat(open.length);
+
+    return output.replace(/<span [^>]*><\/span>/g, '');
+}
+
+/**
+ * Converts a subtitle timestamp to a TTML clock time expression
+ * @param {string} timestamp - Timestamp in HH:MM:SS,mmm or HH:MM:SS.mmm format
+ * @returns {string} - Clock time (HH:MM:SS.mmm)
+ */
+function convertToTTMLTime(timestamp) {
+    return msToTimestamp(timestampToMs(timestamp), '.');
+}
+
+/**
+ * Converts cue text to paragraph content without blank lines
+ * @param {string} text - Cue text
+ * @returns {string} - TTML paragraph content, empty when the cue held only markup
+ */
+function convertCueToParagraphContent(text) {
+    return convertCueTextToTTML(String(text).split('\n').map(line => line.trim()).filter(line => line !== '').join('\n'));
+}
+
+/**
+ * Lists the cues generateTTML leaves out because no text remains after the markup conversion
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array<number>} - Cue numbers starting at 1
+ */
+function getTTMLDroppedCues(subtitles) {
+    return subtitles
+        .map((subtitle, index) => (convertCueToParagraphContent(subtitle.text) === '' ? index + 1 : null))
+        .filter(cue => cue !== null);
+}
+
+/**
+ * Generates an IMSC1 text profile document from parsed subtitle data
+ * Cues with no text left after the markup conversion are skipped (see getTTMLDroppedCues)
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @param {Object} options - Generation options
+ * @param {string} options.language - BCP 47 language tag for xml:lang (empty when unknown)
+ * @returns {string} - Complete TTML document
+ * @throws {Error} - If the input is invalid or no cue has text
+ */
+function generateTTML(subtitles, options = {}) {
+    if (!Array.isArray(subtitles)) {
+        throw new Error('Invalid input: subtitles must be an array');
+    }
+
+    if (subtitles.length === 0) {
+        throw new Error('No subtitles provided for TTML generation');
+    }
+
+    const paragraphs = subtitles.map((subtitle, index) => {
+        if (!subtitle || typeof subtitle !== 'object') {
+            throw new Error(`Invalid subtitle object at index ${index}`);
+        }
+
+        const { startTime, endTime, text } = subtitle;
+
+        if (!startTime || !endTime || text === undefined) {
+            throw new Error(`Missing required fields in subtitle at index ${index}. Required: startTime, endTime, text`);
+        }
+
+        const content = convertCueToParagraphContent(text);
+        if (content === '') {
+            return null;
+        }
+
+        try {
+            return `      <p xml:id="c${index + 1}" begin="${convertToTTMLTime(startTime)}" end="${convertToTTMLTime(endTime)}">${content}</p>`;
+        } catch (error) {
+            throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
+        }
+    }).filter(paragraph => paragraph !== null);
+
+    if (paragraphs.length === 0) {
+        throw new Error('No subtitles with text left for TTML generation');
+    }
+
+    const language = escapeXML(options.language || '');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<tt xmlns="${TTML_NAMESPACE}" xmlns:ttp="${TTML_NAMESPACE}#parameter" xmlns:tts="${TTML_NAMESPACE}#styling" ` +
+            `ttp:profile="${IMSC1_TEXT_PROFILE}" ttp:timeBase="media" xml:lang="${language}">`,
+        '  <head>',
+        '    <styling>',
+        '      <style xml:id="default" tts:fontFamily="proportionalSansSerif" tts:fontSize="100%" tts:color="white" ' +
+            'tts:backgroundColor="rgba(0,0,0,0.8)" tts:textAlign="center"/>',
+        '    </styling>',
+        '    <layout>',
+        '      <region xml:id="bottom" tts:origin="10% 10%" tts:extent="80% 80%" tts:displayAlign="after"/>',
+        '    </layout>',
+        '  </head>',
+        '  <body style="default" region="bottom">',
+        '    <div>',
+        ...paragraphs,
+        '    </div>',
+        '  </body>',
+        '</tt>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Validates TTML content against the IMSC1 text profile requirements we rely on
+ * Mirrors validateBunnyStreamCompliance: individual checks plus errors and warnings
+ * @param {string} ttmlContent - The TTML content to validate
+ * @returns {Object} - Compliance result with isValid, compliance checks, errors and warnings
+ */
+function validateIMSC1Compliance(ttmlContent) {
+    const result = {
+        isValid: false,
+        compliance: {
+            noBOM: false,
+            properEncoding: false,
+            wellFormedXML: false,
+            hasTTRoot: false,
+            hasIMSC1TextProfile: false,
+            hasLanguage: false,
+            mediaTimeBase: false,
+            validTimeExpressions: false,
+            noImages: false
+        },
+        errors: [],
+        warnings: []
+    };
+
+    try {
+        if (!ttmlContent || typeof ttmlContent !== 'string') {
+            throw new Error('Content must be a non-empty string');
+        }
+
+        result.compliance.noBOM = ttmlContent.charCodeAt(0) !== 0xFEFF;
+
+        try {
+            const buffer = Buffer.from(ttmlContent, 'utf8');
+            result.compliance.properEncoding = buffer.toString('utf8') === ttmlContent;
+        } catch (error) {
+            result.errors.push('Content is not valid UTF-8');
+        }
+
+        let root;
+        try {
+            root = parseXML(ttmlContent);
+            result.compliance.wellFormedXML = true;
+        } catch (error) {
+            result.errors.push(`XML is not well-formed: ${error.message}`);
+            return result;
+        }
+
+        result.compliance.hasTTRoot = getLocalName(root.name) === 'tt' && Object.keys(root.attributes)
+            .some(name => (name === 'xmlns' || name.startsWith('xmlns:')) && root.attributes[name] === TTML_NAMESPACE);
+        if (!result.compliance.hasTTRoot) {
+            result.errors.push(`Root element must be <tt> in the ${TTML_NAMESPACE} namespace`);
+        }
+
+        const profiles = [getAttribute(root, 'profile'), getAttribute(root, 'contentProfiles')]
+            .filter(Boolean).join(' ').split(/\s+/);
+        result.compliance.hasIMSC1TextProfile = profiles.includes(IMSC1_TEXT_PROFILE);
+        if (!result.compliance.hasIMSC1TextProfile) {
+            result.errors.push(`Document does not declare the IMSC1 text profile (${IMSC1_TEXT_PROFILE})`);
+        }
+
+        const language = root.attributes['xml:lang'];
+        result.compliance.hasLanguage = language !== undefined;
+        if (language === undefined) {
+            result.errors.push('Root element is missing the xml:lang attribute');
+        } else if (language === '') {
+            result.warnings.push('Document language is undetermined (xml:lang is empty).');
+        }
+
+        const timeBase = getAttribute(root, 'timeBase');
+        result.compliance.mediaTimeBase = timeBase === undefined || timeBase === 'media';
+        if (!result.compliance.mediaTimeBase) {
+            result.errors.push(`ttp:timeBase="${timeBase}" is not permitted; IMSC1 requires media time`);
+        }
+
+        // Check time expressions and frame rate declarations across the whole document
+        const timing = getTimingParameters(root);
+        const hasFrameRate = getAttribute(root, 'frameRate') !== undefined;
+        const timeErrors = [];
+        let paragraphCount = 0;
+        const visit = element => {
+            const name = getLocalName(element.name);
+            if (name === 'image' || getAttribute(element, 'backgroundImage') !== undefined) {
+                result.errors.push(`Images are not permitted in the text profile (line ${element.lineNumber})`);
+            }
+            if (name === 'p') {
+                paragraphCount++;
+            }
+
+            const times = {};
+            ['begin', 'end', 'dur'].forEach(attribute => {
+                const value = getAttribute(element, attribute);
+                if (value === undefined) return;
+                if (!hasFrameRate && (/f$/.test(value.trim()) || /^\d{2,}:\d{2}:\d{2}:/.test(value.trim()))) {
+                    timeErrors.push(`Frame-based time expression "${value}" requires ttp:frameRate (line ${element.lineNumber})`);
+                    return;
+                }
+                try {
+                    times[attribute] = parseTTMLTime(value, timing);
+                } catch (error) {
+                    timeErrors.push(`${error.message} (line ${element.lineNumber})`);
+                }
+            });
+            if (times.begin !== undefined && times.end !== undefined && times.end <= times.begin) {
+                timeErrors.push(`End time must be after begin time (line ${element.lineNumber})`);
+            }
+
+            element.children.filter(child => child.name).forEach(visit);
+        };
+        visit(root);
+
+        result.compliance.noImages = !result.errors.some(error => error.startsWith('Images are not permitted'));
+        result.compliance.validTimeExpressions = timeErrors.length === 0 && paragraphCount > 0;
+        result.errors.push(...timeErrors);
+        if (paragraphCount === 0) {
+            result.errors.push('Document contains no <p> elements');
+        }
+
+        if (ttmlContent.includes('\r\n')) {
+            result.warnings.push('Content contains Windows line endings (CRLF). Unix line endings (LF) are recommended.');
+        }
+
+        result.isValid = Object.values(result.compliance).every(check => check === true) && result.errors.length === 0;
+
+    } catch (error) {
+        result.errors.push(error.message);
+        result.isValid = false;
+    }
+
+    return result;
+}
+
+/**
+ * Generates Base64 encoded TTML content for API consumers
+ * @param {string} ttmlContent - The TTML content to encode
+ * @returns {Object} - Base64 data with metadata, same shape as generateBase64Output
+ */
+function generateTTMLBase64Output(ttmlContent) {
+    if (!ttmlContent || typeof ttmlContent !== 'string') {
+        throw new Error('Invalid TTML content for Base64 encoding');
+    }
+
+    const buffer = Buffer.from(ttmlContent, 'utf8');
+    const base64Content = buffer.toString('base64');
+
+    return {
+        content: base64Content,
+        mimeType: 'application/ttml+xml',
+        charset: 'utf-8',
+        encoding: 'base64',
+        size: {
+            original: buffer.length,
+            encoded: base64Content.length
+        },
+        metadata: {
+            format: 'TTML (IMSC1 text profile)',
+            encoding: 'UTF-8 without BOM'
+        }
+    };
+}
+
+/**
+ * Gets the MIME type configuration for TTML files
+ * @returns {Object} - MIME type configuration
+ */
+function getTTMLMimeTypeConfig() {
+    return {
+        primary: 'application/ttml+xml',
+        fileExtension: '.ttml',
+        contentType: 'application/ttml+xml; charset=utf-8'
+    };
+}
+
+module.exports = {
+    convertCueTextToTTML,
+    getTTMLDroppedCues,
+    generateTTML,
+    validateIMSC1Compliance,
+    generateTTMLBase64Output,
+    getTTMLMimeTypeConfig
+};
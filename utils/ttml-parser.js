@@ -0,0 +1,333 @@
+/**
+ * TTML Parsing Module
+ * Parses TTML, DFXP and IMSC1 documents into subtitle objects
+ */
+
+const { msToTimestamp } = require('./timestamp');
+const { parseXML, getLocalName, getAttribute } = require('./xml-parser');
+
+/**
+ * Timing parameters used when the document does not declare any (TTML1 defaults)
+ */
+const DEFAULT_TIMING = {
+    frameRate: 30,
+    subFrameRate: 1,
+    tickRate: 1
+};
+
+const CLOCK_TIME_REGEX = /^(\d{2,}):(\d{2}):(\d{2})(?:\.(\d+)|:(\d{2,})(?:\.(\d+))?)?$/;
+const OFFSET_TIME_REGEX = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+/**
+ * Styling attributes that have an SRT/WebVTT tag equivalent
+ */
+const STYLE_PROPERTIES = ['fontStyle', 'fontWeight', 'textDecoration'];
+
+/**
+ * Reads the ttp: timing parameters from the root element
+ * @param {Object} root - The <tt> element
+ * @returns {Object} - Effective frame rate, sub-frame rate and tick rate
+ */
+function getTimingParameters(root) {
+    const frameRateValue = getAttribute(root, 'frameRate');
+    let frameRate = frameRateValue !== undefined ? parseInt(frameRateValue, 10) : DEFAULT_TIMING.frameRate;
+    if (!(frameRate > 0)) {
+        throw new Error(`Invalid ttp:frameRate "${frameRateValue}"`);
+    }
+
+    const multiplier = getAttribute(root, 'frameRateMultiplier');
+    if (multiplier !== undefined) {
+        const match = multiplier.trim().match(/^(\d+)\s+(\d+)$/);
+        if (!match || parseInt(match[2], 10) === 0) {
+            throw new Error(`Invalid ttp:frameRateMultiplier "${multiplier}"`);
+        }
+        frameRate = frameRate * parseInt(match[1], 10) / parseInt(match[2], 10);
+    }
+
+    const subFrameRate = parseInt(getAttribute(root, 'subFrameRate'), 10) || DEFAULT_TIMING.subFrameRate;
+    const tickRateValue = getAttribute(root, 'tickRate');
+    // Without ttp:tickRate, ticks run at the frame rate when one is declared
+    const tickRate = tickRateValue !== undefined
+        ? parseInt(tickRateValue, 10)
+        : (frameRateValue !== undefined ? frameRate * subFrameRate : DEFAULT_TIMING.tickRate);
+    if (!(tickRate > 0)) {
+        throw new Error(`Invalid ttp:tickRate "${tickRateValue}"`);
+    }
+
+    return { frameRate, subFrameRate, tickRate };
+}
+
+/**
+ * Converts a TTML time expression to milliseconds
+ * Supports clock time (00:00:01.500, 00:00:01:12 with frames) and
+ * offset time (1.5s, 1500ms, 36f, 10000000t, 0.5m, 1h)
+ * @param {string} expression - TTML time expression
+ * @param {Object} timing - Timing parameters from the document (see getTimingParameters)
+ * @returns {number} - Time in milliseconds
+ * @throws {Error} - If the time expression is invalid
+ */
+function parseTTMLTime(expression, timing = DEFAULT_TIMING) {
+    const value = String(expression).trim();
+
+    const clock = value.match(CLOCK_TIME_REGEX);
+    if (clock) {
+        const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+        let ms = parseInt(hours, 10) * 3600000 + parseInt(minutes, 10) * 60000 + parseInt(seconds, 10) * 1000;
+        if (fraction !== undefined) {
+            ms += parseFloat(`0.${fraction}`) * 1000;
+        }
+        if (frames !== undefined) {
+            const frameCount = parseInt(frames, 10) + (subFrames !== undefined ? parseInt(subFrames, 10) / timing.subFrameRate : 0);
+            ms += frameCount * 1000 / timing.frameRate;
+        }
+        return ms;
+    }
+
+    const offset = value.match(OFFSET_TIME_REGEX);
+    if (offset) {
+        const count = parseFloat(offset[1]);
+        switch (offset[2]) {
+            case 'h': return count * 3600000;
+            case 'm': return count * 60000;
+            case 's': return count * 1000;
+            case 'ms': return count;
+            case 'f': return count * 1000 / timing.frameRate;
+            case 't': return count * 1000 / timing.tickRate;
+        }
+    }
+
+    throw new Error(`Invalid TTML time expression: ${expression}`);
+}
+
+/**
+ * Collects the styles declared in <head><styling>, resolving style references between them
+ * @param {Object} root - The <tt> element
+ * @returns {Object} - Map of style id to {property: value}
+ */
+function collectStyles(root) {
+    const declarations = {};
+    const visit = element => {
+        if (!element.children) return;
+        element.children.forEach(child => {
+            if (!child.name) return;
+            if (getLocalName(child.name) === 'style' && getAttribute(child, 'id')) {
+                declarations[getAttribute(child, 'id')] = child;
+            }
+            if (getLocalName(child.name) !== 'body') {
+                visit(child);
+            }
+        });
+    };
+    visit(root);
+
+    const resolved = {};
+    const resolve = (id, seen = []) => {
+        if (resolved[id]) return resolved[id];
+        const declaration = declarations[id];
+        if (!declaration || seen.includes(id)) return {};
+        const properties = {};
+        (getAttribute(declaration, 'style') || '').split(/\s+/).filter(Boolean).forEach(ref => {
+            Object.assign(properties, resolve(ref, [...seen, id]));
+        });
+        STYLE_PROPERTIES.forEach(property => {
+            const value = getAttribute(declaration, property);
+            if (value !== undefined) properties[property] = value;
+        });
+        resolved[id] = properties;
+        return properties;
+    };
+    Object.keys(declarations).forEach(id => resolve(id));
+
+    return resolved;
+}
+
+/**
+ * Computes the styling of an element from its parent, referenced styles and inline attributes
+ * @param {Object} element - Content element (body, div, p, span)
+ * @param {Object} inherited - Computed style of the parent element
+ * @param {Object} styles - Style map from collectStyles
+ * @returns {Object} - Computed {property: value}
+ */
+function computeStyle(element, inherited, styles) {
+    const computed = { ...inherited };
+    (getAttribute(element, 'style') || '').split(/\s+/).filter(Boolean).forEach(ref => {
+        Object.assign(computed, styles[ref] || {});
+    });
+    STYLE_PROPERTIES.forEach(property => {
+        const value = getAttribute(element, property);
+        if (value !== undefined) computed[property] = value;
+    });
+    return computed;
+}
+
+/**
+ * Maps a computed style to SRT/WebVTT markup tags
+ * @param {Object} style - Computed style
+ * @returns {Array<string>} - Tag names (b, i, u)
+ */
+function styleToTags(style) {
+    const tags = [];
+    if (style.fontWeight === 'bold') tags.push('b');
+    if (style.fontStyle === 'italic' || style.fontStyle === 'oblique') tags.push('i');
+    if (/\bunderline\b/.test(style.textDecoration || '') && !/\bnoUnderline\b/.test(style.textDecoration)) tags.push('u');
+    return tags;
+}
+
+/**
+ * Wraps text in markup tags
+ * @param {string} text - Cue text
+ * @param {Array<string>} tags - Tag names
+ * @returns {string} - Wrapped text
+ */
+function wrapTags(text, tags) {
+    if (text.trim() === '' || tags.length === 0) {
+        return text;
+    }
+    return tags.map(tag => `<${tag}>`).join('') + text + [...tags].reverse().map(tag => `</${tag}>`).join('');
+}
+
+/**
+ * Renders the content of a <p> or <span> to SRT-style cue text
+ * @param {Object} element - Content element
+ * @param {Object} style - Computed style of the element
+ * @param {Object} styles - Style map from collectStyles
+ * @returns {string} - Cue text where <br/> became a newline
+ */
+function renderText(element, style, styles) {
+    return element.children.map(child => {
+        if (child.text !== undefined) {
+            // Default xml:space handling collapses source whitespace
+            return child.text.replace(/\s+/g, ' ');
+        }
+
+        const name = getLocalName(child.name);
+        if (name === 'br') {
+            return '\n';
+        }
+        if (name === 'span') {
+            const spanStyle = computeStyle(child, style, styles);
+            const parentTags = styleToTags(style);
+            const tags = styleToTags(spanStyle).filter(tag => !parentTags.includes(tag));
+            return wrapTags(renderText(child, spanStyle, styles), tags);
+        }
+        // metadata, set and other non-content children carry no text
+        return '';
+    }).join('');
+}
+
+/**
+ * Internal function to parse TTML content with detailed error checking
+ * Timing follows parallel time container semantics: begin and end are relative to the parent's begin
+ * @param {string} content - The TTML file content as string
+ * @returns {Array} - Array of subtitle objects
+ * @throws {Error} - If content is invalid TTML format
+ */
+function parseTTMLInternal(content) {
+    const root = parseXML(content);
+    if (getLocalName(root.name) !== 'tt') {
+        throw new Error(`Root element must be <tt>, found <${root.name}>`);
+    }
+
+    const timing = getTimingParameters(root);
+    const styles = collectStyles(root);
+    const body = root.children.find(child => child.name && getLocalName(child.name) === 'body');
+    if (!body) {
+        throw new Error('Missing <body> element');
+    }
+
+    const readTime = (element, attribute) => {
+        const value = getAttribute(element, attribute);
+        if (value === undefined) return undefined;
+        try {
+            return parseTTMLTime(value, timing);
+        } catch (error) {
+            throw new Error(`${error.message} at line ${element.lineNumber}`);
+        }
+    };
+
+    const cues = [];
+    const walk = (element, parentBegin, parentEnd, inheritedStyle) => {
+        const begin = parentBegin + (readTime(element, 'begin') || 0);
+        const endOffset = readTime(element, 'end');
+        const duration = readTime(element, 'dur');
+        let end = parentEnd;
+        if (endOffset !== undefined) {
+            end = parentBegin + endOffset;
+        } else if (duration !== undefined) {
+            end = begin + duration;
+        }
+        const style = computeStyle(element, inheritedStyle, styles);
+
+        if (getLocalName(element.name) === 'p') {
+            if (end === undefined) {
+                throw new Error(`Missing end time for <p> at line ${element.lineNumber}`);
+            }
+            const text = wrapTags(
+                renderText(element, style, styles).split('\n').map(line => line.trim()).join('\n').trim(),
+                styleToTags(style)
+            );
+            if (text !== '') {
+                cues.push({ begin, end, text, lineNumber: element.lineNumber });
+            }
+            return;
+        }
+
+        element.children
+            .filter(child => child.name && ['div', 'p'].includes(getLocalName(child.name)))
+            .forEach(child => walk(child, begin, end, style));
+    };
+    walk(body, 0, undefined, {});
+
+    if (cues.length === 0) {
+        throw new Error('No <p> elements with text found in <body>');
+    }
+
+    // Parallel time containers do not require document order to match time order
+    cues.sort((a, b) => a.begin - b.begin || a.lineNumber - b.lineNumber);
+
+    return cues.map((cue, i) => ({
+        index: i + 1,
+        startTime: msToTimestamp(cue.begin),
+        endTime: msToTimestamp(cue.end),
+        text: cue.text
+    }));
+}
+
+/**
+ * Validates if the content follows TTML format structure
+ * @param {string} content - The TTML file content as string
+ * @returns {boolean} - True if valid TTML format, false otherwise
+ */
+function validateTTMLFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseTTMLInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses TTML/DFXP/IMSC1 content into structured subtitle entries
+ * @param {string} content - The TTML file content as string
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ * @throws {Error} - If content is invalid TTML format
+ */
+function parseTTML(content) {
+    try {
+        return parseTTMLInternal(content);
+    } catch (error) {
+        throw new Error('Invalid TTML format: ' + error.message);
+    }
+}
+
+module.exports = {
+    validateTTMLFormat,
+    parseTTML,
+    parseTTMLTime,
+    getTimingParameters
+};
@@ -3,6 +3,18 @@
  * Converts SRT subtitle data to Bunny Stream-compatible VTT format
  */
 
+const { parseVTTDocument } = require('./vtt-parser');
+const { translateCueMarkup, generateStyleBlock, summarizeMarkupChanges, findUnescapedCharacters } = require('./cue-text');
+const { formatCueSettings, validateCueSettings } = require('./cue-settings');
+const { checkCueTiming } = require('./cue-timing');
+const { timestampToMs } = require('./timestamp');
+const { visibleLength } = require('./line-wrap');
+const { countReadableCharacters } = require('./quality-rules');
+const { COMPLIANCE_PROFILES } = require('./compliance-profiles');
+
+// Cue timing line: start, end and the cue settings after them
+const TIMING_LINE_REGEX = /^((?:\d{2,}:)?\d{2}:\d{2}\.\d{3})[ \t]+-->[ \t]+((?:\d{2,}:)?\d{2}:\d{2}\.\d{3})(?=[ \t]|$)(.*)$/;
+
 /**
  * Converts SRT timestamp format to VTT format
  * Changes comma separator to period (00:00:00,000 → 00:00:00.000)
@@ -26,13 +38,34 @@ function convertTimestamp(srtTimestamp) {
     return srtTimestamp.replace(',', '.');
 }
 
+/**
+ * Picks the identifier line written for a cue
+ * Identifiers must be a single line without "-->", so other values fall back to the cue number
+ * @param {string} identifier - Identifier kept by the parser, if any
+ * @param {number} number - Position of the cue, starting at 1
+ * @returns {string} - Identifier line
+ */
+function formatCueIdentifier(identifier, number) {
+    const trimmed = typeof identifier === 'string' ? identifier.trim() : '';
+    if (trimmed === '' || /[\r\n]|-->/.test(trimmed)) {
+        return String(number);
+    }
+    return trimmed;
+}
+
 /**
  * Generates VTT format content from parsed SRT subtitle data
- * Creates Bunny Stream-compatible VTT with proper header and formatting
+ * Creates Bunny Stream-compatible VTT with proper header and formatting.
+ * Cue text markup is translated with translateCueMarkup; colour classes get a STYLE block
+ * and cue settings (e.g. from {\an8} positioning codes) are written on the timing line.
+ * Cue identifiers are left out unless the cue identifier policy requires them
  * @param {Array} subtitles - Array of subtitle objects from SRT parser
+ * @param {Object} options - Generation options
+ * @param {string} options.cueIdentifiers - Cue identifier policy of the target profile; with "required"
+ *                                          each cue keeps its identifier or is numbered
  * @returns {string} - Complete VTT format content as UTF-8 string without BOM
  */
-function generateVTT(subtitles) {
+function generateVTT(subtitles, options = {}) {
     if (!Array.isArray(subtitles)) {
         throw new Error('Invalid input: subtitles must be an array');
     }
@@ -41,8 +74,8 @@ function generateVTT(subtitles) {
         throw new Error('No subtitles provided for VTT generation');
     }
 
-    // Start with WEBVTT header (no BOM, no leading spaces)
-    let vttContent = 'WEBVTT\n\n';
+    let cueContent = '';
+    const classes = {};
 
     // Process each subtitle entry
     subtitles.forEach((subtitle, index) => {
@@ -51,7 +84,7 @@ function generateVTT(subtitles) {
             throw new Error(`Invalid subtitle object at index ${index}`);
         }
 
-        const { startTime, endTime, text } = subtitle;
+        const { startTime, endTime, text, settings } = subtitle;
 
         if (!startTime || !endTime || text === undefined) {
             throw new Error(`Missing required fields in subtitle at index ${index}. Required: startTime, endTime, text`);
@@ -62,94 +95,192 @@ function generateVTT(subtitles) {
             const vttStartTime = convertTimestamp(startTime);
             const vttEndTime = convertTimestamp(endTime);
 
-            // Add timestamp line (no subtitle sequence numbers for Bunny Stream)
-            vttContent += `${vttStartTime} --> ${vttEndTime}\n`;
+            // Profiles that require identifiers get the cue's own identifier or its number
+            if (options.cueIdentifiers === 'required') {
+                cueContent += `${formatCueIdentifier(subtitle.identifier, index + 1)}\n`;
+            }
+
+            // Add timestamp line (no subtitle sequence numbers for Bunny Stream) with any cue settings
+            const cueSettings = formatCueSettings(settings);
+            cueContent += `${vttStartTime} --> ${vttEndTime}${cueSettings ? ' ' + cueSettings : ''}\n`;
 
             // Add subtitle text (preserve line breaks within text)
-            vttContent += `${text}\n\n`;
+            const markup = translateCueMarkup(text);
+            Object.assign(classes, markup.classes);
+            cueContent += `${markup.text}\n\n`;
 
         } catch (error) {
             throw new Error(`Error processing subtitle at index ${index}: ${error.message}`);
         }
     });
 
-    return vttContent;
+    // Start with WEBVTT header (no BOM, no leading spaces); STYLE blocks must precede the cues
+    return 'WEBVTT\n\n' + generateStyleBlock(classes) + cueContent;
+}
+
+/**
+ * Describes the cue markup generateVTT changes or drops for the given subtitles
+ * @param {Array} subtitles - Array of subtitle objects from any parser
+ * @returns {Array<string>} - Warning messages, empty when all markup is valid WebVTT
+ */
+function getVTTMarkupWarnings(subtitles) {
+    const changes = subtitles.flatMap(subtitle => translateCueMarkup(subtitle.text).changes);
+    return summarizeMarkupChanges(changes);
+}
+
+/**
+ * Builds the header patterns of a profile
+ * @param {Object} profile - Compliance profile
+ * @param {string} newline - Line break pattern
+ * @returns {Object} - {header, blankLine}: the signature line, and the header block followed by an empty line
+ */
+function getHeaderPatterns(profile, newline) {
+    // With header text allowed, the signature may carry text and be followed by header metadata lines
+    const signature = profile.header.allowText ? 'WEBVTT(?:[ \\t][^\\r\\n]*)?' : 'WEBVTT';
+    const metadata = profile.header.allowText ? `(?:${newline}(?![^\\r\\n]*-->)[^\\r\\n]+)*` : '';
+    return {
+        header: new RegExp(`^${signature}${newline}`),
+        blankLine: new RegExp(`^${signature}${metadata}${newline}${newline}`)
+    };
+}
+
+/**
+ * Finds the cue identifier lines of a WebVTT file
+ * @param {Array<string>} lines - File content split into lines
+ * @returns {Object} - {identifiers: [{identifier, line}], cueCount}; line numbers start at 1
+ */
+function findCueIdentifiers(lines) {
+    const headerEnd = lines.findIndex(line => line.trim() === '');
+    const identifiers = [];
+    let cueCount = 0;
+
+    lines.forEach((line, i) => {
+        if (!TIMING_LINE_REGEX.test(line)) {
+            return;
+        }
+        cueCount++;
+        if (headerEnd !== -1 && i - 1 > headerEnd && lines[i - 1].trim() !== '') {
+            identifiers.push({ identifier: lines[i - 1].trim(), line: i });
+        }
+    });
+
+    return { identifiers, cueCount };
 }
 
 /**
- * Validates that the generated VTT content meets Bunny Stream specifications
+ * Validates that the generated VTT content meets a compliance profile (Bunny Stream by default)
  * @param {string} vttContent - The generated VTT content
+ * @param {Object} profile - Compliance profile (see compliance-profiles)
  * @returns {boolean} - True if valid, throws error if invalid
  */
-function validateVTTFormat(vttContent) {
+function validateVTTFormat(vttContent, profile = COMPLIANCE_PROFILES.bunny) {
     if (!vttContent || typeof vttContent !== 'string') {
         throw new Error('Invalid VTT content: must be a non-empty string');
     }
 
     // Check for BOM (should not be present) - must be checked first
-    if (vttContent.charCodeAt(0) === 0xFEFF) {
-        throw new Error('VTT content must not contain BOM (Byte Order Mark)');
+    let content = vttContent;
+    if (content.charCodeAt(0) === 0xFEFF) {
+        if (!profile.header.allowBOM) {
+            throw new Error('VTT content must not contain BOM (Byte Order Mark)');
+        }
+        content = content.slice(1);
     }
 
     // Check for WEBVTT header as first line
-    if (!vttContent.startsWith('WEBVTT\n')) {
+    const patterns = getHeaderPatterns(profile, profile.lineEndings === 'lf' ? '\\n' : '\\r?\\n');
+    if (!patterns.header.test(content)) {
         throw new Error('VTT content must start with "WEBVTT" header followed by newline');
     }
 
     // Check for empty line after WEBVTT header
-    if (!vttContent.startsWith('WEBVTT\n\n')) {
+    if (!patterns.blankLine.test(content)) {
         throw new Error('VTT content must have empty line after WEBVTT header');
     }
 
     // Validate timestamp format in content
     const timestampRegex = /\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}/g;
-    const timestamps = vttContent.match(timestampRegex);
+    const timestamps = content.match(timestampRegex);
     
     if (!timestamps || timestamps.length === 0) {
         throw new Error('No valid VTT timestamps found in content');
     }
 
-    // Check that no subtitle sequence numbers are present
-    // Look for lines that are just numbers (which would be sequence numbers)
-    const lines = vttContent.split('\n');
-    for (let i = 2; i < lines.length; i++) { // Skip WEBVTT header and empty line
-        const line = lines[i].trim();
-        if (/^\d+$/.test(line)) {
-            // Check if this number is followed by a timestamp (which would indicate it's a sequence number)
-            if (i + 1 < lines.length && timestampRegex.test(lines[i + 1])) {
-                throw new Error('VTT content must not contain subtitle sequence numbers for Bunny Stream compatibility');
-            }
-        }
+    // Check cue identifiers against the profile's policy
+    const { identifiers, cueCount } = findCueIdentifiers(content.split(/\r?\n/));
+    if (profile.cueIdentifiers === 'no-sequence-numbers' && identifiers.some(({ identifier }) => /^\d+$/.test(identifier))) {
+        throw new Error(`VTT content must not contain subtitle sequence numbers for ${profile.label} compatibility`);
+    }
+    if (profile.cueIdentifiers === 'forbidden' && identifiers.length > 0) {
+        throw new Error(`VTT content must not contain cue identifiers for ${profile.label} compatibility`);
+    }
+    if (profile.cueIdentifiers === 'required' && identifiers.length < cueCount) {
+        throw new Error(`Every cue must have an identifier for ${profile.label} compatibility`);
     }
 
     return true;
 }
 
 /**
- * Enhanced VTT format validation with comprehensive Bunny Stream compliance checks
+ * Replaces character references with a single character so text is measured as displayed
+ * @param {string} text - WebVTT cue text
+ * @returns {string} - Text with &amp;, &lt;, &#233; and similar counted as one character
+ */
+function decodeCharacterReferences(text) {
+    return text.replace(/&(?:[a-z]+|#\d+|#x[0-9a-f]+);/gi, '_');
+}
+
+/**
+ * Enhanced VTT format validation against a compliance profile
+ * Besides the WebVTT syntax, the profile decides which header forms, cue identifiers and line
+ * endings are accepted, and may limit line length, lines per cue, reading speed and cue text tags
  * @param {string} vttContent - The VTT content to validate
- * @returns {Object} - Validation result with detailed compliance information
+ * @param {Object} profile - Compliance profile (see compliance-profiles)
+ * @param {Object} options - Validation options
+ * @param {Object} options.timingSeverity - Severity overrides for the cue timing checks (see checkCueTiming)
+ * @returns {Object} - Validation result with detailed compliance information; the checks depend on the profile
+ *                     and violations lists the errors caused by the profile's text limits
  */
-function validateBunnyStreamCompliance(vttContent) {
+function validateProfileCompliance(vttContent, profile, options = {}) {
+    const identifierCheck = {
+        'no-sequence-numbers': 'noSequenceNumbers',
+        'forbidden': 'noCueIdentifiers',
+        'required': 'hasCueIdentifiers'
+    }[profile.cueIdentifiers];
+    const checkNames = [
+        'hasWebVTTHeader',
+        'hasEmptyLineAfterHeader',
+        profile.header.allowBOM ? null : 'noBOM',
+        identifierCheck,
+        'validTimestamps',
+        'properEncoding',
+        'escapedCueText',
+        'noEmbeddedArrows',
+        'validCueSettings',
+        'validCueTiming',
+        profile.maxLineLength ? 'withinLineLength' : null,
+        profile.maxLines ? 'withinMaxLines' : null,
+        profile.maxCps ? 'withinReadingSpeed' : null,
+        profile.allowedTags ? 'allowedTagsOnly' : null
+    ].filter(Boolean);
     const result = {
         isValid: false,
-        compliance: {
-            hasWebVTTHeader: false,
-            hasEmptyLineAfterHeader: false,
-            noBOM: false,
-            noSequenceNumbers: false,
-            validTimestamps: false,
-            properEncoding: false
-        },
+        compliance: Object.fromEntries(checkNames.map(name => [name, false])),
         errors: [],
+        violations: [],
         warnings: []
     };
 
     try {
         // Detailed compliance checks (don't fail on basic validation for warnings)
-        result.compliance.noBOM = vttContent.charCodeAt(0) !== 0xFEFF;
-        result.compliance.hasWebVTTHeader = vttContent.startsWith('WEBVTT\n') || vttContent.startsWith('WEBVTT\r\n');
-        result.compliance.hasEmptyLineAfterHeader = vttContent.startsWith('WEBVTT\n\n') || vttContent.startsWith('WEBVTT\r\n\r\n');
+        const hasBOM = vttContent.charCodeAt(0) === 0xFEFF;
+        const content = hasBOM && profile.header.allowBOM ? vttContent.slice(1) : vttContent;
+        const patterns = getHeaderPatterns(profile, '\\r?\\n');
+        if (!profile.header.allowBOM) {
+            result.compliance.noBOM = !hasBOM;
+        }
+        result.compliance.hasWebVTTHeader = patterns.header.test(content);
+        result.compliance.hasEmptyLineAfterHeader = patterns.blankLine.test(content);
         
         // Check for proper UTF-8 encoding
         try {
@@ -163,23 +294,113 @@ function validateBunnyStreamCompliance(vttContent) {
 
         // Validate timestamps
         const timestampRegex = /\d{2}:\d{2}:\d{2}\.\d{3}\s*-->\s*\d{2}:\d{2}:\d{2}\.\d{3}/g;
-        const timestamps = vttContent.match(timestampRegex);
-        result.compliance.validTimestamps = timestamps && timestamps.length > 0;
-
-        // Check for sequence numbers (handle both LF and CRLF)
-        const lines = vttContent.split(/\r?\n/);
-        let hasSequenceNumbers = false;
-        for (let i = 2; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (/^\d+$/.test(line) && i + 1 < lines.length && timestampRegex.test(lines[i + 1])) {
-                hasSequenceNumbers = true;
-                break;
+        const timestamps = content.match(timestampRegex);
+        result.compliance.validTimestamps = Array.isArray(timestamps) && timestamps.length > 0;
+
+        // Check cue identifiers (handle both LF and CRLF)
+        const lines = content.split(/\r?\n/);
+        const { identifiers, cueCount } = findCueIdentifiers(lines);
+        if (identifierCheck === 'noSequenceNumbers') {
+            result.compliance.noSequenceNumbers = !identifiers.some(({ identifier }) => /^\d+$/.test(identifier));
+        } else if (identifierCheck === 'noCueIdentifiers') {
+            result.compliance.noCueIdentifiers = identifiers.length === 0;
+        } else if (identifierCheck === 'hasCueIdentifiers') {
+            result.compliance.hasCueIdentifiers = identifiers.length === cueCount;
+        }
+
+        // Check cue payloads for reserved characters and "-->" outside timing lines, the cue settings syntax and cue timing
+        const unescapedLines = [];
+        const arrowLines = [];
+        const settingsProblems = [];
+        const cueTimings = [];
+        let inPayload = false;
+        lines.forEach((line, i) => {
+            const timing = line.match(TIMING_LINE_REGEX);
+            if (line.trim() === '') {
+                inPayload = false;
+            } else if (timing) {
+                inPayload = true;
+                cueTimings.push({ startTime: timing[1], endTime: timing[2], line: i + 1, text: [] });
+                validateCueSettings(timing[3]).forEach(problem => settingsProblems.push(`${problem} (line ${i + 1})`));
+            } else if (line.includes('-->')) {
+                arrowLines.push(i + 1);
+            } else if (inPayload) {
+                cueTimings[cueTimings.length - 1].text.push({ text: line, line: i + 1 });
+                if (findUnescapedCharacters(line).length > 0) {
+                    unescapedLines.push(i + 1);
+                }
             }
+        });
+        const describeLines = numbers => `${numbers.length === 1 ? 'line' : 'lines'} ${numbers.join(', ')}`;
+        result.compliance.escapedCueText = unescapedLines.length === 0;
+        result.compliance.noEmbeddedArrows = arrowLines.length === 0;
+        if (unescapedLines.length > 0) {
+            result.errors.push(`Cue text contains unescaped &, < or > characters (${describeLines(unescapedLines)}). Use &amp;, &lt; and &gt;`);
         }
-        result.compliance.noSequenceNumbers = !hasSequenceNumbers;
+        if (arrowLines.length > 0) {
+            result.errors.push(`Cue text contains "-->", which ends the cue early (${describeLines(arrowLines)})`);
+        }
+        result.compliance.validCueSettings = settingsProblems.length === 0;
+        if (settingsProblems.length > 0) {
+            result.errors.push(`Invalid cue settings: ${settingsProblems.join('; ')}`);
+        }
+        const timingIssues = checkCueTiming(cueTimings, { severity: options.timingSeverity });
+        const describeIssue = issue => `${issue.message} (line ${cueTimings[issue.cue - 1].line})`;
+        result.compliance.validCueTiming = timingIssues.errors.length === 0;
+        if (timingIssues.errors.length > 0) {
+            result.errors.push(`Invalid cue timing: ${timingIssues.errors.map(describeIssue).join('; ')}`);
+        }
+        result.warnings.push(...timingIssues.warnings.map(describeIssue));
+
+        // Limits the profile puts on the cue text; breaking them is a problem of the subtitles, not of the output,
+        // so they are also listed in violations
+        const payloadLines = cueTimings.flatMap(cue => cue.text);
+        if (profile.maxLineLength) {
+            const longLines = payloadLines
+                .filter(({ text }) => visibleLength(decodeCharacterReferences(text)) > profile.maxLineLength)
+                .map(({ line }) => line);
+            result.compliance.withinLineLength = longLines.length === 0;
+            if (longLines.length > 0) {
+                result.violations.push(`Cue text is longer than ${profile.maxLineLength} characters per line (${describeLines(longLines)})`);
+            }
+        }
+        if (profile.maxLines) {
+            const tallCues = cueTimings.filter(cue => cue.text.length > profile.maxLines).map(cue => cue.line);
+            result.compliance.withinMaxLines = tallCues.length === 0;
+            if (tallCues.length > 0) {
+                result.violations.push(`Cues have more than ${profile.maxLines} lines of text (${describeLines(tallCues)})`);
+            }
+        }
+        if (profile.maxCps) {
+            const fastCues = cueTimings.filter(cue => {
+                const durationMs = timestampToMs(cue.endTime) - timestampToMs(cue.startTime);
+                const characters = countReadableCharacters(decodeCharacterReferences(cue.text.map(({ text }) => text).join('\n')));
+                return durationMs > 0 && characters * 1000 / durationMs > profile.maxCps;
+            }).map(cue => cue.line);
+            result.compliance.withinReadingSpeed = fastCues.length === 0;
+            if (fastCues.length > 0) {
+                result.violations.push(`Cues need more than ${profile.maxCps} characters per second (${describeLines(fastCues)})`);
+            }
+        }
+        if (profile.allowedTags) {
+            const usedTags = new Set();
+            const tagLines = payloadLines.filter(({ text }) => {
+                const tags = [...text.matchAll(/<\/?([a-z][a-z0-9]*)/gi)]
+                    .map(match => match[1].toLowerCase())
+                    .filter(tag => !profile.allowedTags.includes(tag));
+                tags.forEach(tag => usedTags.add(tag));
+                return tags.length > 0;
+            }).map(({ line }) => line);
+            result.compliance.allowedTagsOnly = tagLines.length === 0;
+            if (tagLines.length > 0) {
+                const tagList = [...usedTags].map(tag => `<${tag}>`).join(', ');
+                result.violations.push(`Cue text uses tags ${profile.label} does not allow: ${tagList} (${describeLines(tagLines)})`);
+            }
+        }
+
+        result.errors.push(...result.violations);
 
-        // Additional Bunny Stream specific checks
-        if (vttContent.includes('\r\n')) {
+        if (profile.lineEndings === 'lf' && vttContent.includes('\r\n')) {
             result.warnings.push('Content contains Windows line endings (CRLF). Unix line endings (LF) are recommended.');
         }
 
@@ -188,14 +409,13 @@ function validateBunnyStreamCompliance(vttContent) {
         }
 
         // Check for leading/trailing whitespace in header
-        const headerLines = vttContent.split(/\r?\n/);
-        if (headerLines.length > 0 && headerLines[0] !== 'WEBVTT') {
+        if (!profile.header.allowText && lines.length > 0 && lines[0] !== 'WEBVTT') {
             result.warnings.push('WEBVTT header should not have leading or trailing whitespace.');
         }
 
         // Try basic validation for errors (but don't let it stop warnings)
         try {
-            validateVTTFormat(vttContent);
+            validateVTTFormat(vttContent, profile);
         } catch (error) {
             result.errors.push(error.message);
         }
@@ -211,18 +431,118 @@ function validateBunnyStreamCompliance(vttContent) {
     return result;
 }
 
+/**
+ * Enhanced VTT format validation with comprehensive Bunny Stream compliance checks
+ * @param {string} vttContent - The VTT content to validate
+ * @param {Object} options - Validation options
+ * @param {Object} options.timingSeverity - Severity overrides for the cue timing checks (see checkCueTiming)
+ * @returns {Object} - Validation result with detailed compliance information
+ */
+function validateBunnyStreamCompliance(vttContent, options = {}) {
+    return validateProfileCompliance(vttContent, COMPLIANCE_PROFILES.bunny, options);
+}
+
+/**
+ * Normalizes an existing WebVTT file to the Bunny Stream profile
+ * The file is parsed and re-emitted through generateVTT, which strips BOM,
+ * cue identifiers (sequence numbers), CRLF line endings and header metadata.
+ * Valid cue settings are kept; invalid ones and region references are removed
+ * @param {string} vttContent - Third-party VTT content
+ * @returns {Object} - Normalized content, list of changes and before/after compliance results
+ * @throws {Error} - If content cannot be parsed as WebVTT
+ */
+function normalizeVTT(vttContent) {
+    if (!vttContent || typeof vttContent !== 'string') {
+        throw new Error('Invalid VTT content: must be a non-empty string');
+    }
+
+    const before = validateBunnyStreamCompliance(vttContent);
+    const document = parseVTTDocument(vttContent);
+    const changes = [];
+
+    if (vttContent.charCodeAt(0) === 0xFEFF) {
+        changes.push({ type: 'bom', message: 'Removed byte order mark (BOM)' });
+    }
+
+    if (/\r/.test(vttContent)) {
+        changes.push({ type: 'line-endings', message: 'Converted CRLF/CR line endings to LF' });
+    }
+
+    if (!/^\uFEFF?WEBVTT\r?\n/.test(vttContent)) {
+        changes.push({ type: 'header', message: 'Removed text after WEBVTT signature' });
+    }
+
+    const identifiedCues = document.cues.filter(cue => cue.identifier !== undefined).length;
+    if (identifiedCues > 0) {
+        changes.push({ type: 'sequence-numbers', message: `Removed ${identifiedCues} cue identifier(s)` });
+    }
+
+    // Valid cue settings keep their positioning; invalid ones and regions (whose REGION blocks are removed) are dropped
+    let removedSettings = 0;
+    const keptSettings = document.cues.map(cue => {
+        if (cue.settings === undefined) {
+            return undefined;
+        }
+        const settings = Object.fromEntries(Object.entries(cue.settings)
+            .filter(([name, value]) => name !== 'region' && validateCueSettings(`${name}:${value}`).length === 0));
+        removedSettings += Object.keys(cue.settings).length - Object.keys(settings).length;
+        return Object.keys(settings).length > 0 ? settings : undefined;
+    });
+    if (removedSettings > 0) {
+        changes.push({ type: 'cue-settings', message: `Removed ${removedSettings} invalid or unsupported cue setting(s)` });
+    }
+
+    const blockCount = document.styles.length + document.regions.length + document.notes.length;
+    if (blockCount > 0) {
+        changes.push({ type: 'blocks', message: `Removed ${blockCount} NOTE/STYLE/REGION block(s)` });
+    }
+
+    let tabCues = 0;
+    const subtitles = document.cues.map(({ settings, ...cue }, i) => {
+        if (keptSettings[i]) {
+            cue.settings = keptSettings[i];
+        }
+        if (!cue.text.includes('\t')) {
+            return cue;
+        }
+        tabCues++;
+        return { ...cue, text: cue.text.replace(/[ \t]*\t[ \t]*/g, ' ') };
+    });
+    if (tabCues > 0) {
+        changes.push({ type: 'tabs', message: `Replaced tab characters in ${tabCues} cue(s)` });
+    }
+
+    getVTTMarkupWarnings(subtitles).forEach(message => {
+        changes.push({ type: 'markup', message });
+    });
+
+    const content = generateVTT(subtitles);
+
+    return {
+        content,
+        cueCount: subtitles.length,
+        changes,
+        before,
+        after: validateBunnyStreamCompliance(content)
+    };
+}
+
 /**
  * Generates Base64 encoded VTT content for direct API uploads
  * @param {string} vttContent - The VTT content to encode
- * @returns {Object} - Base64 data with metadata for API integration
+ * @param {Object} profile - Compliance profile the content is validated against (Bunny Stream by default)
+ * @param {Object} options - Compliance options
+ * @param {Object} options.timingSeverity - Severity overrides for the cue timing checks (see checkCueTiming)
+ * @returns {Object} - Base64 data with metadata for API integration; the metadata names the profile
+ *                     and reports its compliance result under the profile's complianceFlag
  */
-function generateBase64Output(vttContent) {
+function generateBase64Output(vttContent, profile = COMPLIANCE_PROFILES.bunny, options = {}) {
     if (!vttContent || typeof vttContent !== 'string') {
         throw new Error('Invalid VTT content for Base64 encoding');
     }
 
     // Validate content before encoding
-    validateVTTFormat(vttContent);
+    validateVTTFormat(vttContent, profile);
 
     // Generate Base64 encoding
     const buffer = Buffer.from(vttContent, 'utf8');
@@ -239,7 +559,8 @@ function generateBase64Output(vttContent) {
         },
         metadata: {
             format: 'WebVTT',
-            bunnyStreamCompatible: true,
+            profile: profile.name,
+            [profile.complianceFlag]: validateProfileCompliance(vttContent, profile, options).isValid,
             encoding: 'UTF-8 without BOM'
         }
     };
@@ -269,8 +590,11 @@ function getVTTMimeTypeConfig() {
 module.exports = {
     convertTimestamp,
     generateVTT,
+    getVTTMarkupWarnings,
     validateVTTFormat,
+    validateProfileCompliance,
     validateBunnyStreamCompliance,
+    normalizeVTT,
     generateBase64Output,
     getVTTMimeTypeConfig
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * WebVTT Parsing Module
+ * Parses existing WebVTT files into the subtitle objects used by the conversion pipeline
+ */
+
+const { timestampToMs, msToTimestamp } = require('./timestamp');
+const { unescapeCueText } = require('./cue-text');
+
+const VTT_TIMESTAMP = '(?:\\d{2,}:)?[0-5]\\d:[0-5]\\d\\.\\d{3}';
+const TIMING_LINE_REGEX = new RegExp(`^(${VTT_TIMESTAMP})[ \\t]+-->[ \\t]+(${VTT_TIMESTAMP})(?:[ \\t]+(.*))?$`);
+
+/**
+ * Parses the cue settings part of a timing line into a name/value map
+ * Malformed settings are ignored as required by the WebVTT specification
+ * @param {string} settingsString - Settings after the end timestamp (e.g. "align:start line:0%")
+ * @returns {Object} - Map of setting names to values
+ */
+function parseCueSettings(settingsString) {
+    const settings = {};
+    if (!settingsString) {
+        return settings;
+    }
+
+    for (const token of settingsString.trim().split(/[ \t]+/)) {
+        const separator = token.indexOf(':');
+        if (separator > 0 && separator < token.length - 1) {
+            settings[token.slice(0, separator)] = token.slice(separator + 1);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Converts a WebVTT timestamp to the SRT form used by the subtitle objects
+ * @param {string} vttTimestamp - Timestamp in HH:MM:SS.mmm or MM:SS.mmm format
+ * @returns {string} - Timestamp in HH:MM:SS,mmm format
+ */
+function toSRTTimestamp(vttTimestamp) {
+    return msToTimestamp(timestampToMs(vttTimestamp));
+}
+
+/**
+ * Internal function to parse a WebVTT document with detailed error checking
+ * @param {string} content - The VTT file content as string
+ * @returns {Object} - Parsed document with cues, styles, regions and notes
+ * @throws {Error} - If content is invalid WebVTT format
+ */
+function parseVTTInternal(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    // Remove BOM if present and normalize line endings
+    const normalizedContent = content.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    const lines = normalizedContent.split('\n');
+
+    // Signature: "WEBVTT" optionally followed by a space or tab and header text
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+        throw new Error('Missing "WEBVTT" signature on the first line');
+    }
+
+    const document = {
+        cues: [],
+        styles: [],
+        regions: [],
+        notes: []
+    };
+
+    // Skip header lines up to the first blank line (or a timing line that follows it directly)
+    let i = 1;
+    while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) {
+        i++;
+    }
+
+    while (i < lines.length) {
+        // Skip blank lines between blocks
+        while (i < lines.length && lines[i].trim() === '') {
+            i++;
+        }
+
+        if (i >= lines.length) break;
+
+        // Collect the block up to the next blank line
+        const blockStart = i;
+        const block = [];
+        while (i < lines.length && lines[i].trim() !== '') {
+            block.push(lines[i]);
+            i++;
+        }
+
+        const firstLine = block[0];
+
+        if (/^NOTE(?:[ \t]|$)/.test(firstLine)) {
+            document.notes.push(block.join('\n').replace(/^NOTE[ \t]?/, ''));
+            continue;
+        }
+
+        if (/^(STYLE|REGION)[ \t]*$/.test(firstLine) && !block.some(line => line.includes('-->'))) {
+            if (document.cues.length > 0) {
+                throw new Error(`${firstLine.trim()} block at line ${blockStart + 1} must appear before the first cue`);
+            }
+            const body = block.slice(1).join('\n');
+            if (firstLine.trim() === 'STYLE') {
+                document.styles.push(body);
+            } else {
+                document.regions.push(body);
+            }
+            continue;
+        }
+
+        // Cue block: optional identifier line followed by the timing line
+        let timingIndex = 0;
+        let identifier = null;
+        if (!firstLine.includes('-->')) {
+            identifier = firstLine.trim();
+            timingIndex = 1;
+        }
+
+        if (timingIndex >= block.length || !block[timingIndex].includes('-->')) {
+            throw new Error(`Missing cue timing line at line ${blockStart + timingIndex + 1}`);
+        }
+
+        const timingLine = block[timingIndex].trim();
+        const match = timingLine.match(TIMING_LINE_REGEX);
+        if (!match) {
+            throw new Error(`Invalid cue timing "${timingLine}" at line ${blockStart + timingIndex + 1}`);
+        }
+
+        const [, start, end, settingsString] = match;
+        const text = block.slice(timingIndex + 1).join('\n').trim();
+
+        // Cues without payload carry nothing to display and cannot be represented in SRT
+        if (text === '') {
+            continue;
+        }
+
+        const cue = {
+            index: document.cues.length + 1,
+            startTime: toSRTTimestamp(start),
+            endTime: toSRTTimestamp(end),
+            text: unescapeCueText(text)
+        };
+
+        if (identifier) {
+            cue.identifier = identifier;
+        }
+
+        const settings = parseCueSettings(settingsString);
+        if (Object.keys(settings).length > 0) {
+            cue.settings = settings;
+        }
+
+        document.cues.push(cue);
+    }
+
+    if (document.cues.length === 0) {
+        throw new Error('No valid cues found');
+    }
+
+    return document;
+}
+
+/**
+ * Validates if the content can be parsed as a WebVTT file
+ * Unlike validateVTTFormat this accepts any spec-conforming file, not only Bunny Stream output
+ * @param {string} content - The VTT file content as string
+ * @returns {boolean} - True if valid WebVTT, false otherwise
+ */
+function validateWebVTTFormat(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+
+    try {
+        parseVTTInternal(content);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parses a WebVTT file including its STYLE, REGION and NOTE blocks
+ * @param {string} content - The VTT file content as string
+ * @returns {Object} - Object with cues, styles, regions and notes arrays
+ * @throws {Error} - If content is invalid WebVTT format
+ */
+function parseVTTDocument(content) {
+    try {
+        return parseVTTInternal(content);
+    } catch (error) {
+        throw new Error('Invalid VTT format: ' + error.message);
+    }
+}
+
+/**
+ * Parses WebVTT content into structured subtitle entries
+ * Returns the same shape as parseSRT so the result can be fed to any generator
+ * @param {string} content - The VTT file content as string
+ * @returns {Array} - Array of subtitle objects with index, startTime, endTime, text
+ *                    and optional identifier and settings
+ * @throws {Error} - If content is invalid WebVTT format
+ */
+function parseVTT(content) {
+    return parseVTTDocument(content).cues;
+}
+
+module.exports = {
+    validateWebVTTFormat,
+    parseVTT,
+    parseVTTDocument,
+    parseCueSettings
+};
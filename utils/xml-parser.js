@@ -0,0 +1,214 @@
+/**
+ * Minimal XML Parsing Module
+ * Builds an element tree for XML based subtitle formats (TTML/DFXP) without external dependencies
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+};
+
+/**
+ * Decodes XML character and predefined entity references
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} - Decoded text
+ */
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (reference, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(codePoint);
+        }
+        return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : reference;
+    });
+}
+
+/**
+ * Escapes text for use in XML content or attribute values
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the local part of a qualified name (tt:p -> p)
+ * @param {string} name - Qualified element or attribute name
+ * @returns {string} - Local name
+ */
+function getLocalName(name) {
+    const separator = name.indexOf(':');
+    return separator === -1 ? name : name.slice(separator + 1);
+}
+
+/**
+ * Gets an attribute by local name, ignoring the namespace prefix
+ * @param {Object} element - Element from parseXML
+ * @param {string} localName - Attribute local name (e.g. "begin", "fontStyle")
+ * @returns {string|undefined} - Attribute value
+ */
+function getAttribute(element, localName) {
+    if (element.attributes[localName] !== undefined) {
+        return element.attributes[localName];
+    }
+    const name = Object.keys(element.attributes).find(key => getLocalName(key) === localName);
+    return name !== undefined ? element.attributes[name] : undefined;
+}
+
+/**
+ * Parses the attribute list of a start tag
+ * @param {string} source - Attribute part of the tag
+ * @param {number} lineNumber - Line of the tag for error messages
+ * @returns {Object} - Attribute map
+ */
+function parseAttributes(source, lineNumber) {
+    const attributes = {};
+    const attributeRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let rest = source;
+    let match;
+
+    while ((match = attributeRegex.exec(source)) !== null) {
+        const value = match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1]] = decodeXMLEntities(value);
+        rest = rest.replace(match[0], '');
+    }
+
+    if (rest.trim() !== '') {
+        throw new Error(`Malformed attribute "${rest.trim()}" at line ${lineNumber}`);
+    }
+
+    return attributes;
+}
+
+/**
+ * Parses XML content into an element tree
+ * Elements are {name, attributes, children, lineNumber}; text nodes are {text}.
+ * Comments, processing instructions and DOCTYPE declarations are skipped
+ * @param {string} content - XML document
+ * @returns {Object} - Root element
+ * @throws {Error} - If the document is not well-formed
+ */
+function parseXML(content) {
+    if (!content || typeof content !== 'string') {
+        throw new Error('Content must be a non-empty string');
+    }
+
+    const source = content.replace(/^\uFEFF/, '');
+    const document = { name: '#document', attributes: {}, children: [], lineNumber: 1 };
+    const stack = [document];
+    let position = 0;
+
+    const lineAt = offset => source.slice(0, offset).split('\n').length;
+
+    while (position < source.length) {
+        const tagStart = source.indexOf('<', position);
+        const textEnd = tagStart === -1 ? source.length : tagStart;
+
+        if (textEnd > position) {
+            const text = source.slice(position, textEnd);
+            if (stack.length === 1) {
+                if (text.trim() !== '') {
+                    throw new Error(`Unexpected text outside the root element at line ${lineAt(position)}`);
+                }
+            } else {
+                stack[stack.length - 1].children.push({ text: decodeXMLEntities(text) });
+            }
+        }
+
+        if (tagStart === -1) break;
+
+        let skipTo = null;
+        if (source.startsWith('<!--', tagStart)) {
+            skipTo = ['-->', tagStart + 4];
+        } else if (source.startsWith('<?', tagStart)) {
+            skipTo = ['?>', tagStart + 2];
+        } else if (source.startsWith('<![CDATA[', tagStart)) {
+            const end = source.indexOf(']]>', tagStart);
+            if (end === -1) {
+                throw new Error(`Unterminated CDATA section at line ${lineAt(tagStart)}`);
+            }
+            if (stack.length > 1) {
+                stack[stack.length - 1].children.push({ text: source.slice(tagStart + 9, end) });
+            }
+            position = end + 3;
+            continue;
+        } else if (source.startsWith('<!', tagStart)) {
+            skipTo = ['>', tagStart + 2];
+        }
+
+        if (skipTo) {
+            const end = source.indexOf(skipTo[0], skipTo[1]);
+            if (end === -1) {
+                throw new Error(`Unterminated markup declaration at line ${lineAt(tagStart)}`);
+            }
+            position = end + skipTo[0].length;
+            continue;
+        }
+
+        const tagEnd = source.indexOf('>', tagStart);
+        if (tagEnd === -1) {
+            throw new Error(`Unterminated tag at line ${lineAt(tagStart)}`);
+        }
+
+        const lineNumber = lineAt(tagStart);
+        const tag = source.slice(tagStart + 1, tagEnd);
+
+        if (tag.startsWith('/')) {
+            const name = tag.slice(1).trim();
+            const current = stack.pop();
+            if (stack.length === 0 || current.name !== name) {
+                throw new Error(`Unexpected closing tag </${name}> at line ${lineNumber}`);
+            }
+        } else {
+            const selfClosing = tag.endsWith('/');
+            const body = selfClosing ? tag.slice(0, -1) : tag;
+            const nameMatch = body.match(/^([^\s/>]+)/);
+            if (!nameMatch) {
+                throw new Error(`Malformed tag at line ${lineNumber}`);
+            }
+            if (stack.length === 1 && document.children.length > 0) {
+                throw new Error(`Multiple root elements at line ${lineNumber}`);
+            }
+
+            const element = {
+                name: nameMatch[1],
+                attributes: parseAttributes(body.slice(nameMatch[1].length), lineNumber),
+                children: [],
+                lineNumber
+            };
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+
+        position = tagEnd + 1;
+    }
+
+    if (stack.length > 1) {
+        const unclosed = stack[stack.length - 1];
+        throw new Error(`Missing closing tag for <${unclosed.name}> opened at line ${unclosed.lineNumber}`);
+    }
+
+    if (document.children.length === 0) {
+        throw new Error('No root element found');
+    }
+
+    return document.children[0];
+}
+
+module.exports = {
+    parseXML,
+    escapeXML,
+    decodeXMLEntities,
+    getLocalName,
+    getAttribute
+};
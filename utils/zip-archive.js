@@ -0,0 +1,150 @@
+/**
+ * ZIP Archive Module
+ * Writes ZIP archives (PKWARE APPNOTE 6.3) in memory for multi-format downloads
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+// Version 2.0 is needed for deflate; bit 11 marks UTF-8 file names
+const VERSION_NEEDED = 20;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculates the CRC-32 checksum used by ZIP entries
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields (2-second resolution, years 1980-2107)
+ * @param {Date} date - Modification date
+ * @returns {Object} - {time, date} as 16-bit values
+ */
+function toDosDateTime(date) {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Creates a ZIP archive from in-memory files
+ * Entries are deflated unless that would make them larger
+ * @param {Array} entries - Array of {name, content, date?}; content is a string (written as UTF-8) or Buffer
+ * @returns {Buffer} - ZIP archive
+ * @throws {Error} - If an entry has no name or the names are not unique
+ */
+function createZipArchive(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('Invalid input: entries must be an array');
+    }
+
+    const localParts = [];
+    const centralParts = [];
+    const names = new Set();
+    let offset = 0;
+
+    entries.forEach((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || entry.name === '') {
+            throw new Error(`ZIP entry ${index + 1} has no file name`);
+        }
+        if (names.has(entry.name)) {
+            throw new Error(`Duplicate ZIP entry name: ${entry.name}`);
+        }
+        names.add(entry.name);
+
+        const nameBuffer = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const method = deflated.length < data.length ? METHOD_DEFLATED : METHOD_STORED;
+        const stored = method === METHOD_DEFLATED ? deflated : data;
+        const checksum = crc32(data);
+        const { time, date } = toDosDateTime(entry.date || new Date());
+
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+        localHeader.writeUInt16LE(VERSION_NEEDED, 4);
+        localHeader.writeUInt16LE(UTF8_FLAG, 6);
+        localHeader.writeUInt16LE(method, 8);
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(date, 12);
+        localHeader.writeUInt32LE(checksum, 14);
+        localHeader.writeUInt32LE(stored.length, 18);
+        localHeader.writeUInt32LE(data.length, 22);
+        localHeader.writeUInt16LE(nameBuffer.length, 26);
+        localHeader.writeUInt16LE(0, 28);
+
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+        centralHeader.writeUInt16LE(VERSION_NEEDED, 4);
+        centralHeader.writeUInt16LE(VERSION_NEEDED, 6);
+        centralHeader.writeUInt16LE(UTF8_FLAG, 8);
+        centralHeader.writeUInt16LE(method, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(date, 14);
+        centralHeader.writeUInt32LE(checksum, 16);
+        centralHeader.writeUInt32LE(stored.length, 20);
+        centralHeader.writeUInt32LE(data.length, 24);
+        centralHeader.writeUInt16LE(nameBuffer.length, 28);
+        // Extra field, comment, disk number, internal and external attributes stay zero
+        centralHeader.writeUInt32LE(offset, 42);
+
+        localParts.push(localHeader, nameBuffer, stored);
+        centralParts.push(centralHeader, nameBuffer);
+        offset += localHeader.length + nameBuffer.length + stored.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Gets MIME type configuration for ZIP archives
+ * @returns {Object} - MIME type configuration
+ */
+function getZipMimeTypeConfig() {
+    return {
+        primary: 'application/zip',
+        fileExtension: '.zip',
+        contentType: 'application/zip'
+    };
+}
+
+module.exports = {
+    crc32,
+    createZipArchive,
+    getZipMimeTypeConfig
+};